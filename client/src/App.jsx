@@ -2,41 +2,74 @@ import React, { useState, useEffect, lazy, Suspense, useCallback } from 'react';
 import { useFeedOperations } from './hooks/useFeedOperations.js';
 import { useArticleOperations } from './hooks/useArticleOperations.js';
 import { useArticles } from './hooks/useArticles.js';
+import { useArticleSearch } from './hooks/useArticleSearch.js';
 import { useFeedSync } from './hooks/useFeedSync.js';
 import { useAISorting } from './hooks/useAISorting.js';
+import { useTags } from './hooks/useTags.js';
+import { useFolders } from './hooks/useFolders.js';
+import { useAnnotations } from './hooks/useAnnotations.js';
+import { useUndo } from './hooks/useUndo.js';
 import { useGlobalKeyboardShortcuts } from './hooks/useGlobalKeyboardShortcuts.js';
-import { useUnreadCounts } from './hooks/useUnreadCounts.js';
 import { hasAuth } from './utils/auth.js';
 import Login from './components/Login';
 import FeedList from './components/FeedList';
 import ArticleList from './components/ArticleList';
 import Toolbar from './components/Toolbar';
+import NotesView from './components/NotesView';
+import UndoToast from './components/UndoToast';
+import MiniPlayer from './components/MiniPlayer';
 const SettingsModal = lazy(() => import('./components/SettingsModal'));
 
 function App() {
   // Feed operations hook
-  const { feeds, fetchFeeds, addFeed, deleteFeed, syncFeed, renameFeed, exportFeeds, importFeeds } = useFeedOperations();
+  const {
+    feeds, fetchFeeds, addFeed, deleteFeed, syncFeed, renameFeed, exportFeeds, importFeeds, exportBackup, restoreBackup
+  } = useFeedOperations();
 
   const [selectedFeed, setSelectedFeed] = useState(null);
+  const [selectedFolder, setSelectedFolder] = useState(null);
+  const [selectedTag, setSelectedTag] = useState(null);
   const [showUnreadOnly, setShowUnreadOnly] = useState(true);
   const [showSavedOnly, setShowSavedOnly] = useState(false);
+  const [showNotes, setShowNotes] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [categories, setCategories] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isAuthenticated, setAuthenticated] = useState(hasAuth);
   const [authError, setAuthError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  // Article whose enclosure is in the player
+  const [playingArticle, setPlayingArticle] = useState(null);
 
   // Articles hook
-  const { articles, allArticles, setArticles, setAllArticles, fetchArticles } = useArticles({
+  const {
+    articles, setArticles, unreadCounts, setUnreadCounts, fetchArticles, fetchUnreadCounts, loadMore, hasMore, loadingMore
+  } = useArticles({
     selectedFeed,
+    selectedFolder,
+    selectedTag,
     showUnreadOnly,
     showSavedOnly
   });
 
+  // Search hook - while a query is active, its results replace the article list
+  const {
+    results: searchResults,
+    setResults: setSearchResults,
+    isSearchActive
+  } = useArticleSearch({
+    query: searchQuery,
+    selectedFeed,
+    showSavedOnly
+  });
+
+  const visibleArticles = isSearchActive ? searchResults : articles;
+  const setVisibleArticles = isSearchActive ? setSearchResults : setArticles;
+
   // Feed sync hook
   const { syncing, syncAllFeeds } = useFeedSync({
     fetchArticles,
-    setAllArticles
+    fetchUnreadCounts
   });
 
   // AI sorting hook
@@ -46,41 +79,119 @@ function App() {
     setCategories
   });
 
+  // Folders hook
+  const {
+    folders, feedFolders, fetchFolders, renameFolder, deleteFolder, moveFeed
+  } = useFolders({ feeds, fetchFeeds });
+
   // Article operations hook
   const { markAsRead, toggleSaved, markAllAsRead } = useArticleOperations({
-    setArticles,
-    setAllArticles,
-    articles
+    setArticles: setVisibleArticles,
+    setUnreadCounts,
+    articles: visibleArticles,
+    feedFolders
+  });
+
+  // Tags hook
+  const { tags, fetchTags, addTag, removeTag, renameTag, deleteTag } = useTags({
+    setArticles: setVisibleArticles
   });
 
+  // Highlights and notes hook
+  const { annotations, fetchAnnotations, addAnnotation, updateAnnotation, deleteAnnotation } = useAnnotations({
+    setArticles: setVisibleArticles
+  });
+
+  // Undo hook - an undone action brings back articles, read state and feeds
+  const refreshAfterUndo = useCallback(async (action) => {
+    if (action.type === 'delete-feed') {
+      await Promise.all([fetchFeeds(false), fetchTags()]);
+    }
+    await fetchArticles();
+  }, [fetchFeeds, fetchTags, fetchArticles]);
+
+  const {
+    toast: undoToast, record: recordUndo, dismiss: dismissUndo, undo, undoLast
+  } = useUndo({ onUndone: refreshAfterUndo });
+
+  const handleUndo = useCallback((actionId) => {
+    undo(actionId).catch(err => alert('Undo failed: ' + err.message));
+  }, [undo]);
+
+  const handleUndoLast = useCallback(() => {
+    undoLast().catch(err => alert('Undo failed: ' + err.message));
+  }, [undoLast]);
+
+  const handleToggleRead = useCallback(async (id, isRead) => {
+    const actionId = await markAsRead(id, isRead);
+    recordUndo(actionId, isRead ? 'Marked as read' : 'Marked as unread');
+  }, [markAsRead, recordUndo]);
+
+  const handleMarkAllAsRead = useCallback(async () => {
+    const count = visibleArticles.filter(a => !a.is_read).length;
+    const actionId = await markAllAsRead();
+    recordUndo(actionId, `Marked ${count} ${count === 1 ? 'article' : 'articles'} as read`);
+  }, [visibleArticles, markAllAsRead, recordUndo]);
+
   const handleSelectFeed = useCallback((feedId) => {
     setSelectedFeed(feedId);
+    setSelectedFolder(null);
+    setSelectedTag(null);
     setShowSavedOnly(false);
+    setShowNotes(false);
   }, []);
 
   const handleSelectSaved = useCallback(() => {
     setSelectedFeed(null);
+    setSelectedFolder(null);
+    setSelectedTag(null);
     setShowSavedOnly(true);
+    setShowNotes(false);
+  }, []);
+
+  const handleSelectNotes = useCallback(() => {
+    setSelectedFeed(null);
+    setSelectedFolder(null);
+    setSelectedTag(null);
+    setShowSavedOnly(false);
+    setShowNotes(true);
+    fetchAnnotations();
+  }, [fetchAnnotations]);
+
+  const handleSelectFolder = useCallback((folderId) => {
+    setSelectedFeed(null);
+    setSelectedFolder(folderId);
+    setSelectedTag(null);
+    setShowSavedOnly(false);
+    setShowNotes(false);
+  }, []);
+
+  const handleSelectTag = useCallback((tagId) => {
+    setSelectedFeed(null);
+    setSelectedFolder(null);
+    setSelectedTag(tagId);
+    setShowSavedOnly(false);
+    setShowNotes(false);
   }, []);
 
   useEffect(() => {
     if (!isAuthenticated) return;
     fetchFeeds();
-    // Sync on app load and refresh articles after
-    syncAllFeeds().then(() => {
-      fetchArticles();
-    });
+    fetchFolders();
+    fetchTags();
   }, [isAuthenticated]);
 
   useEffect(() => {
     if (!isAuthenticated) return;
-    // Auto-refresh every 15 minutes
+    // The server syncs feeds in the background; pick up what it fetched
+    // (unread counts and each feed's sync times) every 5 minutes
     const interval = setInterval(() => {
-      syncAllFeeds();
-    }, 15 * 60 * 1000);
+      fetchUnreadCounts().catch(err => console.error('Failed to refresh unread counts:', err));
+      fetchFeeds();
+    }, 5 * 60 * 1000);
 
     return () => clearInterval(interval);
-  }, [isAuthenticated, selectedFeed, showUnreadOnly, showSavedOnly]); // Recreate interval when auth or filters change
+  }, [isAuthenticated, fetchUnreadCounts, fetchFeeds]);
 
   // Listen for auth expiry (401 responses clear credentials)
   useEffect(() => {
@@ -99,24 +210,64 @@ function App() {
     syncAllFeeds,
     fetchArticles,
     handleSelectFeed,
-    handleSelectSaved
+    handleSelectSaved,
+    focusSearch: () => document.querySelector('.search-input')?.focus(),
+    undoLast: handleUndoLast
   });
 
-  // Calculate unread counts per feed
-  const unreadCounts = useUnreadCounts(allArticles);
-
   // Wrapper functions for feed operations that need App callbacks
   const handleDeleteFeed = useCallback(async (id) => {
-    await deleteFeed(id, selectedFeed, setSelectedFeed, fetchArticles);
-  }, [deleteFeed, selectedFeed, fetchArticles]);
+    const feed = feeds.find(f => f.id === id);
+    const actionId = await deleteFeed(id, selectedFeed, setSelectedFeed, fetchArticles);
+    recordUndo(actionId, `Deleted ${feed?.title || 'feed'}`);
+    // Tag counts include the deleted articles
+    await fetchTags();
+  }, [feeds, deleteFeed, selectedFeed, fetchArticles, recordUndo, fetchTags]);
 
   const handleSyncFeed = useCallback(async (id) => {
-    await syncFeed(id, fetchArticles);
-  }, [syncFeed, fetchArticles]);
+    try {
+      await syncFeed(id, fetchArticles);
+    } finally {
+      // Pick up the feed's health, whether the sync worked or not
+      await fetchFeeds(false);
+    }
+  }, [syncFeed, fetchArticles, fetchFeeds]);
 
   const handleImportFeeds = useCallback(async (opmlContent) => {
     await importFeeds(opmlContent, fetchArticles);
-  }, [importFeeds, fetchArticles]);
+    // The OPML outline groups become folders
+    await fetchFolders();
+  }, [importFeeds, fetchArticles, fetchFolders]);
+
+  const handleRestoreBackup = useCallback(async (archiveContent, mode) => {
+    await restoreBackup(archiveContent, mode, fetchArticles);
+    await Promise.all([fetchTags(), fetchFolders()]);
+  }, [restoreBackup, fetchArticles, fetchTags, fetchFolders]);
+
+  const handleDeleteFolder = useCallback(async (id) => {
+    await deleteFolder(id);
+    if (selectedFolder === id) {
+      handleSelectFeed(null);
+    }
+    await fetchUnreadCounts();
+  }, [deleteFolder, selectedFolder, handleSelectFeed, fetchUnreadCounts]);
+
+  const handleMoveFeed = useCallback(async (feedId, path) => {
+    await moveFeed(feedId, path);
+    // Folder counts and the folder view depend on where feeds are
+    if (selectedFolder !== null) {
+      await fetchArticles();
+    } else {
+      await fetchUnreadCounts();
+    }
+  }, [moveFeed, selectedFolder, fetchArticles, fetchUnreadCounts]);
+
+  const handleDeleteTag = useCallback(async (id) => {
+    await deleteTag(id);
+    if (selectedTag === id) {
+      handleSelectFeed(null);
+    }
+  }, [deleteTag, selectedTag, handleSelectFeed]);
 
   if (!isAuthenticated) {
     return (
@@ -128,7 +279,7 @@ function App() {
   }
 
   return (
-    <div className="app">
+    <div className={`app ${playingArticle ? 'has-player' : ''}`}>
       <button 
         className="mobile-menu-btn"
         onClick={() => setSidebarOpen(!sidebarOpen)}
@@ -148,11 +299,33 @@ function App() {
           handleSelectSaved();
           setSidebarOpen(false);
         }}
+        showNotes={showNotes}
+        onSelectNotes={() => {
+          handleSelectNotes();
+          setSidebarOpen(false);
+        }}
         onCloseSidebar={() => setSidebarOpen(false)}
         onAddFeed={addFeed}
         onDeleteFeed={handleDeleteFeed}
         onSyncFeed={handleSyncFeed}
         onRenameFeed={renameFeed}
+        tags={tags}
+        selectedTag={selectedTag}
+        onSelectTag={(tagId) => {
+          handleSelectTag(tagId);
+          setSidebarOpen(false);
+        }}
+        onRenameTag={renameTag}
+        onDeleteTag={handleDeleteTag}
+        folders={folders}
+        selectedFolder={selectedFolder}
+        onSelectFolder={(folderId) => {
+          handleSelectFolder(folderId);
+          setSidebarOpen(false);
+        }}
+        onRenameFolder={renameFolder}
+        onDeleteFolder={handleDeleteFolder}
+        onMoveFeed={handleMoveFeed}
         unreadCounts={unreadCounts}
         sidebarOpen={sidebarOpen}
       />
@@ -163,8 +336,10 @@ function App() {
           showUnreadOnly={showUnreadOnly}
           hasArticles={articles.length > 0}
           onOpenSettings={() => setShowSettings(true)}
-          onMarkAllAsRead={markAllAsRead}
-          hasUnread={articles.some(a => !a.is_read)}
+          onMarkAllAsRead={handleMarkAllAsRead}
+          hasUnread={visibleArticles.some(a => !a.is_read)}
+          searchQuery={searchQuery}
+          onSearchChange={setSearchQuery}
         />
         {aiLoading ? (
           <div className="ai-loading-banner">
@@ -178,8 +353,34 @@ function App() {
             </svg>
           </div>
         ) : null}
-        <ArticleList articles={articles} onMarkAsRead={markAsRead} onToggleSaved={toggleSaved} categories={categories} />
+        {showNotes ? (
+          <NotesView
+            annotations={annotations}
+            onUpdate={updateAnnotation}
+            onDelete={deleteAnnotation}
+          />
+        ) : (
+          <ArticleList
+            articles={visibleArticles}
+            onMarkAsRead={markAsRead}
+            onToggleRead={handleToggleRead}
+            onToggleSaved={toggleSaved}
+            tags={tags}
+            onAddTag={addTag}
+            onRemoveTag={removeTag}
+            onAddAnnotation={addAnnotation}
+            onPlay={setPlayingArticle}
+            categories={isSearchActive ? null : categories}
+            hasMore={!isSearchActive && hasMore}
+            loadingMore={loadingMore}
+            onLoadMore={loadMore}
+          />
+        )}
+        <UndoToast toast={undoToast} onUndo={handleUndo} onDismiss={dismissUndo} />
       </div>
+      {playingArticle && (
+        <MiniPlayer key={playingArticle.id} article={playingArticle} onClose={() => setPlayingArticle(null)} />
+      )}
       <Suspense fallback={null}>
         {showSettings && (
           <SettingsModal
@@ -187,6 +388,9 @@ function App() {
             onClose={() => setShowSettings(false)}
             onExport={exportFeeds}
             onImport={handleImportFeeds}
+            onExportBackup={exportBackup}
+            onRestoreBackup={handleRestoreBackup}
+            feeds={feeds}
           />
         )}
       </Suspense>
@@ -1,19 +1,41 @@
-import { memo } from 'react';
-import { stripHtml } from '../utils/sanitizeHtml.js';
+import { memo, useState } from 'react';
+import { sanitizeHtml, stripHtml } from '../utils/sanitizeHtml.js';
+
+// Search results carry server-escaped HTML with <mark> around matched terms
+const HIGHLIGHT_OPTIONS = { ALLOWED_TAGS: ['mark'], ALLOWED_ATTR: [], USE_PROFILES: false };
+
+const isPlayable = (enclosure) => /^(audio|video)\//.test(enclosure?.type ?? '') ||
+  // Feeds that leave out the type: go by the file extension
+  (!enclosure?.type && /\.(mp3|m4a|aac|ogg|opus|wav|mp4|m4v|webm)(\?|$)/i.test(enclosure?.url ?? ''));
+
+// "1 h 5 min", "42 min"
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${Math.max(minutes, 1)} min`;
+  return `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`;
+}
 
 /**
  * ArticleCard - Individual article display component
  *
  * Props:
- * @param {Object} article - The article object
+ * @param {Object} article - The article object (search results add title_highlight/snippet,
+ *   stories carried by several feeds list the others in also_in, feeds with the full content
+ *   option add full_content)
  * @param {boolean} isSelected - Whether this article is currently selected
  * @param {Function} onClick - Click handler for opening article
  * @param {Function} onToggleSaved - Toggle saved status handler
  * @param {Function} onMarkAsRead - Mark as read/unread handler
+ * @param {Function} onAddTag - Ask for a tag to add to the article (optional)
+ * @param {Function} onRemoveTag - Remove a tag from the article (optional)
+ * @param {Function} onAnnotate - Ask for a note on the article, highlighting the selected text (optional)
+ * @param {Function} onPlay - Play the article's audio or video enclosure in the player (optional)
  * @param {Function} setRef - Ref callback for intersection observer
  */
-function ArticleCard({ article, isSelected, onClick, onToggleSaved, onMarkAsRead, setRef }) {
+function ArticleCard({ article, isSelected, onClick, onToggleSaved, onMarkAsRead, onAddTag, onRemoveTag, onAnnotate, onPlay, setRef }) {
   const isYouTubeVideo = article.link?.includes('youtube.com/watch') || article.link?.includes('youtu.be/');
+  const [showFullContent, setShowFullContent] = useState(false);
+  const canPlay = onPlay && isPlayable(article.enclosure);
 
   return (
     <div
@@ -24,13 +46,80 @@ function ArticleCard({ article, isSelected, onClick, onToggleSaved, onMarkAsRead
     >
       <div className="article-content-wrapper" onClick={onClick}>
         <div className="article-text">
-          <h3>{stripHtml(article.title)}</h3>
+          {article.title_highlight ? (
+            <h3 dangerouslySetInnerHTML={{ __html: sanitizeHtml(article.title_highlight, HIGHLIGHT_OPTIONS) }} />
+          ) : (
+            <h3>{stripHtml(article.title)}</h3>
+          )}
           <div className="article-meta">
             {stripHtml(article.feed_title)} • {new Date(article.pub_date).toLocaleDateString()}
+            {article.enclosure?.duration > 0 && ` • ${formatDuration(article.enclosure.duration)}`}
+            {article.also_in?.length > 0 && (
+              <span className="article-also-in">
+                {' '}• also in {article.also_in.map(copy => stripHtml(copy.feed_title)).join(', ')}
+              </span>
+            )}
           </div>
-          <div className="article-content">
-            {stripHtml(article.content || '').substring(0, 200)}...
-          </div>
+          {article.tags?.length > 0 && (
+            <div className="article-tags">
+              {article.tags.map(tag => (
+                <span key={tag.id} className="article-tag">
+                  {tag.name}
+                  {onRemoveTag && (
+                    <button
+                      className="article-tag-remove"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onRemoveTag(article.id, tag.id);
+                      }}
+                      title={`Remove tag "${tag.name}"`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+          )}
+          {article.annotations?.length > 0 && (
+            <div className="article-annotations">
+              {article.annotations.map(annotation => (
+                <div key={annotation.id} className="article-annotation">
+                  {annotation.quote && <blockquote className="annotation-quote">{annotation.quote}</blockquote>}
+                  {annotation.note && <p className="annotation-note">{annotation.note}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+          {article.snippet ? (
+            <div
+              className="article-content search-snippet"
+              dangerouslySetInnerHTML={{ __html: sanitizeHtml(article.snippet, HIGHLIGHT_OPTIONS) }}
+            />
+          ) : (
+            <div className="article-content">
+              {stripHtml(article.full_content || article.content || '').substring(0, 200)}...
+            </div>
+          )}
+          {article.full_content && (
+            <button
+              className="full-content-toggle"
+              aria-expanded={showFullContent}
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowFullContent(!showFullContent);
+              }}
+            >
+              {showFullContent ? 'Hide full article' : 'Show full article'}
+            </button>
+          )}
+          {showFullContent && article.full_content && (
+            <div
+              className="article-full-content"
+              onClick={(e) => e.stopPropagation()}
+              dangerouslySetInnerHTML={{ __html: sanitizeHtml(article.full_content) }}
+            />
+          )}
         </div>
         {article.image_url && (
           <div className="article-image-container">
@@ -53,6 +142,19 @@ function ArticleCard({ article, isSelected, onClick, onToggleSaved, onMarkAsRead
         )}
       </div>
       <div className="article-actions">
+        {canPlay && (
+          <button
+            className="play-btn"
+            onClick={(e) => {
+              e.stopPropagation();
+              onPlay(article);
+            }}
+            title="Play episode"
+            aria-label={`Play ${stripHtml(article.title)}`}
+          >
+            ▶
+          </button>
+        )}
         <button
           className={`save-btn ${article.is_saved ? 'saved' : ''}`}
           onClick={(e) => {
@@ -65,6 +167,32 @@ function ArticleCard({ article, isSelected, onClick, onToggleSaved, onMarkAsRead
             <path d="M1 0.5C0.723858 0.5 0.5 0.723858 0.5 1V15.5L6 12L11.5 15.5V1C11.5 0.723858 11.2761 0.5 11 0.5H1Z" stroke="currentColor" fill={article.is_saved ? 'currentColor' : 'none'}/>
           </svg>
         </button>
+        {onAddTag && (
+          <button
+            className="tag-btn"
+            onClick={(e) => {
+              e.stopPropagation();
+              onAddTag(article.id);
+            }}
+            title="Add tag"
+          >
+            #
+          </button>
+        )}
+        {onAnnotate && (
+          <button
+            className="note-btn"
+            // Keep the text selection, it becomes the highlight
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={(e) => {
+              e.stopPropagation();
+              onAnnotate(article.id);
+            }}
+            title="Highlight selected text or add a note"
+          >
+            ✎
+          </button>
+        )}
         <button
           className="mark-read-btn"
           onClick={(e) => {
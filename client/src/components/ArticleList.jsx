@@ -1,25 +1,84 @@
-import { useEffect, useRef, useState, memo, useMemo } from 'react';
+import { useCallback, useEffect, useRef, useState, memo, useMemo } from 'react';
 import { sanitizeHtml, stripHtml } from '../utils/sanitizeHtml.js';
 import ArticleCard from './ArticleCard.jsx';
 import { useAutoMarkAsRead } from '../hooks/useAutoMarkAsRead.js';
 import { useKeyboardNavigation } from '../hooks/useKeyboardNavigation.js';
 
-function ArticleList({ articles, onMarkAsRead, onToggleSaved, categories }) {
+/**
+ * ArticleList - Article list, grouped by AI categories when present
+ *
+ * Props:
+ * @param {Array} articles - Articles to show
+ * @param {Function} onMarkAsRead - Mark as read/unread handler
+ * @param {Function} [onToggleRead] - Mark as read/unread at the reader's request (m or the card's
+ *   button) rather than by reading on; defaults to onMarkAsRead
+ * @param {Function} onToggleSaved - Toggle saved status handler
+ * @param {Array} tags - Tags in sidebar order (for the 1-9 shortcuts)
+ * @param {Function} onAddTag - Add a tag (by name) to an article
+ * @param {Function} onRemoveTag - Remove a tag (by ID) from an article
+ * @param {Function} onAddAnnotation - Add a highlight and/or note ({ quote, note }) to an article
+ * @param {Function} [onPlay] - Play an article's audio or video enclosure
+ * @param {Array|null} categories - AI sort categories (and digest)
+ * @param {boolean} hasMore - Whether more pages can be loaded
+ * @param {boolean} loadingMore - Whether the next page is loading
+ * @param {Function} onLoadMore - Load the next page; called when the end of the list scrolls into view
+ */
+function ArticleList({
+  articles, onMarkAsRead, onToggleRead = onMarkAsRead, onToggleSaved, tags, onAddTag, onRemoveTag, onAddAnnotation, onPlay, categories, hasMore = false, loadingMore = false, onLoadMore
+}) {
   // Validate inputs to prevent rendering errors
   const validArticles = Array.isArray(articles) ? articles : [];
   const validCategories = categories && Array.isArray(categories) ? categories : null;
 
+  const promptTag = useCallback((articleId) => {
+    const name = window.prompt('Add tag:')?.trim();
+    if (name) onAddTag(articleId, name);
+  }, [onAddTag]);
+
+  // Text selected in the card is highlighted; the note is optional then
+  const promptAnnotation = useCallback((articleId) => {
+    const selection = window.getSelection();
+    const card = document.querySelector(`[data-article-id="${articleId}"]`);
+    const quote = (selection?.anchorNode && card?.contains(selection.anchorNode)
+      ? selection.toString().trim()
+      : '') || undefined;
+    const note = window.prompt(quote ? `Note on "${quote}" (optional):` : 'Add note:');
+    if (note === null) return;
+    if (quote || note.trim()) onAddAnnotation(articleId, { quote, note: note.trim() });
+  }, [onAddAnnotation]);
+
   // Keyboard navigation hook
   const { selectedIndex, navigationList, articleIndexMap, openArticle } = useKeyboardNavigation({
     articles: validArticles,
     categories: validCategories,
     onMarkAsRead,
-    onToggleSaved
+    onToggleRead,
+    onToggleSaved,
+    tags,
+    onPromptTag: onAddTag ? promptTag : undefined,
+    onAddTag,
+    onRemoveTag
   });
 
   // Auto-mark-as-read hook
   const { setArticleRef } = useAutoMarkAsRead({ articles: validArticles, onMarkAsRead });
 
+  // Infinite scroll: load the next page once the end of the list is close.
+  // Re-observing after each page keeps loading until the viewport is filled.
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    if (!hasMore || !onLoadMore || !loadMoreRef.current) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some(entry => entry.isIntersecting)) onLoadMore();
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(loadMoreRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore, validArticles.length]);
+
   // Group articles by category - MUST be before early returns to maintain hooks order
   const articleMap = useMemo(() => {
     const safeArticles = validArticles.filter(a => a && typeof a === 'object' && a.id != null);
@@ -45,10 +104,19 @@ function ArticleList({ articles, onMarkAsRead, onToggleSaved, categories }) {
             isSelected={navigationList.indexOf(article) === selectedIndex}
             onClick={() => openArticle(article)}
             onToggleSaved={onToggleSaved}
-            onMarkAsRead={onMarkAsRead}
+            onMarkAsRead={onToggleRead}
+            onAddTag={onAddTag ? promptTag : undefined}
+            onRemoveTag={onRemoveTag}
+            onAnnotate={onAddAnnotation ? promptAnnotation : undefined}
+            onPlay={onPlay}
             setRef={setArticleRef}
           />
         ))}
+        {hasMore && (
+          <div ref={loadMoreRef} className="load-more">
+            {loadingMore ? 'Loading more articles...' : null}
+          </div>
+        )}
       </div>
     );
   }
@@ -143,7 +211,11 @@ function ArticleList({ articles, onMarkAsRead, onToggleSaved, categories }) {
                 isSelected={articleIndexMap.get(article.id) === selectedIndex}
                 onClick={() => openArticle(article)}
                 onToggleSaved={onToggleSaved}
-                onMarkAsRead={onMarkAsRead}
+                onMarkAsRead={onToggleRead}
+                onAddTag={onAddTag ? promptTag : undefined}
+                onRemoveTag={onRemoveTag}
+                onAnnotate={onAddAnnotation ? promptAnnotation : undefined}
+                onPlay={onPlay}
                 setRef={setArticleRef}
               />
             ))}
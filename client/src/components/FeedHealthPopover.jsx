@@ -0,0 +1,61 @@
+import { memo, useState } from 'react';
+
+/**
+ * FeedHealthPopover - Why a feed can't be synced, with a button to try again
+ *
+ * Props:
+ * @param {Object} feed - Feed with its health (last_error, last_status, last_success_at,
+ *   sync_failures, items_per_day)
+ * @param {Function} onRetry - Sync the feed (by ID) now
+ * @param {Function} onClose - Close the popover
+ */
+function FeedHealthPopover({ feed, onRetry, onClose }) {
+  const [retrying, setRetrying] = useState(false);
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    try {
+      await onRetry(feed.id);
+    } catch {
+      // The feed comes back with the new error
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const failures = feed.sync_failures;
+
+  return (
+    <div className="feed-health-popover" role="dialog" aria-label={`Sync problems with ${feed.title}`} onClick={(e) => e.stopPropagation()}>
+      <p className="feed-health-error">{feed.last_error || 'Sync failed'}</p>
+      <dl className="feed-health-details">
+        {feed.last_status && (
+          <>
+            <dt>HTTP status</dt>
+            <dd>{feed.last_status}</dd>
+          </>
+        )}
+        <dt>Failed syncs in a row</dt>
+        <dd>{failures}</dd>
+        <dt>Last successful sync</dt>
+        <dd>{feed.last_success_at ? new Date(feed.last_success_at).toLocaleString() : 'Never'}</dd>
+        {feed.items_per_day !== undefined && (
+          <>
+            <dt>Articles per day</dt>
+            <dd>{feed.items_per_day}</dd>
+          </>
+        )}
+      </dl>
+      <div className="feed-health-actions">
+        <button onClick={handleRetry} disabled={retrying} className="secondary-action-btn">
+          {retrying ? 'Retrying…' : 'Retry'}
+        </button>
+        <button onClick={onClose} className="secondary-action-btn">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default memo(FeedHealthPopover);
@@ -1,17 +1,238 @@
 import React, { useState, memo } from 'react';
+import FeedHealthPopover from './FeedHealthPopover.jsx';
 
-function FeedList({ feeds, selectedFeed, showSavedOnly, onSelectFeed, onSelectSaved, onAddFeed, onDeleteFeed, onSyncFeed, onRenameFeed, unreadCounts, sidebarOpen, onCloseSidebar }) {
+// Nested rows are indented by level
+const indent = (depth) => (depth > 0 ? { paddingLeft: `${20 + depth * 16}px` } : undefined);
+
+// "Last synced …, next sync …" from the server's background sync schedule
+const formatTime = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+const syncSummary = (feed) => {
+  const parts = [];
+  if (feed.last_sync_at) parts.push(`Last synced ${formatTime(feed.last_sync_at)}`);
+  if (feed.next_sync_at) parts.push(`next sync ${formatTime(feed.next_sync_at)}`);
+  return parts.length > 0 ? parts.join(', ') : undefined;
+};
+
+function FeedList({
+  feeds, selectedFeed, showSavedOnly, onSelectFeed, onSelectSaved, showNotes = false, onSelectNotes, onAddFeed, onDeleteFeed, onSyncFeed, onRenameFeed,
+  tags = [], selectedTag = null, onSelectTag, onRenameTag, onDeleteTag,
+  folders = [], selectedFolder = null, onSelectFolder, onRenameFolder, onDeleteFolder, onMoveFeed,
+  unreadCounts, sidebarOpen, onCloseSidebar
+}) {
   const [newFeedUrl, setNewFeedUrl] = useState('');
   const [editingFeedId, setEditingFeedId] = useState(null);
   const [editingTitle, setEditingTitle] = useState('');
+  const [editingTagId, setEditingTagId] = useState(null);
+  const [editingTagName, setEditingTagName] = useState('');
+  const [editingFolderId, setEditingFolderId] = useState(null);
+  const [editingFolderName, setEditingFolderName] = useState('');
+  const [collapsedFolders, setCollapsedFolders] = useState(() => new Set());
+  const [healthFeedId, setHealthFeedId] = useState(null);
+  // Feeds of a website that has several, to pick one from
+  const [feedChoices, setFeedChoices] = useState(null);
+
+  // Folders and feeds whose folder no longer exists are shown at the top level
+  const folderIds = new Set(folders.map(folder => folder.id));
+  const parentOf = (id) => (folderIds.has(id) ? id : null);
+  const childFolders = (parentId) => folders.filter(folder => parentOf(folder.parent_id) === parentId && folder.id !== parentId);
+  const folderFeeds = (folderId) => feeds.filter(feed => parentOf(feed.folder_id) === folderId);
+
+  // "News/Tech" for the Tech folder inside News
+  const folderPath = (folderId) => {
+    const names = [];
+    let folder = folders.find(f => f.id === folderId);
+    while (folder && names.length < folders.length) {
+      names.unshift(folder.name);
+      folder = folders.find(f => f.id === folder.parent_id);
+    }
+    return names.join('/');
+  };
+
+  const toggleFolder = (id) => {
+    setCollapsedFolders(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const finishTagRename = (tag) => {
+    const name = editingTagName.trim();
+    if (name && name !== tag.name) {
+      onRenameTag(tag.id, name);
+    }
+    setEditingTagId(null);
+  };
+
+  const finishFolderRename = (folder) => {
+    const name = editingFolderName.trim();
+    if (name && name !== folder.name) {
+      onRenameFolder(folder.id, name);
+    }
+    setEditingFolderId(null);
+  };
+
+  const promptMove = (feed) => {
+    const path = window.prompt('Move to folder (e.g. News/Tech, empty for none):', folderPath(feed.folder_id));
+    if (path !== null) {
+      onMoveFeed(feed.id, path);
+    }
+  };
+
+  const addFeed = async (url) => {
+    setFeedChoices(null);
+    try {
+      const result = await onAddFeed(url);
+      if (Array.isArray(result)) {
+        setFeedChoices(result);
+      }
+    } catch {
+      // Shown through the feed operations' error
+    }
+  };
 
   const handleAdd = () => {
     if (newFeedUrl.trim()) {
-      onAddFeed(newFeedUrl);
+      addFeed(newFeedUrl);
       setNewFeedUrl('');
     }
   };
 
+  const renderFeed = (feed, depth) => (
+    <div
+      key={feed.id}
+      className={`feed-item ${selectedFeed === feed.id ? 'active' : ''} ${feed.sync_failures > 0 ? 'broken' : ''}`}
+      style={indent(depth)}
+      onClick={() => onSelectFeed(feed.id)}
+    >
+      {editingFeedId === feed.id ? (
+        <input
+          type="text"
+          value={editingTitle}
+          onChange={(e) => setEditingTitle(e.target.value)}
+          onBlur={() => {
+            if (editingTitle.trim()) {
+              onRenameFeed(feed.id, editingTitle.trim());
+            }
+            setEditingFeedId(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              if (editingTitle.trim()) {
+                onRenameFeed(feed.id, editingTitle.trim());
+              }
+              setEditingFeedId(null);
+            } else if (e.key === 'Escape') {
+              setEditingFeedId(null);
+            }
+          }}
+          onClick={(e) => e.stopPropagation()}
+          autoFocus
+          className="feed-rename-input"
+        />
+      ) : (
+        <span title={syncSummary(feed)} onDoubleClick={(e) => {
+          e.stopPropagation();
+          setEditingFeedId(feed.id);
+          setEditingTitle(feed.title);
+        }}>
+          {feed.title}
+        </span>
+      )}
+      {feed.sync_failures > 0 && (
+        <button
+          className="feed-health-badge"
+          onClick={(e) => {
+            e.stopPropagation();
+            setHealthFeedId(healthFeedId === feed.id ? null : feed.id);
+          }}
+          aria-label={`${feed.title} is failing to sync`}
+          title={feed.last_error || 'Sync failing'}
+        >
+          ⚠
+        </button>
+      )}
+      {feed.sync_failures > 0 && healthFeedId === feed.id && (
+        <FeedHealthPopover feed={feed} onRetry={onSyncFeed} onClose={() => setHealthFeedId(null)} />
+      )}
+      <div className="feed-item-actions">
+        {onMoveFeed && (
+          <button onClick={(e) => { e.stopPropagation(); promptMove(feed); }} title="Move to folder">
+            ⇄
+          </button>
+        )}
+        <button onClick={(e) => { e.stopPropagation(); onSyncFeed(feed.id); }}>
+          ↻
+        </button>
+        <button onClick={(e) => { e.stopPropagation(); onDeleteFeed(feed.id); }}>
+          ×
+        </button>
+      </div>
+      {unreadCounts[feed.id] > 0 && (
+        <span className="unread-count">{unreadCounts[feed.id]}</span>
+      )}
+    </div>
+  );
+
+  const renderFolder = (folder, depth) => {
+    const collapsed = collapsedFolders.has(folder.id);
+    const unread = unreadCounts.folders?.[folder.id];
+
+    return (
+      <React.Fragment key={`folder-${folder.id}`}>
+        <div
+          className={`feed-item folder-item ${selectedFolder === folder.id ? 'active' : ''}`}
+          style={indent(depth)}
+          onClick={() => onSelectFolder(folder.id)}
+        >
+          {editingFolderId === folder.id ? (
+            <input
+              type="text"
+              value={editingFolderName}
+              onChange={(e) => setEditingFolderName(e.target.value)}
+              onBlur={() => finishFolderRename(folder)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  finishFolderRename(folder);
+                } else if (e.key === 'Escape') {
+                  setEditingFolderId(null);
+                }
+              }}
+              onClick={(e) => e.stopPropagation()}
+              autoFocus
+              className="feed-rename-input"
+            />
+          ) : (
+            <span onDoubleClick={(e) => {
+              e.stopPropagation();
+              setEditingFolderId(folder.id);
+              setEditingFolderName(folder.name);
+            }}>
+              {folder.name}
+            </span>
+          )}
+          <div className="feed-item-actions">
+            <button
+              onClick={(e) => { e.stopPropagation(); toggleFolder(folder.id); }}
+              title={collapsed ? 'Expand folder' : 'Collapse folder'}
+            >
+              {collapsed ? '▸' : '▾'}
+            </button>
+            <button onClick={(e) => { e.stopPropagation(); onDeleteFolder(folder.id); }} title="Delete folder">
+              ×
+            </button>
+          </div>
+          {unread > 0 && (
+            <span className="unread-count">{unread}</span>
+          )}
+        </div>
+        {!collapsed && childFolders(folder.id).map(child => renderFolder(child, depth + 1))}
+        {!collapsed && folderFeeds(folder.id).map(feed => renderFeed(feed, depth + 1))}
+      </React.Fragment>
+    );
+  };
+
   return (
     <>
       {sidebarOpen && <div className="sidebar-overlay" onClick={onCloseSidebar} />}
@@ -21,17 +242,34 @@ function FeedList({ feeds, selectedFeed, showSavedOnly, onSelectFeed, onSelectSa
         <div className="add-feed">
           <input
             type="text"
-            placeholder="RSS feed URL or YouTube channel URL"
+            placeholder="Feed, website or YouTube channel URL"
             value={newFeedUrl}
             onChange={(e) => setNewFeedUrl(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
           />
           <button onClick={handleAdd} title="Add feed">+</button>
         </div>
+        {feedChoices && (
+          <div className="feed-choices">
+            <p>This website has several feeds. Which one do you want to add?</p>
+            <ul>
+              {feedChoices.map(choice => (
+                <li key={choice.url}>
+                  <button onClick={() => addFeed(choice.url)} title={choice.url}>
+                    {choice.title || choice.url}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button onClick={() => setFeedChoices(null)} className="secondary-action-btn">
+              Cancel
+            </button>
+          </div>
+        )}
       </div>
       <div className="feed-list">
         <div
-          className={`feed-item all-feeds ${selectedFeed === null && !showSavedOnly ? 'active' : ''}`}
+          className={`feed-item all-feeds ${selectedFeed === null && selectedTag === null && selectedFolder === null && !showSavedOnly && !showNotes ? 'active' : ''}`}
           onClick={() => onSelectFeed(null)}
         >
           <span>All Feeds</span>
@@ -45,31 +283,37 @@ function FeedList({ feeds, selectedFeed, showSavedOnly, onSelectFeed, onSelectSa
         >
           <span>Read Later</span>
         </div>
-        {feeds.map(feed => (
+        {onSelectNotes && (
+          <div
+            className={`feed-item notes-feeds ${showNotes ? 'active' : ''}`}
+            onClick={onSelectNotes}
+          >
+            <span>Notes</span>
+          </div>
+        )}
+        {childFolders(null).map(folder => renderFolder(folder, 0))}
+        {folderFeeds(null).map(feed => renderFeed(feed, 0))}
+        {tags.length > 0 && (
+          <div className="feed-list-section">Tags</div>
+        )}
+        {tags.map((tag, index) => (
           <div
-            key={feed.id}
-            className={`feed-item ${selectedFeed === feed.id ? 'active' : ''}`}
-            onClick={() => onSelectFeed(feed.id)}
+            key={tag.id}
+            className={`feed-item tag-item ${selectedTag === tag.id ? 'active' : ''}`}
+            onClick={() => onSelectTag(tag.id)}
+            title={index < 9 ? `Press ${index + 1} to add or remove this tag on the selected article` : undefined}
           >
-            {editingFeedId === feed.id ? (
+            {editingTagId === tag.id ? (
               <input
                 type="text"
-                value={editingTitle}
-                onChange={(e) => setEditingTitle(e.target.value)}
-                onBlur={() => {
-                  if (editingTitle.trim()) {
-                    onRenameFeed(feed.id, editingTitle.trim());
-                  }
-                  setEditingFeedId(null);
-                }}
+                value={editingTagName}
+                onChange={(e) => setEditingTagName(e.target.value)}
+                onBlur={() => finishTagRename(tag)}
                 onKeyDown={(e) => {
                   if (e.key === 'Enter') {
-                    if (editingTitle.trim()) {
-                      onRenameFeed(feed.id, editingTitle.trim());
-                    }
-                    setEditingFeedId(null);
+                    finishTagRename(tag);
                   } else if (e.key === 'Escape') {
-                    setEditingFeedId(null);
+                    setEditingTagId(null);
                   }
                 }}
                 onClick={(e) => e.stopPropagation()}
@@ -79,22 +323,19 @@ function FeedList({ feeds, selectedFeed, showSavedOnly, onSelectFeed, onSelectSa
             ) : (
               <span onDoubleClick={(e) => {
                 e.stopPropagation();
-                setEditingFeedId(feed.id);
-                setEditingTitle(feed.title);
+                setEditingTagId(tag.id);
+                setEditingTagName(tag.name);
               }}>
-                {feed.title}
+                {tag.name}
               </span>
             )}
             <div className="feed-item-actions">
-              <button onClick={(e) => { e.stopPropagation(); onSyncFeed(feed.id); }}>
-                ↻
-              </button>
-              <button onClick={(e) => { e.stopPropagation(); onDeleteFeed(feed.id); }}>
+              <button onClick={(e) => { e.stopPropagation(); onDeleteTag(tag.id); }} title="Delete tag">
                 ×
               </button>
             </div>
-            {unreadCounts[feed.id] > 0 && (
-              <span className="unread-count">{unreadCounts[feed.id]}</span>
+            {tag.count > 0 && (
+              <span className="unread-count">{tag.count}</span>
             )}
           </div>
         ))}
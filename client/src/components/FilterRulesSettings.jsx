@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api.js';
+import { regexProblem } from '../utils/regex.js';
+
+const FIELDS = [
+  { id: 'title', name: 'Title' },
+  { id: 'content', name: 'Content' },
+  { id: 'link', name: 'Link' },
+  { id: 'author', name: 'Author' },
+  { id: 'category', name: 'Category' }
+];
+
+const ACTIONS = [
+  { id: 'skip', name: 'Skip' },
+  { id: 'mark_read', name: 'Mark as read' },
+  { id: 'save', name: 'Save for later' },
+  { id: 'tag', name: 'Tag' }
+];
+
+const ALL_FEEDS = '';
+
+const EMPTY_FORM = { feedId: ALL_FEEDS, field: 'title', matchType: 'keyword', pattern: '', action: 'skip', tag: '' };
+
+// Form values are strings; the API takes the feed as a number (null = all feeds)
+const toForm = (rule) => ({
+  feedId: rule.feed_id === null ? ALL_FEEDS : String(rule.feed_id),
+  field: rule.field,
+  matchType: rule.match_type,
+  pattern: rule.pattern,
+  action: rule.action,
+  tag: rule.tag ?? ''
+});
+
+const toRule = (form, enabled = true) => ({
+  feedId: form.feedId === ALL_FEEDS ? null : Number(form.feedId),
+  field: form.field,
+  matchType: form.matchType,
+  pattern: form.pattern.trim(),
+  action: form.action,
+  ...(form.action === 'tag' ? { tag: form.tag.trim() } : {}),
+  enabled
+});
+
+// Why the form can't be sent yet, if it can't
+function formProblem(form) {
+  if (!form.pattern.trim()) return 'Enter keywords or a regular expression';
+  if (form.action === 'tag' && !form.tag.trim()) return 'Enter the tag to add';
+  if (form.matchType === 'regex') return regexProblem(form.pattern.trim());
+  return null;
+}
+
+/**
+ * Filter rules: what happens to new articles that match keywords or a
+ * regular expression (skip, mark read, save or tag), per feed or for all
+ * feeds, with a test against the latest articles before saving
+ *
+ * @param {Object} props
+ * @param {Array} props.feeds - Feeds a rule can be for
+ */
+function FilterRulesSettings({ feeds = [] }) {
+  const [rules, setRules] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  // Rule being edited (null = adding a new one)
+  const [editing, setEditing] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.getFilterRules()
+      .then(setRules)
+      .catch(error => console.error('Failed to load filter rules:', error));
+  }, []);
+
+  const feedTitle = (feedId) => (
+    feedId === null ? 'All feeds' : feeds.find(feed => feed.id === feedId)?.title ?? 'Unknown feed'
+  );
+
+  const describe = (rule) => {
+    const field = FIELDS.find(f => f.id === rule.field).name.toLowerCase();
+    const match = rule.match_type === 'regex' ? `matches /${rule.pattern}/` : `contains "${rule.pattern}"`;
+    const action = rule.action === 'tag' ? `tag "${rule.tag}"` : ACTIONS.find(a => a.id === rule.action).name.toLowerCase();
+    return `${feedTitle(rule.feed_id)}: ${field} ${match} → ${action}`;
+  };
+
+  const change = (changes) => {
+    setForm(current => ({ ...current, ...changes }));
+    setPreview(null);
+    setError(null);
+  };
+
+  const reset = () => {
+    setForm(EMPTY_FORM);
+    setEditing(null);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleTest = async () => {
+    const problem = formProblem(form);
+    if (problem) return setError(problem);
+    try {
+      setPreview(await api.previewFilterRule(toRule(form)));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleSave = async () => {
+    const problem = formProblem(form);
+    if (problem) return setError(problem);
+    setSaving(true);
+    try {
+      if (editing) {
+        const updated = await api.updateFilterRule(editing.id, toRule(form, editing.enabled));
+        setRules(current => current.map(rule => (rule.id === updated.id ? updated : rule)));
+      } else {
+        const created = await api.createFilterRule(toRule(form));
+        setRules(current => [...current, created]);
+      }
+      reset();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setForm(toForm(rule));
+    setEditing(rule);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleToggle = async (rule, enabled) => {
+    try {
+      const updated = await api.updateFilterRule(rule.id, toRule(toForm(rule), enabled));
+      setRules(current => current.map(r => (r.id === updated.id ? updated : r)));
+    } catch (error) {
+      console.error('Failed to update filter rule:', error);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await api.deleteFilterRule(rule.id);
+      setRules(current => current.filter(r => r.id !== rule.id));
+      if (editing?.id === rule.id) reset();
+    } catch (error) {
+      console.error('Failed to delete filter rule:', error);
+    }
+  };
+
+  if (!rules) return null;
+
+  return (
+    <div className="feed-management-section filter-rules-settings">
+      <h3>Filter Rules</h3>
+      <p className="filter-rules-hint">
+        Applied to new articles as feeds sync. Keywords are separated by commas; case doesn't matter.
+      </p>
+
+      {rules.length > 0 && (
+        <ul className="filter-rules-list">
+          {rules.map(rule => (
+            <li key={rule.id} className={rule.enabled ? '' : 'disabled'}>
+              <label className="filter-rule-toggle">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => handleToggle(rule, e.target.checked)}
+                  aria-label={`Enable rule: ${describe(rule)}`}
+                />
+                <span className="filter-rule-description">{describe(rule)}</span>
+              </label>
+              <button className="filter-rule-btn" onClick={() => handleEdit(rule)}>Edit</button>
+              <button className="filter-rule-btn" onClick={() => handleDelete(rule)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="filter-rule-form">
+        <select aria-label="Rule feed" value={form.feedId} onChange={(e) => change({ feedId: e.target.value })}>
+          <option value={ALL_FEEDS}>All feeds</option>
+          {feeds.map(feed => (
+            <option key={feed.id} value={feed.id}>{feed.title}</option>
+          ))}
+        </select>
+        <select aria-label="Rule field" value={form.field} onChange={(e) => change({ field: e.target.value })}>
+          {FIELDS.map(field => (
+            <option key={field.id} value={field.id}>{field.name}</option>
+          ))}
+        </select>
+        <select aria-label="Match type" value={form.matchType} onChange={(e) => change({ matchType: e.target.value })}>
+          <option value="keyword">contains any of</option>
+          <option value="regex">matches regex</option>
+        </select>
+        <input
+          type="text"
+          aria-label="Rule pattern"
+          value={form.pattern}
+          onChange={(e) => change({ pattern: e.target.value })}
+          placeholder={form.matchType === 'regex' ? '^Sponsored:' : 'sponsored, giveaway'}
+        />
+        <select aria-label="Rule action" value={form.action} onChange={(e) => change({ action: e.target.value })}>
+          {ACTIONS.map(action => (
+            <option key={action.id} value={action.id}>{action.name}</option>
+          ))}
+        </select>
+        {form.action === 'tag' && (
+          <input
+            type="text"
+            aria-label="Rule tag"
+            value={form.tag}
+            onChange={(e) => change({ tag: e.target.value })}
+            placeholder="Tag"
+          />
+        )}
+      </div>
+
+      {error && <p className="filter-rules-error">{error}</p>}
+
+      <div className="feed-management-buttons">
+        <button onClick={handleTest} className="secondary-action-btn">
+          Test Rule
+        </button>
+        <button onClick={handleSave} className="secondary-action-btn" disabled={saving}>
+          {saving ? 'Saving...' : editing ? 'Save Rule' : 'Add Rule'}
+        </button>
+        {editing && (
+          <button onClick={reset} className="secondary-action-btn">
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        <div className="filter-rules-preview">
+          <p>
+            Matches {preview.matches.length} of the last {preview.checked} article{preview.checked === 1 ? '' : 's'}
+            {preview.matches.length > 0 ? ':' : '.'}
+          </p>
+          {preview.matches.length > 0 && (
+            <ul>
+              {preview.matches.map(article => (
+                <li key={article.id}>
+                  <a href={article.link} target="_blank" rel="noopener noreferrer">{article.title}</a>
+                  <span className="filter-rules-preview-feed"> · {article.feed_title}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FilterRulesSettings;
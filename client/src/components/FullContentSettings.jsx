@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { authHeaders } from '../utils/auth.js';
+
+/**
+ * Full article content: which feeds have the pages of their articles
+ * downloaded for the full text, for feeds that only carry a summary
+ *
+ * @param {Object} props
+ * @param {Array} props.feeds - Feeds the option can be turned on for
+ */
+function FullContentSettings({ feeds = [] }) {
+  // Choices made here, by feed id (feeds aren't reloaded while settings are open)
+  const [enabled, setEnabled] = useState({});
+  const [saving, setSaving] = useState(null);
+
+  const isEnabled = (feed) => enabled[feed.id] ?? feed.fetch_full_content ?? false;
+
+  const handleToggle = async (feed, value) => {
+    setSaving(feed.id);
+    try {
+      const res = await fetch(`/api/feeds/${feed.id}/full-content`, {
+        method: 'PUT',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: value })
+      });
+      if (res.ok) {
+        setEnabled(current => ({ ...current, [feed.id]: value }));
+      }
+    } catch (error) {
+      console.error('Failed to save full content setting:', error);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (feeds.length === 0) return null;
+
+  return (
+    <div className="feed-management-section full-content-settings">
+      <h3>Full Article Content</h3>
+      <p className="full-content-hint">
+        For feeds that only include a summary, download each new article's page and keep its full text.
+      </p>
+      <ul className="full-content-feeds">
+        {feeds.map(feed => (
+          <li key={feed.id}>
+            <label className="full-content-checkbox">
+              <input
+                type="checkbox"
+                checked={isEnabled(feed)}
+                disabled={saving === feed.id}
+                onChange={(e) => handleToggle(feed, e.target.checked)}
+              />
+              {feed.title}
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FullContentSettings;
@@ -0,0 +1,129 @@
+import { memo, useEffect, useRef, useState } from 'react';
+import { stripHtml } from '../utils/sanitizeHtml.js';
+import { usePlayback } from '../hooks/usePlayback.js';
+import { useEventListener } from '../hooks/useEventListener.js';
+
+const SPEEDS = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// While playing, the position is saved every so often (seconds played)
+const SAVE_EVERY_S = 15;
+
+/**
+ * MiniPlayer - Plays an article's enclosure (a podcast episode) in a bar
+ * that stays at the bottom of the window while reading on. Resumes where
+ * the user left off, at the speed they chose; both are saved on the server
+ * per episode (on pause, speed changes, every few seconds of playing, and
+ * when the player is closed or the page left).
+ *
+ * Render with key={article.id} so that switching episodes starts afresh.
+ *
+ * Props:
+ * @param {Object} article - Article with an `enclosure` ({ url, type, length, duration })
+ * @param {Function} onClose - Close the player
+ */
+function MiniPlayer({ article, onClose }) {
+  const mediaRef = useRef(null);
+  const { playback, savePlayback } = usePlayback(article.id);
+  const [speed, setSpeed] = useState(1);
+  // Where playback is, once the saved position has been applied (before
+  // that, the element's 0 would overwrite it)
+  const latest = useRef(null);
+  const lastSavedAt = useRef(0);
+
+  const isVideo = article.enclosure.type?.startsWith('video/');
+
+  const save = () => {
+    if (!latest.current) return;
+    lastSavedAt.current = latest.current.position;
+    savePlayback(latest.current);
+  };
+  // The save of the render the player closes in
+  const saveRef = useRef(save);
+  saveRef.current = save;
+
+  const track = () => {
+    const media = mediaRef.current;
+    if (media && latest.current) {
+      latest.current = { position: media.currentTime, speed: media.playbackRate };
+    }
+  };
+
+  // Resume once both the saved playback and the media's metadata are there
+  useEffect(() => {
+    const media = mediaRef.current;
+    if (!playback || !media) return undefined;
+
+    const resume = () => {
+      media.currentTime = playback.position;
+      media.playbackRate = playback.speed;
+      setSpeed(playback.speed);
+      latest.current = { position: playback.position, speed: playback.speed };
+      lastSavedAt.current = playback.position;
+      // Browsers may refuse to start without a click on the player itself
+      media.play()?.catch(() => {});
+    };
+    if (media.readyState >= 1) {
+      resume();
+      return undefined;
+    }
+    media.addEventListener('loadedmetadata', resume, { once: true });
+    return () => media.removeEventListener('loadedmetadata', resume);
+  }, [playback]);
+
+  useEffect(() => () => saveRef.current(), []);
+  useEventListener('pagehide', () => saveRef.current());
+
+  const handleTimeUpdate = () => {
+    track();
+    if (latest.current && Math.abs(latest.current.position - lastSavedAt.current) >= SAVE_EVERY_S) save();
+  };
+
+  const handleEnded = () => {
+    // Finished episodes start over next time
+    if (latest.current) latest.current = { ...latest.current, position: 0 };
+    save();
+  };
+
+  const handleSpeedChange = (e) => {
+    const value = parseFloat(e.target.value);
+    setSpeed(value);
+    if (mediaRef.current) mediaRef.current.playbackRate = value;
+  };
+
+  const mediaProps = {
+    ref: mediaRef,
+    src: article.enclosure.url,
+    className: 'mini-player-media',
+    controls: true,
+    preload: 'metadata',
+    onTimeUpdate: handleTimeUpdate,
+    onPause: () => { track(); save(); },
+    onRateChange: () => { track(); save(); },
+    onEnded: handleEnded
+  };
+
+  return (
+    <div className={`mini-player ${isVideo ? 'video' : ''}`} role="region" aria-label="Player">
+      <div className="mini-player-info">
+        <div className="mini-player-title" title={stripHtml(article.title)}>{stripHtml(article.title)}</div>
+        <div className="mini-player-feed">{stripHtml(article.feed_title)}</div>
+      </div>
+      {isVideo ? <video {...mediaProps} playsInline /> : <audio {...mediaProps} />}
+      <select
+        className="mini-player-speed"
+        aria-label="Playback speed"
+        value={speed}
+        onChange={handleSpeedChange}
+      >
+        {(SPEEDS.includes(speed) ? SPEEDS : [...SPEEDS, speed].sort((a, b) => a - b)).map(value => (
+          <option key={value} value={value}>{value}×</option>
+        ))}
+      </select>
+      <button className="mini-player-close" onClick={onClose} aria-label="Close player">
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default memo(MiniPlayer);
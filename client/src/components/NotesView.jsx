@@ -0,0 +1,68 @@
+import { memo } from 'react';
+import { stripHtml } from '../utils/sanitizeHtml.js';
+
+/**
+ * NotesView - Every highlight and note, newest first, with a link back to
+ * its article
+ *
+ * Props:
+ * @param {Array} annotations - Annotations with article_title, article_link and feed_title
+ * @param {Function} onUpdate - Edit an annotation (ID, { note })
+ * @param {Function} onDelete - Delete an annotation (by ID)
+ */
+function NotesView({ annotations, onUpdate, onDelete }) {
+  if (annotations.length === 0) {
+    return (
+      <div className="article-list">
+        <div className="loading">No notes yet. Select text in an article and press ✎ to highlight it.</div>
+      </div>
+    );
+  }
+
+  const handleEdit = (annotation) => {
+    const note = window.prompt('Edit note:', annotation.note);
+    if (note === null || note.trim() === annotation.note) return;
+    // A note is all there is without a highlight
+    if (!annotation.quote && !note.trim()) {
+      handleDelete(annotation);
+      return;
+    }
+    onUpdate(annotation.id, { note: note.trim() }).catch(err => alert('Edit failed: ' + err.message));
+  };
+
+  const handleDelete = (annotation) => {
+    if (!window.confirm('Delete this note?')) return;
+    onDelete(annotation.id).catch(err => alert('Delete failed: ' + err.message));
+  };
+
+  return (
+    <div className="article-list notes-view">
+      {annotations.map(annotation => (
+        <div key={annotation.id} className="article-card note-card">
+          <div className="article-text">
+            <h3>
+              <a href={annotation.article_link} target="_blank" rel="noopener noreferrer">
+                {stripHtml(annotation.article_title)}
+              </a>
+            </h3>
+            <div className="article-meta">
+              {stripHtml(annotation.feed_title)} • {new Date(annotation.created_at).toLocaleDateString()}
+            </div>
+            {annotation.quote && <blockquote className="annotation-quote">{annotation.quote}</blockquote>}
+            {annotation.note && <p className="annotation-note">{annotation.note}</p>}
+          </div>
+          <div className="note-card-actions">
+            <button onClick={() => handleEdit(annotation)} className="secondary-action-btn">
+              Edit
+            </button>
+            <button onClick={() => handleDelete(annotation)} className="secondary-action-btn">
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default memo(NotesView);
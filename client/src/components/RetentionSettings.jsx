@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { authHeaders } from '../utils/auth.js';
+
+const GLOBAL_SCOPE = 'global';
+
+// Form values are strings; an empty field means "no limit"
+const toForm = (policy) => ({
+  maxCount: policy.maxCount ?? '',
+  readMaxAgeDays: policy.readMaxAgeDays ?? '',
+  unreadMaxAgeDays: policy.unreadMaxAgeDays ?? '',
+  neverDelete: policy.neverDelete
+});
+
+const toPolicy = (form) => {
+  const toLimit = (value) => (value === '' ? null : Math.max(0, parseInt(value, 10) || 0));
+  return {
+    maxCount: toLimit(form.maxCount),
+    readMaxAgeDays: toLimit(form.readMaxAgeDays),
+    unreadMaxAgeDays: toLimit(form.unreadMaxAgeDays),
+    neverDelete: form.neverDelete
+  };
+};
+
+/**
+ * Article retention settings: the global policy, per-feed overrides and a
+ * preview of what the next cleanup would delete
+ *
+ * @param {Object} props
+ * @param {Array} props.feeds - Feeds that can override the global policy
+ */
+function RetentionSettings({ feeds = [] }) {
+  const [scope, setScope] = useState(GLOBAL_SCOPE);
+  const [form, setForm] = useState(null);
+  const [useGlobal, setUseGlobal] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        if (scope === GLOBAL_SCOPE) {
+          const res = await fetch('/api/settings/retention', { headers: authHeaders() });
+          setForm(toForm(await res.json()));
+          setUseGlobal(false);
+        } else {
+          const res = await fetch(`/api/feeds/${scope}/retention`, { headers: authHeaders() });
+          const data = await res.json();
+          setForm(toForm(data.effective));
+          setUseGlobal(!data.retention);
+        }
+      } catch (error) {
+        console.error('Failed to load retention settings:', error);
+      }
+    };
+    load();
+  }, [scope]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (scope === GLOBAL_SCOPE) {
+        await fetch('/api/settings/retention', {
+          method: 'POST',
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          body: JSON.stringify(toPolicy(form))
+        });
+      } else {
+        await fetch(`/api/feeds/${scope}/retention`, {
+          method: 'PUT',
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ retention: useGlobal ? null : toPolicy(form) })
+        });
+      }
+      setPreview(null);
+    } catch (error) {
+      console.error('Failed to save retention settings:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      const res = await fetch('/api/settings/retention/preview', { headers: authHeaders() });
+      setPreview(await res.json());
+    } catch (error) {
+      console.error('Failed to preview cleanup:', error);
+    }
+  };
+
+  if (!form) return null;
+
+  const disabled = scope !== GLOBAL_SCOPE && useGlobal;
+
+  return (
+    <div className="feed-management-section retention-settings">
+      <h3>Article Retention</h3>
+
+      <div className="form-group">
+        <label htmlFor="retention-scope">Apply to</label>
+        <select id="retention-scope" value={scope} onChange={(e) => setScope(e.target.value)}>
+          <option value={GLOBAL_SCOPE}>All feeds (default)</option>
+          {feeds.map(feed => (
+            <option key={feed.id} value={feed.id}>{feed.title}</option>
+          ))}
+        </select>
+      </div>
+
+      {scope !== GLOBAL_SCOPE && (
+        <label className="retention-checkbox">
+          <input
+            type="checkbox"
+            checked={useGlobal}
+            onChange={(e) => setUseGlobal(e.target.checked)}
+          />
+          Use the default policy
+        </label>
+      )}
+
+      <label className="retention-checkbox">
+        <input
+          type="checkbox"
+          checked={form.neverDelete}
+          disabled={disabled}
+          onChange={(e) => setForm({ ...form, neverDelete: e.target.checked })}
+        />
+        Never delete articles
+      </label>
+
+      <div className="form-group">
+        <label htmlFor="retention-max-count">Always keep newest articles per feed</label>
+        <input
+          id="retention-max-count"
+          type="number"
+          min="0"
+          value={form.maxCount}
+          disabled={disabled || form.neverDelete}
+          onChange={(e) => setForm({ ...form, maxCount: e.target.value })}
+          placeholder="No minimum"
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="retention-read-age">Delete read articles after (days)</label>
+        <input
+          id="retention-read-age"
+          type="number"
+          min="0"
+          value={form.readMaxAgeDays}
+          disabled={disabled || form.neverDelete}
+          onChange={(e) => setForm({ ...form, readMaxAgeDays: e.target.value })}
+          placeholder="Never"
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="retention-unread-age">Delete unread articles after (days)</label>
+        <input
+          id="retention-unread-age"
+          type="number"
+          min="0"
+          value={form.unreadMaxAgeDays}
+          disabled={disabled || form.neverDelete}
+          onChange={(e) => setForm({ ...form, unreadMaxAgeDays: e.target.value })}
+          placeholder="Never"
+        />
+      </div>
+
+      <div className="feed-management-buttons">
+        <button onClick={handlePreview} className="secondary-action-btn">
+          Preview Cleanup
+        </button>
+        <button onClick={handleSave} className="secondary-action-btn" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Retention'}
+        </button>
+      </div>
+
+      {preview && (
+        <div className="retention-preview">
+          {preview.total === 0 ? (
+            <p>The next cleanup won't delete any articles.</p>
+          ) : (
+            <>
+              <p>The next cleanup will delete {preview.total} article{preview.total === 1 ? '' : 's'}:</p>
+              <ul>
+                {preview.feeds.map(feed => (
+                  <li key={feed.feedId}>{feed.title}: {feed.count}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RetentionSettings;
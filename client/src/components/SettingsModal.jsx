@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { authHeaders } from '../utils/auth.js';
+import api from '../utils/api.js';
+import RetentionSettings from './RetentionSettings';
+import FullContentSettings from './FullContentSettings';
+import FilterRulesSettings from './FilterRulesSettings';
+import UserSettings from './UserSettings';
 
 const PROVIDERS = [
   { id: 'openai', name: 'OpenAI', defaultModel: 'gpt-4o-mini', needsBaseUrl: false },
@@ -9,7 +14,7 @@ const PROVIDERS = [
   { id: 'custom', name: 'Custom (OpenAI-compatible)', defaultModel: 'gpt-3.5-turbo', needsBaseUrl: true },
 ];
 
-function SettingsModal({ isOpen, onClose, onExport, onImport }) {
+function SettingsModal({ isOpen, onClose, onExport, onImport, onExportBackup, onRestoreBackup, feeds }) {
   const [config, setConfig] = useState({
     provider: 'openai',
     apiKey: '',
@@ -17,13 +22,25 @@ function SettingsModal({ isOpen, onClose, onExport, onImport }) {
     model: 'gpt-4o-mini'
   });
   const [saving, setSaving] = useState(false);
+  const [includeApiKey, setIncludeApiKey] = useState(false);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [user, setUser] = useState(null);
 
   useEffect(() => {
     if (isOpen) {
       fetchConfig();
+      fetchUser();
     }
   }, [isOpen]);
 
+  const fetchUser = async () => {
+    try {
+      setUser(await api.getCurrentUser());
+    } catch (error) {
+      console.error('Failed to load account:', error);
+    }
+  };
+
   const fetchConfig = async () => {
     const res = await fetch('/api/settings/llm', { headers: authHeaders() });
     const data = await res.json();
@@ -71,6 +88,29 @@ function SettingsModal({ isOpen, onClose, onExport, onImport }) {
     input.click();
   };
 
+  const handleRestore = () => {
+    if (restoreMode === 'replace' &&
+        !window.confirm('Replace your feeds, articles and settings with the backup? This cannot be undone.')) {
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+          onRestoreBackup(event.target.result, restoreMode).catch(() => {});
+          onClose();
+        };
+        reader.readAsText(file);
+      }
+    };
+    input.click();
+  };
+
   if (!isOpen) return null;
 
   const selectedProvider = PROVIDERS.find(p => p.id === config.provider);
@@ -143,7 +183,48 @@ function SettingsModal({ isOpen, onClose, onExport, onImport }) {
               Import Feeds
             </button>
           </div>
+
+          {onExportBackup && onRestoreBackup && (
+            <>
+              <div className="feed-management-buttons backup-buttons">
+                <button onClick={() => onExportBackup(includeApiKey)} className="secondary-action-btn">
+                  Export Backup
+                </button>
+                <button onClick={handleRestore} className="secondary-action-btn">
+                  Restore Backup
+                </button>
+              </div>
+              <div className="backup-options">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={includeApiKey}
+                    onChange={(e) => setIncludeApiKey(e.target.checked)}
+                  />
+                  Include API key in backup
+                </label>
+                <select
+                  aria-label="Restore mode"
+                  value={restoreMode}
+                  onChange={(e) => setRestoreMode(e.target.value)}
+                >
+                  <option value="merge">Merge with current data</option>
+                  <option value="replace">Replace current data</option>
+                </select>
+              </div>
+            </>
+          )}
         </div>
+
+        <FilterRulesSettings feeds={feeds} />
+
+        {/* Retention applies to every account, so only admins change it */}
+        {user?.role === 'admin' && <RetentionSettings feeds={feeds} />}
+
+        {/* Feeds are shared, so downloading their pages is up to admins too */}
+        {user?.role === 'admin' && <FullContentSettings feeds={feeds} />}
+
+        {user && <UserSettings user={user} onUserChange={fetchUser} />}
       </div>
     </div>
   );
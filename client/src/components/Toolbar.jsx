@@ -1,9 +1,35 @@
 import React, { memo } from 'react';
 
-function Toolbar({ onSortByAI, onToggleUnread, showUnreadOnly, hasArticles, onOpenSettings, onMarkAllAsRead, hasUnread }) {
+function Toolbar({
+  onSortByAI,
+  onToggleUnread,
+  showUnreadOnly,
+  hasArticles,
+  onOpenSettings,
+  onMarkAllAsRead,
+  hasUnread,
+  searchQuery = '',
+  onSearchChange
+}) {
   return (
     <div className="toolbar">
       <div className="toolbar-inner">
+        {onSearchChange && (
+          <input
+            type="search"
+            className="search-input"
+            placeholder="Search articles"
+            aria-label="Search articles"
+            value={searchQuery}
+            onChange={(e) => onSearchChange(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') {
+                onSearchChange('');
+                e.target.blur();
+              }
+            }}
+          />
+        )}
         <button 
           onClick={onSortByAI} 
           disabled={!hasArticles}
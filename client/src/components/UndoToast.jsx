@@ -0,0 +1,37 @@
+import { memo, useEffect } from 'react';
+
+// How long the toast stays up
+const TOAST_DURATION_MS = 8000;
+
+/**
+ * UndoToast - Says what was just done and offers to undo it. Hides itself
+ * after a few seconds; `z` still undoes the action after that.
+ *
+ * Props:
+ * @param {Object|null} toast - { actionId, message } of the latest undoable action
+ * @param {Function} onUndo - Undo an action (by ID)
+ * @param {Function} onDismiss - Hide the toast
+ */
+function UndoToast({ toast, onUndo, onDismiss }) {
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timeout = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timeout);
+  }, [toast, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{toast.message}</span>
+      <button onClick={() => onUndo(toast.actionId)} className="undo-toast-btn">
+        Undo
+      </button>
+      <button onClick={onDismiss} className="undo-toast-close" aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default memo(UndoToast);
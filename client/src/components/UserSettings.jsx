@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api.js';
+import { hasAuth, saveAuth, clearAuth } from '../utils/auth.js';
+
+const EMPTY_USER = { username: '', password: '', role: 'user' };
+
+/**
+ * Account settings: change the password and sign out. Admins also manage
+ * the other accounts here.
+ *
+ * @param {Object} props
+ * @param {Object} props.user - The signed-in user
+ * @param {Function} props.onUserChange - Called after the user's own account changed
+ */
+function UserSettings({ user, onUserChange }) {
+  const [passwords, setPasswords] = useState({ current: '', next: '' });
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isAdmin = user.role === 'admin';
+
+  useEffect(() => {
+    if (isAdmin) loadUsers();
+  }, [isAdmin]);
+
+  const loadUsers = async () => {
+    try {
+      setUsers(await api.getUsers());
+    } catch (err) {
+      console.error('Failed to load users:', err);
+    }
+  };
+
+  // Runs an API call, showing its error (or the given message) to the user
+  const run = async (action, success) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      if (success) setMessage(success);
+      return true;
+    } catch (err) {
+      setError(err.issues?.[0]?.message || err.message);
+      return false;
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    const changed = await run(
+      () => api.changePassword(passwords.current || undefined, passwords.next),
+      'Password changed'
+    );
+    if (changed) {
+      // Later requests have to use the new password
+      saveAuth(user.username, passwords.next);
+      setPasswords({ current: '', next: '' });
+      onUserChange?.();
+    }
+  };
+
+  const handleSignOut = () => {
+    clearAuth();
+    window.location.reload();
+  };
+
+  const handleAddUser = async (e) => {
+    e.preventDefault();
+    const added = await run(() => api.createUser(newUser.username, newUser.password, newUser.role));
+    if (added) {
+      setNewUser(EMPTY_USER);
+      loadUsers();
+    }
+  };
+
+  const handleRoleChange = async (account, role) => {
+    if (await run(() => api.updateUser(account.id, { role }))) {
+      loadUsers();
+      if (account.id === user.id) onUserChange?.();
+    }
+  };
+
+  const handleResetPassword = async (account) => {
+    const password = window.prompt(`New password for ${account.username}:`);
+    if (!password) return;
+    await run(() => api.updateUser(account.id, { password }), `Password of ${account.username} reset`);
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete ${account.username} with all their feeds, tags and settings?`)) {
+      return;
+    }
+    if (await run(() => api.deleteUser(account.id))) {
+      loadUsers();
+    }
+  };
+
+  return (
+    <div className="feed-management-section user-settings">
+      <h3>Account</h3>
+
+      {!user.has_password && (
+        <p className="user-settings-hint">
+          Anyone can use this reader until you set a password. Setting one turns on sign-in.
+        </p>
+      )}
+
+      <form onSubmit={handleChangePassword}>
+        {user.has_password && (
+          <div className="form-group">
+            <label htmlFor="current-password">Current password</label>
+            <input
+              id="current-password"
+              type="password"
+              value={passwords.current}
+              onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+              autoComplete="current-password"
+            />
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="new-password">New password</label>
+          <input
+            id="new-password"
+            type="password"
+            value={passwords.next}
+            onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+            autoComplete="new-password"
+          />
+        </div>
+        <div className="feed-management-buttons">
+          <button type="submit" className="secondary-action-btn" disabled={!passwords.next}>
+            {user.has_password ? 'Change Password' : 'Set Password'}
+          </button>
+          {hasAuth() && (
+            <button type="button" onClick={handleSignOut} className="secondary-action-btn">
+              Sign Out
+            </button>
+          )}
+        </div>
+      </form>
+
+      {isAdmin && (
+        <>
+          <h3 className="user-settings-heading">Users</h3>
+          <ul className="user-list">
+            {users.map(account => (
+              <li key={account.id} className="user-list-item">
+                <span className="user-list-name">
+                  {account.username}{account.id === user.id && ' (you)'}
+                </span>
+                <select
+                  aria-label={`Role of ${account.username}`}
+                  value={account.role}
+                  onChange={(e) => handleRoleChange(account, e.target.value)}
+                >
+                  <option value="user">User</option>
+                  <option value="admin">Admin</option>
+                </select>
+                {account.id !== user.id && (
+                  <>
+                    <button onClick={() => handleResetPassword(account)} className="secondary-action-btn">
+                      Reset Password
+                    </button>
+                    <button onClick={() => handleDelete(account)} className="secondary-action-btn">
+                      Delete
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <form onSubmit={handleAddUser} className="user-add-form">
+            <input
+              type="text"
+              aria-label="New username"
+              placeholder="Username"
+              value={newUser.username}
+              onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            />
+            <input
+              type="password"
+              aria-label="New user password"
+              placeholder="Password"
+              value={newUser.password}
+              onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+              autoComplete="new-password"
+            />
+            <select
+              aria-label="New user role"
+              value={newUser.role}
+              onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+            >
+              <option value="user">User</option>
+              <option value="admin">Admin</option>
+            </select>
+            <button
+              type="submit"
+              className="secondary-action-btn"
+              disabled={!newUser.username || !newUser.password}
+            >
+              Add User
+            </button>
+          </form>
+        </>
+      )}
+
+      {message && <p className="user-settings-message">{message}</p>}
+      {error && <p className="user-settings-error">{error}</p>}
+    </div>
+  );
+}
+
+export default UserSettings;
@@ -0,0 +1,107 @@
+import { useState, useCallback } from 'react';
+import { apiRequest } from '../utils/api.js';
+
+/**
+ * Custom hook for highlights and notes on articles
+ *
+ * Provides:
+ * - Annotation list with the article each belongs to (the Notes view)
+ * - Annotate an article with a highlighted passage, a note, or both
+ * - Edit and delete annotations
+ *
+ * Changes are applied to the articles in view and to the annotation list
+ * right away. New annotations show up in the list on its next fetch, which
+ * happens whenever the Notes view is opened.
+ * All operations use proper error handling with APIError.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {Function} params.setArticles - Set articles state
+ * @returns {Object} Annotations state and operations
+ */
+export function useAnnotations({ setArticles }) {
+  const [annotations, setAnnotations] = useState([]);
+  const [error, setError] = useState(null);
+
+  // Apply `update` to the annotations of every article in view
+  const updateArticleAnnotations = useCallback((update) => {
+    setArticles(prev => prev.map(article => {
+      if (!article.annotations) return article;
+      return { ...article, annotations: update(article.annotations) };
+    }));
+  }, [setArticles]);
+
+  const fetchAnnotations = useCallback(async () => {
+    try {
+      setError(null);
+      setAnnotations(await apiRequest('/api/annotations', {}, 'Failed to fetch notes'));
+      return true;
+    } catch (error) {
+      console.error('Failed to fetch notes:', error);
+      setError(error);
+      return false;
+    }
+  }, []);
+
+  const addAnnotation = useCallback(async (articleId, { quote, note = '' }) => {
+    try {
+      setError(null);
+      const annotation = await apiRequest(
+        `/api/articles/${articleId}/annotations`,
+        { method: 'POST', json: { quote, note } },
+        'Failed to add note'
+      );
+
+      const { article_id: _, ...fields } = annotation;
+      setArticles(prev => prev.map(article => (
+        article.id === articleId
+          ? { ...article, annotations: [...(article.annotations || []), fields] }
+          : article
+      )));
+      return annotation;
+    } catch (error) {
+      console.error('Failed to add note:', error);
+      setError(error);
+      throw error;
+    }
+  }, [setArticles]);
+
+  const updateAnnotation = useCallback(async (id, changes) => {
+    try {
+      setError(null);
+      const annotation = await apiRequest(`/api/annotations/${id}`, { method: 'PATCH', json: changes }, 'Failed to edit note');
+
+      const { article_id: _, ...fields } = annotation;
+      setAnnotations(prev => prev.map(a => (a.id === id ? { ...a, ...fields } : a)));
+      updateArticleAnnotations(list => list.map(a => (a.id === id ? { ...a, ...fields } : a)));
+      return annotation;
+    } catch (error) {
+      console.error('Failed to edit note:', error);
+      setError(error);
+      throw error;
+    }
+  }, [updateArticleAnnotations]);
+
+  const deleteAnnotation = useCallback(async (id) => {
+    try {
+      setError(null);
+      await apiRequest(`/api/annotations/${id}`, { method: 'DELETE' }, 'Failed to delete note');
+
+      setAnnotations(prev => prev.filter(a => a.id !== id));
+      updateArticleAnnotations(list => list.filter(a => a.id !== id));
+      return true;
+    } catch (error) {
+      console.error('Failed to delete note:', error);
+      setError(error);
+      throw error;
+    }
+  }, [updateArticleAnnotations]);
+
+  return {
+    annotations,
+    fetchAnnotations,
+    addAnnotation,
+    updateAnnotation,
+    deleteAnnotation,
+    error
+  };
+}
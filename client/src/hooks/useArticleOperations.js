@@ -2,6 +2,28 @@ import { useCallback } from 'react';
 import { APIError } from '../utils/api.js';
 import { authHeaders } from '../utils/auth.js';
 
+// Apply read state changes to unread counts ({ total, [feedId]: count,
+// folders }). A story carried by several feeds counts once in the total,
+// once in each of those feeds (copies share read state) and once in each
+// folder containing any of them.
+const NO_FOLDERS = {};
+
+function adjustUnreadCounts(counts, changed, isRead, feedFolders) {
+  const delta = isRead ? -1 : 1;
+  const next = { ...counts };
+  for (const article of changed) {
+    next.total = Math.max(0, (next.total || 0) + delta);
+    const feedIds = [article.feed_id, ...(article.also_in || []).map(copy => copy.feed_id)];
+    feedIds.forEach(feedId => {
+      next[feedId] = Math.max(0, (next[feedId] || 0) + delta);
+    });
+    new Set(feedIds.flatMap(feedId => feedFolders[feedId] || [])).forEach(folderId => {
+      next.folders = { ...next.folders, [folderId]: Math.max(0, (next.folders?.[folderId] || 0) + delta) };
+    });
+  }
+  return next;
+}
+
 /**
  * Custom hook for article state operations
  *
@@ -10,18 +32,22 @@ import { authHeaders } from '../utils/auth.js';
  * - Toggle saved status
  * - Mark all articles as read
  *
- * All operations update both articles and allArticles state
- * to maintain consistency between filtered and complete lists.
+ * Read state changes update both the articles and the unread counts
+ * shown in the sidebar. Each operation resolves to the ID of the action the
+ * server logged for it, which undoes the change (null when nothing changed).
  * All operations use proper error handling with APIError.
  *
  * @param {Object} params - Hook parameters
  * @param {Function} params.setArticles - Set articles state
- * @param {Function} params.setAllArticles - Set all articles state
+ * @param {Function} params.setUnreadCounts - Set unread counts state
  * @param {Array} params.articles - Current articles array
+ * @param {Object} [params.feedFolders] - Feed ID -> IDs of the folders containing it
  * @returns {Object} Article operation functions
  */
-export function useArticleOperations({ setArticles, setAllArticles, articles }) {
+export function useArticleOperations({ setArticles, setUnreadCounts, articles, feedFolders = NO_FOLDERS }) {
   const markAsRead = useCallback(async (id, isRead) => {
+    const article = articles.find(a => a.id === id);
+
     try {
       // Update server
       const res = await fetch(`/api/articles/${id}/read`, {
@@ -33,20 +59,24 @@ export function useArticleOperations({ setArticles, setAllArticles, articles })
         const err = await res.json().catch(() => ({}));
         throw new APIError(err.error || 'Failed to update read status', res.status);
       }
+      const { actionId } = await res.json();
 
       // Update locally - keep article in current view even if it no longer matches filter
       // This prevents jarring disappearances while navigating
+      // Copies of the same story in other feeds share read state
+      const isSameStory = (a) => a.id === id || a.also_in?.some(copy => copy.id === id);
       setArticles(prev => prev.map(a =>
-        a.id === id ? { ...a, is_read: isRead } : a
-      ));
-      setAllArticles(prev => prev.map(a =>
-        a.id === id ? { ...a, is_read: isRead } : a
+        isSameStory(a) ? { ...a, is_read: isRead } : a
       ));
+      if (article && Boolean(article.is_read) !== isRead) {
+        setUnreadCounts(prev => adjustUnreadCounts(prev, [article], isRead, feedFolders));
+      }
+      return actionId;
     } catch (error) {
       console.error('Failed to mark article as read:', error);
       throw error;
     }
-  }, [setArticles, setAllArticles]);
+  }, [articles, setArticles, setUnreadCounts, feedFolders]);
 
   const toggleSaved = useCallback(async (id, isSaved) => {
     try {
@@ -60,48 +90,46 @@ export function useArticleOperations({ setArticles, setAllArticles, articles })
         const err = await res.json().catch(() => ({}));
         throw new APIError(err.error || 'Failed to update saved status', res.status);
       }
+      const { actionId } = await res.json();
 
       // Update locally - keep article in current view
       setArticles(prev => prev.map(a =>
         a.id === id ? { ...a, is_saved: isSaved } : a
       ));
-      setAllArticles(prev => prev.map(a =>
-        a.id === id ? { ...a, is_saved: isSaved } : a
-      ));
+      return actionId;
     } catch (error) {
       console.error('Failed to toggle saved status:', error);
       throw error;
     }
-  }, [setArticles, setAllArticles]);
+  }, [setArticles]);
 
   const markAllAsRead = useCallback(async () => {
-    const unreadIds = articles.filter(a => !a.is_read).map(a => a.id);
-    if (unreadIds.length === 0) return;
+    const unread = articles.filter(a => !a.is_read);
+    const unreadIds = unread.map(a => a.id);
+    if (unreadIds.length === 0) return null;
 
     // Update locally first for instant feedback
     setArticles(prev => prev.map(a => ({ ...a, is_read: true })));
-    setAllArticles(prev => prev.map(a =>
-      unreadIds.includes(a.id) ? { ...a, is_read: true } : a
-    ));
+    setUnreadCounts(prev => adjustUnreadCounts(prev, unread, true, feedFolders));
 
     try {
-      // Update server in parallel
-      await Promise.all(unreadIds.map(async (id) => {
-        const res = await fetch(`/api/articles/${id}/read`, {
-          method: 'PATCH',
-          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
-          body: JSON.stringify({ isRead: true })
-        });
-        if (!res.ok) {
-          const err = await res.json().catch(() => ({}));
-          throw new APIError(err.error || 'Failed to mark article as read', res.status);
-        }
-      }));
+      // One request for all of them
+      const res = await fetch('/api/articles/state', {
+        method: 'PATCH',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: unreadIds, isRead: true })
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new APIError(err.error || 'Failed to mark articles as read', res.status);
+      }
+      const { actionId } = await res.json();
+      return actionId;
     } catch (error) {
       console.error('Failed to mark all as read:', error);
       throw error;
     }
-  }, [articles, setArticles, setAllArticles]);
+  }, [articles, setArticles, setUnreadCounts, feedFolders]);
 
   return {
     markAsRead,
@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { api } from '../utils/api.js';
+
+/**
+ * Custom hook for server-side full-text article search
+ *
+ * Features:
+ * - Debounces the query so typing doesn't fire a request per keystroke
+ * - Scopes results to the selected feed / saved view
+ * - Ignores responses for queries that have since changed
+ * - Results carry highlighted `title_highlight` and `snippet` HTML
+ *
+ * @param {Object} params - Hook parameters
+ * @param {string} params.query - Raw search box value
+ * @param {number|null} params.selectedFeed - Selected feed ID or null
+ * @param {boolean} params.showSavedOnly - Restrict to saved articles
+ * @param {number} [params.delay=300] - Debounce delay in ms
+ * @returns {Object} { results, setResults, total, searching, error, isSearchActive }
+ */
+export function useArticleSearch({ query, selectedFeed, showSavedOnly, delay = 300 }) {
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const trimmedQuery = query.trim();
+  const isSearchActive = trimmedQuery.length > 0;
+
+  useEffect(() => {
+    if (!isSearchActive) {
+      setResults([]);
+      setTotal(0);
+      setSearching(false);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        const data = await api.searchArticles({
+          q: trimmedQuery,
+          feedId: selectedFeed,
+          saved: showSavedOnly || undefined
+        });
+
+        if (!cancelled) {
+          setResults(data.results);
+          setTotal(data.total);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('Failed to search articles:', err);
+          setError(err);
+        }
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [trimmedQuery, isSearchActive, selectedFeed, showSavedOnly, delay]);
+
+  return {
+    results,
+    setResults,
+    total,
+    searching,
+    error,
+    isSearchActive
+  };
+}
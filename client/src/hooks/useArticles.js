@@ -1,68 +1,84 @@
-import { useCallback, useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { APIError } from '../utils/api.js';
 import { authHeaders } from '../utils/auth.js';
 
+// Articles per page of the article list
+export const PAGE_SIZE = 50;
+
+async function getJSON(url, errorMessage) {
+  const res = await fetch(url, { headers: authHeaders() });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new APIError(err.error || errorMessage, res.status);
+  }
+  return res.json();
+}
+
+// Same shape as before the counts came from the server: { total, [feedId]: count },
+// plus { folders: { [folderId]: count } } when there are folder counts
+const toUnreadCounts = ({ total, feeds, folders }) => ({ total, ...feeds, ...(folders && { folders }) });
+
 /**
- * Custom hook for article fetching with parallel queries
+ * Custom hook for paginated article fetching
  *
  * Features:
- * - Fetches filtered and all articles in parallel
- * - Client-side filtering for saved articles
- * - Client-side feed filtering
+ * - Fetches the first page of articles and the unread counts in parallel
+ * - Loads further pages on demand (cursor pagination)
+ * - Unread, saved, feed, folder and tag filtering done by the server
  * - Automatic refetch when filters change
  * - Proper error handling with APIError
  *
  * @param {Object} params - Hook parameters
  * @param {number|null} params.selectedFeed - Selected feed ID or null
+ * @param {number|null} [params.selectedFolder] - Selected folder ID or null
+ * @param {number|null} [params.selectedTag] - Selected tag ID or null
  * @param {boolean} params.showUnreadOnly - Show only unread articles
  * @param {boolean} params.showSavedOnly - Show only saved articles
- * @returns {Object} Articles state and fetch function
+ * @returns {Object} Articles state, unread counts and fetch functions
  */
-export function useArticles({ selectedFeed, showUnreadOnly, showSavedOnly }) {
+export function useArticles({ selectedFeed, selectedFolder = null, selectedTag = null, showUnreadOnly, showSavedOnly }) {
   const [articles, setArticles] = useState([]);
-  const [allArticles, setAllArticles] = useState([]);
+  const [unreadCounts, setUnreadCounts] = useState({ total: 0 });
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  // Bumped on every refetch, so pages requested for an older view are dropped
+  const generation = useRef(0);
+
+  const pageUrl = useCallback((cursor = null) => {
+    const params = new URLSearchParams();
+    if (selectedFeed) params.append('feedId', selectedFeed);
+    if (selectedFolder) params.append('folderId', selectedFolder);
+    if (selectedTag) params.append('tagId', selectedTag);
+    // Don't apply unread filter when showing saved or tagged articles (always show all of them, read or unread)
+    if (showSavedOnly) params.append('savedOnly', 'true');
+    else if (showUnreadOnly && !selectedTag) params.append('unreadOnly', 'true');
+    params.append('limit', PAGE_SIZE);
+    if (cursor) params.append('cursor', cursor);
+    return `/api/articles?${params}`;
+  }, [selectedFeed, selectedFolder, selectedTag, showUnreadOnly, showSavedOnly]);
+
+  // Double-check client-side filtering to ensure no wrong articles slip through
+  const inView = useCallback((article) => (
+    (!selectedFeed || article.feed_id === selectedFeed) &&
+    (!selectedTag || Boolean(article.tags?.some(tag => tag.id === selectedTag))) &&
+    (!showSavedOnly || article.is_saved)
+  ), [selectedFeed, selectedTag, showSavedOnly]);
 
   const fetchArticles = useCallback(async (shouldThrow = false) => {
+    const request = ++generation.current;
     try {
       setError(null);
 
-      const params = new URLSearchParams();
-      if (selectedFeed) params.append('feedId', selectedFeed);
-      // Don't apply unread filter when showing saved articles
-      if (showUnreadOnly && !showSavedOnly) params.append('unreadOnly', 'true');
-
-      // Fetch both filtered and all articles in parallel using the validated API client
-      const [data, allData] = await Promise.all([
-        fetch(`/api/articles?${params}`, { headers: authHeaders() }).then(async (res) => {
-          if (!res.ok) {
-            const err = await res.json().catch(() => ({}));
-            throw new APIError(err.error || 'Failed to fetch articles', res.status);
-          }
-          return res.json();
-        }),
-        fetch('/api/articles', { headers: authHeaders() }).then(async (res) => {
-          if (!res.ok) {
-            const err = await res.json().catch(() => ({}));
-            throw new APIError(err.error || 'Failed to fetch articles', res.status);
-          }
-          return res.json();
-        })
+      const [page, counts] = await Promise.all([
+        getJSON(pageUrl(), 'Failed to fetch articles'),
+        getJSON('/api/articles/unread-counts', 'Failed to fetch unread counts')
       ]);
+      if (request !== generation.current) return false;
 
-      // Filter for saved articles on client side (always show all saved, read or unread)
-      let filteredData = data;
-      if (showSavedOnly) {
-        filteredData = data.filter(a => a.is_saved);
-      }
-
-      // Double-check client-side filtering to ensure no wrong articles slip through
-      if (selectedFeed) {
-        filteredData = filteredData.filter(a => a.feed_id === selectedFeed);
-      }
-
-      setArticles(filteredData);
-      setAllArticles(allData);
+      setArticles(page.articles.filter(inView));
+      setNextCursor(page.nextCursor);
+      setUnreadCounts(toUnreadCounts(counts));
       return true;
     } catch (error) {
       // Re-throw API errors if shouldThrow is true (for manual calls)
@@ -74,7 +90,37 @@ export function useArticles({ selectedFeed, showUnreadOnly, showSavedOnly }) {
       }
       return false;
     }
-  }, [selectedFeed, showUnreadOnly, showSavedOnly]);
+  }, [pageUrl, inView]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return false;
+
+    const request = generation.current;
+    setLoadingMore(true);
+    try {
+      const page = await getJSON(pageUrl(nextCursor), 'Failed to fetch articles');
+      if (request !== generation.current) return false;
+
+      // Articles already listed can come back after a refetch
+      setArticles(prev => {
+        const listed = new Set(prev.map(a => a.id));
+        return [...prev, ...page.articles.filter(a => inView(a) && !listed.has(a.id))];
+      });
+      setNextCursor(page.nextCursor);
+      return true;
+    } catch (error) {
+      console.error('Failed to load more articles:', error);
+      setError(error);
+      return false;
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, pageUrl, inView]);
+
+  const fetchUnreadCounts = useCallback(async () => {
+    const counts = await getJSON('/api/articles/unread-counts', 'Failed to fetch unread counts');
+    setUnreadCounts(toUnreadCounts(counts));
+  }, []);
 
   useEffect(() => {
     fetchArticles(false); // Don't throw for automatic fetches
@@ -82,10 +128,14 @@ export function useArticles({ selectedFeed, showUnreadOnly, showSavedOnly }) {
 
   return {
     articles,
-    allArticles,
     setArticles,
-    setAllArticles,
+    unreadCounts,
+    setUnreadCounts,
     fetchArticles: () => fetchArticles(true), // Throw for manual calls
+    fetchUnreadCounts,
+    loadMore,
+    hasMore: nextCursor !== null,
+    loadingMore,
     error
   };
 }
@@ -8,12 +8,13 @@ import { authHeaders } from '../utils/auth.js';
  * Provides:
  * - Feed state management
  * - Fetch all feeds
- * - Add new feed
+ * - Add new feed (or list a website's feeds to pick one from)
  * - Delete feed
  * - Sync single feed
  * - Rename feed
  * - Export feeds to OPML
  * - Import feeds from OPML
+ * - Export/restore a full backup (feeds, read/saved state, settings)
  *
  * All operations use proper error handling with APIError
  *
@@ -52,6 +53,11 @@ export function useFeedOperations() {
         headers: { ...authHeaders(), 'Content-Type': 'application/json' },
         body: JSON.stringify({ url })
       });
+      // A website with several feeds - the caller picks one to add
+      if (res.status === 300) {
+        const { feeds } = await res.json();
+        return feeds;
+      }
       if (!res.ok) {
         const err = await res.json().catch(() => ({}));
         throw new APIError(err.error || 'Failed to add feed', res.status);
@@ -73,6 +79,8 @@ export function useFeedOperations() {
         const err = await res.json().catch(() => ({}));
         throw new APIError(err.error || 'Failed to delete feed', res.status);
       }
+      // The feed is kept for a while so that its deletion can be undone
+      const { actionId } = await res.json();
       await fetchFeeds(false);
       // Clear selected feed if it was the deleted one
       if (selectedFeed === id && setSelectedFeed) {
@@ -81,7 +89,7 @@ export function useFeedOperations() {
       if (fetchArticles) {
         await fetchArticles();
       }
-      return true;
+      return actionId;
     } catch (error) {
       console.error('Failed to delete feed:', error);
       setError(error);
@@ -167,6 +175,71 @@ export function useFeedOperations() {
     }
   }, [fetchFeeds]);
 
+  const exportBackup = useCallback(async (includeApiKey = false) => {
+    try {
+      setError(null);
+      const res = await fetch(`/api/backup?includeApiKey=${includeApiKey}`, { headers: authHeaders() });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new APIError(err.error || 'Failed to export backup', res.status);
+      }
+
+      // Fetched rather than opened in a new tab so the auth header is sent
+      const blob = await res.blob();
+      const filename = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'rss-reader-backup.json';
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      return true;
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      setError(error);
+      alert('Backup failed: ' + error.message);
+      return false;
+    }
+  }, []);
+
+  const restoreBackup = useCallback(async (archiveContent, mode, fetchArticles) => {
+    try {
+      setError(null);
+      let archive;
+      try {
+        archive = JSON.parse(archiveContent);
+      } catch {
+        throw new APIError('Not a valid backup file', 400);
+      }
+
+      const res = await fetch('/api/backup/restore', {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode, archive })
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new APIError(err.error || 'Failed to restore backup', res.status);
+      }
+      const result = await res.json();
+      alert(
+        `Restore complete: ${result.feeds.added} feeds and ${result.articles.added} articles added, ` +
+        `${result.articles.updated} articles updated` +
+        (result.blocked > 0 ? `, ${result.blocked} feeds with blocked URLs left out` : '')
+      );
+      await fetchFeeds(false);
+      if (fetchArticles) {
+        await fetchArticles();
+      }
+      return result;
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      setError(error);
+      alert('Restore failed: ' + error.message);
+      throw error;
+    }
+  }, [fetchFeeds]);
+
   return {
     feeds,
     setFeeds,
@@ -177,6 +250,8 @@ export function useFeedOperations() {
     renameFeed,
     exportFeeds,
     importFeeds,
+    exportBackup,
+    restoreBackup,
     error
   };
 }
@@ -8,16 +8,16 @@ import { authHeaders } from '../utils/auth.js';
  * Features:
  * - Server-Sent Events (SSE) streaming for progress updates
  * - Progressive updates as feeds complete syncing
- * - Final refresh of all articles after sync completes
- * - User-initiated syncs refresh both allArticles and visible articles
+ * - Final refresh of unread counts after sync completes
+ * - User-initiated syncs also refresh the visible articles
  * - Proper error handling with APIError
  *
  * @param {Object} params - Hook parameters
  * @param {Function} params.fetchArticles - Function to fetch visible articles
- * @param {Function} params.setAllArticles - Function to set all articles state
+ * @param {Function} params.fetchUnreadCounts - Function to refresh sidebar unread counts
  * @returns {Object} Sync state and functions
  */
-export function useFeedSync({ fetchArticles, setAllArticles }) {
+export function useFeedSync({ fetchArticles, fetchUnreadCounts }) {
   const [syncing, setSyncing] = useState(false);
   const [error, setError] = useState(null);
 
@@ -50,18 +50,12 @@ export function useFeedSync({ fetchArticles, setAllArticles }) {
         }
       }
 
-      // Final update - refresh all articles for sidebar counts
-      const allRes = await fetch('/api/articles');
-      if (!allRes.ok) {
-        const err = await allRes.json().catch(() => ({}));
-        throw new APIError(err.error || 'Failed to fetch articles', allRes.status);
-      }
-      const allData = await allRes.json();
-      setAllArticles(allData);
-
-      // If user-initiated (pressed 'r'), also refresh the visible article list
+      // If user-initiated (pressed 'r'), refresh the visible article list
+      // (which includes the counts); otherwise just the sidebar counts
       if (userInitiated) {
         await fetchArticles();
+      } else {
+        await fetchUnreadCounts();
       }
 
       return true;
@@ -76,7 +70,7 @@ export function useFeedSync({ fetchArticles, setAllArticles }) {
     } finally {
       setSyncing(false);
     }
-  }, [fetchArticles, setAllArticles]);
+  }, [fetchArticles, fetchUnreadCounts]);
 
   return {
     syncing,
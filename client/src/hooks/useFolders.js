@@ -0,0 +1,138 @@
+import { useState, useCallback, useMemo } from 'react';
+import { apiRequest } from '../utils/api.js';
+
+const sameName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }) === 0;
+
+/**
+ * Custom hook for feed folders
+ *
+ * Provides:
+ * - Folder list (folders nest through parent_id)
+ * - Create, rename and delete folders
+ * - Move a feed into a folder by path ("News/Tech"), creating missing folders
+ * - Feed ID -> containing folder IDs, for keeping folder unread counts current
+ *
+ * Deleting a folder or moving a feed changes feeds, so the feed list is
+ * refetched afterwards.
+ * All operations use proper error handling with APIError.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {Array} params.feeds - Current feeds (with folder_id)
+ * @param {Function} params.fetchFeeds - Refetch the feed list
+ * @returns {Object} Folders state and operations
+ */
+export function useFolders({ feeds, fetchFeeds }) {
+  const [folders, setFolders] = useState([]);
+  const [error, setError] = useState(null);
+
+  const fetchFolders = useCallback(async () => {
+    try {
+      setError(null);
+      setFolders(await apiRequest('/api/folders', {}, 'Failed to fetch folders'));
+      return true;
+    } catch (error) {
+      console.error('Failed to fetch folders:', error);
+      setError(error);
+      return false;
+    }
+  }, []);
+
+  const createFolder = useCallback(async (name, parentId = null) => {
+    try {
+      setError(null);
+      const folder = await apiRequest('/api/folders', { method: 'POST', json: { name, parentId } }, 'Failed to create folder');
+      setFolders(prev => [...prev, folder]);
+      return folder;
+    } catch (error) {
+      console.error('Failed to create folder:', error);
+      setError(error);
+      throw error;
+    }
+  }, []);
+
+  const renameFolder = useCallback(async (id, name) => {
+    try {
+      setError(null);
+      // Optimistic update - update UI immediately
+      setFolders(prev => prev.map(f => (f.id === id ? { ...f, name } : f)));
+
+      await apiRequest(`/api/folders/${id}`, { method: 'PATCH', json: { name } }, 'Failed to rename folder');
+      return true;
+    } catch (error) {
+      console.error('Failed to rename folder:', error);
+      setError(error);
+      // Revert optimistic update on error (e.g. a sibling has the name)
+      await fetchFolders();
+      alert('Rename failed: ' + error.message);
+      return false;
+    }
+  }, [fetchFolders]);
+
+  const deleteFolder = useCallback(async (id) => {
+    try {
+      setError(null);
+      await apiRequest(`/api/folders/${id}`, { method: 'DELETE' }, 'Failed to delete folder');
+
+      // Its feeds and subfolders moved up a level
+      await Promise.all([fetchFolders(), fetchFeeds()]);
+      return true;
+    } catch (error) {
+      console.error('Failed to delete folder:', error);
+      setError(error);
+      throw error;
+    }
+  }, [fetchFolders, fetchFeeds]);
+
+  const moveFeed = useCallback(async (feedId, path) => {
+    try {
+      setError(null);
+      // Walk the path from the top level, creating folders that don't exist yet
+      const known = [...folders];
+      let folderId = null;
+      for (const name of path.split('/').map(part => part.trim()).filter(Boolean)) {
+        let folder = known.find(f => f.parent_id === folderId && sameName(f.name, name));
+        if (!folder) {
+          folder = await apiRequest('/api/folders', { method: 'POST', json: { name, parentId: folderId } }, 'Failed to create folder');
+          known.push(folder);
+        }
+        folderId = folder.id;
+      }
+
+      await apiRequest(`/api/feeds/${feedId}/folder`, { method: 'PUT', json: { folderId } }, 'Failed to move feed');
+      setFolders(known);
+      await fetchFeeds();
+      return true;
+    } catch (error) {
+      console.error('Failed to move feed:', error);
+      setError(error);
+      // Pick up any folders created before the failure
+      await fetchFolders();
+      throw error;
+    }
+  }, [folders, fetchFolders, fetchFeeds]);
+
+  // Feed ID -> the feed's folder and every folder above it
+  const feedFolders = useMemo(() => {
+    const parents = new Map(folders.map(f => [f.id, f.parent_id]));
+    const result = {};
+    for (const feed of feeds) {
+      const chain = [];
+      for (let id = feed.folder_id; parents.has(id) && !chain.includes(id); id = parents.get(id)) {
+        chain.push(id);
+      }
+      if (chain.length > 0) result[feed.id] = chain;
+    }
+    return result;
+  }, [folders, feeds]);
+
+  return {
+    folders,
+    feedFolders,
+    fetchFolders,
+    createFolder,
+    renameFolder,
+    deleteFolder,
+    moveFeed,
+    error
+  };
+}
@@ -9,6 +9,8 @@ import { useEventListener } from './useEventListener.js';
  * - r: Sync all feeds (user-initiated)
  * - a: Select all feeds
  * - l: Select saved articles
+ * - /: Focus the search box
+ * - z: Undo the last mark-as-read or feed deletion
  *
  * @param {Object} params - Hook parameters
  * @param {Object|null} params.categories - Current AI categories
@@ -17,6 +19,8 @@ import { useEventListener } from './useEventListener.js';
  * @param {Function} params.fetchArticles - Fetch articles function
  * @param {Function} params.handleSelectFeed - Handle feed selection
  * @param {Function} params.handleSelectSaved - Handle saved selection
+ * @param {Function} [params.focusSearch] - Focus the search input
+ * @param {Function} [params.undoLast] - Undo the most recent undoable action
  */
 export function useGlobalKeyboardShortcuts({
   categories,
@@ -24,7 +28,9 @@ export function useGlobalKeyboardShortcuts({
   syncAllFeeds,
   fetchArticles,
   handleSelectFeed,
-  handleSelectSaved
+  handleSelectSaved,
+  focusSearch,
+  undoLast
 }) {
   useEventListener('keydown', async (e) => {
     // Don't trigger shortcuts when typing in input fields
@@ -44,6 +50,12 @@ export function useGlobalKeyboardShortcuts({
     } else if (e.key === 'l') {
       e.preventDefault();
       handleSelectSaved();
+    } else if (e.key === '/' && focusSearch) {
+      e.preventDefault();
+      focusSearch();
+    } else if (e.key === 'z' && undoLast) {
+      e.preventDefault();
+      await undoLast();
     }
   });
 }
@@ -10,16 +10,25 @@ import { useEventListener } from './useEventListener.js';
  * - v: Open article without marking as read
  * - m: Toggle read status
  * - s: Toggle saved status
+ * - t: Add a tag (asks for its name)
+ * - 1-9: Add/remove the Nth tag of the sidebar
  * - Prevents event propagation to avoid global shortcut conflicts
  *
  * @param {Object} params - Hook parameters
  * @param {Array} params.articles - Articles array
  * @param {Array} params.categories - AI-sorted categories (optional)
  * @param {Function} params.onMarkAsRead - Mark article as read/unread callback
+ * @param {Function} [params.onToggleRead] - Toggle read status callback for m (defaults to onMarkAsRead)
  * @param {Function} params.onToggleSaved - Toggle saved status callback
+ * @param {Array} [params.tags] - Tags in sidebar order
+ * @param {Function} [params.onPromptTag] - Ask for a tag to add to an article (by ID)
+ * @param {Function} [params.onAddTag] - Add a tag (by name) to an article
+ * @param {Function} [params.onRemoveTag] - Remove a tag (by ID) from an article
  * @returns {Object} { selectedIndex, navigationList, articleIndexMap, openArticle }
  */
-export function useKeyboardNavigation({ articles, categories, onMarkAsRead, onToggleSaved }) {
+export function useKeyboardNavigation({
+  articles, categories, onMarkAsRead, onToggleRead = onMarkAsRead, onToggleSaved, tags = [], onPromptTag, onAddTag, onRemoveTag
+}) {
   const [selectedIndex, setSelectedIndex] = useState(0);
   const prevArticlesLengthRef = useRef(0);
   const prevCategoriesRef = useRef(null);
@@ -133,7 +142,7 @@ export function useKeyboardNavigation({ articles, categories, onMarkAsRead, onTo
       e.preventDefault();
       e.stopPropagation();
       if (currentArticle) {
-        onMarkAsRead(currentArticle.id, !currentArticle.is_read);
+        onToggleRead(currentArticle.id, !currentArticle.is_read);
       }
     } else if (e.key === 's') {
       e.preventDefault();
@@ -141,6 +150,22 @@ export function useKeyboardNavigation({ articles, categories, onMarkAsRead, onTo
       if (currentArticle) {
         onToggleSaved(currentArticle.id, !currentArticle.is_saved);
       }
+    } else if (e.key === 't' && onPromptTag) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (currentArticle) {
+        onPromptTag(currentArticle.id);
+      }
+    } else if (/^[1-9]$/.test(e.key) && onAddTag && onRemoveTag) {
+      const tag = tags[Number(e.key) - 1];
+      if (!currentArticle || !tag) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (currentArticle.tags?.some(t => t.id === tag.id)) {
+        onRemoveTag(currentArticle.id, tag.id);
+      } else {
+        onAddTag(currentArticle.id, tag.name);
+      }
     }
   });
 
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from '../utils/api.js';
+
+/**
+ * Custom hook for the playback of an article's enclosure (a podcast episode)
+ *
+ * Provides:
+ * - Where the user got to in the episode and the speed they play it at,
+ *   loaded whenever the article changes (null until then)
+ * - Save both, so the episode resumes there on any device
+ *
+ * Saving happens in the background while playing: failures are logged
+ * rather than thrown, the next save carries the latest position anyway.
+ *
+ * @param {number|null} articleId - Article whose enclosure is playing
+ * @returns {Object} Playback state and operations
+ */
+export function usePlayback(articleId) {
+  const [playback, setPlayback] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPlayback(null);
+    if (!articleId) return;
+
+    let cancelled = false;
+    apiRequest(`/api/articles/${articleId}/playback`, {}, 'Failed to load playback position')
+      .then(data => {
+        if (!cancelled) setPlayback(data);
+      })
+      .catch(error => {
+        console.error('Failed to load playback position:', error);
+        if (cancelled) return;
+        setError(error);
+        // Play from the start rather than not at all
+        setPlayback({ position: 0, speed: 1, updated_at: null });
+      });
+    return () => { cancelled = true; };
+  }, [articleId]);
+
+  const savePlayback = useCallback(async ({ position, speed }) => {
+    if (!articleId) return;
+    try {
+      await apiRequest(`/api/articles/${articleId}/playback`, {
+        method: 'PUT',
+        json: { position, speed },
+        // Still sent when the page is closing
+        keepalive: true
+      }, 'Failed to save playback position');
+    } catch (error) {
+      console.error('Failed to save playback position:', error);
+      setError(error);
+    }
+  }, [articleId]);
+
+  return { playback, error, savePlayback };
+}
@@ -0,0 +1,129 @@
+import { useState, useCallback } from 'react';
+import { apiRequest } from '../utils/api.js';
+
+// Same order as the server: by name, ignoring case
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+/**
+ * Custom hook for user-defined article tags
+ *
+ * Provides:
+ * - Tag list with article counts (shown in the sidebar)
+ * - Add a tag to an article (creating the tag on first use)
+ * - Remove a tag from an article
+ * - Rename and delete tags
+ *
+ * Changes are applied to the articles in view right away; the tag list is
+ * refetched afterwards so counts stay correct.
+ * All operations use proper error handling with APIError.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {Function} params.setArticles - Set articles state
+ * @returns {Object} Tags state and operations
+ */
+export function useTags({ setArticles }) {
+  const [tags, setTags] = useState([]);
+  const [error, setError] = useState(null);
+
+  // Apply `update` to the tag list of every article in view
+  const updateArticleTags = useCallback((update) => {
+    setArticles(prev => prev.map(article => {
+      if (!article.tags) return article;
+      return { ...article, tags: update(article.tags) };
+    }));
+  }, [setArticles]);
+
+  const fetchTags = useCallback(async () => {
+    try {
+      setError(null);
+      setTags(await apiRequest('/api/tags', {}, 'Failed to fetch tags'));
+      return true;
+    } catch (error) {
+      console.error('Failed to fetch tags:', error);
+      setError(error);
+      return false;
+    }
+  }, []);
+
+  const addTag = useCallback(async (articleId, name) => {
+    try {
+      setError(null);
+      const tag = await apiRequest(`/api/articles/${articleId}/tags`, { method: 'POST', json: { name } }, 'Failed to tag article');
+
+      setArticles(prev => prev.map(article => {
+        if (article.id !== articleId || article.tags?.some(t => t.id === tag.id)) return article;
+        return { ...article, tags: [...(article.tags || []), tag].sort(byName) };
+      }));
+      await fetchTags();
+      return tag;
+    } catch (error) {
+      console.error('Failed to tag article:', error);
+      setError(error);
+      throw error;
+    }
+  }, [setArticles, fetchTags]);
+
+  const removeTag = useCallback(async (articleId, tagId) => {
+    try {
+      setError(null);
+      await apiRequest(`/api/articles/${articleId}/tags/${tagId}`, { method: 'DELETE' }, 'Failed to remove tag');
+
+      // Keep the article in a tag view until the next refetch, like unsaving in Read Later
+      setArticles(prev => prev.map(article => (
+        article.id === articleId && article.tags
+          ? { ...article, tags: article.tags.filter(t => t.id !== tagId) }
+          : article
+      )));
+      await fetchTags();
+      return true;
+    } catch (error) {
+      console.error('Failed to remove tag:', error);
+      setError(error);
+      throw error;
+    }
+  }, [setArticles, fetchTags]);
+
+  const renameTag = useCallback(async (id, name) => {
+    try {
+      setError(null);
+      // Optimistic update - update UI immediately
+      setTags(prev => prev.map(t => (t.id === id ? { ...t, name } : t)).sort(byName));
+      updateArticleTags(list => list.map(t => (t.id === id ? { ...t, name } : t)).sort(byName));
+
+      await apiRequest(`/api/tags/${id}`, { method: 'PATCH', json: { name } }, 'Failed to rename tag');
+      return true;
+    } catch (error) {
+      console.error('Failed to rename tag:', error);
+      setError(error);
+      // Revert optimistic update on error (e.g. the name is taken)
+      await fetchTags();
+      alert('Rename failed: ' + error.message);
+      return false;
+    }
+  }, [updateArticleTags, fetchTags]);
+
+  const deleteTag = useCallback(async (id) => {
+    try {
+      setError(null);
+      await apiRequest(`/api/tags/${id}`, { method: 'DELETE' }, 'Failed to delete tag');
+
+      setTags(prev => prev.filter(t => t.id !== id));
+      updateArticleTags(list => list.filter(t => t.id !== id));
+      return true;
+    } catch (error) {
+      console.error('Failed to delete tag:', error);
+      setError(error);
+      throw error;
+    }
+  }, [updateArticleTags]);
+
+  return {
+    tags,
+    fetchTags,
+    addTag,
+    removeTag,
+    renameTag,
+    deleteTag,
+    error
+  };
+}
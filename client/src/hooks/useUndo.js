@@ -0,0 +1,66 @@
+import { useState, useCallback, useRef } from 'react';
+import { apiRequest } from '../utils/api.js';
+
+/**
+ * Custom hook for undoing read state changes and feed deletions
+ *
+ * Provides:
+ * - Record an undoable action (by the ID the server logged it under) and
+ *   offer to undo it in a toast
+ * - Undo a given action, or the most recent one still undoable
+ *
+ * Only actions recorded here can be undone from the client, so read state
+ * changed by scrolling past articles doesn't pile up. The server keeps
+ * actions for a week; undoing an older one fails with the server's error.
+ * All operations use proper error handling with APIError.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {Function} [params.onUndone] - Called with the undone action, to refresh what it changed
+ * @returns {Object} Toast state and undo operations
+ */
+export function useUndo({ onUndone } = {}) {
+  const [toast, setToast] = useState(null);
+  const [error, setError] = useState(null);
+  // IDs of the actions recorded this session, most recent last
+  const historyRef = useRef([]);
+
+  const record = useCallback((actionId, message) => {
+    if (!actionId) return;
+    historyRef.current.push(actionId);
+    setToast({ actionId, message });
+  }, []);
+
+  const dismiss = useCallback(() => setToast(null), []);
+
+  const undo = useCallback(async (actionId) => {
+    // An action can only be undone once, whether or not it works out
+    historyRef.current = historyRef.current.filter(id => id !== actionId);
+    setToast(prev => (prev?.actionId === actionId ? null : prev));
+
+    try {
+      setError(null);
+      const action = await apiRequest(`/api/actions/${actionId}/undo`, { method: 'POST' }, 'Failed to undo');
+      if (onUndone) await onUndone(action);
+      return action;
+    } catch (error) {
+      console.error('Failed to undo:', error);
+      setError(error);
+      throw error;
+    }
+  }, [onUndone]);
+
+  const undoLast = useCallback(async () => {
+    const actionId = historyRef.current[historyRef.current.length - 1];
+    if (!actionId) return null;
+    return undo(actionId);
+  }, [undo]);
+
+  return {
+    toast,
+    record,
+    dismiss,
+    undo,
+    undoLast,
+    error
+  };
+}
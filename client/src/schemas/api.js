@@ -14,6 +14,45 @@ const FeedSchema = z.object({
   id: z.number().int().positive(),
   title: z.string().min(1).max(200),
   url: z.string().url(),
+  folder_id: z.number().int().positive().nullable().optional(),
+  created_at: z.string().datetime(),
+  last_sync_at: z.string().datetime().nullable().optional(),
+  next_sync_at: z.string().datetime().nullable().optional(),
+  last_success_at: z.string().datetime().nullable().optional(),
+  last_error: z.string().nullable().optional(),
+  last_status: z.number().int().nullable().optional(),
+  sync_failures: z.number().int().nonnegative().optional(),
+  items_per_day: z.number().nonnegative().optional(),
+  fetch_full_content: z.boolean().optional()
+});
+
+// Folder schema (parent_id null = top level)
+const FolderSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string().min(1).max(100),
+  parent_id: z.number().int().positive().nullable(),
+  created_at: z.string().datetime()
+});
+
+// User schema (has_password false = no login required yet)
+const UserSchema = z.object({
+  id: z.number().int().positive(),
+  username: z.string().min(1).max(50),
+  role: z.enum(['admin', 'user']),
+  has_password: z.boolean(),
+  created_at: z.string()
+});
+
+// Filter rule (feed_id null = all of the user's feeds; tag is set for the 'tag' action)
+const FilterRuleSchema = z.object({
+  id: z.number().int().positive(),
+  feed_id: z.number().int().positive().nullable(),
+  field: z.enum(['title', 'content', 'link', 'author', 'category']),
+  match_type: z.enum(['keyword', 'regex']),
+  pattern: z.string(),
+  action: z.enum(['skip', 'mark_read', 'save', 'tag']),
+  tag: z.string().nullable(),
+  enabled: z.boolean(),
   created_at: z.string().datetime()
 });
 
@@ -27,10 +66,35 @@ const ArticleSchema = z.object({
   description: z.string().optional(),
   pub_date: z.string().datetime(),
   image_url: z.string().url().optional(),
+  full_content: z.string().optional(),
+  // Audio or video file (a podcast episode); length in bytes, duration in seconds
+  enclosure: z.object({
+    url: z.string().url(),
+    type: z.string().nullable(),
+    length: z.number().int().nonnegative().nullable(),
+    duration: z.number().int().nonnegative().nullable()
+  }).optional(),
   is_read: z.boolean(),
   is_saved: z.boolean(),
+  duplicate_of: z.number().int().positive().nullable().optional(),
   created_at: z.string().datetime(),
-  feed_title: z.string()
+  feed_title: z.string(),
+  also_in: z.array(z.object({
+    id: z.number().int().positive(),
+    feed_id: z.number().int().positive(),
+    feed_title: z.string()
+  })).optional(),
+  tags: z.array(z.object({
+    id: z.number().int().positive(),
+    name: z.string()
+  })).optional(),
+  annotations: z.array(z.object({
+    id: z.number().int().positive(),
+    quote: z.string().nullable(),
+    note: z.string(),
+    created_at: z.string(),
+    updated_at: z.string()
+  })).optional()
 });
 
 // ============================================
@@ -43,8 +107,108 @@ export const GetFeedsResponseSchema = z.array(FeedSchema);
 // POST /api/feeds
 export const AddFeedResponseSchema = FeedSchema;
 
+// POST /api/feeds with the URL of a website that has several feeds (status 300)
+export const DiscoveredFeedsResponseSchema = z.object({
+  error: z.string(),
+  feeds: z.array(z.object({
+    url: z.string(),
+    title: z.string().nullable(),
+    type: z.string().nullable()
+  }))
+});
+
 // GET /api/articles
-export const GetArticlesResponseSchema = z.array(ArticleSchema);
+export const GetArticlesResponseSchema = z.object({
+  articles: z.array(ArticleSchema),
+  nextCursor: z.string().nullable()
+});
+
+// GET /api/articles/unread-counts
+export const UnreadCountsResponseSchema = z.object({
+  total: z.number(),
+  feeds: z.record(z.string(), z.number()),
+  folders: z.record(z.string(), z.number())
+});
+
+// GET /api/folders
+export const GetFoldersResponseSchema = z.array(FolderSchema);
+
+// POST /api/folders
+export const CreateFolderResponseSchema = FolderSchema;
+
+// GET /api/tags
+export const GetTagsResponseSchema = z.array(z.object({
+  id: z.number().int().positive(),
+  name: z.string(),
+  count: z.number()
+}));
+
+// POST /api/articles/:id/tags
+export const AddArticleTagResponseSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string()
+});
+
+// GET /api/articles/:id/playback
+export const PlaybackResponseSchema = z.object({
+  position: z.number().nonnegative(),
+  speed: z.number().min(0.5).max(3),
+  updated_at: z.string().datetime().nullable()
+});
+
+// GET /api/filter-rules
+export const GetFilterRulesResponseSchema = z.array(FilterRuleSchema);
+
+// POST /api/filter-rules, PUT /api/filter-rules/:id
+export const FilterRuleResponseSchema = FilterRuleSchema;
+
+// POST /api/filter-rules/preview
+export const PreviewFilterRuleResponseSchema = z.object({
+  checked: z.number(),
+  matches: z.array(z.object({
+    id: z.number(),
+    feed_id: z.number(),
+    feed_title: z.string(),
+    title: z.string(),
+    link: z.string(),
+    pub_date: z.string()
+  }))
+});
+
+// GET /api/articles/search
+// Kept loose: search also surfaces older articles whose stored fields
+// predate the stricter ArticleSchema
+export const SearchArticlesResponseSchema = z.object({
+  results: z.array(z.looseObject({
+    id: z.number().int().positive(),
+    feed_id: z.number().int().positive(),
+    title: z.string(),
+    feed_title: z.string(),
+    is_read: z.boolean(),
+    is_saved: z.boolean(),
+    title_highlight: z.string(),
+    snippet: z.string(),
+    rank: z.number()
+  })),
+  total: z.number()
+});
+
+// POST /api/folders
+export const CreateFolderRequestSchema = z.object({
+  name: z.string().trim().min(1, 'Folder name is required').max(100, 'Folder name too long'),
+  parentId: z.number().int().positive().nullable().optional()
+});
+
+// PATCH /api/folders/:id
+export const UpdateFolderRequestSchema = z.object({
+  name: z.string().trim().min(1, 'Folder name is required').max(100, 'Folder name too long').optional(),
+  parentId: z.number().int().positive().nullable().optional()
+});
+
+// PUT /api/feeds/:id/folder
+export const UpdateFeedFolderRequestSchema = z.object({
+  folderId: z.number().int().positive().nullable()
+});
 
 // POST /api/ai/sort
 export const AISortResponseSchema = z.object({
@@ -69,6 +233,12 @@ export const GetLLMSettingsResponseSchema = z.object({
   model: z.string().optional()
 });
 
+// GET /api/users
+export const GetUsersResponseSchema = z.array(UserSchema);
+
+// GET /api/users/me, POST /api/users
+export const UserResponseSchema = UserSchema;
+
 // Sync result (for individual feed sync)
 export const SyncResultSchema = z.object({
   added: z.number(),
@@ -79,6 +249,7 @@ export const SyncResultSchema = z.object({
 export const SyncProgressSchema = z.object({
   type: z.enum(['progress', 'complete']),
   synced: z.number(),
+  unchanged: z.number(),
   failed: z.number(),
   completed: z.number().optional(),
   total: z.number()
@@ -126,6 +297,28 @@ export const UpdateSavedStatusRequestSchema = z.object({
   isSaved: z.boolean()
 });
 
+// PUT /api/articles/:id/playback
+export const UpdatePlaybackRequestSchema = z.object({
+  position: z.number().nonnegative(),
+  speed: z.number().min(0.5).max(3)
+});
+
+// POST /api/articles/:id/tags and PATCH /api/tags/:id
+export const TagNameRequestSchema = z.object({
+  name: z.string().trim().min(1, 'Tag name is required').max(50, 'Tag name too long')
+});
+
+// POST /api/filter-rules, PUT /api/filter-rules/:id, POST /api/filter-rules/preview
+export const FilterRuleRequestSchema = z.object({
+  feedId: z.number().int().positive().nullable(),
+  field: FilterRuleSchema.shape.field,
+  matchType: FilterRuleSchema.shape.match_type,
+  pattern: z.string().trim().min(1, 'Pattern is required').max(500, 'Pattern too long'),
+  action: FilterRuleSchema.shape.action,
+  tag: z.string().trim().min(1, 'Tag name is required').max(50, 'Tag name too long').optional(),
+  enabled: z.boolean()
+});
+
 // POST /api/ai/sort
 export const AISortRequestSchema = z.object({
   articleIds: z.array(z.number().int().positive()).max(100, 'Cannot sort more than 100 articles'),
@@ -145,6 +338,22 @@ export const UpdateLLMSettingsRequestSchema = z.object({
   model: z.string().min(1).max(200).optional()
 });
 
+// POST /api/users
+export const CreateUserRequestSchema = z.object({
+  username: z.string().trim().min(1, 'Username is required').max(50, 'Username too long'),
+  password: z.string().min(8, 'Password must be at least 8 characters').max(200, 'Password too long'),
+  role: z.enum(['admin', 'user'])
+});
+
+// PATCH /api/users/:id
+export const UpdateUserRequestSchema = CreateUserRequestSchema.partial();
+
+// PUT /api/users/me/password
+export const ChangePasswordRequestSchema = z.object({
+  currentPassword: z.string().max(200).optional(),
+  password: z.string().min(8, 'Password must be at least 8 characters').max(200, 'Password too long')
+});
+
 // POST /api/feeds/import
 export const ImportOPMLRequestSchema = z.object({
   opml: z.string().min(1, 'OPML data is required')
@@ -1,9 +1,20 @@
 import {
   GetFeedsResponseSchema,
   GetArticlesResponseSchema,
+  UnreadCountsResponseSchema,
+  GetTagsResponseSchema,
+  AddArticleTagResponseSchema,
+  GetFoldersResponseSchema,
+  CreateFolderResponseSchema,
+  GetFilterRulesResponseSchema,
+  FilterRuleResponseSchema,
+  PreviewFilterRuleResponseSchema,
+  SearchArticlesResponseSchema,
   AISortResponseSchema,
   AIDigestResponseSchema,
   GetLLMSettingsResponseSchema,
+  GetUsersResponseSchema,
+  UserResponseSchema,
   SyncResultSchema,
   SyncProgressSchema,
   ImportResultSchema,
@@ -12,9 +23,17 @@ import {
   RenameFeedRequestSchema,
   UpdateReadStatusRequestSchema,
   UpdateSavedStatusRequestSchema,
+  TagNameRequestSchema,
+  CreateFolderRequestSchema,
+  UpdateFolderRequestSchema,
+  UpdateFeedFolderRequestSchema,
+  FilterRuleRequestSchema,
   AISortRequestSchema,
   AIDigestRequestSchema,
   UpdateLLMSettingsRequestSchema,
+  CreateUserRequestSchema,
+  UpdateUserRequestSchema,
+  ChangePasswordRequestSchema,
   ImportOPMLRequestSchema
 } from '../schemas/api.js';
 import { authHeaders, clearAuth } from './auth.js';
@@ -51,14 +70,14 @@ function validateResponse(data, schema, endpoint) {
 /**
  * Handle API response, checking for errors and validating data
  */
-async function handleAPIResponse(response, schema, endpoint) {
+async function handleAPIResponse(response, schema, endpoint, defaultError = 'Request failed') {
   if (!response.ok) {
     // On 401, clear stored credentials so the user is prompted to re-login
     if (response.status === 401) {
       clearAuth();
       window.dispatchEvent(new CustomEvent('auth:expired'));
     }
-    let errorMessage = 'Request failed';
+    let errorMessage = defaultError;
     try {
       const data = await response.json();
       errorMessage = data.error || errorMessage;
@@ -72,6 +91,24 @@ async function handleAPIResponse(response, schema, endpoint) {
   return schema ? validateResponse(data, schema, endpoint) : data;
 }
 
+/**
+ * Send an authenticated request and return the response data, with the same
+ * error and 401 handling as the client below (responses aren't validated)
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options; `json` is sent as a JSON body
+ * @param {string} [errorMessage] - Error message when the server gives none
+ * @returns {Promise<any>} Response data
+ */
+export async function apiRequest(url, { json, ...options } = {}, errorMessage) {
+  const response = await fetch(url, {
+    ...options,
+    headers: json === undefined ? authHeaders() : { ...authHeaders(), 'Content-Type': 'application/json' },
+    ...(json === undefined ? {} : { body: JSON.stringify(json) })
+  });
+  return handleAPIResponse(response, null, `${options.method || 'GET'} ${url}`, errorMessage);
+}
+
 /**
  * Validated API client
  * All methods validate requests before sending and validate responses after receiving
@@ -224,17 +261,47 @@ export const api = {
   // ============================================
 
   /**
-   * Get articles with optional filters
+   * Get one page of articles with optional filters
+   * Pass the returned nextCursor as `cursor` to get the following page
    */
-  async getArticles({ feedId, unreadOnly } = {}) {
+  async getArticles({ feedId, folderId, tagId, unreadOnly, savedOnly, limit, cursor } = {}) {
     const params = new URLSearchParams();
     if (feedId) params.append('feedId', feedId.toString());
+    if (folderId) params.append('folderId', folderId.toString());
+    if (tagId) params.append('tagId', tagId.toString());
     if (unreadOnly) params.append('unreadOnly', 'true');
+    if (savedOnly) params.append('savedOnly', 'true');
+    if (limit) params.append('limit', limit.toString());
+    if (cursor) params.append('cursor', cursor);
 
     const response = await fetch(`/api/articles?${params}`, { headers: authHeaders() });
     return handleAPIResponse(response, GetArticlesResponseSchema, 'GET /api/articles');
   },
 
+  /**
+   * Unread article counts, in total, per feed and per folder
+   */
+  async getUnreadCounts() {
+    const response = await fetch('/api/articles/unread-counts', { headers: authHeaders() });
+    return handleAPIResponse(response, UnreadCountsResponseSchema, 'GET /api/articles/unread-counts');
+  },
+
+  /**
+   * Full-text search over article titles and content
+   */
+  async searchArticles({ q, feedId, from, to, read, saved, limit } = {}) {
+    const params = new URLSearchParams({ q });
+    if (feedId) params.append('feedId', feedId.toString());
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    if (read !== undefined) params.append('read', String(read));
+    if (saved !== undefined) params.append('saved', String(saved));
+    if (limit) params.append('limit', limit.toString());
+
+    const response = await fetch(`/api/articles/search?${params}`, { headers: authHeaders() });
+    return handleAPIResponse(response, SearchArticlesResponseSchema, 'GET /api/articles/search');
+  },
+
   /**
    * Update article read status
    */
@@ -267,6 +334,214 @@ export const api = {
     return handleAPIResponse(response, SuccessResponseSchema, `PATCH /api/articles/${id}/saved`);
   },
 
+  // ============================================
+  // TAGS
+  // ============================================
+
+  /**
+   * Get all tags with their article counts
+   */
+  async getTags() {
+    const response = await fetch('/api/tags', { headers: authHeaders() });
+    return handleAPIResponse(response, GetTagsResponseSchema, 'GET /api/tags');
+  },
+
+  /**
+   * Tag an article (the tag is created if it doesn't exist yet)
+   */
+  async addArticleTag(articleId, name) {
+    // Validate request
+    const validatedData = TagNameRequestSchema.parse({ name });
+
+    const response = await fetch(`/api/articles/${articleId}/tags`, {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, AddArticleTagResponseSchema, `POST /api/articles/${articleId}/tags`);
+  },
+
+  /**
+   * Remove a tag from an article
+   */
+  async removeArticleTag(articleId, tagId) {
+    const response = await fetch(`/api/articles/${articleId}/tags/${tagId}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+    return handleAPIResponse(response, SuccessResponseSchema, `DELETE /api/articles/${articleId}/tags/${tagId}`);
+  },
+
+  /**
+   * Rename a tag
+   */
+  async renameTag(id, name) {
+    // Validate request
+    const validatedData = TagNameRequestSchema.parse({ name });
+
+    const response = await fetch(`/api/tags/${id}`, {
+      method: 'PATCH',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, SuccessResponseSchema, `PATCH /api/tags/${id}`);
+  },
+
+  /**
+   * Delete a tag (and remove it from all articles)
+   */
+  async deleteTag(id) {
+    const response = await fetch(`/api/tags/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+    return handleAPIResponse(response, SuccessResponseSchema, `DELETE /api/tags/${id}`);
+  },
+
+  // ============================================
+  // FOLDERS
+  // ============================================
+
+  /**
+   * Get all folders
+   */
+  async getFolders() {
+    const response = await fetch('/api/folders', { headers: authHeaders() });
+    return handleAPIResponse(response, GetFoldersResponseSchema, 'GET /api/folders');
+  },
+
+  /**
+   * Create a folder, at the top level or inside another folder
+   */
+  async createFolder(name, parentId = null) {
+    // Validate request
+    const validatedData = CreateFolderRequestSchema.parse({ name, parentId });
+
+    const response = await fetch('/api/folders', {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, CreateFolderResponseSchema, 'POST /api/folders');
+  },
+
+  /**
+   * Rename a folder and/or move it into another one (parentId null = top level)
+   */
+  async updateFolder(id, changes) {
+    // Validate request
+    const validatedData = UpdateFolderRequestSchema.parse(changes);
+
+    const response = await fetch(`/api/folders/${id}`, {
+      method: 'PATCH',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, SuccessResponseSchema, `PATCH /api/folders/${id}`);
+  },
+
+  /**
+   * Delete a folder (its feeds and subfolders move up a level)
+   */
+  async deleteFolder(id) {
+    const response = await fetch(`/api/folders/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+    return handleAPIResponse(response, SuccessResponseSchema, `DELETE /api/folders/${id}`);
+  },
+
+  /**
+   * Move a feed into a folder (null = top level)
+   */
+  async moveFeed(feedId, folderId) {
+    // Validate request
+    const validatedData = UpdateFeedFolderRequestSchema.parse({ folderId });
+
+    const response = await fetch(`/api/feeds/${feedId}/folder`, {
+      method: 'PUT',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, SuccessResponseSchema, `PUT /api/feeds/${feedId}/folder`);
+  },
+
+  // ============================================
+  // FILTER RULES
+  // ============================================
+
+  /**
+   * Get the user's filter rules
+   */
+  async getFilterRules() {
+    const response = await fetch('/api/filter-rules', { headers: authHeaders() });
+    return handleAPIResponse(response, GetFilterRulesResponseSchema, 'GET /api/filter-rules');
+  },
+
+  /**
+   * Add a filter rule for a feed (feedId null = all feeds)
+   */
+  async createFilterRule(rule) {
+    // Validate request
+    const validatedData = FilterRuleRequestSchema.parse(rule);
+
+    const response = await fetch('/api/filter-rules', {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, FilterRuleResponseSchema, 'POST /api/filter-rules');
+  },
+
+  /**
+   * Replace a filter rule
+   */
+  async updateFilterRule(id, rule) {
+    // Validate request
+    const validatedData = FilterRuleRequestSchema.parse(rule);
+
+    const response = await fetch(`/api/filter-rules/${id}`, {
+      method: 'PUT',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, FilterRuleResponseSchema, `PUT /api/filter-rules/${id}`);
+  },
+
+  /**
+   * Delete a filter rule
+   */
+  async deleteFilterRule(id) {
+    const response = await fetch(`/api/filter-rules/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+    return handleAPIResponse(response, SuccessResponseSchema, `DELETE /api/filter-rules/${id}`);
+  },
+
+  /**
+   * Which of the latest articles a rule would match
+   */
+  async previewFilterRule(rule) {
+    // Validate request
+    const validatedData = FilterRuleRequestSchema.parse(rule);
+
+    const response = await fetch('/api/filter-rules/preview', {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, PreviewFilterRuleResponseSchema, 'POST /api/filter-rules/preview');
+  },
+
   // ============================================
   // AI
   // ============================================
@@ -329,6 +604,85 @@ export const api = {
     });
 
     return handleAPIResponse(response, SuccessResponseSchema, 'POST /api/settings/llm');
+  },
+
+  // ============================================
+  // USERS
+  // ============================================
+
+  /**
+   * Get the signed-in user
+   */
+  async getCurrentUser() {
+    const response = await fetch('/api/users/me', { headers: authHeaders() });
+    return handleAPIResponse(response, UserResponseSchema, 'GET /api/users/me');
+  },
+
+  /**
+   * Change the signed-in user's password
+   */
+  async changePassword(currentPassword, password) {
+    // Validate request
+    const validatedData = ChangePasswordRequestSchema.parse({ currentPassword, password });
+
+    const response = await fetch('/api/users/me/password', {
+      method: 'PUT',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, SuccessResponseSchema, 'PUT /api/users/me/password');
+  },
+
+  /**
+   * Get all users (admins only)
+   */
+  async getUsers() {
+    const response = await fetch('/api/users', { headers: authHeaders() });
+    return handleAPIResponse(response, GetUsersResponseSchema, 'GET /api/users');
+  },
+
+  /**
+   * Create a user (admins only)
+   */
+  async createUser(username, password, role) {
+    // Validate request
+    const validatedData = CreateUserRequestSchema.parse({ username, password, role });
+
+    const response = await fetch('/api/users', {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, UserResponseSchema, 'POST /api/users');
+  },
+
+  /**
+   * Rename a user, reset their password or change their role (admins only)
+   */
+  async updateUser(id, changes) {
+    // Validate request
+    const validatedData = UpdateUserRequestSchema.parse(changes);
+
+    const response = await fetch(`/api/users/${id}`, {
+      method: 'PATCH',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(validatedData)
+    });
+
+    return handleAPIResponse(response, SuccessResponseSchema, `PATCH /api/users/${id}`);
+  },
+
+  /**
+   * Delete a user and everything they own (admins only)
+   */
+  async deleteUser(id) {
+    const response = await fetch(`/api/users/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+    return handleAPIResponse(response, SuccessResponseSchema, `DELETE /api/users/${id}`);
   }
 };
 
@@ -0,0 +1,129 @@
+// Checks of regular expressions in filter rules, as the server makes them
+// (see server/src/utils/regex.js): patterns that could take very long to
+// match, like (a+)+, (a|b)* or \w*\w*, backreferences and overlong patterns
+// are refused.
+
+export const MAX_REGEX_LENGTH = 200;
+
+// Characters that tell whether two repeated atoms can match the same text
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', '\u00a0', 'é', 'ß', 'Ж', '中', '😀'
+];
+
+// A quantifier at the start of `rest`, and the most times it repeats
+function quantifierAt(rest) {
+  if (rest[0] === '*' || rest[0] === '+') return { length: 1, max: Infinity };
+  if (rest[0] === '?') return { length: 1, max: 1 };
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(rest);
+  if (!braces) return null;
+  const max = braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+  return { length: braces[0].length, max };
+}
+
+// Length of the escape at the start of `rest` (`\d`, `\x41`, `A`, `\cA`)
+function escapeLength(rest) {
+  if (rest[1] === 'x' && /^\\x[0-9a-f]{2}/i.test(rest)) return 4;
+  if (rest[1] === 'u' && /^\\u[0-9a-f]{4}/i.test(rest)) return 6;
+  if (rest[1] === 'c' && /^\\c[a-z]/i.test(rest)) return 3;
+  return 2;
+}
+
+// Whether two single-character atoms (a character, escape, class or `.`)
+// match some character in common; groups can match anything
+function overlap(a, b) {
+  if (a === null || b === null) return true;
+  const [matchA, matchB] = [a, b].map(source => new RegExp(`^(?:${source})$`, 'i'));
+  return SAMPLE_CHARS.some(char => matchA.test(char) && matchB.test(char));
+}
+
+// Why a valid pattern could be slow to match, if it could
+function unsafeReason(pattern) {
+  // Groups being read; each records whether something in it repeats or it
+  // has alternatives, and the unbounded repeats in a row up to the current
+  // atom (optional or bounded ones in between don't end the row)
+  const newGroup = () => ({ repeats: false, alternatives: false, run: [] });
+  const groups = [newGroup()];
+  const current = () => groups[groups.length - 1];
+  // What a quantifier would apply to: the source of a single-character
+  // atom, or the group that just closed
+  let atom = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const quantifier = atom && quantifierAt(pattern.slice(i));
+
+    if (quantifier) {
+      const group = atom.group;
+      if (quantifier.max > 1) {
+        if (group?.repeats) return 'Repeating a group that repeats (like (a+)+) can make matching too slow';
+        if (group?.alternatives) return 'Repeating a group with alternatives (like (a|b)*) can make matching too slow';
+        current().repeats = true;
+      }
+      if (quantifier.max === Infinity) {
+        const source = group ? null : atom.source;
+        if (current().run.some(previous => overlap(previous, source))) {
+          return 'Repeats next to each other that match the same text (like \\w*\\w*) can make matching too slow';
+        }
+        current().run.push(source);
+      }
+      i += quantifier.length - 1;
+      // Lazy quantifier
+      if (pattern[i + 1] === '?') i++;
+      atom = null;
+      continue;
+    }
+
+    // Anything that isn't repeated ends a run of repeats
+    if (atom) current().run = [];
+    atom = null;
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) return 'Backreferences are not supported';
+      const length = escapeLength(pattern.slice(i));
+      atom = { source: pattern.slice(i, i + length) };
+      i += length - 1;
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      const start = i;
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+      atom = { source: pattern.slice(start, i + 1) };
+    } else if (char === '(') {
+      groups.push(newGroup());
+      // Skip (?: (?= (?! (?<= (?<! (?<name>
+      const prefix = /^\(\?(?::|=|!|<=|<!|<[^>]+>)/.exec(pattern.slice(i));
+      if (prefix) i += prefix[0].length - 1;
+    } else if (char === ')') {
+      const group = groups.pop();
+      if (group.repeats) current().repeats = true;
+      if (group.alternatives) current().alternatives = true;
+      atom = { group };
+    } else if (char === '|') {
+      current().alternatives = true;
+      current().run = [];
+    } else if (char === '^' || char === '$') {
+      current().run = [];
+    } else {
+      atom = { source: char === '.' ? '.' : char.replace(/[{}]/, '\\$&') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Why a pattern can't be used as a regular expression, if it can't
+ * @param {string} pattern
+ * @returns {string|null} - The problem, or null if the pattern is fine
+ */
+export function regexProblem(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) return 'Regular expression too long';
+  try {
+    new RegExp(pattern, 'i');
+  } catch {
+    return 'Invalid regular expression';
+  }
+  return unsafeReason(pattern);
+}
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { renderHook, act, waitFor } from '@testing-library/react';
-import { useArticles } from '../../../src/hooks/useArticles.js';
+import { renderHook, act } from '@testing-library/react';
+import { useArticles, PAGE_SIZE } from '../../../src/hooks/useArticles.js';
 
 describe('Article fetching (Integration)', () => {
   let fetchSpy;
@@ -13,58 +13,54 @@ describe('Article fetching (Integration)', () => {
     { id: 5, title: 'Article 5', is_read: false, is_saved: false, feed_id: 3 }
   ];
 
+  // A tiny paginated server: two articles per page, cursor = index of the next article
+  const respond = (url) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    if (pathname === '/api/articles/unread-counts') {
+      return { ok: true, json: async () => ({ total: 3, feeds: { 1: 1, 2: 1, 3: 1 } }) };
+    }
+
+    let filtered = mockArticles;
+    if (searchParams.get('unreadOnly') === 'true') filtered = filtered.filter(a => !a.is_read);
+    if (searchParams.get('savedOnly') === 'true') filtered = filtered.filter(a => a.is_saved);
+    const start = Number(searchParams.get('cursor') || 0);
+    const end = start + 2;
+    return {
+      ok: true,
+      json: async () => ({
+        articles: filtered.slice(start, end),
+        nextCursor: end < filtered.length ? String(end) : null
+      })
+    };
+  };
+
   beforeEach(() => {
-    fetchSpy = vi.spyOn(global, 'fetch');
+    fetchSpy = vi.spyOn(global, 'fetch').mockImplementation(async (url) => respond(url));
   });
 
   afterEach(() => {
     fetchSpy.mockRestore();
   });
 
-  it('should fetch filtered and all articles in parallel', async () => {
-    fetchSpy.mockImplementation((url) => {
-      // Both calls should be made
-      if (url === '/api/articles?unreadOnly=true') {
-        return Promise.resolve({
-          ok: true,
-          json: async () => mockArticles.filter(a => !a.is_read)
-        });
-      } else if (url === '/api/articles') {
-        return Promise.resolve({
-          ok: true,
-          json: async () => mockArticles
-        });
-      }
-    });
-
+  it('should fetch the first page and unread counts in parallel', async () => {
     const { result } = renderHook(() =>
       useArticles({ selectedFeed: null, showUnreadOnly: true, showSavedOnly: false })
     );
 
     // Both fetch calls should be made immediately (in parallel)
     expect(fetchSpy).toHaveBeenCalledTimes(2);
-    expect(fetchSpy).toHaveBeenCalledWith('/api/articles?unreadOnly=true', { headers: {} });
-    expect(fetchSpy).toHaveBeenCalledWith('/api/articles', { headers: {} });
+    expect(fetchSpy).toHaveBeenCalledWith(`/api/articles?unreadOnly=true&limit=${PAGE_SIZE}`, { headers: {} });
+    expect(fetchSpy).toHaveBeenCalledWith('/api/articles/unread-counts', { headers: {} });
 
     await act(async () => {
       await new Promise(resolve => setTimeout(resolve, 0));
     });
 
-    expect(result.current.articles.length).toBeGreaterThan(0);
-    expect(result.current.allArticles.length).toBeGreaterThan(0);
+    expect(result.current.articles.map(a => a.id)).toEqual([1, 3]);
+    expect(result.current.unreadCounts).toEqual({ total: 3, 1: 1, 2: 1, 3: 1 });
   });
 
-  it('should update both articles and allArticles state correctly', async () => {
-    fetchSpy
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles.filter(a => !a.is_read)
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      });
-
+  it('should page through every unread article', async () => {
     const { result } = renderHook(() =>
       useArticles({ selectedFeed: null, showUnreadOnly: true, showSavedOnly: false })
     );
@@ -73,50 +69,17 @@ describe('Article fetching (Integration)', () => {
       await new Promise(resolve => setTimeout(resolve, 0));
     });
 
-    // articles should have filtered results
-    expect(result.current.articles).toEqual(mockArticles.filter(a => !a.is_read));
-
-    // allArticles should have all articles
-    expect(result.current.allArticles).toEqual(mockArticles);
-  });
-
-  it('should apply unread filter correctly', async () => {
-    const unreadArticles = mockArticles.filter(a => !a.is_read);
-
-    fetchSpy
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => unreadArticles
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
+    while (result.current.hasMore) {
+      await act(async () => {
+        await result.current.loadMore();
       });
+    }
 
-    const { result } = renderHook(() =>
-      useArticles({ selectedFeed: null, showUnreadOnly: true, showSavedOnly: false })
-    );
-
-    await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    });
-
-    // Should only have unread articles
     expect(result.current.articles.every(a => !a.is_read)).toBe(true);
-    expect(result.current.articles.length).toBe(3); // 3 unread articles
+    expect(result.current.articles.map(a => a.id)).toEqual([1, 3, 5]);
   });
 
-  it('should apply saved filter correctly (client-side)', async () => {
-    fetchSpy
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      });
-
+  it('should apply the saved filter on the server', async () => {
     const { result } = renderHook(() =>
       useArticles({ selectedFeed: null, showUnreadOnly: false, showSavedOnly: true })
     );
@@ -125,7 +88,6 @@ describe('Article fetching (Integration)', () => {
       await new Promise(resolve => setTimeout(resolve, 0));
     });
 
-    // Should only have saved articles (client-side filter)
     expect(result.current.articles.every(a => a.is_saved)).toBe(true);
     expect(result.current.articles.length).toBe(2); // 2 saved articles
   });
@@ -133,10 +95,7 @@ describe('Article fetching (Integration)', () => {
   it('should handle fetch errors gracefully', async () => {
     const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
 
-    // Mock both parallel fetch calls to reject
-    fetchSpy
-      .mockRejectedValueOnce(new Error('Network error'))
-      .mockRejectedValueOnce(new Error('Network error'));
+    fetchSpy.mockRejectedValue(new Error('Network error'));
 
     const { result } = renderHook(() =>
       useArticles({ selectedFeed: null, showUnreadOnly: false, showSavedOnly: false })
@@ -16,89 +16,73 @@ describe('State synchronization (Integration)', () => {
     fetchSpy.mockRestore();
   });
 
-  it('should keep articles and allArticles in sync when marking as read', async () => {
+  it('should keep articles and unread counts in sync when marking as read', async () => {
     const articles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false },
-      { id: 2, title: 'Article 2', is_read: false, is_saved: false }
-    ];
-    const allArticles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false },
-      { id: 2, title: 'Article 2', is_read: false, is_saved: false },
-      { id: 3, title: 'Article 3', is_read: false, is_saved: false }
+      { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 },
+      { id: 2, title: 'Article 2', is_read: false, is_saved: false, feed_id: 1 }
     ];
 
     const setArticles = vi.fn();
-    const setAllArticles = vi.fn();
+    const setUnreadCounts = vi.fn();
 
     const { result } = renderHook(() =>
-      useArticleOperations({ articles, setArticles, allArticles, setAllArticles })
+      useArticleOperations({ articles, setArticles, setUnreadCounts })
     );
 
     await act(async () => {
       await result.current.markAsRead(1, true);
     });
 
-    // Both setArticles and setAllArticles should be called
+    // Both setArticles and setUnreadCounts should be called
     expect(setArticles).toHaveBeenCalled();
-    expect(setAllArticles).toHaveBeenCalled();
+    expect(setUnreadCounts).toHaveBeenCalled();
 
-    // Verify the updates mark article 1 as read in both arrays
+    // Verify the updates mark article 1 as read and count it
     const articlesUpdate = setArticles.mock.calls[0][0];
-    const allArticlesUpdate = setAllArticles.mock.calls[0][0];
+    const countsUpdate = setUnreadCounts.mock.calls[0][0];
 
     expect(articlesUpdate(articles)[0].is_read).toBe(true);
-    expect(allArticlesUpdate(allArticles)[0].is_read).toBe(true);
+    expect(countsUpdate({ total: 2, 1: 2 })).toEqual({ total: 1, 1: 1 });
   });
 
-  it('should keep articles and allArticles in sync when toggling saved', async () => {
+  it('should update only articles when toggling saved', async () => {
     const articles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false },
-      { id: 2, title: 'Article 2', is_read: false, is_saved: false }
-    ];
-    const allArticles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false },
-      { id: 2, title: 'Article 2', is_read: false, is_saved: false },
-      { id: 3, title: 'Article 3', is_read: false, is_saved: false }
+      { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 },
+      { id: 2, title: 'Article 2', is_read: false, is_saved: false, feed_id: 1 }
     ];
 
     const setArticles = vi.fn();
-    const setAllArticles = vi.fn();
+    const setUnreadCounts = vi.fn();
 
     const { result } = renderHook(() =>
-      useArticleOperations({ articles, setArticles, allArticles, setAllArticles })
+      useArticleOperations({ articles, setArticles, setUnreadCounts })
     );
 
     await act(async () => {
       await result.current.toggleSaved(1, true);
     });
 
-    // Both should be called
     expect(setArticles).toHaveBeenCalled();
-    expect(setAllArticles).toHaveBeenCalled();
+    expect(setUnreadCounts).not.toHaveBeenCalled();
 
-    // Verify the updates toggle saved status in both arrays
     const articlesUpdate = setArticles.mock.calls[0][0];
-    const allArticlesUpdate = setAllArticles.mock.calls[0][0];
-
     expect(articlesUpdate(articles)[0].is_saved).toBe(true);
-    expect(allArticlesUpdate(allArticles)[0].is_saved).toBe(true);
   });
 
   it('should handle rapid state changes correctly', async () => {
     const articles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false },
-      { id: 2, title: 'Article 2', is_read: false, is_saved: false },
-      { id: 3, title: 'Article 3', is_read: false, is_saved: false },
-      { id: 4, title: 'Article 4', is_read: false, is_saved: false },
-      { id: 5, title: 'Article 5', is_read: false, is_saved: false }
+      { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 },
+      { id: 2, title: 'Article 2', is_read: false, is_saved: false, feed_id: 1 },
+      { id: 3, title: 'Article 3', is_read: false, is_saved: false, feed_id: 2 },
+      { id: 4, title: 'Article 4', is_read: false, is_saved: false, feed_id: 2 },
+      { id: 5, title: 'Article 5', is_read: false, is_saved: false, feed_id: 3 }
     ];
-    const allArticles = [...articles];
 
     const setArticles = vi.fn();
-    const setAllArticles = vi.fn();
+    const setUnreadCounts = vi.fn();
 
     const { result } = renderHook(() =>
-      useArticleOperations({ articles, setArticles, allArticles, setAllArticles })
+      useArticleOperations({ articles, setArticles, setUnreadCounts })
     );
 
     // Mark all articles as read rapidly
@@ -114,47 +98,40 @@ describe('State synchronization (Integration)', () => {
 
     // All updates should be applied
     expect(setArticles).toHaveBeenCalledTimes(5);
-    expect(setAllArticles).toHaveBeenCalledTimes(5);
+    expect(setUnreadCounts).toHaveBeenCalledTimes(5);
 
     // Verify each update was correct
     for (let i = 0; i < 5; i++) {
       const articlesUpdate = setArticles.mock.calls[i][0];
-      const allArticlesUpdate = setAllArticles.mock.calls[i][0];
       expect(articlesUpdate(articles)[i].is_read).toBe(true);
-      expect(allArticlesUpdate(allArticles)[i].is_read).toBe(true);
     }
+
+    // Applied in sequence, the count updates add up
+    const counts = setUnreadCounts.mock.calls.reduce(
+      (current, [update]) => update(current),
+      { total: 5, 1: 2, 2: 2, 3: 1 }
+    );
+    expect(counts).toEqual({ total: 0, 1: 0, 2: 0, 3: 0 });
   });
 
-  it('should update unread counts when articles change', async () => {
+  it('should count articles back as unread', async () => {
     const articles = [
-      { id: 1, title: 'Article 1', is_read: false, feed_id: 1 },
-      { id: 2, title: 'Article 2', is_read: false, feed_id: 2 },
-      { id: 3, title: 'Article 3', is_read: false, feed_id: 1 }
+      { id: 1, title: 'Article 1', is_read: true, feed_id: 1 },
+      { id: 2, title: 'Article 2', is_read: false, feed_id: 2 }
     ];
-    const allArticles = [...articles];
 
     const setArticles = vi.fn();
-    const setAllArticles = vi.fn();
+    const setUnreadCounts = vi.fn();
 
     const { result } = renderHook(() =>
-      useArticleOperations({ articles, setArticles, allArticles, setAllArticles })
+      useArticleOperations({ articles, setArticles, setUnreadCounts })
     );
 
-    // Mark article 1 as read
     await act(async () => {
-      await result.current.markAsRead(1, true);
+      await result.current.markAsRead(1, false);
     });
 
-    // Verify the state updater functions preserve feed_id
-    const articlesUpdate = setArticles.mock.calls[0][0];
-    const allArticlesUpdate = setAllArticles.mock.calls[0][0];
-
-    const updatedArticles = articlesUpdate(articles);
-    const updatedAllArticles = allArticlesUpdate(allArticles);
-
-    expect(updatedArticles[0].is_read).toBe(true);
-    expect(updatedArticles[0].feed_id).toBe(1); // feed_id preserved
-    expect(updatedAllArticles[0].is_read).toBe(true);
-    expect(updatedAllArticles[0].feed_id).toBe(1); // feed_id preserved
+    const countsUpdate = setUnreadCounts.mock.calls[0][0];
+    expect(countsUpdate({ total: 1, 2: 1 })).toEqual({ total: 2, 1: 1, 2: 1 });
   });
 });
@@ -45,8 +45,17 @@ const mockArticles = [
   },
 ];
 
+const mockOwner = {
+  id: 1,
+  username: 'admin',
+  role: 'admin',
+  has_password: false,
+  created_at: '2025-01-01T00:00:00.000Z',
+};
+
 let feedsData = [...mockFeeds];
 let articlesData = [...mockArticles];
+let lastActionId = 0;
 
 // Handlers
 export const handlers = [
@@ -72,7 +81,7 @@ export const handlers = [
     const id = parseInt(params.id);
     feedsData = feedsData.filter(f => f.id !== id);
     articlesData = articlesData.filter(a => a.feed_id !== id);
-    return HttpResponse.json({ success: true });
+    return HttpResponse.json({ success: true, actionId: ++lastActionId });
   }),
 
   // PATCH /api/feeds/:id - Rename feed
@@ -137,13 +146,13 @@ ${feedsData.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${
     const encoder = new TextEncoder();
     const stream = new ReadableStream({
       async start(controller) {
-        const progress = { type: 'progress', synced: 1, failed: 0, completed: 1, total: 2 };
+        const progress = { type: 'progress', synced: 1, unchanged: 0, failed: 0, completed: 1, total: 2 };
         controller.enqueue(encoder.encode(JSON.stringify(progress) + '\n'));
 
-        const progress2 = { type: 'progress', synced: 2, failed: 0, completed: 2, total: 2 };
+        const progress2 = { type: 'progress', synced: 2, unchanged: 1, failed: 0, completed: 2, total: 2 };
         controller.enqueue(encoder.encode(JSON.stringify(progress2) + '\n'));
 
-        const complete = { type: 'complete', synced: 2, failed: 0, total: 2 };
+        const complete = { type: 'complete', synced: 2, unchanged: 1, failed: 0, total: 2 };
         controller.enqueue(encoder.encode(JSON.stringify(complete) + '\n'));
 
         controller.close();
@@ -175,7 +184,31 @@ ${feedsData.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${
       filtered = filtered.filter(a => !a.is_read);
     }
 
-    return HttpResponse.json(filtered);
+    if (url.searchParams.get('savedOnly') === 'true') {
+      filtered = filtered.filter(a => a.is_saved);
+    }
+
+    return HttpResponse.json({ articles: filtered, nextCursor: null });
+  }),
+
+  // GET /api/articles/unread-counts - Unread counts in total, per feed and per folder
+  http.get('/api/articles/unread-counts', () => {
+    const feeds = {};
+    articlesData.filter(a => !a.is_read).forEach(a => {
+      feeds[a.feed_id] = (feeds[a.feed_id] || 0) + 1;
+    });
+    return HttpResponse.json({ total: Object.values(feeds).reduce((sum, n) => sum + n, 0), feeds, folders: {} });
+  }),
+
+  // PATCH /api/articles/state - Set read/saved state on many articles
+  http.patch('/api/articles/state', async ({ request }) => {
+    const { ids, isRead, isSaved } = await request.json();
+    const updated = articlesData.filter(a => ids?.includes(a.id));
+    updated.forEach(article => {
+      if (isRead !== undefined) article.is_read = isRead;
+      if (isSaved !== undefined) article.is_saved = isSaved;
+    });
+    return HttpResponse.json({ updated: updated.map(a => a.id), actionId: updated.length ? ++lastActionId : null });
   }),
 
   // PATCH /api/articles/:id/read - Mark as read/unread
@@ -186,7 +219,7 @@ ${feedsData.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${
     if (article) {
       article.is_read = body.isRead;
     }
-    return HttpResponse.json({ success: true });
+    return HttpResponse.json({ success: true, actionId: ++lastActionId });
   }),
 
   // PATCH /api/articles/:id/saved - Toggle saved status
@@ -197,7 +230,32 @@ ${feedsData.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${
     if (article) {
       article.is_saved = body.isSaved;
     }
-    return HttpResponse.json({ success: true });
+    return HttpResponse.json({ success: true, actionId: ++lastActionId });
+  }),
+
+  // GET /api/tags - Tags with article counts
+  http.get('/api/tags', () => {
+    return HttpResponse.json([]);
+  }),
+
+  // GET /api/annotations - Highlights and notes
+  http.get('/api/annotations', () => {
+    return HttpResponse.json([]);
+  }),
+
+  // GET /api/filter-rules - Filter rules for new articles
+  http.get('/api/filter-rules', () => {
+    return HttpResponse.json([]);
+  }),
+
+  // POST /api/actions/:id/undo - Undo a logged action
+  http.post('/api/actions/:id/undo', ({ params }) => {
+    return HttpResponse.json({ id: parseInt(params.id), type: 'state', created_at: new Date().toISOString(), undone: true });
+  }),
+
+  // GET /api/folders - Feed folders
+  http.get('/api/folders', () => {
+    return HttpResponse.json([]);
   }),
 
   // POST /api/ai/sort - AI sort articles
@@ -232,6 +290,15 @@ ${feedsData.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${
   }),
 
   // GET /api/settings/llm - Get LLM settings
+  http.get('/api/settings/retention', () => {
+    return HttpResponse.json({
+      maxCount: 200,
+      readMaxAgeDays: 30,
+      unreadMaxAgeDays: 60,
+      neverDelete: false,
+    });
+  }),
+
   http.get('/api/settings/llm', () => {
     return HttpResponse.json({
       provider: 'openai',
@@ -247,6 +314,16 @@ ${feedsData.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${
     return HttpResponse.json({ success: true });
   }),
 
+  // GET /api/users/me - The signed-in user (a fresh install's owner)
+  http.get('/api/users/me', () => {
+    return HttpResponse.json(mockOwner);
+  }),
+
+  // GET /api/users - List users (admins only)
+  http.get('/api/users', () => {
+    return HttpResponse.json([mockOwner]);
+  }),
+
   // GET /api/image-proxy - Proxy image requests
   http.get('/api/image-proxy', () => {
     // Return a mock image response
@@ -34,6 +34,100 @@ describe('ArticleCard', () => {
     expect(screen.getByText(/This is test content/)).toBeInTheDocument();
   });
 
+  it('should render search highlights and snippet instead of content', () => {
+    const { container } = render(
+      <ArticleCard
+        {...defaultProps}
+        article={{
+          ...mockArticle,
+          title_highlight: '<mark>Test</mark> Article',
+          snippet: 'matched <mark>test</mark> snippet<img src=x onerror="alert(1)">'
+        }}
+      />
+    );
+
+    const marks = container.querySelectorAll('mark');
+    expect(marks).toHaveLength(2);
+    expect(marks[0].textContent).toBe('Test');
+    expect(container.querySelector('.search-snippet').textContent).toBe('matched test snippet');
+    expect(container.querySelector('img')).toBeNull();
+    expect(screen.queryByText(/This is test content/)).not.toBeInTheDocument();
+  });
+
+  it('should list the other feeds carrying the same story', () => {
+    render(
+      <ArticleCard
+        {...defaultProps}
+        article={{
+          ...mockArticle,
+          also_in: [
+            { id: 7, feed_id: 2, feed_title: 'Feed A' },
+            { id: 9, feed_id: 3, feed_title: 'Feed B' }
+          ]
+        }}
+      />
+    );
+
+    expect(screen.getByText(/also in Feed A, Feed B/)).toBeInTheDocument();
+  });
+
+  it('should show tags with a remove button', async () => {
+    const user = userEvent.setup();
+    const onRemoveTag = vi.fn();
+    render(
+      <ArticleCard
+        {...defaultProps}
+        article={{ ...mockArticle, tags: [{ id: 4, name: 'Research' }] }}
+        onRemoveTag={onRemoveTag}
+      />
+    );
+
+    expect(screen.getByText('Research')).toBeInTheDocument();
+    await user.click(screen.getByTitle('Remove tag "Research"'));
+
+    expect(onRemoveTag).toHaveBeenCalledWith(1, 4);
+    expect(defaultProps.onClick).not.toHaveBeenCalled();
+  });
+
+  it('should call onAddTag when the tag button is clicked', async () => {
+    const user = userEvent.setup();
+    const onAddTag = vi.fn();
+    render(<ArticleCard {...defaultProps} onAddTag={onAddTag} />);
+
+    await user.click(screen.getByTitle('Add tag'));
+
+    expect(onAddTag).toHaveBeenCalledWith(1);
+  });
+
+  it('should show highlights and notes', () => {
+    render(
+      <ArticleCard
+        {...defaultProps}
+        article={{
+          ...mockArticle,
+          annotations: [
+            { id: 1, quote: 'A passage worth keeping', note: '', created_at: '2024-01-16T10:00:00Z', updated_at: '2024-01-16T10:00:00Z' },
+            { id: 2, quote: null, note: 'Follow up on this', created_at: '2024-01-17T10:00:00Z', updated_at: '2024-01-17T10:00:00Z' }
+          ]
+        }}
+      />
+    );
+
+    expect(screen.getByText('A passage worth keeping').tagName).toBe('BLOCKQUOTE');
+    expect(screen.getByText('Follow up on this')).toBeInTheDocument();
+  });
+
+  it('should call onAnnotate when the note button is clicked', async () => {
+    const user = userEvent.setup();
+    const onAnnotate = vi.fn();
+    render(<ArticleCard {...defaultProps} onAnnotate={onAnnotate} />);
+
+    await user.click(screen.getByTitle('Highlight selected text or add a note'));
+
+    expect(onAnnotate).toHaveBeenCalledWith(1);
+    expect(defaultProps.onClick).not.toHaveBeenCalled();
+  });
+
   it('should apply read class when article is read', () => {
     const { container } = render(
       <ArticleCard {...defaultProps} article={{ ...mockArticle, is_read: true }} />
@@ -60,6 +154,32 @@ describe('ArticleCard', () => {
     expect(defaultProps.onClick).toHaveBeenCalledTimes(1);
   });
 
+  it('should show the full article on request', async () => {
+    const user = userEvent.setup();
+    const onClick = vi.fn();
+    const { container } = render(
+      <ArticleCard
+        {...defaultProps}
+        onClick={onClick}
+        article={{ ...mockArticle, full_content: '<p>The <b>whole</b> story.</p><script>alert(1)</script>' }}
+      />
+    );
+
+    expect(container.querySelector('.article-full-content')).not.toBeInTheDocument();
+    await user.click(screen.getByText('Show full article'));
+
+    expect(container.querySelector('.article-full-content').innerHTML).toBe('<p>The <b>whole</b> story.</p>');
+    expect(screen.getByText('Hide full article')).toHaveAttribute('aria-expanded', 'true');
+    // Reading the article doesn't open its page
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('should not offer the full article when there is none', () => {
+    render(<ArticleCard {...defaultProps} />);
+
+    expect(screen.queryByText('Show full article')).not.toBeInTheDocument();
+  });
+
   it('should call onToggleSaved when save button is clicked', async () => {
     const user = userEvent.setup();
     render(<ArticleCard {...defaultProps} />);
@@ -148,4 +268,33 @@ describe('ArticleCard', () => {
 
     expect(container.querySelector('.save-btn.saved')).toBeInTheDocument();
   });
+
+  it('should play episodes with a media enclosure', async () => {
+    const user = userEvent.setup();
+    const onPlay = vi.fn();
+    const onClick = vi.fn();
+    const episode = {
+      ...mockArticle,
+      enclosure: { url: 'https://example.com/ep.mp3', type: 'audio/mpeg', length: 1000, duration: 3900 }
+    };
+    render(<ArticleCard {...defaultProps} article={episode} onPlay={onPlay} onClick={onClick} />);
+
+    expect(screen.getByText(/1 h 5 min/)).toBeInTheDocument();
+    await user.click(screen.getByLabelText(`Play ${mockArticle.title}`));
+
+    expect(onPlay).toHaveBeenCalledWith(episode);
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('should not offer to play enclosures that are not media', () => {
+    render(
+      <ArticleCard
+        {...defaultProps}
+        article={{ ...mockArticle, enclosure: { url: 'https://example.com/slides.pdf', type: 'application/pdf', length: null, duration: null } }}
+        onPlay={vi.fn()}
+      />
+    );
+
+    expect(screen.queryByTitle('Play episode')).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import ArticleList from '../../../src/components/ArticleList.jsx';
+
+// Observers created by the list, so tests can report the sentinel as visible
+let observers = [];
+
+class MockIntersectionObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.elements = [];
+    observers.push(this);
+  }
+  observe(element) {
+    this.elements.push(element);
+  }
+  disconnect() {}
+  unobserve() {}
+}
+
+global.IntersectionObserver = MockIntersectionObserver;
+Element.prototype.scrollIntoView = vi.fn();
+
+const article = (id) => ({
+  id,
+  title: `Article ${id}`,
+  content: `Content ${id}`,
+  is_read: false,
+  is_saved: false,
+  link: `http://example.com/${id}`,
+  pub_date: '2024-01-01',
+  feed_id: 1,
+  feed_title: 'Feed 1'
+});
+
+// Report the load-more sentinel as scrolled into view
+function revealSentinel(container) {
+  const sentinel = container.querySelector('.load-more');
+  act(() => {
+    observers
+      .filter(observer => observer.elements.includes(sentinel))
+      .forEach(observer => observer.callback([{ target: sentinel, isIntersecting: true }]));
+  });
+}
+
+describe('ArticleList', () => {
+  beforeEach(() => {
+    observers = [];
+  });
+
+  it('should load the next page when the end of the list scrolls into view', () => {
+    const onLoadMore = vi.fn();
+    const { container } = render(
+      <ArticleList
+        articles={[article(1), article(2)]}
+        onMarkAsRead={vi.fn()}
+        onToggleSaved={vi.fn()}
+        categories={null}
+        hasMore
+        onLoadMore={onLoadMore}
+      />
+    );
+
+    expect(onLoadMore).not.toHaveBeenCalled();
+    revealSentinel(container);
+    expect(onLoadMore).toHaveBeenCalledTimes(1);
+  });
+
+  it('should show progress while the next page loads', () => {
+    render(
+      <ArticleList
+        articles={[article(1)]}
+        onMarkAsRead={vi.fn()}
+        onToggleSaved={vi.fn()}
+        categories={null}
+        hasMore
+        loadingMore
+        onLoadMore={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Loading more articles...')).toBeInTheDocument();
+  });
+
+  it('should not render the sentinel on the last page', () => {
+    const { container } = render(
+      <ArticleList
+        articles={[article(1)]}
+        onMarkAsRead={vi.fn()}
+        onToggleSaved={vi.fn()}
+        categories={null}
+        hasMore={false}
+        onLoadMore={vi.fn()}
+      />
+    );
+
+    expect(container.querySelector('.load-more')).toBeNull();
+  });
+
+  it('should highlight the text selected in the article', () => {
+    const onAddAnnotation = vi.fn();
+    const { container } = render(
+      <ArticleList
+        articles={[article(1), article(2)]}
+        onMarkAsRead={vi.fn()}
+        onToggleSaved={vi.fn()}
+        onAddAnnotation={onAddAnnotation}
+        categories={null}
+      />
+    );
+    const content = container.querySelector('[data-article-id="2"] .article-content');
+    window.getSelection().selectAllChildren(content);
+    vi.spyOn(window, 'prompt').mockReturnValue(' Worth a look ');
+
+    screen.getAllByTitle('Highlight selected text or add a note')[1].click();
+
+    expect(window.prompt).toHaveBeenCalledWith(expect.stringContaining('Content 2'));
+    expect(onAddAnnotation).toHaveBeenCalledWith(2, { quote: 'Content 2...', note: 'Worth a look' });
+
+    // Text selected in another article isn't a highlight of this one
+    screen.getAllByTitle('Highlight selected text or add a note')[0].click();
+
+    expect(onAddAnnotation).toHaveBeenLastCalledWith(1, { quote: undefined, note: 'Worth a look' });
+    window.getSelection().removeAllRanges();
+  });
+});
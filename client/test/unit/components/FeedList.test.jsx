@@ -82,7 +82,7 @@ describe('FeedList', () => {
     const user = userEvent.setup();
     render(<FeedList {...defaultProps} />);
 
-    const input = screen.getByPlaceholderText('RSS feed URL or YouTube channel URL');
+    const input = screen.getByPlaceholderText('Feed, website or YouTube channel URL');
     await user.type(input, 'https://newfeed.com/rss');
     await user.keyboard('{Enter}');
 
@@ -93,13 +93,36 @@ describe('FeedList', () => {
     const user = userEvent.setup();
     render(<FeedList {...defaultProps} />);
 
-    const input = screen.getByPlaceholderText('RSS feed URL or YouTube channel URL');
+    const input = screen.getByPlaceholderText('Feed, website or YouTube channel URL');
     await user.type(input, 'https://newfeed.com/rss');
     await user.click(screen.getByTitle('Add feed'));
 
     expect(input.value).toBe('');
   });
 
+  it('should let the user pick one of a website\'s feeds', async () => {
+    const user = userEvent.setup();
+    const onAddFeed = vi.fn()
+      .mockResolvedValueOnce([
+        { url: 'https://example.com/feed.xml', title: 'Posts', type: 'application/rss+xml' },
+        { url: 'https://example.com/comments.xml', title: null, type: 'application/rss+xml' }
+      ])
+      .mockResolvedValueOnce(true);
+    render(<FeedList {...defaultProps} onAddFeed={onAddFeed} />);
+
+    await user.type(screen.getByPlaceholderText('Feed, website or YouTube channel URL'), 'https://example.com{Enter}');
+
+    expect(await screen.findByText(/This website has several feeds/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'https://example.com/comments.xml' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Posts' }));
+
+    expect(onAddFeed).toHaveBeenLastCalledWith('https://example.com/feed.xml');
+    await waitFor(() => {
+      expect(screen.queryByText(/This website has several feeds/)).not.toBeInTheDocument();
+    });
+  });
+
   it('should not add empty feed URL', async () => {
     const user = userEvent.setup();
     render(<FeedList {...defaultProps} />);
@@ -151,6 +174,18 @@ describe('FeedList', () => {
     expect(savedFeeds.closest('.feed-item')).toHaveClass('active');
   });
 
+  it('should open the Notes view', async () => {
+    const user = userEvent.setup();
+    const onSelectNotes = vi.fn();
+    render(<FeedList {...defaultProps} showNotes={true} onSelectNotes={onSelectNotes} />);
+
+    await user.click(screen.getByText('Notes'));
+
+    expect(onSelectNotes).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('Notes').closest('.feed-item')).toHaveClass('active');
+    expect(screen.getByText('All Feeds').closest('.feed-item')).not.toHaveClass('active');
+  });
+
   it('should enter edit mode on double click', async () => {
     const user = userEvent.setup();
     render(<FeedList {...defaultProps} />);
@@ -211,6 +246,60 @@ describe('FeedList', () => {
     expect(defaultProps.onRenameFeed).not.toHaveBeenCalled();
   });
 
+  it('should show when a feed was synced and is due next', () => {
+    const feeds = [{
+      ...defaultProps.feeds[0],
+      last_sync_at: '2025-01-01T10:00:00.000Z',
+      next_sync_at: '2025-01-01T10:15:00.000Z'
+    }];
+    render(<FeedList {...defaultProps} feeds={feeds} />);
+
+    expect(screen.getByText('Tech Feed')).toHaveAttribute('title', expect.stringMatching(/^Last synced .+, next sync .+$/));
+  });
+
+  it('should only flag feeds that are failing to sync', () => {
+    const feeds = [
+      { ...defaultProps.feeds[0], sync_failures: 3, last_error: 'HTTP 404 Not Found', last_status: 404 },
+      { ...defaultProps.feeds[1], sync_failures: 0 }
+    ];
+    render(<FeedList {...defaultProps} feeds={feeds} />);
+
+    expect(screen.getByRole('button', { name: 'Tech Feed is failing to sync' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'News Feed is failing to sync' })).not.toBeInTheDocument();
+  });
+
+  it('should show why a feed is failing and retry it', async () => {
+    const user = userEvent.setup();
+    const onSelectFeed = vi.fn();
+    const onSyncFeed = vi.fn().mockResolvedValue(true);
+    const feeds = [{
+      ...defaultProps.feeds[0],
+      sync_failures: 3,
+      last_error: 'HTTP 404 Not Found',
+      last_status: 404,
+      last_success_at: null,
+      items_per_day: 1.5
+    }];
+    render(<FeedList {...defaultProps} feeds={feeds} onSelectFeed={onSelectFeed} onSyncFeed={onSyncFeed} />);
+
+    await user.click(screen.getByRole('button', { name: 'Tech Feed is failing to sync' }));
+
+    const popover = screen.getByRole('dialog', { name: 'Sync problems with Tech Feed' });
+    expect(popover).toHaveTextContent('HTTP 404 Not Found');
+    expect(popover).toHaveTextContent('HTTP status404');
+    expect(popover).toHaveTextContent('Failed syncs in a row3');
+    expect(popover).toHaveTextContent('Last successful syncNever');
+    expect(popover).toHaveTextContent('Articles per day1.5');
+
+    await user.click(screen.getByRole('button', { name: 'Retry' }));
+
+    expect(onSyncFeed).toHaveBeenCalledWith(1);
+    expect(onSelectFeed).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
   it('should apply open class when sidebar is open', () => {
     const { container } = render(<FeedList {...defaultProps} sidebarOpen={true} />);
 
@@ -249,6 +338,160 @@ describe('FeedList', () => {
     expect(screen.queryByText('0')).not.toBeInTheDocument();
   });
 
+  describe('tags', () => {
+    const tagProps = {
+      tags: [
+        { id: 3, name: 'Research', count: 2 },
+        { id: 4, name: 'Work', count: 0 }
+      ],
+      onSelectTag: vi.fn(),
+      onRenameTag: vi.fn(),
+      onDeleteTag: vi.fn()
+    };
+
+    it('should list tags with their article counts', () => {
+      render(<FeedList {...defaultProps} {...tagProps} />);
+
+      expect(screen.getByText('Tags')).toBeInTheDocument();
+      const research = screen.getByText('Research').closest('.feed-item');
+      expect(research).toHaveTextContent('2');
+      expect(screen.getByText('Work').closest('.feed-item').querySelector('.unread-count')).toBeNull();
+    });
+
+    it('should not show the Tags section without tags', () => {
+      render(<FeedList {...defaultProps} />);
+
+      expect(screen.queryByText('Tags')).not.toBeInTheDocument();
+    });
+
+    it('should select a tag and mark it active', async () => {
+      const user = userEvent.setup();
+      const { rerender } = render(<FeedList {...defaultProps} {...tagProps} />);
+
+      await user.click(screen.getByText('Research'));
+      expect(tagProps.onSelectTag).toHaveBeenCalledWith(3);
+
+      rerender(<FeedList {...defaultProps} {...tagProps} selectedTag={3} />);
+      expect(screen.getByText('Research').closest('.feed-item')).toHaveClass('active');
+      expect(screen.getByText('All Feeds').closest('.feed-item')).not.toHaveClass('active');
+    });
+
+    it('should rename a tag on double click', async () => {
+      const user = userEvent.setup();
+      render(<FeedList {...defaultProps} {...tagProps} />);
+
+      await user.dblClick(screen.getByText('Research'));
+      const input = screen.getByDisplayValue('Research');
+      await user.clear(input);
+      await user.type(input, 'Reading');
+      await user.keyboard('{Enter}');
+
+      expect(tagProps.onRenameTag).toHaveBeenCalledWith(3, 'Reading');
+    });
+
+    it('should delete a tag', async () => {
+      const user = userEvent.setup();
+      render(<FeedList {...defaultProps} {...tagProps} />);
+
+      await user.click(screen.getAllByTitle('Delete tag')[1]);
+
+      expect(tagProps.onDeleteTag).toHaveBeenCalledWith(4);
+      expect(tagProps.onSelectTag).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('folders', () => {
+    const folderProps = {
+      feeds: [
+        { id: 1, title: 'Tech Feed', url: 'https://example.com/feed', folder_id: 11 },
+        { id: 2, title: 'News Feed', url: 'https://news.com/feed', folder_id: null }
+      ],
+      folders: [
+        { id: 10, name: 'Reading', parent_id: null },
+        { id: 11, name: 'Tech', parent_id: 10 }
+      ],
+      unreadCounts: { 1: 5, 2: 3, total: 8, folders: { 10: 5, 11: 5 } },
+      onSelectFolder: vi.fn(),
+      onRenameFolder: vi.fn(),
+      onDeleteFolder: vi.fn(),
+      onMoveFeed: vi.fn()
+    };
+
+    it('should nest folders and feeds with folder unread counts', () => {
+      const { container } = render(<FeedList {...defaultProps} {...folderProps} />);
+
+      const rows = [...container.querySelectorAll('.feed-item')].map(row => row.querySelector('span').textContent);
+      expect(rows).toEqual(['All Feeds', 'Read Later', 'Reading', 'Tech', 'Tech Feed', 'News Feed']);
+      expect(screen.getByText('Reading').closest('.feed-item')).toHaveTextContent('5');
+    });
+
+    it('should collapse a folder', async () => {
+      const user = userEvent.setup();
+      render(<FeedList {...defaultProps} {...folderProps} />);
+
+      await user.click(screen.getAllByTitle('Collapse folder')[0]);
+
+      expect(screen.queryByText('Tech')).not.toBeInTheDocument();
+      expect(screen.queryByText('Tech Feed')).not.toBeInTheDocument();
+      expect(folderProps.onSelectFolder).not.toHaveBeenCalled();
+
+      await user.click(screen.getByTitle('Expand folder'));
+      expect(screen.getByText('Tech Feed')).toBeInTheDocument();
+    });
+
+    it('should select a folder and mark it active', async () => {
+      const user = userEvent.setup();
+      const { rerender } = render(<FeedList {...defaultProps} {...folderProps} />);
+
+      await user.click(screen.getByText('Tech'));
+      expect(folderProps.onSelectFolder).toHaveBeenCalledWith(11);
+
+      rerender(<FeedList {...defaultProps} {...folderProps} selectedFolder={11} />);
+      expect(screen.getByText('Tech').closest('.feed-item')).toHaveClass('active');
+      expect(screen.getByText('All Feeds').closest('.feed-item')).not.toHaveClass('active');
+    });
+
+    it('should rename a folder on double click', async () => {
+      const user = userEvent.setup();
+      render(<FeedList {...defaultProps} {...folderProps} />);
+
+      await user.dblClick(screen.getByText('Tech'));
+      const input = screen.getByDisplayValue('Tech');
+      await user.clear(input);
+      await user.type(input, 'Technology');
+      await user.keyboard('{Enter}');
+
+      expect(folderProps.onRenameFolder).toHaveBeenCalledWith(11, 'Technology');
+    });
+
+    it('should delete a folder', async () => {
+      const user = userEvent.setup();
+      render(<FeedList {...defaultProps} {...folderProps} />);
+
+      await user.click(screen.getAllByTitle('Delete folder')[1]);
+
+      expect(folderProps.onDeleteFolder).toHaveBeenCalledWith(11);
+    });
+
+    it('should move a feed to the folder path entered', async () => {
+      const user = userEvent.setup();
+      const promptSpy = vi.spyOn(window, 'prompt').mockReturnValue('Reading/Later');
+      render(<FeedList {...defaultProps} {...folderProps} />);
+
+      await user.click(screen.getAllByTitle('Move to folder')[0]);
+
+      // Starts from the feed's current folder
+      expect(promptSpy).toHaveBeenCalledWith(expect.any(String), 'Reading/Tech');
+      expect(folderProps.onMoveFeed).toHaveBeenCalledWith(1, 'Reading/Later');
+
+      promptSpy.mockReturnValue(null);
+      await user.click(screen.getAllByTitle('Move to folder')[1]);
+      expect(folderProps.onMoveFeed).toHaveBeenCalledTimes(1);
+
+      promptSpy.mockRestore();
+    });
+  });
+
   it('should handle empty feeds array', () => {
     render(<FeedList {...defaultProps} feeds={[]} />);
 
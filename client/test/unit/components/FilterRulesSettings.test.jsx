@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../setup.js';
+import FilterRulesSettings from '../../../src/components/FilterRulesSettings';
+
+describe('FilterRulesSettings', () => {
+  const feeds = [
+    { id: 1, title: 'Tech Blog', url: 'https://example.com/feed' },
+    { id: 2, title: 'News Site', url: 'https://news.com/rss' }
+  ];
+  const rule = {
+    id: 4,
+    feed_id: 2,
+    field: 'title',
+    match_type: 'keyword',
+    pattern: 'sponsored',
+    action: 'skip',
+    tag: null,
+    enabled: true,
+    created_at: '2024-01-16T10:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    server.use(http.get('/api/filter-rules', () => HttpResponse.json([rule])));
+  });
+
+  it('should list the rules', async () => {
+    render(<FilterRulesSettings feeds={feeds} />);
+
+    expect(await screen.findByText('News Site: title contains "sponsored" → skip')).toBeInTheDocument();
+    expect(screen.getByRole('checkbox')).toBeChecked();
+  });
+
+  it('should add a rule', async () => {
+    let savedBody;
+    server.use(
+      http.post('/api/filter-rules', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ ...rule, id: 5, feed_id: null, field: 'category', action: 'tag', tag: 'Ads', pattern: 'promo' });
+      })
+    );
+    const user = userEvent.setup();
+    render(<FilterRulesSettings feeds={feeds} />);
+    await screen.findByText(/sponsored/);
+
+    await user.selectOptions(screen.getByLabelText('Rule field'), 'category');
+    await user.type(screen.getByLabelText('Rule pattern'), 'promo');
+    await user.selectOptions(screen.getByLabelText('Rule action'), 'tag');
+    await user.type(screen.getByLabelText('Rule tag'), 'Ads');
+    await user.click(screen.getByRole('button', { name: 'Add Rule' }));
+
+    expect(await screen.findByText('All feeds: category contains "promo" → tag "Ads"')).toBeInTheDocument();
+    expect(savedBody).toEqual({
+      feedId: null, field: 'category', matchType: 'keyword', pattern: 'promo', action: 'tag', tag: 'Ads', enabled: true
+    });
+    expect(screen.getByLabelText('Rule pattern')).toHaveValue('');
+  });
+
+  it('should not send invalid rules', async () => {
+    const saved = vi.fn();
+    server.use(http.post('/api/filter-rules', () => saved()));
+    const user = userEvent.setup();
+    render(<FilterRulesSettings feeds={feeds} />);
+    await screen.findByText(/sponsored/);
+
+    await user.selectOptions(screen.getByLabelText('Match type'), 'regex');
+    await user.type(screen.getByLabelText('Rule pattern'), '[[(unclosed');
+    await user.click(screen.getByRole('button', { name: 'Add Rule' }));
+
+    expect(screen.getByText('Invalid regular expression')).toBeInTheDocument();
+    expect(saved).not.toHaveBeenCalled();
+  });
+
+  it('should not send expressions that could take too long to match', async () => {
+    const saved = vi.fn();
+    server.use(http.post('/api/filter-rules', () => saved()));
+    const user = userEvent.setup();
+    render(<FilterRulesSettings feeds={feeds} />);
+    await screen.findByText(/sponsored/);
+
+    await user.selectOptions(screen.getByLabelText('Match type'), 'regex');
+    await user.type(screen.getByLabelText('Rule pattern'), '(a+)+$');
+    await user.click(screen.getByRole('button', { name: 'Add Rule' }));
+
+    expect(screen.getByText(/can make matching too slow/)).toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText('Rule pattern'));
+    await user.type(screen.getByLabelText('Rule pattern'), '(a|a)*$');
+    await user.click(screen.getByRole('button', { name: 'Add Rule' }));
+
+    expect(screen.getByText(/group with alternatives/)).toBeInTheDocument();
+    expect(saved).not.toHaveBeenCalled();
+  });
+
+  it('should show what a rule would match', async () => {
+    let previewBody;
+    server.use(
+      http.post('/api/filter-rules/preview', async ({ request }) => {
+        previewBody = await request.json();
+        return HttpResponse.json({
+          checked: 50,
+          matches: [{ id: 9, feed_id: 1, feed_title: 'Tech Blog', title: 'Sponsored: a gadget', link: 'https://example.com/9', pub_date: '2024-01-02T00:00:00.000Z' }]
+        });
+      })
+    );
+    const user = userEvent.setup();
+    render(<FilterRulesSettings feeds={feeds} />);
+    await screen.findByText(/sponsored/);
+
+    await user.selectOptions(screen.getByLabelText('Rule feed'), '1');
+    await user.type(screen.getByLabelText('Rule pattern'), 'sponsored');
+    await user.click(screen.getByRole('button', { name: 'Test Rule' }));
+
+    expect(await screen.findByText(/Matches 1 of the last 50 articles/)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Sponsored: a gadget' })).toHaveAttribute('href', 'https://example.com/9');
+    expect(previewBody).toMatchObject({ feedId: 1, pattern: 'sponsored' });
+  });
+
+  it('should edit a rule', async () => {
+    let savedBody;
+    server.use(
+      http.put('/api/filter-rules/4', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ ...rule, action: 'mark_read' });
+      })
+    );
+    const user = userEvent.setup();
+    render(<FilterRulesSettings feeds={feeds} />);
+    await user.click(await screen.findByRole('button', { name: 'Edit' }));
+
+    expect(screen.getByLabelText('Rule pattern')).toHaveValue('sponsored');
+    await user.selectOptions(screen.getByLabelText('Rule action'), 'mark_read');
+    await user.click(screen.getByRole('button', { name: 'Save Rule' }));
+
+    expect(await screen.findByText('News Site: title contains "sponsored" → mark as read')).toBeInTheDocument();
+    expect(savedBody).toEqual({
+      feedId: 2, field: 'title', matchType: 'keyword', pattern: 'sponsored', action: 'mark_read', enabled: true
+    });
+  });
+
+  it('should turn a rule off and delete it', async () => {
+    let savedBody;
+    server.use(
+      http.put('/api/filter-rules/4', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ ...rule, enabled: false });
+      }),
+      http.delete('/api/filter-rules/4', () => HttpResponse.json({ success: true }))
+    );
+    const user = userEvent.setup();
+    render(<FilterRulesSettings feeds={feeds} />);
+
+    await user.click(await screen.findByRole('checkbox'));
+    await waitFor(() => {
+      expect(screen.getByRole('checkbox')).not.toBeChecked();
+    });
+    expect(savedBody.enabled).toBe(false);
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+    await waitFor(() => {
+      expect(screen.queryByText(/sponsored/)).not.toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../setup.js';
+import FullContentSettings from '../../../src/components/FullContentSettings';
+
+describe('FullContentSettings', () => {
+  const feeds = [
+    { id: 1, title: 'Tech Blog', url: 'https://example.com/feed', fetch_full_content: true },
+    { id: 2, title: 'News Site', url: 'https://news.com/rss', fetch_full_content: false }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should show which feeds have the option', () => {
+    render(<FullContentSettings feeds={feeds} />);
+
+    expect(screen.getByLabelText('Tech Blog')).toBeChecked();
+    expect(screen.getByLabelText('News Site')).not.toBeChecked();
+  });
+
+  it('should save the option for a feed', async () => {
+    let savedBody;
+    server.use(
+      http.put('/api/feeds/2/full-content', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ success: true });
+      })
+    );
+    const user = userEvent.setup();
+    render(<FullContentSettings feeds={feeds} />);
+
+    await user.click(screen.getByLabelText('News Site'));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('News Site')).toBeChecked();
+    });
+    expect(savedBody).toEqual({ enabled: true });
+  });
+
+  it('should keep the option as it was when saving fails', async () => {
+    server.use(
+      http.put('/api/feeds/1/full-content', () => HttpResponse.json({ error: 'Admin access required' }, { status: 403 }))
+    );
+    const user = userEvent.setup();
+    render(<FullContentSettings feeds={feeds} />);
+
+    await user.click(screen.getByLabelText('Tech Blog'));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Tech Blog')).not.toBeDisabled();
+    });
+    expect(screen.getByLabelText('Tech Blog')).toBeChecked();
+  });
+
+  it('should render nothing without feeds', () => {
+    const { container } = render(<FullContentSettings feeds={[]} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
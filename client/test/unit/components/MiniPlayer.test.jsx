@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MiniPlayer from '../../../src/components/MiniPlayer';
+
+const ok = (data) => ({ ok: true, json: async () => data });
+
+describe('MiniPlayer', () => {
+  const episode = {
+    id: 5,
+    title: 'Episode 12: Caching',
+    feed_title: 'Dev Podcast',
+    enclosure: { url: 'https://example.com/ep12.mp3', type: 'audio/mpeg', length: 1000, duration: 2710 }
+  };
+
+  let saves;
+
+  beforeEach(() => {
+    saves = [];
+    global.fetch = vi.fn(async (url, options = {}) => {
+      if (options.method === 'PUT') {
+        saves.push(JSON.parse(options.body));
+        return ok({ success: true });
+      }
+      return ok({ position: 120, speed: 1.5, updated_at: '2024-01-16T10:00:00.000Z' });
+    });
+    // jsdom doesn't play media
+    vi.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue();
+    vi.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+  });
+
+  // Render and let the media "load", which resumes the saved playback
+  async function renderLoaded(article = episode) {
+    const onClose = vi.fn();
+    const view = render(<MiniPlayer article={article} onClose={onClose} />);
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+    const media = view.container.querySelector('.mini-player-media');
+    fireEvent(media, new Event('loadedmetadata'));
+    await waitFor(() => expect(screen.getByLabelText('Playback speed')).toHaveValue('1.5'));
+    return { ...view, media, onClose };
+  }
+
+  it('should show the episode and its feed', () => {
+    render(<MiniPlayer article={episode} onClose={() => {}} />);
+
+    expect(screen.getByRole('region', { name: 'Player' })).toBeInTheDocument();
+    expect(screen.getByText('Episode 12: Caching')).toBeInTheDocument();
+    expect(screen.getByText('Dev Podcast')).toBeInTheDocument();
+  });
+
+  it('should play audio, and video in a video element', () => {
+    const { container, rerender } = render(<MiniPlayer article={episode} onClose={() => {}} />);
+    expect(container.querySelector('audio')).toHaveAttribute('src', 'https://example.com/ep12.mp3');
+
+    rerender(<MiniPlayer key="video" article={{ ...episode, enclosure: { ...episode.enclosure, type: 'video/mp4' } }} onClose={() => {}} />);
+    expect(container.querySelector('video')).toBeInTheDocument();
+    expect(container.querySelector('.mini-player.video')).toBeInTheDocument();
+  });
+
+  it('should resume where the episode was left, at its speed', async () => {
+    const { media } = await renderLoaded();
+
+    expect(media.currentTime).toBe(120);
+    expect(media.playbackRate).toBe(1.5);
+    expect(media.play).toHaveBeenCalled();
+  });
+
+  it('should save the position on pause', async () => {
+    const { media } = await renderLoaded();
+
+    media.currentTime = 200;
+    fireEvent(media, new Event('pause'));
+
+    await waitFor(() => expect(saves).toEqual([{ position: 200, speed: 1.5 }]));
+  });
+
+  it('should save a new speed', async () => {
+    const user = userEvent.setup();
+    const { media } = await renderLoaded();
+
+    await user.selectOptions(screen.getByLabelText('Playback speed'), '2');
+    expect(media.playbackRate).toBe(2);
+
+    await waitFor(() => expect(saves).toEqual([{ position: 120, speed: 2 }]));
+  });
+
+  it('should save now and then while playing', async () => {
+    const { media } = await renderLoaded();
+
+    media.currentTime = 125;
+    fireEvent(media, new Event('timeupdate'));
+    media.currentTime = 136;
+    fireEvent(media, new Event('timeupdate'));
+
+    await waitFor(() => expect(saves).toEqual([{ position: 136, speed: 1.5 }]));
+  });
+
+  it('should start finished episodes over next time', async () => {
+    const { media } = await renderLoaded();
+
+    media.currentTime = 2710;
+    fireEvent(media, new Event('ended'));
+
+    await waitFor(() => expect(saves).toEqual([{ position: 0, speed: 1.5 }]));
+  });
+
+  it('should save when closed', async () => {
+    const user = userEvent.setup();
+    const { media, onClose, unmount } = await renderLoaded();
+
+    media.currentTime = 130;
+    fireEvent(media, new Event('timeupdate'));
+    await user.click(screen.getByLabelText('Close player'));
+    expect(onClose).toHaveBeenCalled();
+    unmount();
+
+    await waitFor(() => expect(saves).toEqual([{ position: 130, speed: 1.5 }]));
+  });
+
+  it('should not save before the saved position is applied', async () => {
+    const { unmount } = render(<MiniPlayer article={episode} onClose={() => {}} />);
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+
+    unmount();
+
+    expect(saves).toEqual([]);
+  });
+
+  it('should offer a saved speed that is not in the list', async () => {
+    global.fetch = vi.fn(async () => ok({ position: 0, speed: 2.5, updated_at: null }));
+    const { container } = render(<MiniPlayer article={episode} onClose={() => {}} />);
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+
+    fireEvent(container.querySelector('audio'), new Event('loadedmetadata'));
+
+    await waitFor(() => expect(screen.getByLabelText('Playback speed')).toHaveValue('2.5'));
+  });
+});
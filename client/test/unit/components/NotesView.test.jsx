@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import NotesView from '../../../src/components/NotesView';
+
+describe('NotesView', () => {
+  const highlight = {
+    id: 2,
+    article_id: 1,
+    quote: 'A passage worth keeping',
+    note: 'Quote this',
+    created_at: '2024-01-17T10:00:00.000Z',
+    updated_at: '2024-01-17T10:00:00.000Z',
+    article_title: 'Test Article',
+    article_link: 'https://example.com/article',
+    feed_id: 1,
+    feed_title: 'Test Feed'
+  };
+  const note = { ...highlight, id: 1, quote: null, note: 'Follow up on this' };
+
+  const defaultProps = {
+    annotations: [highlight, note],
+    onUpdate: vi.fn().mockResolvedValue({}),
+    onDelete: vi.fn().mockResolvedValue(true)
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should list annotations with a link to their article', () => {
+    render(<NotesView {...defaultProps} />);
+
+    expect(screen.getByText('A passage worth keeping')).toBeInTheDocument();
+    expect(screen.getByText('Follow up on this')).toBeInTheDocument();
+    const links = screen.getAllByRole('link', { name: 'Test Article' });
+    expect(links).toHaveLength(2);
+    expect(links[0]).toHaveAttribute('href', 'https://example.com/article');
+  });
+
+  it('should explain how to add notes when there are none', () => {
+    render(<NotesView {...defaultProps} annotations={[]} />);
+
+    expect(screen.getByText(/No notes yet/)).toBeInTheDocument();
+  });
+
+  it('should edit a note', async () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Quote this in the talk ');
+    const user = userEvent.setup();
+    render(<NotesView {...defaultProps} />);
+
+    await user.click(screen.getAllByText('Edit')[0]);
+
+    expect(window.prompt).toHaveBeenCalledWith('Edit note:', 'Quote this');
+    expect(defaultProps.onUpdate).toHaveBeenCalledWith(2, { note: 'Quote this in the talk' });
+  });
+
+  it('should delete a note emptied of its only text', async () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('');
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const user = userEvent.setup();
+    render(<NotesView {...defaultProps} />);
+
+    await user.click(screen.getAllByText('Edit')[1]);
+
+    expect(defaultProps.onUpdate).not.toHaveBeenCalled();
+    expect(defaultProps.onDelete).toHaveBeenCalledWith(1);
+  });
+
+  it('should delete after confirmation', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    const user = userEvent.setup();
+    render(<NotesView {...defaultProps} />);
+
+    await user.click(screen.getAllByText('Delete')[0]);
+    expect(defaultProps.onDelete).not.toHaveBeenCalled();
+
+    window.confirm.mockReturnValue(true);
+    await user.click(screen.getAllByText('Delete')[0]);
+    expect(defaultProps.onDelete).toHaveBeenCalledWith(2);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../setup.js';
+import RetentionSettings from '../../../src/components/RetentionSettings';
+
+describe('RetentionSettings', () => {
+  const feeds = [
+    { id: 1, title: 'Tech Blog', url: 'https://example.com/feed' },
+    { id: 2, title: 'News Site', url: 'https://news.com/rss' }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should load the global policy', async () => {
+    render(<RetentionSettings feeds={feeds} />);
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Always keep newest articles per feed')).toHaveValue(200);
+    });
+    expect(screen.getByLabelText('Delete read articles after (days)')).toHaveValue(30);
+    expect(screen.getByLabelText('Delete unread articles after (days)')).toHaveValue(60);
+  });
+
+  it('should save the global policy, with empty fields as no limit', async () => {
+    let savedBody;
+    server.use(
+      http.post('/api/settings/retention', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ success: true });
+      })
+    );
+    const user = userEvent.setup();
+    render(<RetentionSettings feeds={feeds} />);
+
+    const unreadAge = await screen.findByLabelText('Delete unread articles after (days)');
+    await user.clear(unreadAge);
+    await user.clear(screen.getByLabelText('Delete read articles after (days)'));
+    await user.type(screen.getByLabelText('Delete read articles after (days)'), '7');
+    await user.click(screen.getByText('Save Retention'));
+
+    await waitFor(() => {
+      expect(savedBody).toEqual({ maxCount: 200, readMaxAgeDays: 7, unreadMaxAgeDays: null, neverDelete: false });
+    });
+  });
+
+  it('should save a feed override', async () => {
+    let savedBody;
+    server.use(
+      http.get('/api/feeds/2/retention', () => HttpResponse.json({
+        retention: null,
+        effective: { maxCount: 200, readMaxAgeDays: 30, unreadMaxAgeDays: 60, neverDelete: false }
+      })),
+      http.put('/api/feeds/2/retention', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ success: true });
+      })
+    );
+    const user = userEvent.setup();
+    render(<RetentionSettings feeds={feeds} />);
+
+    await user.selectOptions(await screen.findByLabelText('Apply to'), '2');
+    const useDefault = await screen.findByLabelText('Use the default policy');
+    expect(useDefault).toBeChecked();
+    expect(screen.getByLabelText('Never delete articles')).toBeDisabled();
+
+    await user.click(useDefault);
+    await user.click(screen.getByLabelText('Never delete articles'));
+    await user.click(screen.getByText('Save Retention'));
+
+    await waitFor(() => {
+      expect(savedBody).toEqual({
+        retention: { maxCount: 200, readMaxAgeDays: 30, unreadMaxAgeDays: 60, neverDelete: true }
+      });
+    });
+  });
+
+  it('should preview what the next cleanup would delete', async () => {
+    server.use(
+      http.get('/api/settings/retention/preview', () => HttpResponse.json({
+        total: 3,
+        feeds: [{ feedId: 2, title: 'News Site', count: 3 }],
+        articles: []
+      }))
+    );
+    const user = userEvent.setup();
+    render(<RetentionSettings feeds={feeds} />);
+
+    await user.click(await screen.findByText('Preview Cleanup'));
+
+    expect(await screen.findByText('The next cleanup will delete 3 articles:')).toBeInTheDocument();
+    expect(screen.getByText('News Site: 3')).toBeInTheDocument();
+  });
+});
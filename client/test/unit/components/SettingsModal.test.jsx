@@ -10,7 +10,9 @@ describe('SettingsModal', () => {
     isOpen: true,
     onClose: vi.fn(),
     onExport: vi.fn(),
-    onImport: vi.fn()
+    onImport: vi.fn(),
+    onExportBackup: vi.fn(),
+    onRestoreBackup: vi.fn().mockResolvedValue({})
   };
 
   // Helper to get input by label text
@@ -288,6 +290,40 @@ describe('SettingsModal', () => {
     createElementSpy.mockRestore();
   });
 
+  it('should export a backup without the API key by default', async () => {
+    const user = userEvent.setup();
+    render(<SettingsModal {...defaultProps} />);
+
+    await user.click(screen.getByText('Export Backup'));
+    expect(defaultProps.onExportBackup).toHaveBeenCalledWith(false);
+
+    await user.click(screen.getByLabelText('Include API key in backup'));
+    await user.click(screen.getByText('Export Backup'));
+    expect(defaultProps.onExportBackup).toHaveBeenLastCalledWith(true);
+  });
+
+  it('should ask for confirmation before a replacing restore', async () => {
+    const user = userEvent.setup();
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+
+    render(<SettingsModal {...defaultProps} />);
+    await user.selectOptions(screen.getByLabelText('Restore mode'), 'replace');
+    const createElementSpy = vi.spyOn(document, 'createElement');
+    await user.click(screen.getByText('Restore Backup'));
+
+    expect(confirmSpy).toHaveBeenCalled();
+    expect(createElementSpy).not.toHaveBeenCalledWith('input');
+
+    confirmSpy.mockRestore();
+    createElementSpy.mockRestore();
+  });
+
+  it('should hide backup controls when no handlers are given', () => {
+    render(<SettingsModal {...defaultProps} onExportBackup={undefined} onRestoreBackup={undefined} />);
+
+    expect(screen.queryByText('Export Backup')).not.toBeInTheDocument();
+  });
+
   it('should stop propagation when clicking modal content', () => {
     const { container } = render(<SettingsModal {...defaultProps} />);
 
@@ -303,6 +339,27 @@ describe('SettingsModal', () => {
     });
   });
 
+  it('should show retention and user management to admins', async () => {
+    render(<SettingsModal {...defaultProps} />);
+
+    expect(await screen.findByText('Article Retention')).toBeInTheDocument();
+    expect(screen.getByText('Account')).toBeInTheDocument();
+    expect(screen.getByText('Users')).toBeInTheDocument();
+  });
+
+  it('should only show account settings to regular users', async () => {
+    server.use(
+      http.get('/api/users/me', () => HttpResponse.json({
+        id: 2, username: 'reader', role: 'user', has_password: true, created_at: '2025-01-01T00:00:00.000Z'
+      }))
+    );
+    render(<SettingsModal {...defaultProps} />);
+
+    expect(await screen.findByText('Account')).toBeInTheDocument();
+    expect(screen.queryByText('Article Retention')).not.toBeInTheDocument();
+    expect(screen.queryByText('Users')).not.toBeInTheDocument();
+  });
+
   it('should not fetch config when modal is closed', () => {
     render(<SettingsModal {...defaultProps} isOpen={false} />);
 
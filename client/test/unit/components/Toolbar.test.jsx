@@ -97,6 +97,32 @@ describe('Toolbar', () => {
     expect(screen.getByText('⚙️')).toBeInTheDocument();
   });
 
+  it('should not render the search box without a change handler', () => {
+    render(<Toolbar {...defaultProps} />);
+
+    expect(screen.queryByLabelText('Search articles')).not.toBeInTheDocument();
+  });
+
+  it('should report search input changes', async () => {
+    const user = userEvent.setup();
+    const onSearchChange = vi.fn();
+    render(<Toolbar {...defaultProps} searchQuery="" onSearchChange={onSearchChange} />);
+
+    await user.type(screen.getByLabelText('Search articles'), 'r');
+
+    expect(onSearchChange).toHaveBeenCalledWith('r');
+  });
+
+  it('should clear the search on Escape', async () => {
+    const user = userEvent.setup();
+    const onSearchChange = vi.fn();
+    render(<Toolbar {...defaultProps} searchQuery="rust" onSearchChange={onSearchChange} />);
+
+    await user.type(screen.getByLabelText('Search articles'), '{Escape}');
+
+    expect(onSearchChange).toHaveBeenCalledWith('');
+  });
+
   it('should change filter icon when showUnreadOnly changes', () => {
     const { rerender } = render(<Toolbar {...defaultProps} showUnreadOnly={false} />);
     expect(screen.getByTitle('Show unread only')).toBeInTheDocument();
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import UndoToast from '../../../src/components/UndoToast';
+
+describe('UndoToast', () => {
+  const toast = { actionId: 4, message: 'Marked 3 articles as read' };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should render nothing without an action', () => {
+    const { container } = render(<UndoToast toast={null} onUndo={vi.fn()} onDismiss={vi.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should undo the action', () => {
+    const onUndo = vi.fn();
+    render(<UndoToast toast={toast} onUndo={onUndo} onDismiss={vi.fn()} />);
+
+    expect(screen.getByText('Marked 3 articles as read')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Undo'));
+
+    expect(onUndo).toHaveBeenCalledWith(4);
+  });
+
+  it('should hide itself after a while', () => {
+    const onDismiss = vi.fn();
+    render(<UndoToast toast={toast} onUndo={vi.fn()} onDismiss={onDismiss} />);
+
+    act(() => {
+      vi.advanceTimersByTime(7000);
+    });
+    expect(onDismiss).not.toHaveBeenCalled();
+
+    act(() => {
+      vi.advanceTimersByTime(1000);
+    });
+    expect(onDismiss).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../setup.js';
+import UserSettings from '../../../src/components/UserSettings';
+import { getAuthHeader } from '../../../src/utils/auth.js';
+
+describe('UserSettings', () => {
+  const admin = { id: 1, username: 'admin', role: 'admin', has_password: true, created_at: '2025-01-01T00:00:00.000Z' };
+  const reader = { id: 2, username: 'reader', role: 'user', has_password: true, created_at: '2025-01-02T00:00:00.000Z' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    server.use(http.get('/api/users', () => HttpResponse.json([admin, reader])));
+  });
+
+  it('should change the password and keep the user signed in', async () => {
+    let savedBody;
+    server.use(
+      http.put('/api/users/me/password', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ success: true });
+      })
+    );
+    const user = userEvent.setup();
+    render(<UserSettings user={reader} />);
+
+    await user.type(screen.getByLabelText('Current password'), 'old-password');
+    await user.type(screen.getByLabelText('New password'), 'new-password');
+    await user.click(screen.getByText('Change Password'));
+
+    await screen.findByText('Password changed');
+    expect(savedBody).toEqual({ currentPassword: 'old-password', password: 'new-password' });
+    expect(getAuthHeader()).toBe(`Basic ${btoa('reader:new-password')}`);
+  });
+
+  it('should show why a password change failed', async () => {
+    server.use(
+      http.put('/api/users/me/password', () => HttpResponse.json(
+        { error: 'Current password is incorrect' }, { status: 400 }
+      ))
+    );
+    const user = userEvent.setup();
+    render(<UserSettings user={reader} />);
+
+    await user.type(screen.getByLabelText('Current password'), 'wrong-password');
+    await user.type(screen.getByLabelText('New password'), 'new-password');
+    await user.click(screen.getByText('Change Password'));
+
+    expect(await screen.findByText('Current password is incorrect')).toBeInTheDocument();
+  });
+
+  it('should offer a first password while sign-in is off', () => {
+    render(<UserSettings user={{ ...admin, has_password: false }} />);
+
+    expect(screen.getByText(/Anyone can use this reader/)).toBeInTheDocument();
+    expect(screen.queryByLabelText('Current password')).not.toBeInTheDocument();
+    expect(screen.getByText('Set Password')).toBeInTheDocument();
+  });
+
+  it('should not list other users for regular users', () => {
+    render(<UserSettings user={reader} />);
+
+    expect(screen.queryByText('Users')).not.toBeInTheDocument();
+    expect(screen.queryByText('Add User')).not.toBeInTheDocument();
+  });
+
+  it('should list users for admins', async () => {
+    render(<UserSettings user={admin} />);
+
+    expect(await screen.findByText('reader')).toBeInTheDocument();
+    expect(screen.getByText('admin (you)')).toBeInTheDocument();
+    // Admins can't delete themselves
+    expect(screen.getAllByText('Delete')).toHaveLength(1);
+  });
+
+  it('should add a user', async () => {
+    let savedBody;
+    server.use(
+      http.post('/api/users', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ ...reader, id: 3, username: savedBody.username, role: savedBody.role });
+      })
+    );
+    const user = userEvent.setup();
+    render(<UserSettings user={admin} />);
+
+    await user.type(screen.getByLabelText('New username'), 'bob');
+    await user.type(screen.getByLabelText('New user password'), 'bob-password');
+    await user.selectOptions(screen.getByLabelText('New user role'), 'admin');
+    await user.click(screen.getByText('Add User'));
+
+    await waitFor(() => {
+      expect(savedBody).toEqual({ username: 'bob', password: 'bob-password', role: 'admin' });
+    });
+    expect(screen.getByLabelText('New username')).toHaveValue('');
+  });
+
+  it('should change the role of a user', async () => {
+    let savedBody;
+    server.use(
+      http.patch('/api/users/2', async ({ request }) => {
+        savedBody = await request.json();
+        return HttpResponse.json({ success: true });
+      })
+    );
+    const user = userEvent.setup();
+    render(<UserSettings user={admin} />);
+
+    await user.selectOptions(await screen.findByLabelText('Role of reader'), 'admin');
+
+    await waitFor(() => {
+      expect(savedBody).toEqual({ role: 'admin' });
+    });
+  });
+
+  it('should delete a user after confirmation', async () => {
+    const deleted = vi.fn();
+    server.use(
+      http.delete('/api/users/2', () => {
+        deleted();
+        return HttpResponse.json({ success: true });
+      })
+    );
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const user = userEvent.setup();
+    render(<UserSettings user={admin} />);
+
+    await screen.findByText('reader');
+    await user.click(screen.getByText('Delete'));
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('reader'));
+    await waitFor(() => {
+      expect(deleted).toHaveBeenCalled();
+    });
+  });
+});
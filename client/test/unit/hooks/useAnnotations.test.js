@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useState } from 'react';
+import { useAnnotations } from '../../../src/hooks/useAnnotations.js';
+
+const ok = (data) => ({ ok: true, json: async () => data });
+
+// useAnnotations together with the article state it updates
+function useAnnotationsWithArticles(initialArticles) {
+  const [articles, setArticles] = useState(initialArticles);
+  return { articles, ...useAnnotations({ setArticles }) };
+}
+
+describe('useAnnotations', () => {
+  const stored = {
+    id: 7,
+    article_id: 1,
+    quote: 'A passage',
+    note: '',
+    created_at: '2024-01-16T10:00:00.000Z',
+    updated_at: '2024-01-16T10:00:00.000Z'
+  };
+  const listed = { ...stored, article_title: 'Article 1', article_link: 'https://example.com/1', feed_id: 1, feed_title: 'Feed' };
+  const { article_id: _, ...onArticle } = stored;
+
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url, options = {}) => {
+      if (url === '/api/annotations' && !options.method) return ok([listed]);
+      if (options.method === 'POST') return ok({ ...stored, id: 8, ...JSON.parse(options.body) });
+      if (options.method === 'PATCH') return ok({ ...stored, ...JSON.parse(options.body) });
+      return ok({ success: true });
+    });
+  });
+
+  it('should fetch annotations', async () => {
+    const { result } = renderHook(() => useAnnotationsWithArticles([]));
+
+    await act(async () => {
+      await result.current.fetchAnnotations();
+    });
+
+    expect(result.current.annotations).toEqual([listed]);
+    expect(global.fetch).toHaveBeenCalledWith('/api/annotations', { headers: {} });
+  });
+
+  it('should annotate an article in view', async () => {
+    const { result } = renderHook(() => useAnnotationsWithArticles([
+      { id: 1, title: 'Article 1', annotations: [onArticle] },
+      { id: 2, title: 'Article 2' }
+    ]));
+
+    await act(async () => {
+      await result.current.addAnnotation(1, { note: 'Follow up' });
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/annotations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ note: 'Follow up' })
+    });
+    expect(result.current.articles[0].annotations.map(a => a.id)).toEqual([7, 8]);
+    expect(result.current.articles[0].annotations[1].note).toBe('Follow up');
+    expect(result.current.articles[1].annotations).toBeUndefined();
+  });
+
+  it('should edit an annotation everywhere', async () => {
+    const { result } = renderHook(() => useAnnotationsWithArticles([
+      { id: 1, title: 'Article 1', annotations: [onArticle] }
+    ]));
+    await act(async () => {
+      await result.current.fetchAnnotations();
+    });
+
+    await act(async () => {
+      await result.current.updateAnnotation(7, { note: 'Now with a note' });
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/annotations/7', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ note: 'Now with a note' })
+    });
+    expect(result.current.annotations[0]).toEqual({ ...listed, note: 'Now with a note' });
+    expect(result.current.articles[0].annotations[0].note).toBe('Now with a note');
+  });
+
+  it('should delete an annotation everywhere', async () => {
+    const { result } = renderHook(() => useAnnotationsWithArticles([
+      { id: 1, title: 'Article 1', annotations: [onArticle] }
+    ]));
+    await act(async () => {
+      await result.current.fetchAnnotations();
+    });
+
+    await act(async () => {
+      await result.current.deleteAnnotation(7);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/annotations/7', { method: 'DELETE', headers: {} });
+    expect(result.current.annotations).toEqual([]);
+    expect(result.current.articles[0].annotations).toEqual([]);
+  });
+
+  it('should keep the error when annotating fails', async () => {
+    global.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({ error: 'Article not found' }) }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { result } = renderHook(() => useAnnotationsWithArticles([]));
+
+    await act(async () => {
+      await expect(result.current.addAnnotation(9, { note: 'Gone' })).rejects.toThrow('Article not found');
+    });
+
+    expect(result.current.error.status).toBe(404);
+  });
+});
@@ -7,7 +7,7 @@ global.fetch = vi.fn();
 
 describe('useArticleOperations', () => {
   let mockSetArticles;
-  let mockSetAllArticles;
+  let mockSetUnreadCounts;
   let mockArticles;
 
   beforeEach(() => {
@@ -15,32 +15,36 @@ describe('useArticleOperations', () => {
     global.fetch = vi.fn();
 
     mockSetArticles = vi.fn();
-    mockSetAllArticles = vi.fn();
+    mockSetUnreadCounts = vi.fn();
 
     mockArticles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false },
-      { id: 2, title: 'Article 2', is_read: false, is_saved: false },
-      { id: 3, title: 'Article 3', is_read: true, is_saved: false }
+      { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 },
+      { id: 2, title: 'Article 2', is_read: false, is_saved: false, feed_id: 2 },
+      { id: 3, title: 'Article 3', is_read: true, is_saved: false, feed_id: 1 }
     ];
   });
 
   it('should mark article as read', async () => {
     global.fetch.mockResolvedValueOnce({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
 
+    let actionId;
     await act(async () => {
-      await result.current.markAsRead(1, true);
+      actionId = await result.current.markAsRead(1, true);
     });
 
+    // The change can be undone through the logged action
+    expect(actionId).toBe(7);
     expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/read', {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
@@ -48,18 +52,19 @@ describe('useArticleOperations', () => {
     });
 
     expect(mockSetArticles).toHaveBeenCalled();
-    expect(mockSetAllArticles).toHaveBeenCalled();
+    expect(mockSetUnreadCounts).toHaveBeenCalled();
   });
 
   it('should mark article as unread', async () => {
     global.fetch.mockResolvedValueOnce({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
@@ -75,18 +80,19 @@ describe('useArticleOperations', () => {
     });
 
     expect(mockSetArticles).toHaveBeenCalled();
-    expect(mockSetAllArticles).toHaveBeenCalled();
+    expect(mockSetUnreadCounts).toHaveBeenCalled();
   });
 
   it('should toggle saved status to saved', async () => {
     global.fetch.mockResolvedValueOnce({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
@@ -102,18 +108,18 @@ describe('useArticleOperations', () => {
     });
 
     expect(mockSetArticles).toHaveBeenCalled();
-    expect(mockSetAllArticles).toHaveBeenCalled();
   });
 
   it('should toggle saved status to unsaved', async () => {
     global.fetch.mockResolvedValueOnce({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
@@ -131,36 +137,34 @@ describe('useArticleOperations', () => {
 
   it('should mark all articles as read', async () => {
     global.fetch.mockResolvedValue({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
 
+    let actionId;
     await act(async () => {
-      await result.current.markAllAsRead();
+      actionId = await result.current.markAllAsRead();
     });
 
+    expect(actionId).toBe(7);
     // Should mark only unread articles (ids 1 and 2, not 3)
-    expect(global.fetch).toHaveBeenCalledTimes(2);
-    expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/read', {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ isRead: true })
-    });
-    expect(global.fetch).toHaveBeenCalledWith('/api/articles/2/read', {
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/state', {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ isRead: true })
+      body: JSON.stringify({ ids: [1, 2], isRead: true })
     });
 
     expect(mockSetArticles).toHaveBeenCalled();
-    expect(mockSetAllArticles).toHaveBeenCalled();
+    expect(mockSetUnreadCounts).toHaveBeenCalled();
   });
 
   it('should not mark any articles if all are already read', async () => {
@@ -169,7 +173,7 @@ describe('useArticleOperations', () => {
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: allReadArticles
       })
     );
@@ -180,18 +184,19 @@ describe('useArticleOperations', () => {
 
     expect(global.fetch).not.toHaveBeenCalled();
     expect(mockSetArticles).not.toHaveBeenCalled();
-    expect(mockSetAllArticles).not.toHaveBeenCalled();
+    expect(mockSetUnreadCounts).not.toHaveBeenCalled();
   });
 
-  it('should update both articles and allArticles when marking as read', async () => {
+  it('should update articles and unread counts when marking as read', async () => {
     global.fetch.mockResolvedValueOnce({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
@@ -200,23 +205,122 @@ describe('useArticleOperations', () => {
       await result.current.markAsRead(1, true);
     });
 
-    expect(mockSetArticles).toHaveBeenCalled();
-    expect(mockSetAllArticles).toHaveBeenCalled();
-
     // Verify both state updaters were called
     expect(mockSetArticles).toHaveBeenCalledTimes(1);
-    expect(mockSetAllArticles).toHaveBeenCalledTimes(1);
+    expect(mockSetUnreadCounts).toHaveBeenCalledTimes(1);
+
+    const countsUpdater = mockSetUnreadCounts.mock.calls[0][0];
+    expect(countsUpdater({ total: 2, 1: 1, 2: 1 })).toEqual({ total: 1, 1: 0, 2: 1 });
+  });
+
+  it('should count a story once in each folder above its feeds', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
+    });
+    const story = { ...mockArticles[0], also_in: [{ id: 4, feed_id: 2, feed_title: 'Feed 2' }] };
+
+    const { result } = renderHook(() =>
+      useArticleOperations({
+        setArticles: mockSetArticles,
+        setUnreadCounts: mockSetUnreadCounts,
+        articles: [story],
+        // Feed 1 is in folder 5, feed 2 in folder 6 inside 5
+        feedFolders: { 1: [5], 2: [6, 5] }
+      })
+    );
+
+    await act(async () => {
+      await result.current.markAsRead(1, true);
+    });
+
+    const countsUpdater = mockSetUnreadCounts.mock.calls[0][0];
+    expect(countsUpdater({ total: 1, 1: 1, 2: 1, folders: { 5: 1, 6: 1 } }))
+      .toEqual({ total: 0, 1: 0, 2: 0, folders: { 5: 0, 6: 0 } });
+  });
+
+  it('should not change unread counts when the read state does not change', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
+    });
+
+    const { result } = renderHook(() =>
+      useArticleOperations({
+        setArticles: mockSetArticles,
+        setUnreadCounts: mockSetUnreadCounts,
+        articles: mockArticles
+      })
+    );
+
+    await act(async () => {
+      await result.current.markAsRead(3, true);
+    });
+
+    expect(mockSetUnreadCounts).not.toHaveBeenCalled();
   });
 
-  it('should update both articles and allArticles when toggling saved', async () => {
+  it('should mark copies of the same story in other feeds as read', async () => {
     global.fetch.mockResolvedValueOnce({
-      ok: true
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
     });
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
+        articles: mockArticles
+      })
+    );
+
+    await act(async () => {
+      await result.current.markAsRead(5, true);
+    });
+
+    const updater = mockSetArticles.mock.calls[0][0];
+    const updated = updater([
+      { id: 1, is_read: false, also_in: [{ id: 5, feed_id: 2, feed_title: 'Feed 2' }] },
+      { id: 2, is_read: false }
+    ]);
+    expect(updated.map(a => a.is_read)).toEqual([true, false]);
+  });
+
+  it('should count a story once in the total and once in each feed carrying it', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
+    });
+    const articles = [
+      { id: 1, is_read: false, feed_id: 1, also_in: [{ id: 5, feed_id: 2, feed_title: 'Feed 2' }] }
+    ];
+
+    const { result } = renderHook(() =>
+      useArticleOperations({
+        setArticles: mockSetArticles,
+        setUnreadCounts: mockSetUnreadCounts,
+        articles
+      })
+    );
+
+    await act(async () => {
+      await result.current.markAsRead(1, true);
+    });
+
+    const countsUpdater = mockSetUnreadCounts.mock.calls[0][0];
+    expect(countsUpdater({ total: 1, 1: 1, 2: 1 })).toEqual({ total: 0, 1: 0, 2: 0 });
+  });
+
+  it('should not touch unread counts when toggling saved', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, actionId: 7 })
+    });
+
+    const { result } = renderHook(() =>
+      useArticleOperations({
+        setArticles: mockSetArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
@@ -226,27 +330,27 @@ describe('useArticleOperations', () => {
     });
 
     expect(mockSetArticles).toHaveBeenCalled();
-    expect(mockSetAllArticles).toHaveBeenCalled();
+    expect(mockSetUnreadCounts).not.toHaveBeenCalled();
   });
 
-  it('should handle parallel updates for markAllAsRead', async () => {
+  it('should throw when marking all as read fails', async () => {
     global.fetch.mockResolvedValue({
-      ok: true
+      ok: false,
+      status: 500,
+      json: async () => ({ error: 'Database error' })
     });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
 
     const { result } = renderHook(() =>
       useArticleOperations({
         setArticles: mockSetArticles,
-        setAllArticles: mockSetAllArticles,
+        setUnreadCounts: mockSetUnreadCounts,
         articles: mockArticles
       })
     );
 
     await act(async () => {
-      await result.current.markAllAsRead();
+      await expect(result.current.markAllAsRead()).rejects.toThrow('Database error');
     });
-
-    // Verify all fetch calls were made (they should be in parallel)
-    expect(global.fetch).toHaveBeenCalledTimes(2);
   });
 });
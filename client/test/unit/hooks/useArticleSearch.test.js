@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useArticleSearch } from '../../../src/hooks/useArticleSearch.js';
+
+describe('useArticleSearch', () => {
+  const mockResponse = {
+    results: [
+      {
+        id: 1, feed_id: 3, title: 'Rust 2.0', feed_title: 'Tech Blog', is_read: false, is_saved: false,
+        title_highlight: '<mark>Rust</mark> 2.0', snippet: 'New <mark>Rust</mark>', rank: -1
+      }
+    ],
+    total: 1
+  };
+
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => mockResponse
+    });
+  });
+
+  const flushDebounce = async () => {
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    });
+  };
+
+  it('should not search when the query is empty', async () => {
+    const { result } = renderHook(() =>
+      useArticleSearch({ query: '   ', selectedFeed: null, showSavedOnly: false, delay: 0 })
+    );
+
+    await flushDebounce();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(result.current.isSearchActive).toBe(false);
+    expect(result.current.results).toEqual([]);
+  });
+
+  it('should fetch results for a query', async () => {
+    const { result } = renderHook(() =>
+      useArticleSearch({ query: ' rust ', selectedFeed: null, showSavedOnly: false, delay: 0 })
+    );
+
+    await flushDebounce();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/search?q=rust', expect.any(Object));
+    expect(result.current.isSearchActive).toBe(true);
+    expect(result.current.results).toEqual(mockResponse.results);
+    expect(result.current.total).toBe(1);
+    expect(result.current.searching).toBe(false);
+  });
+
+  it('should scope the search to the selected feed and saved view', async () => {
+    renderHook(() =>
+      useArticleSearch({ query: 'rust', selectedFeed: 3, showSavedOnly: true, delay: 0 })
+    );
+
+    await flushDebounce();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/search?q=rust&feedId=3&saved=true', expect.any(Object));
+  });
+
+  it('should debounce rapid query changes', async () => {
+    vi.useFakeTimers();
+    const { rerender } = renderHook(
+      ({ query }) => useArticleSearch({ query, selectedFeed: null, showSavedOnly: false }),
+      { initialProps: { query: 'r' } }
+    );
+
+    rerender({ query: 'ru' });
+    rerender({ query: 'rust' });
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(300);
+    });
+    vi.useRealTimers();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/search?q=rust', expect.any(Object));
+  });
+
+  it('should clear results when the query is cleared', async () => {
+    const { result, rerender } = renderHook(
+      ({ query }) => useArticleSearch({ query, selectedFeed: null, showSavedOnly: false, delay: 0 }),
+      { initialProps: { query: 'rust' } }
+    );
+
+    await flushDebounce();
+    expect(result.current.results).toHaveLength(1);
+
+    rerender({ query: '' });
+
+    expect(result.current.results).toEqual([]);
+    expect(result.current.isSearchActive).toBe(false);
+  });
+
+  it('should expose errors from the server', async () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: async () => ({ error: 'Search query too long' })
+    });
+
+    const { result } = renderHook(() =>
+      useArticleSearch({ query: 'rust', selectedFeed: null, showSavedOnly: false, delay: 0 })
+    );
+
+    await flushDebounce();
+
+    expect(result.current.error.message).toBe('Search query too long');
+    expect(result.current.searching).toBe(false);
+    consoleSpy.mockRestore();
+  });
+});
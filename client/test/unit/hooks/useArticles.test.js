@@ -1,31 +1,38 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
-import { useArticles } from '../../../src/hooks/useArticles.js';
+import { useArticles, PAGE_SIZE } from '../../../src/hooks/useArticles.js';
 
 // Mock fetch
 global.fetch = vi.fn();
 
+const ok = (data) => ({ ok: true, json: async () => data });
+
+// Route mocked requests by path: article pages are served from `pages` in
+// order, unread counts from `counts`
+function mockServer({ pages = [{ articles: [], nextCursor: null }], counts = { total: 0, feeds: {} } } = {}) {
+  const queue = [...pages];
+  global.fetch.mockImplementation(async (url) => {
+    if (url === '/api/articles/unread-counts') return ok(counts);
+    return ok(queue.length > 1 ? queue.shift() : queue[0]);
+  });
+}
+
+const flush = () => act(async () => {
+  await new Promise(resolve => setTimeout(resolve, 0));
+});
+
 describe('useArticles', () => {
   beforeEach(() => {
     // Reset fetch mock before each test
     global.fetch = vi.fn();
   });
 
-  it('should fetch articles on mount', async () => {
+  it('should fetch the first page of articles on mount', async () => {
     const mockArticles = [
       { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 },
       { id: 2, title: 'Article 2', is_read: true, is_saved: false, feed_id: 1 }
     ];
-
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      });
+    mockServer({ pages: [{ articles: mockArticles, nextCursor: null }] });
 
     const { result } = renderHook(() =>
       useArticles({
@@ -35,100 +42,113 @@ describe('useArticles', () => {
       })
     );
 
-    // Wait for async operations to complete
-    await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    });
+    await flush();
 
     expect(result.current.articles).toEqual(mockArticles);
-    expect(result.current.allArticles).toEqual(mockArticles);
+    expect(result.current.hasMore).toBe(false);
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?limit=${PAGE_SIZE}`, { headers: {} });
   });
 
-  it('should fetch filtered and all articles in parallel', async () => {
-    const mockFilteredArticles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 }
-    ];
-    const mockAllArticles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: false, feed_id: 1 },
-      { id: 2, title: 'Article 2', is_read: true, is_saved: false, feed_id: 1 }
-    ];
+  it('should fetch unread counts in parallel instead of every article', async () => {
+    mockServer({ counts: { total: 3, feeds: { 1: 2, 2: 1 } } });
 
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockFilteredArticles
+    const { result } = renderHook(() =>
+      useArticles({
+        selectedFeed: null,
+        showUnreadOnly: true,
+        showSavedOnly: false
       })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockAllArticles
-      });
+    );
+
+    // Both requests start immediately
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?unreadOnly=true&limit=${PAGE_SIZE}`, { headers: {} });
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/unread-counts', { headers: {} });
+
+    await flush();
+
+    expect(result.current.unreadCounts).toEqual({ total: 3, 1: 2, 2: 1 });
+  });
+
+  it('should load the next page with the cursor and append it', async () => {
+    mockServer({
+      pages: [
+        { articles: [{ id: 1, feed_id: 1, is_read: false }], nextCursor: 'cursor-1' },
+        { articles: [{ id: 1, feed_id: 1, is_read: false }, { id: 2, feed_id: 1, is_read: false }], nextCursor: null }
+      ]
+    });
 
     const { result } = renderHook(() =>
       useArticles({
         selectedFeed: null,
-        showUnreadOnly: true,
+        showUnreadOnly: false,
         showSavedOnly: false
       })
     );
 
+    await flush();
+    expect(result.current.hasMore).toBe(true);
+
     await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
+      await result.current.loadMore();
     });
 
-    expect(result.current.articles).toEqual(mockFilteredArticles);
-    expect(result.current.allArticles).toEqual(mockAllArticles);
+    expect(global.fetch).toHaveBeenLastCalledWith(`/api/articles?limit=${PAGE_SIZE}&cursor=cursor-1`, { headers: {} });
+    // Already listed articles are not repeated
+    expect(result.current.articles.map(a => a.id)).toEqual([1, 2]);
+    expect(result.current.hasMore).toBe(false);
+  });
 
-    // Verify both fetches were called (they should be in parallel)
-    expect(global.fetch).toHaveBeenCalledTimes(2);
+  it('should not load more after the last page', async () => {
+    mockServer();
+
+    const { result } = renderHook(() =>
+      useArticles({
+        selectedFeed: null,
+        showUnreadOnly: false,
+        showSavedOnly: false
+      })
+    );
+
+    await flush();
+    const calls = global.fetch.mock.calls.length;
+
+    await act(async () => {
+      expect(await result.current.loadMore()).toBe(false);
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(calls);
   });
 
-  it('should filter for saved articles on client side', async () => {
+  it('should ask the server for saved articles, read or unread', async () => {
     const mockArticles = [
-      { id: 1, title: 'Article 1', is_read: false, is_saved: true, feed_id: 1 },
+      { id: 1, title: 'Article 1', is_read: true, is_saved: true, feed_id: 1 },
       { id: 2, title: 'Article 2', is_read: false, is_saved: false, feed_id: 1 }
     ];
-
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      });
+    mockServer({ pages: [{ articles: mockArticles, nextCursor: null }] });
 
     const { result } = renderHook(() =>
       useArticles({
         selectedFeed: null,
-        showUnreadOnly: false,
+        showUnreadOnly: true,
         showSavedOnly: true
       })
     );
 
-    await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    });
+    await flush();
 
+    // Unread filter doesn't apply when showing saved articles
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?savedOnly=true&limit=${PAGE_SIZE}`, { headers: {} });
+    // Double-checked on the client
     expect(result.current.articles).toHaveLength(1);
     expect(result.current.articles[0].is_saved).toBe(true);
   });
 
-  it('should filter by feed on client side', async () => {
+  it('should filter by feed', async () => {
     const mockArticles = [
       { id: 1, title: 'Article 1', is_read: false, feed_id: 1 },
       { id: 2, title: 'Article 2', is_read: false, feed_id: 2 }
     ];
-
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      });
+    mockServer({ pages: [{ articles: mockArticles, nextCursor: null }] });
 
     const { result } = renderHook(() =>
       useArticles({
@@ -138,19 +158,55 @@ describe('useArticles', () => {
       })
     );
 
-    await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    });
+    await flush();
 
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?feedId=1&limit=${PAGE_SIZE}`, { headers: {} });
     expect(result.current.articles).toHaveLength(1);
     expect(result.current.articles[0].feed_id).toBe(1);
   });
 
+  it('should list every article with the selected tag, read or unread', async () => {
+    const mockArticles = [
+      { id: 1, title: 'Article 1', is_read: true, feed_id: 1, tags: [{ id: 3, name: 'Research' }] },
+      { id: 2, title: 'Article 2', is_read: false, feed_id: 1 }
+    ];
+    mockServer({ pages: [{ articles: mockArticles, nextCursor: null }] });
+
+    const { result } = renderHook(() =>
+      useArticles({
+        selectedFeed: null,
+        selectedTag: 3,
+        showUnreadOnly: true,
+        showSavedOnly: false
+      })
+    );
+
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?tagId=3&limit=${PAGE_SIZE}`, { headers: {} });
+    expect(result.current.articles.map(a => a.id)).toEqual([1]);
+  });
+
+  it('should filter by folder and keep folder unread counts', async () => {
+    mockServer({ counts: { total: 2, feeds: { 1: 2 }, folders: { 4: 2 } } });
+
+    const { result } = renderHook(() =>
+      useArticles({
+        selectedFeed: null,
+        selectedFolder: 4,
+        showUnreadOnly: true,
+        showSavedOnly: false
+      })
+    );
+
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?folderId=4&unreadOnly=true&limit=${PAGE_SIZE}`, { headers: {} });
+    expect(result.current.unreadCounts).toEqual({ total: 2, 1: 2, folders: { 4: 2 } });
+  });
+
   it('should handle fetch errors gracefully', async () => {
-    // Mock both parallel fetch calls to reject
-    global.fetch
-      .mockRejectedValueOnce(new Error('Network error'))
-      .mockRejectedValueOnce(new Error('Network error'));
+    global.fetch.mockRejectedValue(new Error('Network error'));
 
     const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
 
@@ -162,9 +218,7 @@ describe('useArticles', () => {
       })
     );
 
-    await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    });
+    await flush();
 
     expect(consoleErrorSpy).toHaveBeenCalledWith(
       'Failed to fetch articles:',
@@ -175,16 +229,8 @@ describe('useArticles', () => {
     consoleErrorSpy.mockRestore();
   });
 
-  it('should provide setArticles and setAllArticles', async () => {
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => []
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => []
-      });
+  it('should refresh unread counts on demand', async () => {
+    mockServer({ counts: { total: 1, feeds: { 1: 1 } } });
 
     const { result } = renderHook(() =>
       useArticles({
@@ -194,48 +240,18 @@ describe('useArticles', () => {
       })
     );
 
-    expect(result.current.setArticles).toBeInstanceOf(Function);
-    expect(result.current.setAllArticles).toBeInstanceOf(Function);
-  });
-
-  it('should not apply unread filter when showing saved articles', async () => {
-    const mockArticles = [
-      { id: 1, title: 'Article 1', is_read: true, is_saved: true, feed_id: 1 },
-      { id: 2, title: 'Article 2', is_read: true, is_saved: false, feed_id: 1 }
-    ];
-
-    global.fetch
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      })
-      .mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockArticles
-      });
-
-    const { result } = renderHook(() =>
-      useArticles({
-        selectedFeed: null,
-        showUnreadOnly: true,
-        showSavedOnly: true
-      })
-    );
+    await flush();
+    mockServer({ counts: { total: 4, feeds: { 1: 4 } } });
 
     await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
+      await result.current.fetchUnreadCounts();
     });
 
-    // Should show saved articles even if read (because showSavedOnly takes precedence)
-    expect(result.current.articles).toHaveLength(1);
-    expect(result.current.articles[0].is_saved).toBe(true);
+    expect(result.current.unreadCounts).toEqual({ total: 4, 1: 4 });
   });
 
-  it('should refetch when filters change', async () => {
-    global.fetch.mockResolvedValue({
-      ok: true,
-      json: async () => []
-    });
+  it('should refetch from the first page when filters change', async () => {
+    mockServer({ pages: [{ articles: [], nextCursor: 'cursor-1' }] });
 
     const { result, rerender } = renderHook(
       ({ showUnreadOnly }) => useArticles({
@@ -246,21 +262,16 @@ describe('useArticles', () => {
       { initialProps: { showUnreadOnly: false } }
     );
 
-    // Initial fetch
-    await act(async () => {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    });
-
-    expect(global.fetch).toHaveBeenCalledTimes(2); // 2 parallel fetches
-
-    const previousCallCount = global.fetch.mock.calls.length;
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2); // page + counts
 
-    // Change filter
     await act(async () => {
       rerender({ showUnreadOnly: true });
       await new Promise(resolve => setTimeout(resolve, 0));
     });
 
-    expect(global.fetch).toHaveBeenCalledTimes(previousCallCount + 2);
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(global.fetch).toHaveBeenCalledWith(`/api/articles?unreadOnly=true&limit=${PAGE_SIZE}`, { headers: {} });
+    expect(result.current.hasMore).toBe(true);
   });
 });
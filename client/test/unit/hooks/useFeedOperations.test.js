@@ -71,10 +71,33 @@ describe('useFeedOperations', () => {
     });
   });
 
+  it('should return the feeds of a website to pick from', async () => {
+    const choices = [
+      { url: 'https://example.com/feed.xml', title: 'Posts', type: 'application/rss+xml' },
+      { url: 'https://example.com/comments.xml', title: 'Comments', type: 'application/rss+xml' }
+    ];
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 300,
+      json: async () => ({ error: 'This website has several feeds', feeds: choices })
+    });
+
+    const { result } = renderHook(() => useFeedOperations());
+
+    let added;
+    await act(async () => {
+      added = await result.current.addFeed('https://example.com');
+    });
+
+    expect(added).toEqual(choices);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.current.error).toBeNull();
+  });
+
   it('should delete feed', async () => {
     global.fetch.mockResolvedValueOnce({
         ok: true,
-      ok: true
+      json: async () => ({ success: true, actionId: 5 })
     });
 
     // Mock fetchFeeds call
@@ -88,18 +111,21 @@ describe('useFeedOperations', () => {
 
     const { result } = renderHook(() => useFeedOperations());
 
+    let actionId;
     await act(async () => {
-      await result.current.deleteFeed(1, 1, setSelectedFeed);
+      actionId = await result.current.deleteFeed(1, 1, setSelectedFeed);
     });
 
     expect(global.fetch).toHaveBeenCalledWith('/api/feeds/1', { method: 'DELETE', headers: {} });
     expect(setSelectedFeed).toHaveBeenCalledWith(null);
+    // The deletion can be undone through the logged action
+    expect(actionId).toBe(5);
   });
 
   it('should delete feed without clearing selection if different feed selected', async () => {
     global.fetch.mockResolvedValueOnce({
         ok: true,
-      ok: true
+      json: async () => ({ success: true, actionId: 5 })
     });
 
     // Mock fetchFeeds call
@@ -123,7 +149,7 @@ describe('useFeedOperations', () => {
   it('should delete feed without setSelectedFeed callback', async () => {
     global.fetch.mockResolvedValueOnce({
         ok: true,
-      ok: true
+      json: async () => ({ success: true, actionId: 5 })
     });
 
     // Mock fetchFeeds call
@@ -263,6 +289,99 @@ describe('useFeedOperations', () => {
     window.alert = originalAlert;
   });
 
+  it('should download a backup with auth headers', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      headers: new Headers({ 'Content-Disposition': 'attachment; filename="rss-reader-backup-2025-03-01.json"' }),
+      blob: async () => new Blob(['{}'])
+    });
+    URL.createObjectURL = vi.fn(() => 'blob:backup');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    const { result } = renderHook(() => useFeedOperations());
+
+    await act(async () => {
+      await result.current.exportBackup(true);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/backup?includeApiKey=true', { headers: {} });
+    expect(click).toHaveBeenCalled();
+    expect(click.mock.contexts[0].download).toBe('rss-reader-backup-2025-03-01.json');
+
+    click.mockRestore();
+  });
+
+  it('should restore a backup and refresh feeds', async () => {
+    const restoreResult = {
+      mode: 'merge',
+      feeds: { added: 2, matched: 1 },
+      articles: { added: 10, updated: 3 },
+      settings: 1,
+      skipped: 0,
+      blocked: 0
+    };
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => restoreResult });
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => [] });
+    const originalAlert = window.alert;
+    window.alert = vi.fn();
+    const fetchArticles = vi.fn();
+
+    const { result } = renderHook(() => useFeedOperations());
+
+    await act(async () => {
+      await result.current.restoreBackup('{"format":"rss-reader-backup"}', 'replace', fetchArticles);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/backup/restore', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mode: 'replace', archive: { format: 'rss-reader-backup' } })
+    });
+    expect(window.alert).toHaveBeenCalledWith('Restore complete: 2 feeds and 10 articles added, 3 articles updated');
+    expect(fetchArticles).toHaveBeenCalled();
+
+    window.alert = originalAlert;
+  });
+
+  it('should say when feeds with blocked URLs were left out of a restore', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        mode: 'merge', feeds: { added: 1, matched: 0 }, articles: { added: 2, updated: 0 }, settings: 0, skipped: 0, blocked: 1
+      })
+    });
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => [] });
+    const originalAlert = window.alert;
+    window.alert = vi.fn();
+
+    const { result } = renderHook(() => useFeedOperations());
+
+    await act(async () => {
+      await result.current.restoreBackup('{"format":"rss-reader-backup"}', 'merge');
+    });
+
+    expect(window.alert).toHaveBeenCalledWith(
+      'Restore complete: 1 feeds and 2 articles added, 0 articles updated, 1 feeds with blocked URLs left out'
+    );
+
+    window.alert = originalAlert;
+  });
+
+  it('should reject files that are not JSON without calling the API', async () => {
+    const originalAlert = window.alert;
+    window.alert = vi.fn();
+
+    const { result } = renderHook(() => useFeedOperations());
+
+    await act(async () => {
+      await expect(result.current.restoreBackup('<opml/>', 'merge')).rejects.toThrow('Not a valid backup file');
+    });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    window.alert = originalAlert;
+  });
+
   it('should provide setFeeds to manually update feeds', () => {
     const { result } = renderHook(() => useFeedOperations());
 
@@ -7,17 +7,17 @@ global.fetch = vi.fn();
 
 describe('useFeedSync', () => {
   let mockFetchArticles;
-  let mockSetAllArticles;
+  let mockFetchUnreadCounts;
 
   beforeEach(() => {
     // Reset fetch mock before each test
     global.fetch = vi.fn();
 
     mockFetchArticles = vi.fn();
-    mockSetAllArticles = vi.fn();
+    mockFetchUnreadCounts = vi.fn();
   });
 
-  it('should sync all feeds and update allArticles', async () => {
+  it('should sync all feeds and refresh unread counts', async () => {
     // Mock SSE streaming response
     const mockStream = {
       getReader: vi.fn(() => ({
@@ -52,7 +52,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -61,8 +61,7 @@ describe('useFeedSync', () => {
     });
 
     expect(result.current.syncing).toBe(false);
-    expect(mockSetAllArticles).toHaveBeenCalledWith(mockAllArticles);
-    expect(mockSetAllArticles).toHaveBeenCalledTimes(2); // Once during progress, once at end
+    expect(mockFetchUnreadCounts).toHaveBeenCalledTimes(1); // Only once, at the end
   });
 
   it('should refresh visible articles when user-initiated', async () => {
@@ -96,7 +95,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -105,6 +104,8 @@ describe('useFeedSync', () => {
     });
 
     expect(mockFetchArticles).toHaveBeenCalled();
+    // The article refresh includes the counts
+    expect(mockFetchUnreadCounts).not.toHaveBeenCalled();
   });
 
   it('should not refresh visible articles when not user-initiated', async () => {
@@ -138,7 +139,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -175,7 +176,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -200,7 +201,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -243,7 +244,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -253,7 +254,7 @@ describe('useFeedSync', () => {
     });
 
     expect(result.current.syncing).toBe(false);
-    expect(mockSetAllArticles).toHaveBeenCalledWith(mockAllArticles);
+    expect(mockFetchUnreadCounts).toHaveBeenCalled();
   });
 
   it('should handle empty SSE stream', async () => {
@@ -282,7 +283,7 @@ describe('useFeedSync', () => {
     const { result } = renderHook(() =>
       useFeedSync({
         fetchArticles: mockFetchArticles,
-        setAllArticles: mockSetAllArticles
+        fetchUnreadCounts: mockFetchUnreadCounts
       })
     );
 
@@ -291,6 +292,6 @@ describe('useFeedSync', () => {
     });
 
     expect(result.current.syncing).toBe(false);
-    expect(mockSetAllArticles).toHaveBeenCalledWith(mockAllArticles);
+    expect(mockFetchUnreadCounts).toHaveBeenCalled();
   });
 });
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useFolders } from '../../../src/hooks/useFolders.js';
+
+const ok = (data) => ({ ok: true, json: async () => data });
+
+describe('useFolders', () => {
+  let folderList;
+  let nextId;
+  let fetchFeeds;
+
+  beforeEach(() => {
+    folderList = [
+      { id: 1, name: 'News', parent_id: null },
+      { id: 2, name: 'Tech', parent_id: 1 }
+    ];
+    nextId = 10;
+    fetchFeeds = vi.fn(async () => true);
+    global.fetch = vi.fn(async (url, options = {}) => {
+      if (url === '/api/folders' && !options.method) return ok(folderList);
+      if (url === '/api/folders' && options.method === 'POST') {
+        const { name, parentId } = JSON.parse(options.body);
+        return ok({ id: nextId++, name, parent_id: parentId });
+      }
+      return ok({ success: true });
+    });
+  });
+
+  const renderFolders = (feeds = []) => renderHook(() => useFolders({ feeds, fetchFeeds }));
+
+  it('should fetch folders', async () => {
+    const { result } = renderFolders();
+
+    await act(async () => {
+      await result.current.fetchFolders();
+    });
+
+    expect(result.current.folders).toEqual(folderList);
+    expect(global.fetch).toHaveBeenCalledWith('/api/folders', { headers: {} });
+  });
+
+  it('should map feeds to their folder and the folders above it', async () => {
+    const { result } = renderFolders([
+      { id: 7, folder_id: 2 },
+      { id: 8, folder_id: null }
+    ]);
+
+    await act(async () => {
+      await result.current.fetchFolders();
+    });
+
+    expect(result.current.feedFolders).toEqual({ 7: [2, 1] });
+  });
+
+  it('should move a feed by path, creating missing folders', async () => {
+    const { result } = renderFolders();
+    await act(async () => {
+      await result.current.fetchFolders();
+    });
+
+    await act(async () => {
+      await result.current.moveFeed(7, ' news / Tech/Rust ');
+    });
+
+    // News and Tech exist (names match ignoring case), Rust is created inside Tech
+    const posts = global.fetch.mock.calls.filter(([, options]) => options?.method === 'POST');
+    expect(posts).toHaveLength(1);
+    expect(JSON.parse(posts[0][1].body)).toEqual({ name: 'Rust', parentId: 2 });
+    expect(global.fetch).toHaveBeenCalledWith('/api/feeds/7/folder', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ folderId: 10 })
+    });
+    expect(result.current.folders.map(f => f.name)).toEqual(['News', 'Tech', 'Rust']);
+    expect(fetchFeeds).toHaveBeenCalled();
+  });
+
+  it('should move a feed to the top level with an empty path', async () => {
+    const { result } = renderFolders();
+
+    await act(async () => {
+      await result.current.moveFeed(7, '');
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/feeds/7/folder', expect.objectContaining({
+      body: JSON.stringify({ folderId: null })
+    }));
+  });
+
+  it('should revert a rename the server refuses', async () => {
+    const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { result } = renderFolders();
+    await act(async () => {
+      await result.current.fetchFolders();
+    });
+    global.fetch.mockImplementationOnce(async () => ({
+      ok: false,
+      status: 409,
+      json: async () => ({ error: 'A folder with this name already exists here' })
+    }));
+
+    await act(async () => {
+      expect(await result.current.renameFolder(2, 'News')).toBe(false);
+    });
+
+    expect(result.current.folders).toEqual(folderList);
+    expect(alertSpy).toHaveBeenCalledWith('Rename failed: A folder with this name already exists here');
+
+    alertSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should refetch folders and feeds after deleting a folder', async () => {
+    const { result } = renderFolders();
+    folderList = [{ id: 2, name: 'Tech', parent_id: null }];
+
+    await act(async () => {
+      await result.current.deleteFolder(1);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/folders/1', { method: 'DELETE', headers: {} });
+    expect(result.current.folders).toEqual(folderList);
+    expect(fetchFeeds).toHaveBeenCalled();
+  });
+});
@@ -174,6 +174,27 @@ describe('useGlobalKeyboardShortcuts', () => {
     document.body.removeChild(textarea);
   });
 
+  it('should undo the last action with z key', async () => {
+    const undoLast = vi.fn();
+    renderHook(() =>
+      useGlobalKeyboardShortcuts({
+        categories: null,
+        setCategories: mockSetCategories,
+        syncAllFeeds: mockSyncAllFeeds,
+        fetchArticles: mockFetchArticles,
+        handleSelectFeed: mockHandleSelectFeed,
+        handleSelectSaved: mockHandleSelectSaved,
+        undoLast
+      })
+    );
+
+    await act(async () => {
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'z' }));
+    });
+
+    expect(undoLast).toHaveBeenCalled();
+  });
+
   it('should ignore other keys', async () => {
     renderHook(() =>
       useGlobalKeyboardShortcuts({
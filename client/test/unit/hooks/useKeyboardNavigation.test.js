@@ -209,6 +209,26 @@ describe('useKeyboardNavigation', () => {
     expect(mockOnMarkAsRead).toHaveBeenCalledWith(1, true); // Toggle from false to true
   });
 
+  it('should toggle read status with m key through onToggleRead when given', async () => {
+    const onToggleRead = vi.fn();
+    renderHook(() =>
+      useKeyboardNavigation({
+        articles: mockArticles,
+        onMarkAsRead: mockOnMarkAsRead,
+        onToggleRead,
+        onToggleSaved: mockOnToggleSaved
+      })
+    );
+
+    act(() => {
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'm' }));
+    });
+
+    // Only the reader's own toggles are undoable; reading on is not
+    expect(onToggleRead).toHaveBeenCalledWith(1, true);
+    expect(mockOnMarkAsRead).not.toHaveBeenCalled();
+  });
+
   it('should toggle saved status with s key', async () => {
     const { result } = renderHook(() =>
       useKeyboardNavigation({
@@ -225,6 +245,52 @@ describe('useKeyboardNavigation', () => {
     expect(mockOnToggleSaved).toHaveBeenCalledWith(1, true); // Toggle from false to true
   });
 
+  it('should ask for a tag with t key', async () => {
+    const onPromptTag = vi.fn();
+    renderHook(() =>
+      useKeyboardNavigation({
+        articles: mockArticles,
+        onMarkAsRead: mockOnMarkAsRead,
+        onToggleSaved: mockOnToggleSaved,
+        onPromptTag
+      })
+    );
+
+    act(() => {
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 't' }));
+    });
+
+    expect(onPromptTag).toHaveBeenCalledWith(1);
+  });
+
+  it('should toggle the Nth sidebar tag with number keys', async () => {
+    const onAddTag = vi.fn();
+    const onRemoveTag = vi.fn();
+    const tags = [{ id: 3, name: 'Research' }, { id: 4, name: 'Work' }];
+    const articles = [{ ...mockArticles[0], tags: [{ id: 4, name: 'Work' }] }, ...mockArticles.slice(1)];
+    renderHook(() =>
+      useKeyboardNavigation({
+        articles,
+        onMarkAsRead: mockOnMarkAsRead,
+        onToggleSaved: mockOnToggleSaved,
+        tags,
+        onAddTag,
+        onRemoveTag
+      })
+    );
+
+    act(() => {
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: '1' }));
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: '2' }));
+      // No third tag
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: '3' }));
+    });
+
+    expect(onAddTag).toHaveBeenCalledWith(1, 'Research');
+    expect(onRemoveTag).toHaveBeenCalledWith(1, 4);
+    expect(onAddTag).toHaveBeenCalledTimes(1);
+  });
+
   it('should not navigate beyond article list boundaries', async () => {
     const { result } = renderHook(() =>
       useKeyboardNavigation({
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { usePlayback } from '../../../src/hooks/usePlayback.js';
+
+const ok = (data) => ({ ok: true, json: async () => data });
+
+describe('usePlayback', () => {
+  const saved = { position: 312.5, speed: 1.5, updated_at: '2024-01-16T10:00:00.000Z' };
+
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url, options = {}) => {
+      if (options.method === 'PUT') return ok({ ...saved, ...JSON.parse(options.body) });
+      return ok(saved);
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should load where the episode got to', async () => {
+    const { result } = renderHook(() => usePlayback(1));
+
+    await waitFor(() => {
+      expect(result.current.playback).toEqual(saved);
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/playback', { headers: {} });
+  });
+
+  it('should reload when the article changes', async () => {
+    const { result, rerender } = renderHook(({ id }) => usePlayback(id), { initialProps: { id: 1 } });
+    await waitFor(() => expect(result.current.playback).toEqual(saved));
+
+    rerender({ id: 2 });
+
+    expect(result.current.playback).toBeNull();
+    await waitFor(() => expect(result.current.playback).toEqual(saved));
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/articles/2/playback', { headers: {} });
+  });
+
+  it('should play from the start when loading fails', async () => {
+    global.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({ error: 'Article not found' }) }));
+
+    const { result } = renderHook(() => usePlayback(1));
+
+    await waitFor(() => {
+      expect(result.current.playback).toEqual({ position: 0, speed: 1, updated_at: null });
+    });
+    expect(result.current.error.message).toBe('Article not found');
+  });
+
+  it('should save position and speed, also while the page closes', async () => {
+    const { result } = renderHook(() => usePlayback(1));
+    await waitFor(() => expect(result.current.playback).toEqual(saved));
+
+    await act(async () => {
+      await result.current.savePlayback({ position: 400, speed: 2 });
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/playback', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ position: 400, speed: 2 }),
+      keepalive: true
+    });
+  });
+
+  it('should not throw when saving fails', async () => {
+    const { result } = renderHook(() => usePlayback(1));
+    await waitFor(() => expect(result.current.playback).toEqual(saved));
+    global.fetch = vi.fn(async () => { throw new Error('Network down'); });
+
+    await act(async () => {
+      await result.current.savePlayback({ position: 400, speed: 2 });
+    });
+
+    expect(result.current.error.message).toBe('Network down');
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useState } from 'react';
+import { useTags } from '../../../src/hooks/useTags.js';
+
+const ok = (data) => ({ ok: true, json: async () => data });
+
+// useTags together with the article state it updates
+function useTagsWithArticles(initialArticles) {
+  const [articles, setArticles] = useState(initialArticles);
+  return { articles, ...useTags({ setArticles }) };
+}
+
+describe('useTags', () => {
+  let tagList;
+
+  beforeEach(() => {
+    tagList = [{ id: 3, name: 'Research', count: 1 }];
+    global.fetch = vi.fn(async (url, options = {}) => {
+      if (url === '/api/tags' && !options.method) return ok(tagList);
+      if (options.method === 'POST') return ok({ id: 5, name: JSON.parse(options.body).name });
+      return ok({ success: true });
+    });
+  });
+
+  it('should fetch tags', async () => {
+    const { result } = renderHook(() => useTagsWithArticles([]));
+
+    await act(async () => {
+      await result.current.fetchTags();
+    });
+
+    expect(result.current.tags).toEqual(tagList);
+    expect(global.fetch).toHaveBeenCalledWith('/api/tags', { headers: {} });
+  });
+
+  it('should add a tag to an article and refresh the tag list', async () => {
+    const { result } = renderHook(() => useTagsWithArticles([
+      { id: 1, title: 'Article 1', tags: [{ id: 3, name: 'Research' }] },
+      { id: 2, title: 'Article 2' }
+    ]));
+    tagList = [{ id: 3, name: 'Research', count: 1 }, { id: 5, name: 'Later', count: 1 }];
+
+    await act(async () => {
+      await result.current.addTag(1, 'Later');
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/tags', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Later' })
+    });
+    // Kept in name order
+    expect(result.current.articles[0].tags.map(t => t.name)).toEqual(['Later', 'Research']);
+    expect(result.current.articles[1].tags).toBeUndefined();
+    expect(result.current.tags).toEqual(tagList);
+  });
+
+  it('should remove a tag from an article', async () => {
+    const { result } = renderHook(() => useTagsWithArticles([
+      { id: 1, title: 'Article 1', tags: [{ id: 3, name: 'Research' }] }
+    ]));
+
+    await act(async () => {
+      await result.current.removeTag(1, 3);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/articles/1/tags/3', { method: 'DELETE', headers: {} });
+    expect(result.current.articles[0].tags).toEqual([]);
+  });
+
+  it('should rename a tag everywhere', async () => {
+    const { result } = renderHook(() => useTagsWithArticles([
+      { id: 1, title: 'Article 1', tags: [{ id: 3, name: 'Research' }] }
+    ]));
+    await act(async () => {
+      await result.current.fetchTags();
+    });
+
+    await act(async () => {
+      expect(await result.current.renameTag(3, 'Reading')).toBe(true);
+    });
+
+    expect(result.current.tags[0].name).toBe('Reading');
+    expect(result.current.articles[0].tags[0].name).toBe('Reading');
+  });
+
+  it('should revert a rename the server refuses', async () => {
+    const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { result } = renderHook(() => useTagsWithArticles([]));
+    await act(async () => {
+      await result.current.fetchTags();
+    });
+    global.fetch.mockImplementationOnce(async () => ({
+      ok: false,
+      status: 409,
+      json: async () => ({ error: 'A tag with this name already exists' })
+    }));
+
+    await act(async () => {
+      expect(await result.current.renameTag(3, 'Work')).toBe(false);
+    });
+
+    expect(result.current.tags).toEqual(tagList);
+    expect(alertSpy).toHaveBeenCalledWith('Rename failed: A tag with this name already exists');
+
+    alertSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should sign out when the session has expired', async () => {
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const onExpired = vi.fn();
+    window.addEventListener('auth:expired', onExpired);
+    global.fetch.mockImplementationOnce(async () => ({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: 'Authentication required' })
+    }));
+    const { result } = renderHook(() => useTagsWithArticles([]));
+
+    await act(async () => {
+      expect(await result.current.fetchTags()).toBe(false);
+    });
+
+    expect(result.current.error.status).toBe(401);
+    expect(onExpired).toHaveBeenCalled();
+
+    window.removeEventListener('auth:expired', onExpired);
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should delete a tag and drop it from articles', async () => {
+    const { result } = renderHook(() => useTagsWithArticles([
+      { id: 1, title: 'Article 1', tags: [{ id: 3, name: 'Research' }] }
+    ]));
+    await act(async () => {
+      await result.current.fetchTags();
+    });
+
+    await act(async () => {
+      await result.current.deleteTag(3);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/tags/3', { method: 'DELETE', headers: {} });
+    expect(result.current.tags).toEqual([]);
+    expect(result.current.articles[0].tags).toEqual([]);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useUndo } from '../../../src/hooks/useUndo.js';
+
+const ok = (data) => ({ ok: true, json: async () => data });
+
+describe('useUndo', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url) => {
+      const id = Number(url.match(/\/api\/actions\/(\d+)\/undo/)[1]);
+      return ok({ id, type: 'state', read: { ids: [1], value: true }, undone: true });
+    });
+  });
+
+  it('should offer to undo a recorded action', () => {
+    const { result } = renderHook(() => useUndo());
+
+    act(() => {
+      result.current.record(4, 'Marked as read');
+    });
+
+    expect(result.current.toast).toEqual({ actionId: 4, message: 'Marked as read' });
+  });
+
+  it('should ignore changes the server logged no action for', () => {
+    const { result } = renderHook(() => useUndo());
+
+    act(() => {
+      result.current.record(null, 'Marked 0 articles as read');
+    });
+
+    expect(result.current.toast).toBeNull();
+  });
+
+  it('should undo an action and refresh what it changed', async () => {
+    const onUndone = vi.fn();
+    const { result } = renderHook(() => useUndo({ onUndone }));
+
+    act(() => {
+      result.current.record(4, 'Deleted Tech Blog');
+    });
+    await act(async () => {
+      await result.current.undo(4);
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/actions/4/undo', { method: 'POST', headers: {} });
+    expect(onUndone).toHaveBeenCalledWith(expect.objectContaining({ id: 4, undone: true }));
+    expect(result.current.toast).toBeNull();
+  });
+
+  it('should undo the most recent actions first', async () => {
+    const { result } = renderHook(() => useUndo());
+
+    act(() => {
+      result.current.record(4, 'Marked as read');
+      result.current.record(6, 'Marked as unread');
+    });
+    await act(async () => {
+      await result.current.undoLast();
+      await result.current.undoLast();
+    });
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      '/api/actions/6/undo',
+      '/api/actions/4/undo'
+    ]);
+
+    // Nothing left to undo
+    let action;
+    await act(async () => {
+      action = await result.current.undoLast();
+    });
+    expect(action).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should surface why an action could not be undone', async () => {
+    global.fetch = vi.fn(async () => ({
+      ok: false,
+      status: 404,
+      json: async () => ({ error: 'Action not found or too old to undo' })
+    }));
+    const { result } = renderHook(() => useUndo());
+
+    act(() => {
+      result.current.record(4, 'Marked as read');
+    });
+    await act(async () => {
+      await expect(result.current.undoLast()).rejects.toThrow('Action not found or too old to undo');
+    });
+
+    expect(result.current.error.status).toBe(404);
+  });
+});
@@ -2,13 +2,24 @@ import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
 import dotenv from 'dotenv';
-import { initDatabase, shutdownDatabase, articleOps } from './services/database.js';
+import { initDatabase, shutdownDatabase, backupDatabase, articleOps, actionOps } from './services/database.js';
 import { validateUrl, cleanCache } from './services/url-validator.js';
+import { startScheduler, stopScheduler } from './services/scheduler.js';
+import { queueFullContent, stopFullContent } from './services/full-content.js';
 import feedRoutes from './routes/feeds.js';
 import articleRoutes from './routes/articles.js';
+import tagRoutes from './routes/tags.js';
+import filterRuleRoutes from './routes/filter-rules.js';
+import folderRoutes from './routes/folders.js';
+import annotationRoutes from './routes/annotations.js';
+import actionRoutes from './routes/actions.js';
 import aiRoutes from './routes/ai.js';
 import settingsRoutes from './routes/settings.js';
-import { basicAuth } from './middleware/basicAuth.js';
+import adminRoutes from './routes/admin.js';
+import backupRoutes from './routes/backup.js';
+import userRoutes from './routes/users.js';
+import { basicAuth, requireAdmin } from './middleware/basicAuth.js';
+import { bootstrapAdmin } from './services/auth.js';
 import { notFound, errorHandler } from './middleware/errorHandler.js';
 
 dotenv.config();
@@ -26,7 +37,9 @@ app.use(cors({
   credentials: true
 }));
 app.use(compression());
-app.use(express.json({ charset: 'utf-8' }));
+// Backup restores parse their own (much larger) body after authentication
+const jsonParser = express.json({ charset: 'utf-8' });
+app.use((req, res, next) => (req.path === '/api/backup/restore' ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true, charset: 'utf-8' }));
 
 // Set default charset for responses
@@ -38,14 +51,36 @@ app.use((req, res, next) => {
 // Initialize database
 initDatabase();
 
-// Clean up old articles on startup
+// Credentials from BASIC_AUTH_USER/BASIC_AUTH_PASSWORD, before any request
+// could get in without them (only until an account has a password)
+await bootstrapAdmin();
+
+// Back up the database on startup and daily
+function runBackup() {
+  backupDatabase()
+    .then(file => console.log(`Database backed up to ${file}`))
+    .catch(err => console.error('Database backup failed:', err.message));
+}
+runBackup();
+setInterval(runBackup, 24 * 60 * 60 * 1000); // Every 24 hours
+
+// Clean up old articles and expired undo actions (with the feeds deleted
+// that long ago) on startup
 articleOps.cleanup();
+actionOps.purge();
 
-// Clean up old articles daily
+// Clean up old articles and expired undo actions daily
 setInterval(() => {
   articleOps.cleanup();
+  actionOps.purge();
 }, 24 * 60 * 60 * 1000); // Every 24 hours
 
+// Sync each feed on its own schedule, with or without a reader open
+startScheduler();
+
+// Pages left to download when the server last stopped
+queueFullContent();
+
 // Clean up DNS cache periodically (every hour)
 setInterval(() => {
   cleanCache();
@@ -113,7 +148,7 @@ app.get('/api/image-proxy', async (req, res) => {
   }
 });
 
-// Basic auth (skipped if env vars are empty)
+// Basic auth against user accounts (skipped until an account has a password)
 // Applied AFTER image-proxy so <img> tags can load images (they can't send auth headers)
 app.use(basicAuth);
 
@@ -122,8 +157,16 @@ app.use(basicAuth);
 // Routes
 app.use('/api/feeds', feedRoutes);
 app.use('/api/articles', articleRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/filter-rules', filterRuleRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/annotations', annotationRoutes);
+app.use('/api/actions', actionRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/admin', requireAdmin, adminRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/backup', backupRoutes);
 
 // 404 handler (must be after routes)
 app.use(notFound);
@@ -139,10 +182,18 @@ const server = app.listen(PORT, () => {
 async function shutdown(signal) {
   console.log(`\n${signal} received, shutting down gracefully...`);
 
+  // Start no more background syncs
+  const schedulerStopped = stopScheduler();
+  const fullContentStopped = stopFullContent();
+
   // Stop accepting new connections
   server.close(async () => {
     console.log('HTTP server closed');
 
+    // Let syncs in progress store what they fetched
+    await schedulerStopped;
+    await fullContentStopped;
+
     // Wait for pending database saves
     await shutdownDatabase();
     console.log('Database shutdown complete');
@@ -1,30 +1,44 @@
-export function basicAuth(req, res, next) {
-  const user = process.env.BASIC_AUTH_USER;
-  const password = process.env.BASIC_AUTH_PASSWORD;
+import { userOps } from '../services/database.js';
+import { authenticate } from '../services/auth.js';
 
-  // No auth configured — allow all requests (local dev)
-  if (!user || !password) {
-    return next();
-  }
+export async function basicAuth(req, res, next) {
+  try {
+    // No account has a password yet — allow all requests as the owner (local dev)
+    if (!userOps.hasPasswords()) {
+      req.user = userOps.owner();
+      return next();
+    }
 
-  const header = req.headers.authorization;
+    const header = req.headers.authorization;
 
-  if (!header || !header.startsWith('Basic ')) {
-    // Note: intentionally not sending WWW-Authenticate to avoid the browser's
-    // native Basic Auth dialog — the SPA handles login with a custom form.
-    return res.status(401).json({ error: 'Authentication required' });
-  }
+    if (!header || !header.startsWith('Basic ')) {
+      // Note: intentionally not sending WWW-Authenticate to avoid the browser's
+      // native Basic Auth dialog — the SPA handles login with a custom form.
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Passwords may contain colons, usernames can't
+    const credentials = Buffer.from(header.slice(6), 'base64').toString();
+    const separator = credentials.indexOf(':');
+    const user = separator === -1
+      ? null
+      : await authenticate(credentials.slice(0, separator), credentials.slice(separator + 1));
 
-  const [providedUser, providedPassword] = Buffer.from(
-    header.slice(6),
-    'base64'
-  )
-    .toString()
-    .split(':');
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-  if (providedUser !== user || providedPassword !== password) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
   }
+}
 
+// Only admins may manage users and instance-wide settings
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
   next();
 }
@@ -0,0 +1,30 @@
+import express from 'express';
+import { z } from 'zod';
+import { actionOps } from '../services/database.js';
+import { validateParams } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// The user's recent actions that can be undone, newest first
+router.get('/', (req, res) => {
+  res.json(actionOps.all(req.user.id));
+});
+
+router.post('/:id/undo',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid action ID') })),
+  (req, res) => {
+  const id = parseInt(req.params.id);
+  const action = actionOps.get(req.user.id, id);
+
+  if (!action) {
+    return res.status(404).json({ error: 'Action not found or too old to undo' });
+  }
+
+  if (action.undone) {
+    return res.status(409).json({ error: 'Action was already undone' });
+  }
+
+  res.json(actionOps.undo(req.user.id, id));
+});
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getValidationReport } from '../services/database.js';
+
+const router = express.Router();
+
+// Summary of the load-time validation pass (repairs and quarantined records)
+router.get('/validation-report', (req, res) => {
+  const report = getValidationReport();
+  if (!report) {
+    return res.status(404).json({ error: 'No validation report available' });
+  }
+  res.json(report);
+});
+
+export default router;
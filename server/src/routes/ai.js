@@ -1,6 +1,6 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { articleOps, settingsOps } from '../services/database.js';
+import { articleOps, userSettingsOps } from '../services/database.js';
 import { sortArticles, generateDigest } from '../services/ai.js';
 import { validateBody, asyncHandler } from '../middleware/validate.js';
 import {
@@ -20,8 +20,8 @@ const aiRateLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-function getLLMConfig() {
-  const settings = settingsOps.getAll('llm_');
+function getLLMConfig(userId) {
+  const settings = userSettingsOps.getAll(userId, 'llm_');
   const config = {};
   
   Object.keys(settings).forEach(key => {
@@ -39,7 +39,7 @@ router.post('/sort',
   const { articleIds, criteria } = req.body;
   
   try {
-    const config = getLLMConfig();
+    const config = getLLMConfig(req.user.id);
     
     if (!config.provider || !config.model) {
       return res.status(400).json({ error: 'LLM not configured. Please configure in Settings.' });
@@ -49,7 +49,7 @@ router.post('/sort',
       return res.status(400).json({ error: 'API key not configured. Please add your API key in Settings.' });
     }
     
-    const articles = articleOps.getByIds(articleIds);
+    const articles = articleOps.getByIds(req.user.id, articleIds);
     
     if (!articles || articles.length === 0) {
       return res.status(400).json({ error: 'No articles found' });
@@ -73,7 +73,7 @@ router.post('/digest',
   const { articleIds } = req.body;
   
   try {
-    const config = getLLMConfig();
+    const config = getLLMConfig(req.user.id);
     
     if (!config.provider || !config.model) {
       return res.status(400).json({ error: 'LLM not configured. Please configure in Settings.' });
@@ -83,7 +83,7 @@ router.post('/digest',
       return res.status(400).json({ error: 'API key not configured. Please add your API key in Settings.' });
     }
     
-    const articles = articleOps.getByIds(articleIds);
+    const articles = articleOps.getByIds(req.user.id, articleIds);
     
     if (!articles || articles.length === 0) {
       return res.status(400).json({ error: 'No articles found' });
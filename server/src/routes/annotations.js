@@ -0,0 +1,39 @@
+import express from 'express';
+import { z } from 'zod';
+import { annotationOps } from '../services/database.js';
+import { validateBody, validateParams } from '../middleware/validate.js';
+import { UpdateAnnotationRequestSchema } from '../schemas/api.js';
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(annotationOps.all(req.user.id));
+});
+
+router.patch('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid annotation ID') })),
+  validateBody(UpdateAnnotationRequestSchema),
+  (req, res) => {
+  const { quote, note } = req.body;
+  const annotation = annotationOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!annotation) {
+    return res.status(404).json({ error: 'Annotation not found' });
+  }
+
+  // A note without a highlight can't be emptied - delete it instead
+  if (!annotation.quote && quote === undefined && note === '') {
+    return res.status(400).json({ error: 'A highlight or a note is required' });
+  }
+
+  res.json(annotationOps.update(req.user.id, annotation.id, { quote, note }));
+});
+
+router.delete('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid annotation ID') })),
+  (req, res) => {
+  annotationOps.delete(req.user.id, parseInt(req.params.id));
+  res.json({ success: true });
+});
+
+export default router;
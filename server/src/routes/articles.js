@@ -1,21 +1,72 @@
 import express from 'express';
 import { z } from 'zod';
-import { articleOps } from '../services/database.js';
-import { validateBody, validateParams } from '../middleware/validate.js';
+import { articleOps, tagOps, annotationOps, playbackOps } from '../services/database.js';
+import { toFtsQuery } from '../utils/search.js';
+import { encodeCursor, decodeCursor } from '../utils/pagination.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validate.js';
 import {
   UpdateReadStatusRequestSchema,
-  UpdateSavedStatusRequestSchema
+  UpdateSavedStatusRequestSchema,
+  UpdateArticleStateRequestSchema,
+  AddArticleTagRequestSchema,
+  CreateAnnotationRequestSchema,
+  UpdatePlaybackRequestSchema,
+  GetArticlesQuerySchema,
+  SearchArticlesQuerySchema
 } from '../schemas/api.js';
 
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  const { feedId, unreadOnly } = req.query;
-  const articles = articleOps.all(
-    feedId ? parseInt(feedId) : null,
-    unreadOnly === 'true'
-  );
-  res.json(articles);
+router.get('/', validateQuery(GetArticlesQuerySchema), (req, res) => {
+  const { feedId, folderId, tagId, unreadOnly, savedOnly, limit, cursor } = req.query;
+
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const { articles, nextCursor } = articleOps.page(req.user.id, {
+    feedId: feedId ?? null,
+    folderId: folderId ?? null,
+    tagId: tagId ?? null,
+    unreadOnly,
+    savedOnly,
+    limit,
+    cursor: position
+  });
+  res.json({ articles, nextCursor: nextCursor ? encodeCursor(nextCursor) : null });
+});
+
+router.get('/unread-counts', (req, res) => {
+  res.json(articleOps.unreadCounts(req.user.id));
+});
+
+router.get('/search', validateQuery(SearchArticlesQuerySchema), (req, res) => {
+  const { q, feedId, from, to, read, saved, limit, offset } = req.query;
+
+  const query = toFtsQuery(q);
+  if (!query) {
+    return res.json({ results: [], total: 0 });
+  }
+
+  const result = articleOps.search(req.user.id, query, {
+    feedId,
+    from,
+    to,
+    isRead: read ?? null,
+    isSaved: saved ?? null,
+    limit,
+    offset
+  });
+  res.json(result);
+});
+
+// One write for many articles, e.g. "mark all as read". Returns the IDs of
+// the articles whose state changed (copies of a story included) and the
+// action that undoes it (see routes/actions.js).
+router.patch('/state', validateBody(UpdateArticleStateRequestSchema), (req, res) => {
+  const { ids, filter, isRead, isSaved } = req.body;
+  res.json(articleOps.updateState(req.user.id, { ids, filter }, { isRead, isSaved }));
 });
 
 router.patch('/:id/read',
@@ -23,8 +74,8 @@ router.patch('/:id/read',
   validateBody(UpdateReadStatusRequestSchema),
   (req, res) => {
   const { isRead } = req.body;
-  articleOps.updateRead(parseInt(req.params.id), isRead);
-  res.json({ success: true });
+  const { actionId } = articleOps.updateRead(req.user.id, parseInt(req.params.id), isRead);
+  res.json({ success: true, actionId });
 });
 
 router.patch('/:id/saved',
@@ -32,7 +83,66 @@ router.patch('/:id/saved',
   validateBody(UpdateSavedStatusRequestSchema),
   (req, res) => {
   const { isSaved } = req.body;
-  articleOps.updateSaved(parseInt(req.params.id), isSaved);
+  const { actionId } = articleOps.updateSaved(req.user.id, parseInt(req.params.id), isSaved);
+  res.json({ success: true, actionId });
+});
+
+router.post('/:id/tags',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid article ID') })),
+  validateBody(AddArticleTagRequestSchema),
+  (req, res) => {
+  const tag = tagOps.addToArticle(req.user.id, parseInt(req.params.id), req.body.name);
+
+  if (!tag) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+
+  res.json(tag);
+});
+
+router.delete('/:id/tags/:tagId',
+  validateParams(z.object({
+    id: z.string().regex(/^\d+$/, 'Invalid article ID'),
+    tagId: z.string().regex(/^\d+$/, 'Invalid tag ID')
+  })),
+  (req, res) => {
+  tagOps.removeFromArticle(req.user.id, parseInt(req.params.id), parseInt(req.params.tagId));
+  res.json({ success: true });
+});
+
+router.post('/:id/annotations',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid article ID') })),
+  validateBody(CreateAnnotationRequestSchema),
+  (req, res) => {
+  const annotation = annotationOps.insert(req.user.id, parseInt(req.params.id), req.body);
+
+  if (!annotation) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+
+  res.json(annotation);
+});
+
+router.get('/:id/playback',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid article ID') })),
+  (req, res) => {
+  const playback = playbackOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!playback) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+
+  res.json(playback);
+});
+
+router.put('/:id/playback',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid article ID') })),
+  validateBody(UpdatePlaybackRequestSchema),
+  (req, res) => {
+  if (!playbackOps.set(req.user.id, parseInt(req.params.id), req.body)) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+
   res.json({ success: true });
 });
 
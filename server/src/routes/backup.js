@@ -0,0 +1,63 @@
+import express from 'express';
+import { archiveOps, feedOps, ARCHIVE_VERSION } from '../services/database.js';
+import { validateFeedUrl } from '../services/url-validator.js';
+import { validateBody, validateQuery, asyncHandler } from '../middleware/validate.js';
+import { ExportBackupQuerySchema, RestoreBackupRequestSchema } from '../schemas/api.js';
+
+const router = express.Router();
+
+// Archives with full article content are far larger than the default body limit
+const archiveParser = express.json({ limit: '200mb' });
+
+// The server fetches restored feeds like any other, so feeds new to it must
+// pass the same URL check as feeds added by hand (to prevent SSRF attacks).
+// Blocked feeds are left out, along with their articles.
+async function withoutBlockedFeeds(archive) {
+  const blocked = new Set();
+  for (const feed of archive.feeds) {
+    if (feedOps.findByUrl(feed.url)) continue;
+
+    const validation = await validateFeedUrl(feed.url);
+    if (!validation.safe) {
+      console.log(`[Security] Blocked feed restore: ${feed.url} (${validation.reason})`);
+      blocked.add(feed.id);
+    }
+  }
+
+  return {
+    blocked: blocked.size,
+    archive: {
+      ...archive,
+      feeds: archive.feeds.filter(feed => !blocked.has(feed.id)),
+      articles: archive.articles.filter(article => !blocked.has(article.feed_id))
+    }
+  };
+}
+
+router.get('/', validateQuery(ExportBackupQuerySchema), (req, res) => {
+  const archive = archiveOps.export(req.user.id, { includeSecrets: req.query.includeApiKey });
+  const date = archive.exportedAt.slice(0, 10);
+
+  res.setHeader('Content-Disposition', `attachment; filename="rss-reader-backup-${date}.json"`);
+  res.json(archive);
+});
+
+router.post('/restore', archiveParser, validateBody(RestoreBackupRequestSchema), asyncHandler(async (req, res) => {
+  const { mode } = req.body;
+
+  if (req.body.archive.version > ARCHIVE_VERSION) {
+    return res.status(400).json({
+      error: `Backup version ${req.body.archive.version} was created by a newer version of the app`
+    });
+  }
+
+  const { archive, blocked } = await withoutBlockedFeeds(req.body.archive);
+  const result = archiveOps.restore(req.user.id, archive, mode);
+  console.log(
+    `Restored backup (${mode}): ${result.feeds.added} feeds and ${result.articles.added} articles added, ` +
+    `${result.articles.updated} articles updated, ${result.skipped} invalid records and ${blocked} blocked feeds skipped`
+  );
+  res.json({ ...result, blocked });
+}));
+
+export default router;
@@ -1,15 +1,22 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { z } from 'zod';
-import { feedOps } from '../services/database.js';
+import { feedOps, folderOps, settingsOps } from '../services/database.js';
+import { RETENTION_SETTING, resolveRetention } from '../services/retention.js';
 import { fetchFeed, syncFeed } from '../services/rss.js';
 import { validateFeedUrl } from '../services/url-validator.js';
+import { discoverFeeds } from '../services/feed-discovery.js';
+import { queueFullContent } from '../services/full-content.js';
 import { convertYouTubeUrl, isYouTubeChannelUrl } from '../services/youtube-url.js';
-import { XMLParser } from 'fast-xml-parser';
+import { parseOpml, flattenOpml, buildOpml } from '../utils/opml.js';
 import { validateBody, validateParams, asyncHandler } from '../middleware/validate.js';
+import { requireAdmin } from '../middleware/basicAuth.js';
 import {
   AddFeedRequestSchema,
   RenameFeedRequestSchema,
+  UpdateFeedRetentionRequestSchema,
+  UpdateFeedFullContentRequestSchema,
+  UpdateFeedFolderRequestSchema,
   ImportOPMLRequestSchema
 } from '../schemas/api.js';
 
@@ -26,7 +33,7 @@ const syncRateLimiter = rateLimit({
 });
 
 router.get('/', (req, res) => {
-  const feeds = feedOps.all();
+  const feeds = feedOps.all(req.user.id);
   res.json(feeds);
 });
 
@@ -55,11 +62,36 @@ router.post('/', validateBody(AddFeedRequestSchema), asyncHandler(async (req, re
     console.log(`[Warning] Adding feed with ${validation.warning}: ${feedUrl}`);
   }
 
+  // Another user already reads this feed - share it instead of fetching it again
+  const shared = feedOps.findByUrl(feedUrl);
+  if (shared) {
+    return res.json(feedOps.subscribe(req.user.id, shared.title, shared.url));
+  }
+
   try {
-    const feed = await fetchFeed(feedUrl);
+    let feed;
+    try {
+      feed = await fetchFeed(feedUrl);
+    } catch (error) {
+      // Not a feed - maybe a page of a website that has one
+      const discovered = isYouTubeChannelUrl(url) ? [] : await discoverFeeds(feedUrl);
+      if (discovered.length === 0) throw error;
+      if (discovered.length > 1) {
+        return res.status(300).json({ error: 'This website has several feeds', feeds: discovered });
+      }
+
+      feedUrl = discovered[0].url;
+      console.log(`Discovered feed: ${url} -> ${feedUrl}`);
+      const sharedDiscovered = feedOps.findByUrl(feedUrl);
+      if (sharedDiscovered) {
+        return res.json(feedOps.subscribe(req.user.id, sharedDiscovered.title, sharedDiscovered.url));
+      }
+      feed = await fetchFeed(feedUrl);
+    }
+
     // Fallback to URL hostname if title is empty
     const title = feed.title?.trim() || new URL(feedUrl).hostname;
-    const newFeed = feedOps.insert(title, feedUrl);
+    const newFeed = feedOps.subscribe(req.user.id, title, feedUrl);
 
     await syncFeed(newFeed.id, feedUrl);
 
@@ -74,8 +106,9 @@ router.post('/', validateBody(AddFeedRequestSchema), asyncHandler(async (req, re
 router.delete('/:id',
   validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid feed ID') })),
   (req, res) => {
-  feedOps.delete(parseInt(req.params.id));
-  res.json({ success: true });
+  // Can be undone for a while (see routes/actions.js)
+  const actionId = feedOps.delete(req.user.id, parseInt(req.params.id));
+  res.json({ success: true, actionId });
 });
 
 router.patch('/:id',
@@ -83,13 +116,81 @@ router.patch('/:id',
   validateBody(RenameFeedRequestSchema),
   (req, res) => {
   const { title } = req.body;
-  const feed = feedOps.get(parseInt(req.params.id));
+  const feed = feedOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!feed) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  feedOps.update(req.user.id, parseInt(req.params.id), title);
+  res.json({ success: true });
+});
+
+router.get('/:id/retention',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid feed ID') })),
+  (req, res) => {
+  const feed = feedOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!feed) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  res.json({
+    retention: feed.retention,
+    effective: resolveRetention(settingsOps.get(RETENTION_SETTING), feed.retention)
+  });
+});
+
+router.put('/:id/retention',
+  requireAdmin,
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid feed ID') })),
+  validateBody(UpdateFeedRetentionRequestSchema),
+  (req, res) => {
+  const { retention } = req.body;
+  const feed = feedOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!feed) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  feedOps.updateRetention(feed.id, retention);
+  res.json({ success: true });
+});
+
+router.put('/:id/full-content',
+  requireAdmin,
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid feed ID') })),
+  validateBody(UpdateFeedFullContentRequestSchema),
+  (req, res) => {
+  const { enabled } = req.body;
+  const feed = feedOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!feed) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  feedOps.updateFullContent(feed.id, enabled);
+  // Recent articles too, not just the ones from now on
+  if (enabled) queueFullContent();
+  res.json({ success: true });
+});
+
+router.put('/:id/folder',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid feed ID') })),
+  validateBody(UpdateFeedFolderRequestSchema),
+  (req, res) => {
+  const { folderId } = req.body;
+  const feed = feedOps.get(req.user.id, parseInt(req.params.id));
 
   if (!feed) {
     return res.status(404).json({ error: 'Feed not found' });
   }
 
-  feedOps.update(parseInt(req.params.id), title);
+  if (folderId !== null && !folderOps.get(req.user.id, folderId)) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+
+  feedOps.updateFolder(req.user.id, feed.id, folderId);
   res.json({ success: true });
 });
 
@@ -97,7 +198,7 @@ router.post('/:id/sync',
   validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid feed ID') })),
   syncRateLimiter,
   asyncHandler(async (req, res) => {
-  const feed = feedOps.get(parseInt(req.params.id));
+  const feed = feedOps.get(req.user.id, parseInt(req.params.id));
 
   if (!feed) {
     return res.status(404).json({ error: 'Feed not found' });
@@ -114,17 +215,7 @@ router.post('/:id/sync',
 }));
 
 router.get('/export', (req, res) => {
-  const feeds = feedOps.all();
-  
-  const opml = `<?xml version="1.0" encoding="UTF-8"?>
-<opml version="2.0">
-  <head>
-    <title>RSS Feeds Export</title>
-  </head>
-  <body>
-${feeds.map(feed => `    <outline type="rss" text="${feed.title}" xmlUrl="${feed.url}"/>`).join('\n')}
-  </body>
-</opml>`;
+  const opml = buildOpml(folderOps.all(req.user.id), feedOps.all(req.user.id));
 
   res.setHeader('Content-Type', 'application/xml');
   res.setHeader('Content-Disposition', 'attachment; filename="feeds.opml"');
@@ -135,54 +226,18 @@ router.post('/import', validateBody(ImportOPMLRequestSchema), asyncHandler(async
   const { opml } = req.body;
 
   try {
-    // Configure XML parser with security options to prevent XXE attacks
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: '',
-      // Security: Prevent XXE (XML External Entity) attacks
-      allowBooleanAttributes: false,
-      parseTagValue: false,
-      parseAttributeValue: false,
-      trimValues: true,
-      // Don't process entities
-      processEntities: false,
-      // Stop parsing at first error to prevent complex attack payloads
-      stopNodes: ['script', 'style'],
-      ignoreDeclaration: true,
-      ignorePiTags: true
-    });
-
-    // Parse OPML XML
-    const parsedData = parser.parse(opml);
-
-    // Extract feeds from parsed OPML structure
-    // Handle both OPML 1.0 and 2.0 formats
-    const body = parsedData.opml?.body || parsedData.body;
-    if (!body) {
+    const outlines = parseOpml(opml);
+    if (!outlines) {
       return res.status(400).json({ error: 'Invalid OPML format: missing body element' });
     }
 
-    // Extract outlines (feeds) - can be array or nested object
-    const extractOutlines = (element) => {
-      const outlines = [];
-
-      if (Array.isArray(element.outline)) {
-        outlines.push(...element.outline);
-      } else if (element.outline) {
-        outlines.push(element.outline);
-      }
-
-      // Recursively extract nested outlines
-      for (const key in element) {
-        if (typeof element[key] === 'object' && key !== 'outline') {
-          outlines.push(...extractOutlines(element[key]));
-        }
-      }
-
-      return outlines;
-    };
-
-    const feeds = extractOutlines(body).filter(item => item.xmlUrl);
+    // Outline groups become folders (nested ones inside each other), created
+    // the first time a feed is filed into them
+    const feeds = flattenOpml(outlines);
+    const resolveFolder = (path) => path.reduce(
+      (parentId, name) => folderOps.findOrCreate(req.user.id, name.slice(0, 100), parentId).id,
+      null
+    );
 
     let imported = 0;
     let failed = 0;
@@ -190,34 +245,53 @@ router.post('/import', validateBody(ImportOPMLRequestSchema), asyncHandler(async
 
     for (const feed of feeds) {
       try {
-        const url = feed.xmlUrl;
-        const title = feed.text || feed.title;
+        const { url, title, path } = feed;
 
         if (!url) {
           failed++;
           continue;
         }
 
-        const existingFeed = feedOps.all().find(f => f.url === url);
-        if (!existingFeed) {
-          // Validate URL to prevent SSRF attacks
-          const validation = await validateFeedUrl(url);
-          if (!validation.safe) {
-            console.log(`[Security] Blocked feed import: ${url} (${validation.reason})`);
-            blocked++;
-            failed++;
-            continue;
+        const existingFeed = feedOps.all(req.user.id).find(f => f.url === url);
+        if (existingFeed) {
+          // Don't move feeds the user already filed somewhere
+          if (path.length > 0 && existingFeed.folder_id == null) {
+            feedOps.updateFolder(req.user.id, existingFeed.id, resolveFolder(path));
           }
+          continue;
+        }
 
-          if (validation.warning) {
-            console.log(`[Warning] Importing feed with ${validation.warning}: ${url}`);
+        // Feeds other users already read are shared, not fetched again
+        const shared = feedOps.findByUrl(url);
+        if (shared) {
+          const feed = feedOps.subscribe(req.user.id, shared.title, shared.url);
+          if (path.length > 0) {
+            feedOps.updateFolder(req.user.id, feed.id, resolveFolder(path));
           }
-
-          const feedData = await fetchFeed(url);
-          const newFeed = feedOps.insert(feedData.title || title, url);
-          await syncFeed(newFeed.id, url);
           imported++;
+          continue;
+        }
+
+        // Validate URL to prevent SSRF attacks
+        const validation = await validateFeedUrl(url);
+        if (!validation.safe) {
+          console.log(`[Security] Blocked feed import: ${url} (${validation.reason})`);
+          blocked++;
+          failed++;
+          continue;
+        }
+
+        if (validation.warning) {
+          console.log(`[Warning] Importing feed with ${validation.warning}: ${url}`);
+        }
+
+        const feedData = await fetchFeed(url);
+        const newFeed = feedOps.subscribe(req.user.id, feedData.title || title || new URL(url).hostname, url);
+        if (path.length > 0) {
+          feedOps.updateFolder(req.user.id, newFeed.id, resolveFolder(path));
         }
+        await syncFeed(newFeed.id, url);
+        imported++;
       } catch (error) {
         console.error(`Failed to import feed:`, error.message);
         failed++;
@@ -233,7 +307,7 @@ router.post('/import', validateBody(ImportOPMLRequestSchema), asyncHandler(async
 }));
 
 router.post('/sync-all', syncRateLimiter, async (req, res) => {
-  const feeds = feedOps.all();
+  const feeds = feedOps.all(req.user.id);
   
   console.log(`Syncing ${feeds.length} feeds in parallel...`);
   
@@ -243,6 +317,7 @@ router.post('/sync-all', syncRateLimiter, async (req, res) => {
   res.setHeader('Connection', 'keep-alive');
   
   let synced = 0;
+  let unchanged = 0;
   let failed = 0;
   let completed = 0;
   
@@ -254,18 +329,21 @@ router.post('/sync-all', syncRateLimiter, async (req, res) => {
         setTimeout(() => reject(new Error('Timeout')), 15000)
       );
       
-      await Promise.race([
+      const result = await Promise.race([
         syncFeed(feed.id, feed.url),
         timeoutPromise
       ]);
       
       synced++;
+      // Not modified since the last sync
+      if (result.unchanged) unchanged++;
       completed++;
       
       // Send progress update
       res.write(JSON.stringify({ 
         type: 'progress', 
         synced, 
+        unchanged,
         failed, 
         completed,
         total: feeds.length 
@@ -280,6 +358,7 @@ router.post('/sync-all', syncRateLimiter, async (req, res) => {
       res.write(JSON.stringify({ 
         type: 'progress', 
         synced, 
+        unchanged,
         failed, 
         completed,
         total: feeds.length 
@@ -289,12 +368,13 @@ router.post('/sync-all', syncRateLimiter, async (req, res) => {
   
   await Promise.all(syncPromises);
   
-  console.log(`Sync complete: ${synced} succeeded, ${failed} failed`);
+  console.log(`Sync complete: ${synced} succeeded (${unchanged} unchanged), ${failed} failed`);
   
   // Send final result
   res.write(JSON.stringify({ 
     type: 'complete',
     synced, 
+    unchanged,
     failed, 
     total: feeds.length 
   }) + '\n');
@@ -0,0 +1,56 @@
+import express from 'express';
+import { z } from 'zod';
+import { feedOps, filterRuleOps } from '../services/database.js';
+import { previewRule } from '../services/filter-rules.js';
+import { validateBody, validateParams } from '../middleware/validate.js';
+import {
+  CreateFilterRuleRequestSchema,
+  UpdateFilterRuleRequestSchema,
+  PreviewFilterRuleRequestSchema
+} from '../schemas/api.js';
+
+const router = express.Router();
+
+const validateId = validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid rule ID') }));
+
+// Rules can only be for the user's own feeds
+const isOwnFeed = (req, feedId) => feedId == null || Boolean(feedOps.get(req.user.id, feedId));
+
+router.get('/', (req, res) => {
+  res.json(filterRuleOps.all(req.user.id));
+});
+
+router.post('/', validateBody(CreateFilterRuleRequestSchema), (req, res) => {
+  if (!isOwnFeed(req, req.body.feedId)) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+  res.json(filterRuleOps.insert(req.user.id, req.body));
+});
+
+// Test a rule before adding it
+router.post('/preview', validateBody(PreviewFilterRuleRequestSchema), (req, res) => {
+  if (!isOwnFeed(req, req.body.feedId)) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+  res.json(previewRule(req.user.id, req.body));
+});
+
+router.put('/:id', validateId, validateBody(UpdateFilterRuleRequestSchema), (req, res) => {
+  const rule = filterRuleOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  if (!isOwnFeed(req, req.body.feedId)) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  res.json(filterRuleOps.update(req.user.id, rule.id, req.body));
+});
+
+router.delete('/:id', validateId, (req, res) => {
+  filterRuleOps.delete(req.user.id, parseInt(req.params.id));
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from 'express';
+import { z } from 'zod';
+import { folderOps } from '../services/database.js';
+import { validateBody, validateParams } from '../middleware/validate.js';
+import { CreateFolderRequestSchema, UpdateFolderRequestSchema } from '../schemas/api.js';
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(folderOps.all(req.user.id));
+});
+
+router.post('/', validateBody(CreateFolderRequestSchema), (req, res) => {
+  const { name, parentId = null } = req.body;
+
+  if (parentId !== null && !folderOps.get(req.user.id, parentId)) {
+    return res.status(404).json({ error: 'Parent folder not found' });
+  }
+
+  if (folderOps.find(req.user.id, name, parentId)) {
+    return res.status(409).json({ error: 'A folder with this name already exists here' });
+  }
+
+  res.json(folderOps.insert(req.user.id, name, parentId));
+});
+
+router.patch('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid folder ID') })),
+  validateBody(UpdateFolderRequestSchema),
+  (req, res) => {
+  const { name, parentId } = req.body;
+  const folder = folderOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!folder) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+
+  if (parentId != null) {
+    if (!folderOps.get(req.user.id, parentId)) {
+      return res.status(404).json({ error: 'Parent folder not found' });
+    }
+    if (folderOps.isWithin(parentId, folder.id)) {
+      return res.status(400).json({ error: 'A folder cannot be moved into itself' });
+    }
+  }
+
+  // Changing only the case of a name is fine
+  const existing = folderOps.find(
+    req.user.id, name ?? folder.name, parentId === undefined ? folder.parent_id : parentId
+  );
+  if (existing && existing.id !== folder.id) {
+    return res.status(409).json({ error: 'A folder with this name already exists here' });
+  }
+
+  folderOps.update(req.user.id, folder.id, { name, parentId });
+  res.json({ success: true });
+});
+
+router.delete('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid folder ID') })),
+  (req, res) => {
+  folderOps.delete(req.user.id, parseInt(req.params.id));
+  res.json({ success: true });
+});
+
+export default router;
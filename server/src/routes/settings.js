@@ -1,12 +1,14 @@
 import express from 'express';
-import { settingsOps } from '../services/database.js';
+import { settingsOps, userSettingsOps, articleOps } from '../services/database.js';
+import { RETENTION_SETTING, resolveRetention } from '../services/retention.js';
 import { validateBody } from '../middleware/validate.js';
-import { UpdateLLMSettingsRequestSchema } from '../schemas/api.js';
+import { requireAdmin } from '../middleware/basicAuth.js';
+import { UpdateLLMSettingsRequestSchema, UpdateRetentionRequestSchema } from '../schemas/api.js';
 
 const router = express.Router();
 
 router.get('/llm', (req, res) => {
-  const settings = settingsOps.getAll('llm_');
+  const settings = userSettingsOps.getAll(req.user.id, 'llm_');
 
   const config = {};
   Object.keys(settings).forEach(key => {
@@ -27,12 +29,35 @@ router.get('/llm', (req, res) => {
 router.post('/llm', validateBody(UpdateLLMSettingsRequestSchema), (req, res) => {
   const { provider, apiKey, baseUrl, model } = req.body;
   
-  settingsOps.set('llm_provider', provider);
-  settingsOps.set('llm_apiKey', apiKey);
-  settingsOps.set('llm_baseUrl', baseUrl || '');
-  settingsOps.set('llm_model', model);
+  userSettingsOps.set(req.user.id, 'llm_provider', provider);
+  userSettingsOps.set(req.user.id, 'llm_apiKey', apiKey);
+  userSettingsOps.set(req.user.id, 'llm_baseUrl', baseUrl || '');
+  userSettingsOps.set(req.user.id, 'llm_model', model);
 
   res.json({ success: true });
 });
 
+router.get('/retention', (req, res) => {
+  res.json(resolveRetention(settingsOps.get(RETENTION_SETTING)));
+});
+
+router.post('/retention', requireAdmin, validateBody(UpdateRetentionRequestSchema), (req, res) => {
+  settingsOps.set(RETENTION_SETTING, req.body);
+  res.json({ success: true });
+});
+
+// Dry run: what the next cleanup would delete, without deleting anything
+router.get('/retention/preview', requireAdmin, (req, res) => {
+  const articles = articleOps.expired();
+
+  const feeds = new Map();
+  for (const article of articles) {
+    const entry = feeds.get(article.feed_id) || { feedId: article.feed_id, title: article.feed_title, count: 0 };
+    entry.count++;
+    feeds.set(article.feed_id, entry);
+  }
+
+  res.json({ total: articles.length, feeds: [...feeds.values()], articles });
+});
+
 export default router;
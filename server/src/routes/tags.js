@@ -0,0 +1,41 @@
+import express from 'express';
+import { z } from 'zod';
+import { tagOps } from '../services/database.js';
+import { validateBody, validateParams } from '../middleware/validate.js';
+import { RenameTagRequestSchema } from '../schemas/api.js';
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(tagOps.all(req.user.id));
+});
+
+router.patch('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid tag ID') })),
+  validateBody(RenameTagRequestSchema),
+  (req, res) => {
+  const { name } = req.body;
+  const tag = tagOps.get(req.user.id, parseInt(req.params.id));
+
+  if (!tag) {
+    return res.status(404).json({ error: 'Tag not found' });
+  }
+
+  // Changing only the case of a name is fine
+  const existing = tagOps.findByName(req.user.id, name);
+  if (existing && existing.id !== tag.id) {
+    return res.status(409).json({ error: 'A tag with this name already exists' });
+  }
+
+  tagOps.rename(req.user.id, tag.id, name);
+  res.json({ success: true });
+});
+
+router.delete('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid tag ID') })),
+  (req, res) => {
+  tagOps.delete(req.user.id, parseInt(req.params.id));
+  res.json({ success: true });
+});
+
+export default router;
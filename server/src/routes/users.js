@@ -0,0 +1,109 @@
+import express from 'express';
+import { z } from 'zod';
+import { userOps } from '../services/database.js';
+import { hashPassword, verifyPassword, forgetCredentials } from '../services/auth.js';
+import { requireAdmin } from '../middleware/basicAuth.js';
+import { validateBody, validateParams, asyncHandler } from '../middleware/validate.js';
+import {
+  CreateUserRequestSchema,
+  UpdateUserRequestSchema,
+  ChangePasswordRequestSchema
+} from '../schemas/api.js';
+
+const router = express.Router();
+
+router.get('/me', (req, res) => {
+  res.json(req.user);
+});
+
+router.put('/me/password', validateBody(ChangePasswordRequestSchema), asyncHandler(async (req, res) => {
+  const { currentPassword, password } = req.body;
+
+  const stored = userOps.passwordHash(req.user.id);
+  if (stored && !(await verifyPassword(currentPassword ?? '', stored))) {
+    return res.status(400).json({ error: 'Current password is incorrect' });
+  }
+
+  userOps.update(req.user.id, { passwordHash: await hashPassword(password) });
+  forgetCredentials(req.user.id);
+  res.json({ success: true });
+}));
+
+// Everything below manages other accounts
+router.use(requireAdmin);
+
+router.get('/', (req, res) => {
+  res.json(userOps.all());
+});
+
+router.post('/', validateBody(CreateUserRequestSchema), asyncHandler(async (req, res) => {
+  const { username, password, role } = req.body;
+
+  // The first password turns authentication on, which would lock out an
+  // admin that has none (the same goes for resetting passwords below)
+  if (!req.user.has_password) {
+    return res.status(400).json({ error: 'Set a password for your own account first' });
+  }
+
+  if (userOps.findByUsername(username)) {
+    return res.status(409).json({ error: 'A user with this name already exists' });
+  }
+
+  res.json(userOps.insert(username, await hashPassword(password), role));
+}));
+
+router.patch('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid user ID') })),
+  validateBody(UpdateUserRequestSchema),
+  asyncHandler(async (req, res) => {
+  const { username, password, role } = req.body;
+  const user = userOps.get(parseInt(req.params.id));
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (password !== undefined && !req.user.has_password && user.id !== req.user.id) {
+    return res.status(400).json({ error: 'Set a password for your own account first' });
+  }
+
+  if (username !== undefined) {
+    // Changing only the case of a name is fine
+    const existing = userOps.findByUsername(username);
+    if (existing && existing.id !== user.id) {
+      return res.status(409).json({ error: 'A user with this name already exists' });
+    }
+  }
+
+  if (role === 'user' && user.role === 'admin' && userOps.countAdmins() === 1) {
+    return res.status(400).json({ error: 'There must be at least one admin' });
+  }
+
+  userOps.update(user.id, {
+    username,
+    role,
+    passwordHash: password === undefined ? undefined : await hashPassword(password)
+  });
+  forgetCredentials(user.id);
+  res.json({ success: true });
+}));
+
+router.delete('/:id',
+  validateParams(z.object({ id: z.string().regex(/^\d+$/, 'Invalid user ID') })),
+  (req, res) => {
+  const user = userOps.get(parseInt(req.params.id));
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  userOps.delete(user.id);
+  forgetCredentials(user.id);
+  res.json({ success: true });
+});
+
+export default router;
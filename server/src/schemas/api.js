@@ -1,5 +1,9 @@
 import { z } from 'zod';
-import { FeedSchema, ArticleWithFeedSchema, LLMConfigSchema } from './database.js';
+import {
+  FeedSchema, FolderSchema, UserSchema, AnnotationSchema, ArticleWithFeedSchema, LLMConfigSchema, RetentionPolicySchema,
+  PlaybackSchema, FilterRuleSchema
+} from './database.js';
+import { regexProblem } from '../utils/regex.js';
 
 /**
  * API request/response validation schemas
@@ -20,6 +24,21 @@ export const RenameFeedRequestSchema = z.object({
   title: z.string().min(1, 'Title is required').max(200, 'Title too long')
 });
 
+// PUT /api/feeds/:id/retention - Override retention rules (null = use global policy)
+export const UpdateFeedRetentionRequestSchema = z.object({
+  retention: RetentionPolicySchema.partial().nullable()
+});
+
+// PUT /api/feeds/:id/full-content - Download the pages of the feed's articles for their full content
+export const UpdateFeedFullContentRequestSchema = z.object({
+  enabled: z.boolean()
+});
+
+// PUT /api/feeds/:id/folder - Move feed into a folder (null = top level)
+export const UpdateFeedFolderRequestSchema = z.object({
+  folderId: z.number().int().positive().nullable()
+});
+
 // POST /api/feeds/import - Import OPML
 export const ImportOPMLRequestSchema = z.object({
   opml: z.string().min(1, 'OPML data is required')
@@ -39,6 +58,173 @@ export const UpdateSavedStatusRequestSchema = z.object({
   isSaved: z.boolean()
 });
 
+// GET /api/articles/search - Full-text search
+const booleanQueryParam = z.enum(['true', 'false']).transform(value => value === 'true');
+const dateQueryParam = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Invalid date');
+
+// GET /api/articles - One page of the article list
+export const GetArticlesQuerySchema = z.object({
+  feedId: z.coerce.number().int().positive().optional(),
+  // Feeds in the folder and its subfolders
+  folderId: z.coerce.number().int().positive().optional(),
+  tagId: z.coerce.number().int().positive().optional(),
+  unreadOnly: booleanQueryParam.default(false),
+  savedOnly: booleanQueryParam.default(false),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  // nextCursor of the previous page
+  cursor: z.string().max(100).optional()
+});
+
+export const SearchArticlesQuerySchema = z.object({
+  q: z.string().trim().min(1, 'Search query is required').max(200, 'Search query too long'),
+  feedId: z.coerce.number().int().positive().optional(),
+  from: dateQueryParam.optional(),
+  to: dateQueryParam.optional(),
+  read: booleanQueryParam.optional(),
+  saved: booleanQueryParam.optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// PATCH /api/articles/state - Set read and/or saved state on many articles
+// at once: those in `ids`, or the ones matching `filter`
+const ArticleIdsSchema = z.array(z.number().int().positive()).min(1).max(10000, 'Too many articles');
+
+export const UpdateArticleStateRequestSchema = z.object({
+  ids: ArticleIdsSchema.optional(),
+  filter: z.object({
+    feedId: z.number().int().positive().optional(),
+    // Feeds in the folder and its subfolders
+    folderId: z.number().int().positive().optional(),
+    // Published before this date
+    olderThan: dateQueryParam.optional(),
+    // E.g. the articleIds of categories from an AI sort
+    articleIds: ArticleIdsSchema.optional()
+  }).optional(),
+  isRead: z.boolean().optional(),
+  isSaved: z.boolean().optional()
+})
+  .refine(body => (body.ids === undefined) !== (body.filter === undefined), 'Either ids or a filter is required')
+  .refine(body => body.isRead !== undefined || body.isSaved !== undefined, 'isRead or isSaved is required');
+
+// ============================================
+// TAG ROUTES
+// ============================================
+
+const TagNameSchema = z.string().trim().min(1, 'Tag name is required').max(50, 'Tag name too long');
+
+// POST /api/articles/:id/tags - Tag an article (creates the tag if needed)
+export const AddArticleTagRequestSchema = z.object({
+  name: TagNameSchema
+});
+
+// PATCH /api/tags/:id - Rename tag
+export const RenameTagRequestSchema = z.object({
+  name: TagNameSchema
+});
+
+// ============================================
+// ANNOTATION ROUTES
+// ============================================
+
+const QuoteSchema = z.string().trim().min(1, 'Highlight is empty').max(5000, 'Highlight too long');
+const NoteSchema = z.string().trim().max(10000, 'Note too long');
+
+// POST /api/articles/:id/annotations - Highlight text and/or add a note
+export const CreateAnnotationRequestSchema = z.object({
+  quote: QuoteSchema.optional(),
+  note: NoteSchema.default('')
+}).refine(body => body.quote || body.note, 'A highlight or a note is required');
+
+// PATCH /api/annotations/:id - Edit the note (or the highlighted text)
+export const UpdateAnnotationRequestSchema = z.object({
+  quote: QuoteSchema.optional(),
+  note: NoteSchema.optional()
+});
+
+// ============================================
+// PLAYBACK ROUTES
+// ============================================
+
+// PUT /api/articles/:id/playback - Remember where playback of the enclosure got to
+export const UpdatePlaybackRequestSchema = PlaybackSchema;
+
+// ============================================
+// FOLDER ROUTES
+// ============================================
+
+const FolderNameSchema = z.string().trim().min(1, 'Folder name is required').max(100, 'Folder name too long');
+
+// POST /api/folders - Create folder (parentId null/omitted = top level)
+export const CreateFolderRequestSchema = z.object({
+  name: FolderNameSchema,
+  parentId: z.number().int().positive().nullable().optional()
+});
+
+// PATCH /api/folders/:id - Rename and/or move folder
+export const UpdateFolderRequestSchema = z.object({
+  name: FolderNameSchema.optional(),
+  parentId: z.number().int().positive().nullable().optional()
+});
+
+// ============================================
+// FILTER RULE ROUTES
+// ============================================
+
+// A rule as sent by the client (feedId null/omitted = all of the user's feeds)
+const FilterRuleRequestSchema = z.object({
+  feedId: z.number().int().positive().nullable().optional(),
+  field: FilterRuleSchema.shape.field,
+  matchType: FilterRuleSchema.shape.match_type,
+  pattern: z.string().trim().min(1, 'Pattern is required').max(500, 'Pattern too long'),
+  action: FilterRuleSchema.shape.action,
+  tag: TagNameSchema.optional(),
+  enabled: z.boolean().default(true)
+})
+  .refine(body => body.action !== 'tag' || body.tag, { message: 'A tag is required', path: ['tag'] })
+  .superRefine((body, ctx) => {
+    const problem = body.matchType === 'regex' && regexProblem(body.pattern);
+    if (problem) ctx.addIssue({ code: 'custom', message: problem, path: ['pattern'] });
+  });
+
+// POST /api/filter-rules - Add rule
+export const CreateFilterRuleRequestSchema = FilterRuleRequestSchema;
+
+// PUT /api/filter-rules/:id - Replace rule
+export const UpdateFilterRuleRequestSchema = FilterRuleRequestSchema;
+
+// POST /api/filter-rules/preview - Test a rule against the latest articles
+export const PreviewFilterRuleRequestSchema = FilterRuleRequestSchema;
+
+// ============================================
+// USER ROUTES
+// ============================================
+
+const UsernameSchema = z.string().trim().min(1, 'Username is required').max(50, 'Username too long')
+  .refine(name => !name.includes(':'), 'Username cannot contain ":"');
+const PasswordSchema = z.string().min(8, 'Password must be at least 8 characters').max(200, 'Password too long');
+
+// POST /api/users - Create user (admin)
+export const CreateUserRequestSchema = z.object({
+  username: UsernameSchema,
+  password: PasswordSchema,
+  role: z.enum(['admin', 'user']).default('user')
+});
+
+// PATCH /api/users/:id - Rename user, reset password and/or change role (admin)
+export const UpdateUserRequestSchema = z.object({
+  username: UsernameSchema.optional(),
+  password: PasswordSchema.optional(),
+  role: z.enum(['admin', 'user']).optional()
+});
+
+// PUT /api/users/me/password - Change own password (current password is
+// required once one is set)
+export const ChangePasswordRequestSchema = z.object({
+  currentPassword: z.string().max(200).optional(),
+  password: PasswordSchema
+});
+
 // ============================================
 // AI ROUTES
 // ============================================
@@ -66,6 +252,45 @@ export const UpdateLLMSettingsRequestSchema = z.object({
   model: z.string().min(1).max(200).optional()
 });
 
+// POST /api/settings/retention - Update global retention policy
+export const UpdateRetentionRequestSchema = RetentionPolicySchema;
+
+// ============================================
+// BACKUP ROUTES
+// ============================================
+
+// GET /api/backup - Export reader state
+export const ExportBackupQuerySchema = z.object({
+  includeApiKey: booleanQueryParam.default(false)
+});
+
+// Records are checked individually on restore, so only what's needed to
+// match them up is required here
+export const BackupArchiveSchema = z.looseObject({
+  format: z.literal('rss-reader-backup', 'Not a reader backup file'),
+  version: z.number().int().positive(),
+  feeds: z.array(z.looseObject({
+    id: z.number().int().positive(),
+    url: z.string()
+  })),
+  // Missing from archives made before folders existed
+  folders: z.array(z.looseObject({
+    id: z.number().int().positive(),
+    parent_id: z.number().int().positive().nullable().optional()
+  })).optional(),
+  articles: z.array(z.looseObject({
+    id: z.number().int().positive(),
+    feed_id: z.number().int().positive()
+  })),
+  settings: z.record(z.string(), z.any()).default({})
+});
+
+// POST /api/backup/restore - Restore reader state
+export const RestoreBackupRequestSchema = z.object({
+  mode: z.enum(['merge', 'replace']).default('merge'),
+  archive: BackupArchiveSchema
+});
+
 // ============================================
 // RESPONSE SCHEMAS
 // ============================================
@@ -73,8 +298,132 @@ export const UpdateLLMSettingsRequestSchema = z.object({
 // GET /api/feeds
 export const GetFeedsResponseSchema = z.array(FeedSchema);
 
+// POST /api/feeds with the URL of a website that has several feeds (status 300)
+export const DiscoveredFeedsResponseSchema = z.object({
+  error: z.string(),
+  feeds: z.array(z.object({
+    url: z.string(),
+    title: z.string().nullable(),
+    type: z.string().nullable()
+  }))
+});
+
 // GET /api/articles
-export const GetArticlesResponseSchema = z.array(ArticleWithFeedSchema);
+export const GetArticlesResponseSchema = z.object({
+  articles: z.array(ArticleWithFeedSchema),
+  // Pass as `cursor` to get the next page; null on the last page
+  nextCursor: z.string().nullable()
+});
+
+// GET /api/articles/unread-counts
+export const UnreadCountsResponseSchema = z.object({
+  total: z.number(),
+  // Feed ID -> unread articles in that feed
+  feeds: z.record(z.string(), z.number()),
+  // Folder ID -> unread stories in the folder and its subfolders (folders
+  // without unread articles are left out)
+  folders: z.record(z.string(), z.number())
+});
+
+// PATCH /api/articles/state
+export const UpdateArticleStateResponseSchema = z.object({
+  updated: z.array(z.number()),
+  // Undoes the change (null if nothing changed)
+  actionId: z.number().nullable()
+});
+
+// A state change lists the articles that changed and the value they got
+const StateChangeSchema = z.object({
+  ids: z.array(z.number()),
+  value: z.boolean()
+}).optional();
+
+// GET /api/actions, POST /api/actions/:id/undo
+export const ActionResponseSchema = z.object({
+  id: z.number(),
+  type: z.enum(['state', 'delete-feed']),
+  read: StateChangeSchema,
+  saved: StateChangeSchema,
+  feed: z.object({ id: z.number(), title: z.string() }).optional(),
+  created_at: z.string(),
+  undone: z.boolean()
+});
+
+export const GetActionsResponseSchema = z.array(ActionResponseSchema);
+
+// GET /api/folders
+export const GetFoldersResponseSchema = z.array(FolderSchema);
+
+// POST /api/folders
+export const CreateFolderResponseSchema = FolderSchema;
+
+// GET /api/users (admin)
+export const GetUsersResponseSchema = z.array(UserSchema);
+
+// GET /api/users/me, POST /api/users
+export const UserResponseSchema = UserSchema;
+
+// GET /api/tags
+export const GetTagsResponseSchema = z.array(z.object({
+  id: z.number(),
+  name: z.string(),
+  // Articles carrying the tag
+  count: z.number()
+}));
+
+// POST /api/articles/:id/tags
+export const AddArticleTagResponseSchema = z.object({
+  id: z.number(),
+  name: z.string()
+});
+
+// POST /api/articles/:id/annotations, PATCH /api/annotations/:id
+export const AnnotationResponseSchema = AnnotationSchema.extend({
+  article_id: z.number()
+});
+
+// GET /api/filter-rules
+export const GetFilterRulesResponseSchema = z.array(FilterRuleSchema);
+
+// POST /api/filter-rules, PUT /api/filter-rules/:id
+export const FilterRuleResponseSchema = FilterRuleSchema;
+
+// POST /api/filter-rules/preview - The articles the rule matches among the
+// `checked` latest ones
+export const PreviewFilterRuleResponseSchema = z.object({
+  checked: z.number(),
+  matches: z.array(z.object({
+    id: z.number(),
+    feed_id: z.number(),
+    feed_title: z.string(),
+    title: z.string(),
+    link: z.string(),
+    pub_date: z.string()
+  }))
+});
+
+// GET /api/articles/:id/playback (updated_at is null before the first play)
+export const PlaybackResponseSchema = PlaybackSchema.extend({
+  updated_at: z.string().datetime().nullable()
+});
+
+// GET /api/annotations - Every annotation with its article, newest first
+export const GetAnnotationsResponseSchema = z.array(AnnotationResponseSchema.extend({
+  article_title: z.string(),
+  article_link: z.string(),
+  feed_id: z.number(),
+  feed_title: z.string()
+}));
+
+// GET /api/articles/search
+export const SearchArticlesResponseSchema = z.object({
+  results: z.array(ArticleWithFeedSchema.extend({
+    title_highlight: z.string(),
+    snippet: z.string(),
+    rank: z.number()
+  })),
+  total: z.number()
+});
 
 // POST /api/ai/sort
 export const AISortResponseSchema = z.object({
@@ -101,6 +450,7 @@ export const SyncResultSchema = z.object({
 export const SyncProgressSchema = z.object({
   type: z.enum(['progress', 'complete']),
   synced: z.number(),
+  unchanged: z.number(),
   failed: z.number(),
   completed: z.number().optional(),
   total: z.number()
@@ -124,6 +474,41 @@ export const ImportResultSchema = z.object({
   total: z.number()
 });
 
+// GET /api/feeds/:id/retention
+export const FeedRetentionResponseSchema = z.object({
+  retention: RetentionPolicySchema.partial().nullable(),
+  effective: RetentionPolicySchema
+});
+
+// GET /api/settings/retention/preview
+export const RetentionPreviewResponseSchema = z.object({
+  total: z.number(),
+  feeds: z.array(z.object({
+    feedId: z.number(),
+    title: z.string(),
+    count: z.number()
+  })),
+  articles: z.array(z.object({
+    id: z.number(),
+    feed_id: z.number(),
+    feed_title: z.string(),
+    title: z.string().nullable(),
+    pub_date: z.string(),
+    is_read: z.boolean()
+  }))
+});
+
+// POST /api/backup/restore
+export const RestoreBackupResponseSchema = z.object({
+  mode: z.enum(['merge', 'replace']),
+  feeds: z.object({ added: z.number(), matched: z.number() }),
+  articles: z.object({ added: z.number(), updated: z.number() }),
+  settings: z.number(),
+  skipped: z.number(),
+  // Feeds left out because their URL is blocked
+  blocked: z.number()
+});
+
 // LLM settings response schema (with masked API key)
 export const LLMSettingsResponseSchema = z.object({
   provider: z.string().optional(),
@@ -2,17 +2,89 @@ import { z } from 'zod';
 
 /**
  * Database schema definitions for runtime validation
- * These schemas validate data stored in the JSON database
+ * These schemas validate data stored in the database (checked on every load,
+ * see services/validation.js)
  */
 
+// Retention policy (null limits mean "no limit")
+export const RetentionPolicySchema = z.object({
+  maxCount: z.number().int().min(0).nullable(),
+  readMaxAgeDays: z.number().int().min(0).nullable(),
+  unreadMaxAgeDays: z.number().int().min(0).nullable(),
+  neverDelete: z.boolean()
+});
+
 // Feed schema
 export const FeedSchema = z.object({
   id: z.number().int().positive(),
   title: z.string().min(1).max(200),
   url: z.string().url('Invalid feed URL'),
+  // Per-feed overrides of the global retention policy
+  retention: RetentionPolicySchema.partial().nullable().optional(),
+  folder_id: z.number().int().positive().nullable().optional(),
+  created_at: z.string().datetime(),
+  // Background sync (null until the feed was first synced)
+  last_sync_at: z.string().datetime().nullable().optional(),
+  next_sync_at: z.string().datetime().nullable().optional(),
+  // Health: the last successful sync, the last failure and how many syncs
+  // in a row have failed
+  last_success_at: z.string().datetime().nullable().optional(),
+  last_error: z.string().nullable().optional(),
+  last_status: z.number().int().nullable().optional(),
+  sync_failures: z.number().int().nonnegative().optional(),
+  items_per_day: z.number().nonnegative().optional(),
+  // Whether the pages of the feed's articles are downloaded for their full content
+  fetch_full_content: z.boolean().optional()
+});
+
+// User account schema (password hashes are never part of it)
+export const UserSchema = z.object({
+  id: z.number().int().positive(),
+  username: z.string().min(1).max(50),
+  role: z.enum(['admin', 'user']),
+  has_password: z.boolean(),
+  created_at: z.string().datetime()
+});
+
+// Folder schema (folders can be nested)
+export const FolderSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string().min(1).max(100),
+  parent_id: z.number().int().positive().nullable(),
+  created_at: z.string().datetime()
+});
+
+// Filter rule: which new articles it matches (by a field, with keywords
+// separated by commas or a regular expression) and what it does with them.
+// Rules for all of the user's feeds have no feed_id; `tag` is the tag name
+// for the 'tag' action.
+export const FilterRuleSchema = z.object({
+  id: z.number().int().positive(),
+  feed_id: z.number().int().positive().nullable(),
+  field: z.enum(['title', 'content', 'link', 'author', 'category']),
+  match_type: z.enum(['keyword', 'regex']),
+  pattern: z.string().min(1).max(500),
+  action: z.enum(['skip', 'mark_read', 'save', 'tag']),
+  tag: z.string().min(1).max(50).nullable(),
+  enabled: z.boolean(),
   created_at: z.string().datetime()
 });
 
+// Podcast schemas
+// Enclosure of an article (null when the feed doesn't say)
+export const EnclosureSchema = z.object({
+  url: z.string().url(),
+  type: z.string().nullable(),
+  length: z.number().int().nonnegative().nullable(),
+  duration: z.number().int().nonnegative().nullable()
+});
+
+// Where a user is in an article's enclosure (seconds) and how fast they play it
+export const PlaybackSchema = z.object({
+  position: z.number().nonnegative(),
+  speed: z.number().min(0.5).max(3)
+});
+
 // Article schema
 export const ArticleSchema = z.object({
   id: z.number().int().positive(),
@@ -20,17 +92,47 @@ export const ArticleSchema = z.object({
   title: z.string().min(1).max(500),
   link: z.string().url('Invalid article link'),
   content: z.string().optional(),
+  // Main content of the article's page (sanitized HTML), for feeds with
+  // fetch_full_content
+  full_content: z.string().nullable().optional(),
   description: z.string().optional(),
   pub_date: z.string().datetime(),
   image_url: z.string().url().optional(),
+  // Audio or video file attached to the item (a podcast episode); length in
+  // bytes, duration in seconds
+  enclosure: EnclosureSchema.optional(),
   is_read: z.boolean(),
   is_saved: z.boolean(),
+  // Set on copies of a story first seen in another feed
+  duplicate_of: z.number().int().positive().nullable().optional(),
   created_at: z.string().datetime()
 });
 
+// Highlight (quote, optionally with a note) or free-standing note (quote null)
+export const AnnotationSchema = z.object({
+  id: z.number().int().positive(),
+  quote: z.string().min(1).max(5000).nullable(),
+  note: z.string().max(10000),
+  created_at: z.string().datetime(),
+  updated_at: z.string().datetime()
+});
+
 // Article with feed title (for API responses)
 export const ArticleWithFeedSchema = ArticleSchema.extend({
-  feed_title: z.string()
+  feed_title: z.string(),
+  // The other feeds carrying the same story
+  also_in: z.array(z.object({
+    id: z.number().int().positive(),
+    feed_id: z.number().int().positive(),
+    feed_title: z.string()
+  })).optional(),
+  // User-defined tags, by name
+  tags: z.array(z.object({
+    id: z.number().int().positive(),
+    name: z.string()
+  })).optional(),
+  // The user's highlights and notes, oldest first
+  annotations: z.array(AnnotationSchema).optional()
 });
 
 // Settings schema
@@ -1,3 +1,9 @@
+import { toPlainText } from '../utils/search.js';
+
+// Characters of each article the digest prompt includes
+const SUMMARY_EXCERPT = 150;
+const FULL_CONTENT_EXCERPT = 400;
+
 async function callLLM(config, messages, temperature = 0.7) {
   const { provider, apiKey, baseUrl, model } = config;
 
@@ -192,10 +198,19 @@ IMPORTANT:
   }
 }
 
+// What the digest is told about an article: more of it when the full text
+// was downloaded (see full-content.js) than the feed's summary
+function digestExcerpt(article) {
+  if (article.full_content) {
+    return toPlainText(article.full_content).substring(0, FULL_CONTENT_EXCERPT);
+  }
+  return article.content?.substring(0, SUMMARY_EXCERPT);
+}
+
 export async function generateDigest(config, articles) {
   // Reduce content length to speed up processing
   const articleList = articles.map(a => 
-    `- ${a.title}\n  ${a.content?.substring(0, 150)}...`
+    `- ${a.title}\n  ${digestExcerpt(a)}...`
   ).join('\n\n');
 
   const prompt = `Create a concise digest of these articles. Group by topic and highlight key insights:
@@ -0,0 +1,91 @@
+// Password hashing and credential checks for user accounts
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { userOps } from './database.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// HTTP Basic sends the password with every request, and scrypt is
+// deliberately slow, so verified credentials are remembered for a while
+const CREDENTIAL_TTL_MS = 5 * 60 * 1000;
+const verified = new Map();
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>", both hex encoded
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string|null} stored - Hash from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Look up the account for a username and password
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object|null>} - The user (without password hash), or null
+ */
+export async function authenticate(username, password) {
+  const key = crypto.createHash('sha256').update(`${username}\0${password}`).digest('hex');
+  const cached = verified.get(key);
+  if (cached && cached.expires > Date.now()) {
+    // Re-read the account so role changes and deletions apply immediately
+    return userOps.get(cached.userId) || null;
+  }
+  verified.delete(key);
+
+  const user = userOps.findByUsername(username);
+  if (!user || !(await verifyPassword(password, userOps.passwordHash(user.id)))) {
+    return null;
+  }
+
+  verified.set(key, { userId: user.id, expires: Date.now() + CREDENTIAL_TTL_MS });
+  return user;
+}
+
+/**
+ * Drop remembered credentials, e.g. after a password change
+ * @param {number} [userId] - Only this user's; all when omitted
+ */
+export function forgetCredentials(userId) {
+  for (const [key, entry] of verified) {
+    if (userId === undefined || entry.userId === userId) verified.delete(key);
+  }
+}
+
+/**
+ * Give the owner account the BASIC_AUTH_USER/BASIC_AUTH_PASSWORD
+ * credentials, so deployments that used the single shared login keep
+ * working. Only happens while no account has a password yet.
+ * @returns {Promise<boolean>} - Whether the credentials were applied
+ */
+export async function bootstrapAdmin() {
+  const username = process.env.BASIC_AUTH_USER;
+  const password = process.env.BASIC_AUTH_PASSWORD;
+  if (!username || !password || userOps.hasPasswords()) return false;
+
+  const owner = userOps.owner();
+  userOps.update(owner.id, { username, passwordHash: await hashPassword(password) });
+  console.log(`Set the password of admin account "${username}" from BASIC_AUTH_USER/BASIC_AUTH_PASSWORD`);
+  return true;
+}
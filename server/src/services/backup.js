@@ -0,0 +1,149 @@
+// Rotating database backups and startup recovery
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const BACKUP_PREFIX = 'database-';
+const BACKUP_SUFFIX = '.db';
+
+// Backups live next to the database file
+export function backupDirFor(dbFile) {
+  return path.join(path.dirname(dbFile), 'backups');
+}
+
+function fsyncFile(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Makes a rename durable. Not supported on every platform, so best effort.
+function fsyncDir(dir) {
+  try {
+    fsyncFile(dir);
+  } catch {
+    // ignore
+  }
+}
+
+// Copy into place atomically: write a temp file, fsync it, then rename
+function atomicCopy(source, target) {
+  const tmp = `${target}.tmp`;
+  fs.copyFileSync(source, tmp);
+  fsyncFile(tmp);
+  fs.renameSync(tmp, target);
+  fsyncDir(path.dirname(target));
+}
+
+/**
+ * Check that a file is a readable, uncorrupted SQLite database
+ * @param {string} file - Database file path
+ * @returns {{ok: boolean, error?: string}}
+ */
+export function checkIntegrity(file) {
+  let conn;
+  try {
+    // A zero-length file opens as a valid empty database - treat it as truncated
+    if (fs.statSync(file).size === 0) {
+      return { ok: false, error: 'file is empty' };
+    }
+    conn = new Database(file, { fileMustExist: true });
+    const result = conn.pragma('quick_check', { simple: true });
+    return result === 'ok' ? { ok: true } : { ok: false, error: result };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  } finally {
+    conn?.close();
+  }
+}
+
+/**
+ * List backup files, newest first
+ * @param {string} dir - Backup directory
+ * @returns {string[]} - Backup file paths
+ */
+export function listBackups(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  // Timestamps in the names are ISO-based, so name order is time order
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(BACKUP_PREFIX) && name.endsWith(BACKUP_SUFFIX))
+    .sort()
+    .reverse()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Write a consistent snapshot of an open database to a timestamped backup
+ * and delete all but the newest `keep` backups
+ * @param {Database} db - Open better-sqlite3 connection
+ * @param {string} dir - Backup directory
+ * @param {number} keep - Number of backups to retain
+ * @returns {Promise<string>} - Path of the new backup
+ */
+export async function createBackup(db, dir, keep) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = path.join(dir, `${BACKUP_PREFIX}${stamp}${BACKUP_SUFFIX}`);
+  const tmp = `${target}.tmp`;
+
+  try {
+    await db.backup(tmp);
+
+    // Store backups as single self-contained files rather than in WAL mode
+    const copy = new Database(tmp);
+    copy.pragma('journal_mode = DELETE');
+    copy.close();
+
+    fsyncFile(tmp);
+    fs.renameSync(tmp, target);
+    fsyncDir(dir);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+
+  for (const old of listBackups(dir).slice(keep)) {
+    fs.rmSync(old, { force: true });
+  }
+
+  return target;
+}
+
+/**
+ * Replace a corrupt database file with the newest backup that passes an
+ * integrity check. The corrupt file (and its WAL) is moved aside, never deleted.
+ * @param {string} file - Database file path
+ * @param {string} dir - Backup directory
+ * @returns {string|null} - Backup that was restored, or null if none was usable
+ */
+export function restoreFromBackup(file, dir) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  // A stale WAL must not be replayed on top of the restored file
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(`${file}${suffix}`)) {
+      fs.renameSync(`${file}${suffix}`, `${file}.corrupt-${stamp}${suffix}`);
+    }
+  }
+  console.error(`[Database] Moved corrupt database to ${file}.corrupt-${stamp}`);
+
+  for (const backup of listBackups(dir)) {
+    const { ok, error } = checkIntegrity(backup);
+    if (!ok) {
+      console.error(`[Database] Skipping unusable backup ${backup}: ${error}`);
+      continue;
+    }
+
+    atomicCopy(backup, file);
+    console.warn(`[Database] Restored ${file} from backup ${backup}`);
+    return backup;
+  }
+
+  console.error('[Database] No valid backup found, starting with an empty database');
+  return null;
+}
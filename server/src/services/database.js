@@ -1,252 +1,1912 @@
-// Simple in-memory database using JSON storage
+// SQLite database (better-sqlite3, synchronous API)
 import fs from 'fs';
 import path from 'path';
+import Database from 'better-sqlite3';
 import { normalizeUrl } from '../utils/url.js';
+import { toPlainText, formatHighlight, MATCH_START, MATCH_END } from '../utils/search.js';
+import { backupDirFor, checkIntegrity, createBackup, restoreFromBackup } from './backup.js';
+import { repairFeed, repairArticle, normalizeArticle, appendToQuarantine, toISODate } from './validation.js';
+import { AnnotationSchema } from '../schemas/database.js';
+import { runMigrations, getSchemaVersion } from './migrations.js';
+import { RETENTION_SETTING, resolveRetention, toCutoffs } from './retention.js';
+import { nextSyncTime } from './sync-schedule.js';
+import { canonicalUrl, dedupKeys, duplicateKeys, fingerprint, isNearDuplicate } from '../utils/duplicates.js';
 
-const DB_FILE = path.join('data', 'database.json');
+const DB_FILE = path.join('data', 'database.db');
+const DEFAULT_BACKUP_COUNT = 5;
 
-let db = {
-  feeds: [],
-  articles: [],
-  settings: {},
-  nextFeedId: 1,
-  nextArticleId: 1
-};
+// Legacy whole-file JSON store, imported once on first start
+const LEGACY_JSON_FILE = 'database.json';
+
+// Records that fail validation and can't be repaired are moved here
+const QUARANTINE_FILE = 'quarantine.json';
+
+// Reader state archives (see archiveOps). Bump the version when the archive
+// layout changes; restore refuses archives newer than it understands.
+export const ARCHIVE_FORMAT = 'rss-reader-backup';
+export const ARCHIVE_VERSION = 1;
+
+// Settings left out of archives unless explicitly requested
+const SECRET_SETTINGS = ['llm_apiKey'];
+
+// Settings that apply to the whole instance rather than to one user; only
+// admins export and restore them
+const INSTANCE_SETTINGS = [RETENTION_SETTING];
+
+let db = null;
+let validationReport = null;
+
+// Fingerprints of recently compared articles (article id -> fingerprint), so
+// a sync doesn't re-tokenize the same candidates for every new item. Article
+// content never changes after insert; the cache is reset whenever IDs may be
+// reused or records rewritten (startup validation, replace restore).
+const FINGERPRINT_CACHE_SIZE = 20000;
+const fingerprints = new Map();
+
+// pub_date is stored as ISO 8601 for the client, pub_ts is the parsed
+// timestamp used for ordering and retention
+function toTimestamp(pubDate) {
+  const ts = new Date(pubDate).getTime();
+  return Number.isNaN(ts) ? null : ts;
+}
+
+// Index an article for search and, when it has a publication time, for
+// finding its near-duplicates (see findPrimary)
+function indexArticle(id, title, content, pubTs) {
+  db.prepare('INSERT INTO articles_fts (rowid, title, content) VALUES (?, ?, ?)')
+    .run(id, toPlainText(title), toPlainText(content));
+  if (pubTs == null) return;
+  const insertKey = db.prepare('INSERT INTO duplicate_keys (key, article_id, pub_ts) VALUES (?, ?, ?)');
+  for (const key of duplicateKeys(fingerprint({ title, content }))) {
+    insertKey.run(key, id, pubTs);
+  }
+}
 
-// Export db for testing (accessed via global.__DB__ in tests)
-if (typeof global !== 'undefined') {
-  global.__DB__ = db;
+// Delete what belongs to articles that no longer exist: their search index
+// entries and near-duplicate keys, tag assignments, read/saved state,
+// annotations and playback positions
+function pruneOrphans() {
+  db.prepare('DELETE FROM articles_fts WHERE rowid NOT IN (SELECT id FROM articles)').run();
+  db.prepare('DELETE FROM duplicate_keys WHERE article_id NOT IN (SELECT id FROM articles)').run();
+  db.prepare('DELETE FROM article_tags WHERE article_id NOT IN (SELECT id FROM articles)').run();
+  db.prepare('DELETE FROM article_states WHERE article_id NOT IN (SELECT id FROM articles)').run();
+  db.prepare('DELETE FROM annotations WHERE article_id NOT IN (SELECT id FROM articles)').run();
+  db.prepare('DELETE FROM playback WHERE article_id NOT IN (SELECT id FROM articles)').run();
 }
 
-function loadDatabase() {
-  if (fs.existsSync(DB_FILE)) {
-    const data = fs.readFileSync(DB_FILE, 'utf8');
-    db = JSON.parse(data);
+// Copies whose primary article was deleted are regrouped around the oldest
+// remaining copy, so the story keeps showing up once
+function regroupDuplicates() {
+  const orphans = db.prepare(`
+    SELECT id, duplicate_of FROM articles
+    WHERE duplicate_of IS NOT NULL AND duplicate_of NOT IN (SELECT id FROM articles)
+    ORDER BY id
+  `).all();
+
+  const update = db.prepare('UPDATE articles SET duplicate_of = ? WHERE id = ?');
+  const newPrimaries = new Map();
+  for (const { id, duplicate_of } of orphans) {
+    const primary = newPrimaries.get(duplicate_of);
+    if (primary) {
+      update.run(primary, id);
+    } else {
+      newPrimaries.set(duplicate_of, id);
+      update.run(null, id);
+    }
   }
 }
 
-let pendingSave = null;
+function toFeed(row) {
+  if (!row) return row;
+  const { url_key, ...feed } = row;
+  return {
+    ...feed,
+    retention: feed.retention ? JSON.parse(feed.retention) : null,
+    fetch_full_content: feed.fetch_full_content === 1
+  };
+}
+
+function toArticle(row) {
+  if (!row) return row;
+  const {
+    pub_ts, canonical_url, image_url, full_content, full_content_at,
+    enclosure_url, enclosure_type, enclosure_length, enclosure_duration, author, categories, ...article
+  } = row;
+  return {
+    ...article,
+    ...(image_url ? { image_url } : {}),
+    ...(full_content ? { full_content } : {}),
+    ...(enclosure_url ? {
+      enclosure: { url: enclosure_url, type: enclosure_type, length: enclosure_length, duration: enclosure_duration }
+    } : {}),
+    is_read: article.is_read === 1,
+    is_saved: article.is_saved === 1
+  };
+}
 
-function saveDatabase() {
-  // If save is already pending, return the existing promise
-  if (pendingSave) {
-    return pendingSave;
+// Make sure AUTOINCREMENT never hands out an ID up to `seq` again.
+// sqlite_sequence has no unique key on name, so update before inserting.
+function bumpSequence(name, seq) {
+  const { changes } = db
+    .prepare('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?')
+    .run(seq, name);
+  if (changes === 0) {
+    db.prepare('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)').run(name, seq);
   }
+}
 
-  // Create new save promise
-  pendingSave = new Promise((resolve, reject) => {
-    setImmediate(() => {
-      fs.writeFile(DB_FILE, JSON.stringify(db, null, 2), 'utf8', (err) => {
-        pendingSave = null;
-        if (err) {
-          console.error('Database save failed:', err);
-          reject(err);
-        } else {
-          resolve();
-        }
+// Import an existing database.json so deployments keep their feeds and read
+// state. It becomes the owner account's.
+function importLegacyJson(dataDir) {
+  const candidates = [path.join(dataDir, LEGACY_JSON_FILE), LEGACY_JSON_FILE];
+  const jsonFile = candidates.find(file => fs.existsSync(file));
+  if (!jsonFile) return;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot import ${jsonFile} (${err.message}). Fix or remove the file and restart.`);
+  }
+
+  const insertFeed = db.prepare(
+    'INSERT INTO feeds (id, title, url, url_key, created_at) VALUES (@id, @title, @url, @url_key, @created_at)'
+  );
+  const insertSubscription = db.prepare(
+    'INSERT INTO subscriptions (user_id, feed_id, title, created_at) VALUES (@user_id, @id, @title, @created_at)'
+  );
+  const insertArticle = db.prepare(`
+    INSERT INTO articles (
+      id, feed_id, title, link, link_key, title_key, canonical_url, content, pub_date, pub_ts, image_url, created_at
+    )
+    VALUES (
+      @id, @feed_id, @title, @link, @link_key, @title_key, @canonical_url, @content, @pub_date, @pub_ts, @image_url,
+      @created_at
+    )
+  `);
+  const insertState = db.prepare(
+    'INSERT INTO article_states (user_id, article_id, is_read, is_saved) VALUES (?, ?, ?, ?)'
+  );
+
+  const owner = userOps.owner().id;
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    for (const feed of data.feeds || []) {
+      const record = {
+        id: feed.id,
+        title: feed.title,
+        url: feed.url,
+        created_at: feed.created_at || now
+      };
+      insertFeed.run({ ...record, url_key: normalizeUrl(record.url) });
+      insertSubscription.run({ ...record, user_id: owner });
+    }
+
+    for (const article of data.articles || []) {
+      insertArticle.run({
+        id: article.id,
+        feed_id: article.feed_id,
+        title: article.title ?? null,
+        link: article.link ?? null,
+        ...dedupKeys(article),
+        canonical_url: canonicalUrl(article.link),
+        content: article.content ?? null,
+        pub_date: article.pub_date ?? null,
+        pub_ts: toTimestamp(article.pub_date),
+        image_url: article.image_url ?? null,
+        created_at: article.created_at || now
       });
-    });
+      indexArticle(article.id, article.title, article.content, toTimestamp(article.pub_date));
+      if (article.is_read || article.is_saved) {
+        insertState.run(owner, article.id, article.is_read ? 1 : 0, article.is_saved ? 1 : 0);
+      }
+    }
+
+    for (const [key, value] of Object.entries(data.settings || {})) {
+      if (value === undefined) continue;
+      if (INSTANCE_SETTINGS.includes(key)) {
+        settingsOps.set(key, value);
+      } else {
+        userSettingsOps.set(owner, key, value);
+      }
+    }
+
+    // Don't hand out IDs that were already used before the import
+    if (data.nextFeedId) bumpSequence('feeds', data.nextFeedId - 1);
+    if (data.nextArticleId) bumpSequence('articles', data.nextArticleId - 1);
+  })();
+
+  // Keep the old file around, but make sure the import never runs twice
+  fs.renameSync(jsonFile, `${jsonFile}.migrated`);
+  console.log(
+    `Imported ${data.feeds?.length || 0} feeds and ${data.articles?.length || 0} articles from ${jsonFile}`
+  );
+}
+
+// Check every stored record against FeedSchema/ArticleSchema. Fixable
+// problems (non-ISO dates, bad image URLs, overlong titles) are repaired in
+// place; records that still fail are written to the quarantine file and then
+// removed, so malformed data from older versions never reaches the client.
+function validateRecords(quarantineFile) {
+  const report = {
+    checkedAt: new Date().toISOString(),
+    feeds: { checked: 0, repaired: 0, quarantined: 0 },
+    articles: { checked: 0, repaired: 0, quarantined: 0 },
+    fixes: {},
+    quarantined: [],
+    quarantineFile
+  };
+  const countFixes = (fixes) => fixes.forEach(field => {
+    report.fixes[field] = (report.fixes[field] || 0) + 1;
   });
 
-  return pendingSave;
+  const repairedFeeds = [];
+  const repairedArticles = [];
+  const quarantine = [];
+  const feedUrls = new Map();
+
+  for (const feed of db.prepare('SELECT * FROM feeds').all().map(toFeed)) {
+    report.feeds.checked++;
+    const { record, fixes, errors } = repairFeed(feed);
+    if (errors) {
+      quarantine.push({ type: 'feed', record: feed, errors });
+      continue;
+    }
+    feedUrls.set(feed.id, feed.url);
+    if (fixes.length > 0) {
+      repairedFeeds.push(record);
+      countFixes(fixes);
+    }
+  }
+
+  for (const row of db.prepare('SELECT * FROM articles').all()) {
+    report.articles.checked++;
+    const { pub_ts, ...article } = row;
+    const { record, fixes, errors } = repairArticle({
+      ...article,
+      image_url: article.image_url ?? undefined
+    }, feedUrls);
+    if (errors) {
+      quarantine.push({ type: 'article', record: toArticle(row), errors });
+      continue;
+    }
+    if (fixes.length > 0) {
+      repairedArticles.push(record);
+      countFixes(fixes);
+    }
+  }
+
+  report.feeds.repaired = repairedFeeds.length;
+  report.articles.repaired = repairedArticles.length;
+  for (const { type, record, errors } of quarantine) {
+    report[`${type}s`].quarantined++;
+    report.quarantined.push({ type, id: record.id, errors });
+  }
+
+  // Keep a copy of quarantined records before anything is deleted
+  if (quarantineFile) {
+    const quarantinedAt = report.checkedAt;
+    appendToQuarantine(quarantineFile, quarantine.map(entry => ({ ...entry, quarantined_at: quarantinedAt })));
+  }
+
+  const updateFeed = db.prepare('UPDATE feeds SET title = @title, created_at = @created_at WHERE id = @id');
+  const updateArticle = db.prepare(`
+    UPDATE articles SET title = @title, title_key = @title_key, link = @link, link_key = @link_key,
+      canonical_url = @canonical_url, content = @content, pub_date = @pub_date, pub_ts = @pub_ts,
+      image_url = @image_url, created_at = @created_at
+    WHERE id = @id
+  `);
+
+  db.transaction(() => {
+    repairedFeeds.forEach(feed => updateFeed.run(feed));
+    for (const article of repairedArticles) {
+      updateArticle.run({
+        ...article,
+        ...dedupKeys(article),
+        canonical_url: canonicalUrl(article.link),
+        pub_ts: toTimestamp(article.pub_date),
+        image_url: article.image_url ?? null
+      });
+      db.prepare('DELETE FROM articles_fts WHERE rowid = ?').run(article.id);
+      db.prepare('DELETE FROM duplicate_keys WHERE article_id = ?').run(article.id);
+      indexArticle(article.id, article.title, article.content, toTimestamp(article.pub_date));
+    }
+    for (const { type, record } of quarantine) {
+      db.prepare(`DELETE FROM ${type === 'feed' ? 'feeds' : 'articles'} WHERE id = ?`).run(record.id);
+      if (type === 'feed') {
+        db.prepare('DELETE FROM subscriptions WHERE feed_id = ?').run(record.id);
+      }
+    }
+    if (quarantine.length > 0) {
+      pruneOrphans();
+      regroupDuplicates();
+    }
+  })();
+
+  const { feeds, articles } = report;
+  if (feeds.repaired + articles.repaired + quarantine.length > 0) {
+    console.warn(
+      `[Database] Validation: repaired ${feeds.repaired} feeds and ${articles.repaired} articles, ` +
+      `quarantined ${feeds.quarantined} feeds and ${articles.quarantined} articles` +
+      (quarantine.length > 0 && quarantineFile ? ` to ${quarantineFile}` : '')
+    );
+  }
+
+  return report;
 }
 
-export function initDatabase() {
-  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+export function initDatabase(file = DB_FILE) {
+  if (db) db.close();
+  fingerprints.clear();
 
-  // Migrate from old flat path to new data/ subdirectory
-  const oldPath = 'database.json';
-  if (!fs.existsSync(DB_FILE) && fs.existsSync(oldPath)) {
-    fs.renameSync(oldPath, DB_FILE);
+  const inMemory = file === ':memory:';
+  if (!inMemory) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // A file damaged by a crash or disk error is swapped for the newest good backup
+    if (fs.existsSync(file)) {
+      const { ok, error } = checkIntegrity(file);
+      if (!ok) {
+        console.error(`[Database] ${file} failed integrity check: ${error}`);
+        restoreFromBackup(file, backupDirFor(file));
+      }
+    }
+  }
+
+  db = new Database(file);
+  if (!inMemory) {
+    // WAL commits are atomic; FULL sync makes each one durable before returning
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+  }
+
+  let applied;
+  try {
+    applied = runMigrations(db);
+  } catch (err) {
+    db.close();
+    db = null;
+    throw err;
+  }
+  if (applied.length > 0 && !inMemory) {
+    console.log(`Database schema migrated to version ${applied[applied.length - 1]}`);
+  }
+
+  // Export connection for testing (accessed via global.__DB__ in tests)
+  if (typeof global !== 'undefined') {
+    global.__DB__ = db;
   }
 
-  loadDatabase();
+  if (!inMemory) {
+    importLegacyJson(path.dirname(file));
+  }
+
+  validationReport = validateRecords(inMemory ? null : path.join(path.dirname(file), QUARANTINE_FILE));
+}
+
+// Summary of the validation pass run by the last initDatabase()
+export function getValidationReport() {
+  return validationReport;
+}
+
+// Snapshot the database into data/backups, keeping DB_BACKUP_COUNT rotating copies
+export function backupDatabase() {
+  if (!db || db.memory) {
+    return Promise.resolve(null);
+  }
+  const keep = parseInt(process.env.DB_BACKUP_COUNT) || DEFAULT_BACKUP_COUNT;
+  return createBackup(db, backupDirFor(db.name), keep);
 }
 
 export function shutdownDatabase() {
-  // If no save pending, resolve immediately
-  if (!pendingSave) {
-    return Promise.resolve();
-  }
-
-  // Wait for pending save with timeout
-  return Promise.race([
-    pendingSave,
-    new Promise((resolve, reject) => {
-      setTimeout(() => {
-        reject(new Error('Database save timeout after 5 seconds'));
-      }, 5000);
-    })
-  ]).catch(err => {
+  // Writes are synchronous, so there is nothing pending - just release the file
+  try {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  } catch (err) {
     console.error('Database shutdown warning:', err.message);
-    // Still resolve - we want shutdown to proceed
-    return Promise.resolve();
-  });
+  }
+  return Promise.resolve();
+}
+
+// Remove a user's subscription together with their state, tags,
+// annotations and playback positions for its articles, and their filter
+// rules for the feed.
+// A feed nobody subscribes to any more is deleted with its articles.
+function unsubscribe(userId, feedId) {
+  db.prepare('DELETE FROM subscriptions WHERE user_id = ? AND feed_id = ?').run(userId, feedId);
+  db.prepare('DELETE FROM filter_rules WHERE user_id = ? AND feed_id = ?').run(userId, feedId);
+  db.prepare(`
+    DELETE FROM article_states
+    WHERE user_id = ? AND article_id IN (SELECT id FROM articles WHERE feed_id = ?)
+  `).run(userId, feedId);
+  db.prepare(`
+    DELETE FROM article_tags
+    WHERE article_id IN (SELECT id FROM articles WHERE feed_id = ?)
+      AND tag_id IN (SELECT id FROM tags WHERE user_id = ?)
+  `).run(feedId, userId);
+  db.prepare(`
+    DELETE FROM annotations
+    WHERE user_id = ? AND article_id IN (SELECT id FROM articles WHERE feed_id = ?)
+  `).run(userId, feedId);
+  db.prepare(`
+    DELETE FROM playback
+    WHERE user_id = ? AND article_id IN (SELECT id FROM articles WHERE feed_id = ?)
+  `).run(userId, feedId);
+
+  dropUnusedFeed(feedId);
+}
+
+// Feeds whose deletion can still be undone
+const PENDING_FEED_IDS = `
+  SELECT json_extract(data, '$.feed.id') FROM actions WHERE type = 'delete-feed' AND undone_at IS NULL
+`;
+
+// Delete a feed and its articles once nobody subscribes to it or can get it
+// back by undoing a deletion
+function dropUnusedFeed(feedId) {
+  if (db.prepare('SELECT 1 FROM subscriptions WHERE feed_id = ?').get(feedId)) return;
+  if (db.prepare(`SELECT 1 WHERE ? IN (${PENDING_FEED_IDS})`).get(feedId)) return;
+  db.prepare('DELETE FROM articles WHERE feed_id = ?').run(feedId);
+  db.prepare('DELETE FROM feeds WHERE id = ?').run(feedId);
+  pruneOrphans();
+  regroupDuplicates();
 }
 
-// Feed operations
+// Forget a user's action log; feeds they deleted go for good
+function forgetActions(userId) {
+  const feedIds = db.prepare(`${PENDING_FEED_IDS} AND user_id = ?`).pluck().all(userId);
+  db.prepare('DELETE FROM actions WHERE user_id = ?').run(userId);
+  feedIds.forEach(dropUnusedFeed);
+}
+
+// Articles per day a feed published over the last HEALTH_WINDOW_DAYS
+const HEALTH_WINDOW_DAYS = 30;
+const ITEMS_PER_DAY = `
+  ROUND((
+    SELECT COUNT(*) FROM articles a
+    WHERE a.feed_id = f.id
+      AND a.pub_ts >= (CAST(strftime('%s', 'now') AS INTEGER) - ${HEALTH_WINDOW_DAYS} * 86400) * 1000
+  ) / ${HEALTH_WINDOW_DAYS}.0, 1)
+`;
+
+// A user's feeds: the shared feed with the user's title and folder, and its
+// sync schedule and health
+const USER_FEEDS = `
+  SELECT f.id, s.title, f.url, f.retention, s.folder_id, s.created_at, f.last_sync_at, f.next_sync_at,
+    f.last_success_at, f.last_error, f.last_status, f.sync_failures, ${ITEMS_PER_DAY} AS items_per_day,
+    f.fetch_full_content
+  FROM subscriptions s
+  JOIN feeds f ON f.id = s.feed_id
+  WHERE s.user_id = ?
+`;
+
+// Feed operations. Feeds are shared: each is fetched once however many users
+// subscribe to it, and the title and folder are per subscription.
 export const feedOps = {
-  all: () => db.feeds,
-  get: (id) => db.feeds.find(f => f.id === id),
-  insert: (title, url) => {
-    const feed = { id: db.nextFeedId++, title, url, created_at: new Date().toISOString() };
-    db.feeds.push(feed);
-    saveDatabase();
-    return feed;
-  },
-  update: (id, title) => {
-    const feed = db.feeds.find(f => f.id === id);
-    if (feed) {
-      feed.title = title;
-      saveDatabase();
+  all: (userId) => db.prepare(`${USER_FEEDS} ORDER BY f.id`).all(userId).map(toFeed),
+  get: (userId, id) => toFeed(db.prepare(`${USER_FEEDS} AND f.id = ?`).get(userId, id)),
+  // Every feed somebody subscribes to, with the title the feed itself has
+  sources: () => db
+    .prepare('SELECT * FROM feeds WHERE id IN (SELECT feed_id FROM subscriptions) ORDER BY id')
+    .all()
+    .map(toFeed),
+  // The shared feed with this (normalized) URL
+  findByUrl: (url) => toFeed(
+    db.prepare('SELECT * FROM feeds WHERE url_key = ? ORDER BY id LIMIT 1').get(normalizeUrl(url))
+  ),
+  // Subscribe to the feed at `url`, adding it if nobody reads it yet.
+  // Returns the user's feed; an existing subscription is left as it is.
+  subscribe: (userId, title, url) => db.transaction(() => {
+    const created_at = new Date().toISOString();
+    let feedId = feedOps.findByUrl(url)?.id;
+    if (!feedId) {
+      const { lastInsertRowid } = db
+        .prepare('INSERT INTO feeds (title, url, url_key, created_at) VALUES (?, ?, ?, ?)')
+        .run(title, url, normalizeUrl(url), created_at);
+      feedId = Number(lastInsertRowid);
     }
+    db.prepare('INSERT OR IGNORE INTO subscriptions (user_id, feed_id, title, created_at) VALUES (?, ?, ?, ?)')
+      .run(userId, feedId, title, created_at);
+    return feedOps.get(userId, feedId);
+  })(),
+  update: (userId, id, title) => {
+    db.prepare('UPDATE subscriptions SET title = ? WHERE user_id = ? AND feed_id = ?').run(title, userId, id);
   },
-  delete: (id) => {
-    db.feeds = db.feeds.filter(f => f.id !== id);
-    db.articles = db.articles.filter(a => a.feed_id !== id);
-    saveDatabase();
-  }
+  // null takes the feed out of its folder
+  updateFolder: (userId, id, folderId) => {
+    db.prepare('UPDATE subscriptions SET folder_id = ? WHERE user_id = ? AND feed_id = ?').run(folderId, userId, id);
+  },
+  // Overrides of the global retention policy; null reverts to the global
+  // policy. Applies to every subscriber.
+  updateRetention: (id, retention) => {
+    const value = retention && Object.keys(retention).length > 0 ? JSON.stringify(retention) : null;
+    db.prepare('UPDATE feeds SET retention = ? WHERE id = ?').run(value, id);
+  },
+  // Whether the pages of the feed's articles are downloaded for their full
+  // content (see services/full-content.js)
+  updateFullContent: (id, enabled) => {
+    db.prepare('UPDATE feeds SET fetch_full_content = ? WHERE id = ?').run(enabled ? 1 : 0, id);
+  },
+  // ETag and Last-Modified of the feed's last download (see fetchFeed)
+  validators: (id) => {
+    const row = db.prepare('SELECT etag, last_modified FROM feeds WHERE id = ?').get(id);
+    return { etag: row?.etag ?? null, lastModified: row?.last_modified ?? null };
+  },
+  updateValidators: (id, { etag = null, lastModified = null }) => {
+    db.prepare('UPDATE feeds SET etag = ?, last_modified = ? WHERE id = ?').run(etag, lastModified, id);
+  },
+  // Subscribed feeds due for a sync at `now`, the longest overdue first
+  due: (now = Date.now()) => db.prepare(`
+    SELECT * FROM feeds
+    WHERE id IN (SELECT feed_id FROM subscriptions) AND (next_sync_at IS NULL OR next_sync_at <= ?)
+    ORDER BY next_sync_at IS NOT NULL, next_sync_at, id
+  `).all(new Date(now).toISOString()).map(toFeed),
+  // Record how a sync went and schedule the next one. `interval` is what
+  // the feed asked for (undefined keeps the previous one, e.g. when it
+  // wasn't downloaded). A failed sync passes its `error`, whose message and
+  // HTTP status (if any) are kept until the next failure; failures put the
+  // next sync off further each time.
+  recordSync: (id, { interval, error = null } = {}, now = Date.now()) => {
+    const feed = db.prepare('SELECT sync_interval, sync_failures FROM feeds WHERE id = ?').get(id);
+    if (!feed) return;
+
+    const schedule = {
+      interval: interval === undefined ? feed.sync_interval : interval,
+      failures: error ? feed.sync_failures + 1 : 0
+    };
+    const syncedAt = new Date(now).toISOString();
+    db.prepare(`
+      UPDATE feeds SET
+        sync_interval = @interval, sync_failures = @failures, last_sync_at = @syncedAt, next_sync_at = @nextSyncAt,
+        last_success_at = CASE WHEN @failed THEN last_success_at ELSE @syncedAt END,
+        last_error = CASE WHEN @failed THEN @message ELSE last_error END,
+        last_status = CASE WHEN @failed THEN @status ELSE last_status END
+      WHERE id = @id
+    `).run({
+      id,
+      ...schedule,
+      syncedAt,
+      nextSyncAt: new Date(nextSyncTime(schedule, now)).toISOString(),
+      failed: error ? 1 : 0,
+      message: error ? String(error.message || error) : null,
+      status: error?.status ?? null
+    });
+  },
+  // Unsubscribe, logging what undoing it needs: the subscription, the
+  // user's read state, tags, annotations and playback positions on the
+  // feed's articles and their filter rules for the feed. The feed
+  // and its articles are kept until the action expires (see actionOps.purge),
+  // even if nobody else subscribes. Returns the action ID, or null if the
+  // user doesn't subscribe to the feed.
+  delete: (userId, id) => db.transaction(() => {
+    const feed = db.prepare(`
+      SELECT feed_id AS id, title, folder_id, created_at FROM subscriptions WHERE user_id = ? AND feed_id = ?
+    `).get(userId, id);
+    if (!feed) return null;
+
+    const params = { userId, feedId: id };
+    const onFeed = 'article_id IN (SELECT id FROM articles WHERE feed_id = @feedId)';
+    const actionId = actionOps.record(userId, 'delete-feed', {
+      feed,
+      states: db.prepare(`
+        SELECT article_id, is_read, is_saved, is_hidden FROM article_states WHERE user_id = @userId AND ${onFeed}
+      `).all(params),
+      tags: db.prepare(`
+        SELECT article_id, tag_id FROM article_tags
+        WHERE tag_id IN (SELECT id FROM tags WHERE user_id = @userId) AND ${onFeed}
+      `).all(params),
+      annotations: db.prepare(`SELECT * FROM annotations WHERE user_id = @userId AND ${onFeed}`).all(params),
+      playback: db.prepare(`SELECT * FROM playback WHERE user_id = @userId AND ${onFeed}`).all(params),
+      rules: db.prepare('SELECT * FROM filter_rules WHERE user_id = @userId AND feed_id = @feedId').all(params)
+    });
+    unsubscribe(userId, id);
+    return actionId;
+  })()
 };
 
-// Article operations
+// Articles in the user's feeds, with the user's read and saved state
+const USER_ARTICLES = `
+  SELECT a.*, s.title AS feed_title,
+    COALESCE(st.is_read, 0) AS is_read, COALESCE(st.is_saved, 0) AS is_saved
+  FROM articles a
+  JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+  LEFT JOIN article_states st ON st.article_id = a.id AND st.user_id = @userId
+`;
+
+// IDs of the feeds user @userId subscribes to
+const USER_FEED_IDS = 'SELECT feed_id FROM subscriptions WHERE user_id = @userId';
+
+// IDs of the user's feeds in folder @folderId or any folder nested inside it
+const FOLDER_FEEDS = `
+  SELECT feed_id FROM subscriptions WHERE user_id = @userId AND folder_id IN (
+    WITH RECURSIVE tree(id) AS (
+      SELECT @folderId
+      UNION
+      SELECT f.id FROM folders f JOIN tree ON f.parent_id = tree.id
+    )
+    SELECT id FROM tree
+  )
+`;
+
+// Only articles published this close together are compared for near-duplicates
+const DUPLICATE_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+// WHERE clause for the article list filters
+function articleFilters({
+  userId, feedId = null, folderId = null, tagId = null, unreadOnly = false, savedOnly = false, cursor = null
+}) {
+  // Articles a filter rule skipped for the user (see services/filter-rules.js)
+  const conditions = ['COALESCE(st.is_hidden, 0) = 0'];
+  const params = { userId };
+  if (feedId) {
+    conditions.push('a.feed_id = @feedId');
+    params.feedId = feedId;
+  }
+  if (folderId) {
+    conditions.push(`a.feed_id IN (${FOLDER_FEEDS})`);
+    params.folderId = folderId;
+  }
+  if (tagId) {
+    conditions.push('a.id IN (SELECT article_id FROM article_tags WHERE tag_id = @tagId)');
+    params.tagId = tagId;
+  }
+  if (unreadOnly) conditions.push('COALESCE(st.is_read, 0) = 0');
+  if (savedOnly) conditions.push('st.is_saved = 1');
+  // Across feeds, a story carried by several feeds is listed once, as the
+  // oldest copy among the user's feeds (or the folder's feeds). Saved state
+  // and tags are per copy, so every saved or tagged copy is listed.
+  if (!feedId && !tagId && !savedOnly) {
+    conditions.push(`a.id = (
+      SELECT MIN(b.id) FROM articles b
+      WHERE (b.id = COALESCE(a.duplicate_of, a.id) OR b.duplicate_of = COALESCE(a.duplicate_of, a.id))
+        AND b.feed_id IN (${folderId ? FOLDER_FEEDS : USER_FEED_IDS})
+        AND b.id NOT IN (SELECT article_id FROM article_states WHERE user_id = @userId AND is_hidden = 1)
+    )`);
+  }
+  if (cursor && cursor.pubTs === null) {
+    // Past the last dated article: only undated ones (sorted last) follow
+    conditions.push('(a.pub_ts IS NULL AND a.id > @cursorId)');
+    params.cursorId = cursor.id;
+  } else if (cursor) {
+    conditions.push('(a.pub_ts < @cursorTs OR (a.pub_ts = @cursorTs AND a.id > @cursorId) OR a.pub_ts IS NULL)');
+    params.cursorTs = cursor.pubTs;
+    params.cursorId = cursor.id;
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+// Attach `also_in` (the copies of the same story in the user's other feeds)
+// to articles that belong to a duplicate group. Only the groups of the
+// given articles are looked up.
+function withCopies(userId, articles) {
+  if (articles.length === 0) return articles;
+
+  const select = `
+    SELECT a.id, COALESCE(a.duplicate_of, a.id) AS story, a.feed_id, s.title AS feed_title
+    FROM articles a
+    JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+  `;
+  const members = db.prepare(`
+    ${select} WHERE a.id IN (SELECT value FROM json_each(@stories))
+    UNION ALL
+    ${select} WHERE a.duplicate_of IN (SELECT value FROM json_each(@stories))
+    ORDER BY id
+  `).all({
+    userId,
+    stories: JSON.stringify([...new Set(articles.map(article => article.duplicate_of ?? article.id))])
+  });
+
+  const stories = new Map();
+  for (const { story, ...member } of members) {
+    if (!stories.has(story)) stories.set(story, []);
+    stories.get(story).push(member);
+  }
+
+  return articles.map(article => {
+    const group = stories.get(article.duplicate_of ?? article.id);
+    if (!group || group.length < 2) return article;
+    return { ...article, also_in: group.filter(member => member.id !== article.id) };
+  });
+}
+
+// Attach `tags` ({ id, name }, by name) to articles the user tagged
+function withTags(userId, articles) {
+  if (articles.length === 0) return articles;
+
+  const rows = db.prepare(`
+    SELECT at.article_id, t.id, t.name
+    FROM article_tags at
+    JOIN tags t ON t.id = at.tag_id
+    WHERE t.user_id = ? AND at.article_id IN (SELECT value FROM json_each(?))
+    ORDER BY t.name
+  `).all(userId, JSON.stringify(articles.map(article => article.id)));
+  if (rows.length === 0) return articles;
+
+  const tags = new Map();
+  for (const { article_id, ...tag } of rows) {
+    if (!tags.has(article_id)) tags.set(article_id, []);
+    tags.get(article_id).push(tag);
+  }
+
+  return articles.map(article => (tags.has(article.id) ? { ...article, tags: tags.get(article.id) } : article));
+}
+
+// Attach the user's `annotations` (oldest first) to articles that have any
+function withAnnotations(userId, articles) {
+  if (articles.length === 0) return articles;
+
+  const rows = db.prepare(`
+    SELECT id, article_id, quote, note, created_at, updated_at
+    FROM annotations
+    WHERE user_id = ? AND article_id IN (SELECT value FROM json_each(?))
+    ORDER BY created_at, id
+  `).all(userId, JSON.stringify(articles.map(article => article.id)));
+  if (rows.length === 0) return articles;
+
+  const annotations = new Map();
+  for (const { article_id, ...annotation } of rows) {
+    if (!annotations.has(article_id)) annotations.set(article_id, []);
+    annotations.get(article_id).push(annotation);
+  }
+
+  return articles.map(article => (
+    annotations.has(article.id) ? { ...article, annotations: annotations.get(article.id) } : article
+  ));
+}
+
+// The article a new one from `feedId` would be a copy of: same canonical URL,
+// or a near-identical title/content published around the same time. Only
+// articles sharing a near-duplicate key with it can be near-identical, so
+// only those are compared.
+function findPrimary(feedId, { canonical, title, content, pubTs }) {
+  if (canonical) {
+    const sameUrl = db.prepare(`
+      SELECT id, duplicate_of FROM articles
+      WHERE canonical_url = ? AND feed_id != ?
+      ORDER BY id LIMIT 1
+    `).get(canonical, feedId);
+    if (sameUrl) return sameUrl;
+  }
+
+  if (pubTs === null) return null;
+  const print = fingerprint({ title, content });
+  if (!print.title && !print.content) return null;
+
+  const candidates = db.prepare(`
+    SELECT DISTINCT a.id, a.duplicate_of
+    FROM duplicate_keys k
+    JOIN articles a ON a.id = k.article_id
+    WHERE k.key IN (SELECT value FROM json_each(@keys)) AND k.pub_ts BETWEEN @from AND @to
+      AND a.feed_id != @feedId
+    ORDER BY a.id
+  `).all({
+    keys: JSON.stringify(duplicateKeys(print)),
+    from: pubTs - DUPLICATE_WINDOW_MS,
+    to: pubTs + DUPLICATE_WINDOW_MS,
+    feedId
+  });
+
+  return candidates.find(candidate => isNearDuplicate(print, fingerprintOf(candidate.id))) || null;
+}
+
+function fingerprintOf(id) {
+  let print = fingerprints.get(id);
+  if (!print) {
+    print = fingerprint(db.prepare('SELECT title, content FROM articles WHERE id = ?').get(id));
+    // Oldest entries first in a Map
+    if (fingerprints.size >= FINGERPRINT_CACHE_SIZE) {
+      fingerprints.delete(fingerprints.keys().next().value);
+    }
+    fingerprints.set(id, print);
+  }
+  return print;
+}
+
+// Article operations. Articles are shared between the subscribers of their
+// feed; reads go through the user's subscriptions and state.
 export const articleOps = {
-  all: (feedId = null, unreadOnly = false) => {
-    let articles = db.articles;
-    if (feedId) articles = articles.filter(a => a.feed_id === feedId);
-    if (unreadOnly) articles = articles.filter(a => !a.is_read);
+  all: (userId, feedId = null, unreadOnly = false) => {
+    const { where, params } = articleFilters({ userId, feedId, unreadOnly });
+    return withAnnotations(userId, withTags(userId, withCopies(userId, db
+      .prepare(`${USER_ARTICLES} ${where} ORDER BY a.pub_ts DESC, a.id`)
+      .all(params)
+      .map(toArticle))));
+  },
+  // One page of the article list, in the same order as all() (articles
+  // without a publication time last). `cursor` is the position
+  // ({ pubTs, id }) of the last article of the previous page, so pages stay
+  // stable while new articles arrive.
+  page: (userId, {
+    feedId = null, folderId = null, tagId = null, unreadOnly = false, savedOnly = false, limit = 50, cursor = null
+  } = {}) => {
+    const { where, params } = articleFilters({ userId, feedId, folderId, tagId, unreadOnly, savedOnly, cursor });
+    const rows = db
+      .prepare(`${USER_ARTICLES} ${where} ORDER BY a.pub_ts DESC, a.id LIMIT @limit`)
+      .all({ ...params, limit: limit + 1 });
 
-    // Pre-compute feed title map to avoid O(n*m) lookups
-    const feedTitleMap = new Map(db.feeds.map(f => [f.id, f.title]));
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+    return {
+      articles: withAnnotations(userId, withTags(userId, withCopies(userId, pageRows.map(toArticle)))),
+      nextCursor: rows.length > limit ? { pubTs: last.pub_ts, id: last.id } : null
+    };
+  },
+  // Unread articles in total and per folder (each story once, including
+  // nested folders) and per feed (each feed's copy)
+  unreadCounts: (userId) => {
+    const unread = `
+      SELECT a.id, a.feed_id, COALESCE(a.duplicate_of, a.id) AS story
+      FROM articles a
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      LEFT JOIN article_states st ON st.article_id = a.id AND st.user_id = @userId
+      WHERE COALESCE(st.is_read, 0) = 0 AND COALESCE(st.is_hidden, 0) = 0
+    `;
+    const total = db.prepare(`SELECT COUNT(DISTINCT story) FROM (${unread})`).pluck().get({ userId });
+    const feeds = {};
+    db.prepare(`SELECT feed_id, COUNT(*) AS count FROM (${unread}) GROUP BY feed_id`)
+      .all({ userId })
+      .forEach(row => { feeds[row.feed_id] = row.count; });
 
-    return articles.map(a => ({
-      ...a,
-      feed_title: feedTitleMap.get(a.feed_id) || 'Unknown'
-    })).sort((a, b) => new Date(b.pub_date) - new Date(a.pub_date));
+    const countFolder = db.prepare(`
+      SELECT COUNT(DISTINCT story) FROM (${unread}) WHERE feed_id IN (${FOLDER_FEEDS})
+    `).pluck();
+    const folders = {};
+    for (const { id } of folderOps.all(userId)) {
+      const count = countFolder.get({ userId, folderId: id });
+      if (count > 0) folders[id] = count;
+    }
+    return { total, feeds, folders };
   },
-  getByIds: (ids) => {
-    const feedTitleMap = new Map(db.feeds.map(f => [f.id, f.title]));
-    return db.articles.filter(a => ids.includes(a.id)).map(a => ({
-      ...a,
-      feed_title: feedTitleMap.get(a.feed_id) || 'Unknown'
-    }));
+  getByIds: (userId, ids) => {
+    if (ids.length === 0) return [];
+    return withAnnotations(userId, withTags(userId, db
+      .prepare(`${USER_ARTICLES} WHERE a.id IN (SELECT value FROM json_each(@ids))`)
+      .all({ userId, ids: JSON.stringify(ids) })
+      .map(toArticle)));
   },
-  insert: (feedId, title, link, content, pubDate, imageUrl = null) => {
-    const normalizeTitle = (t) => t.trim().toLowerCase().replace(/\s+/g, ' ');
+  // `enclosure` is the item's audio or video file:
+  // { url, type, length (bytes), duration (seconds) }. The item's author and
+  // categories are kept for filter rules. Title and link are normalized the
+  // way stored articles are checked at startup (see normalizeArticle); items
+  // without a usable link aren't stored.
+  insert: (feedId, itemTitle, itemLink, content, pubDate, imageUrl = null, enclosure = null, {
+    author = null, categories = []
+  } = {}) => {
+    const feedUrl = db.prepare('SELECT url FROM feeds WHERE id = ?').pluck().get(feedId);
+    const normalized = normalizeArticle(
+      { title: itemTitle, link: itemLink, content, enclosureUrl: enclosure?.url },
+      feedUrl
+    );
+    if (!normalized) return null;
 
-    const normalizedLink = normalizeUrl(link);
-    const normalizedTitle = normalizeTitle(title);
+    const { title, link } = normalized;
+    const keys = dedupKeys({ link, title });
 
     // Check for duplicates within the same feed only
-    const existing = db.articles.find(a => {
-      if (a.feed_id !== feedId) return false;
+    const existing = db.prepare(`
+      SELECT 1 FROM articles WHERE feed_id = @feedId AND link_key = @link_key
+      UNION ALL
+      SELECT 1 FROM articles WHERE feed_id = @feedId AND title_key = @title_key
+      LIMIT 1
+    `).get({ feedId, ...keys });
 
-      const existingLink = normalizeUrl(a.link);
-      const existingTitle = normalizeTitle(a.title);
-      
-      return existingLink === normalizedLink || existingTitle === normalizedTitle;
-    });
-    
     if (existing) return null;
-    
+
+    const created_at = new Date().toISOString();
+    const pub_date = toISODate(pubDate) || created_at;
+    const canonical = canonicalUrl(link);
+
+    // The same story from another feed becomes a copy that shares read state
+    const primary = findPrimary(feedId, { canonical, title, content, pubTs: toTimestamp(pub_date) });
+
     const article = {
-      id: db.nextArticleId++,
       feed_id: feedId,
       title,
       link,
-      content,
-      pub_date: pubDate,
-      image_url: imageUrl,
-      is_read: false,
-      is_saved: false,
-      created_at: new Date().toISOString()
+      content: content ?? '',
+      // Stored as ISO 8601 whatever format the feed used
+      pub_date,
+      ...(imageUrl ? { image_url: imageUrl } : {}),
+      ...(enclosure ? { enclosure } : {}),
+      duplicate_of: primary ? primary.duplicate_of ?? primary.id : null,
+      created_at
     };
-    db.articles.push(article);
-    saveDatabase();
-    return article;
+    const id = db.transaction(() => {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO articles (
+          feed_id, title, link, link_key, title_key, canonical_url, content, pub_date, pub_ts, image_url,
+          enclosure_url, enclosure_type, enclosure_length, enclosure_duration, author, categories, duplicate_of, created_at
+        )
+        VALUES (
+          @feed_id, @title, @link, @link_key, @title_key, @canonical_url, @content, @pub_date, @pub_ts, @image_url,
+          @enclosure_url, @enclosure_type, @enclosure_length, @enclosure_duration, @author, @categories, @duplicate_of,
+          @created_at
+        )
+      `).run({
+        ...article,
+        ...keys,
+        canonical_url: canonical,
+        image_url: imageUrl || null,
+        enclosure_url: enclosure?.url ?? null,
+        enclosure_type: enclosure?.type ?? null,
+        enclosure_length: enclosure?.length ?? null,
+        enclosure_duration: enclosure?.duration ?? null,
+        author: author || null,
+        categories: categories.length > 0 ? JSON.stringify(categories) : null,
+        pub_ts: toTimestamp(pub_date)
+      });
+      indexArticle(lastInsertRowid, title, content, toTimestamp(pub_date));
+      // Users who already read the story have read the copy too
+      if (primary) {
+        db.prepare(`
+          INSERT INTO article_states (user_id, article_id, is_read)
+          SELECT user_id, ?, 1 FROM article_states WHERE article_id = ? AND is_read = 1
+        `).run(lastInsertRowid, article.duplicate_of);
+      }
+      return Number(lastInsertRowid);
+    })();
+
+    return { id, ...article };
   },
-  updateRead: (id, isRead) => {
-    const article = db.articles.find(a => a.id === id);
-    if (article) {
-      article.is_read = isRead;
-      saveDatabase();
+  // Articles published since `since` (ms) in feeds with the full content
+  // option whose page wasn't downloaded yet, newest first
+  pendingFullContent: (since, limit) => db.prepare(`
+    SELECT a.id, a.link FROM feeds f
+    JOIN articles a ON a.feed_id = f.id AND a.pub_ts >= ?
+    WHERE f.fetch_full_content = 1 AND a.full_content_at IS NULL AND a.link IS NOT NULL
+    ORDER BY a.pub_ts DESC, a.id
+    LIMIT ?
+  `).all(since, limit),
+  // Store the full content of an article's page, which is searched instead
+  // of the feed's summary. null means none could be extracted; the page
+  // isn't downloaded again either way.
+  updateFullContent: (id, html, now = Date.now()) => db.transaction(() => {
+    db.prepare('UPDATE articles SET full_content = ?, full_content_at = ? WHERE id = ?')
+      .run(html, new Date(now).toISOString(), id);
+    if (html) {
+      db.prepare('UPDATE articles_fts SET content = ? WHERE rowid = ?').run(toPlainText(html), id);
     }
-  },
-  updateSaved: (id, isSaved) => {
-    const article = db.articles.find(a => a.id === id);
-    if (article) {
-      article.is_saved = isSaved;
-      saveDatabase();
+  })(),
+  // Applies to every copy of the story, not just this article
+  updateRead: (userId, id, isRead) => articleOps.updateState(userId, { ids: [id] }, { isRead }),
+  updateSaved: (userId, id, isSaved) => articleOps.updateState(userId, { ids: [id] }, { isSaved }),
+  updateState: (userId, { ids = null, filter = null }, { isRead, isSaved }) => db.transaction(() => {
+    const conditions = [];
+    const params = { userId };
+    const { feedId, folderId, olderThan, articleIds } = filter || {};
+    if (ids) params.ids = JSON.stringify(ids);
+    if (feedId) {
+      conditions.push('a.feed_id = @feedId');
+      params.feedId = feedId;
+    }
+    if (folderId) {
+      conditions.push(`a.feed_id IN (${FOLDER_FEEDS})`);
+      params.folderId = folderId;
+    }
+    if (olderThan) {
+      conditions.push('a.pub_ts < @olderThan');
+      params.olderThan = toTimestamp(olderThan);
+    }
+    if (articleIds) {
+      conditions.push('a.id IN (SELECT value FROM json_each(@articleIds))');
+      params.articleIds = JSON.stringify(articleIds);
+    }
+    // Listed articles are looked up by ID rather than found by scanning the feeds
+    const matched = `
+      SELECT a.id FROM ${ids ? 'json_each(@ids) j CROSS JOIN articles a ON a.id = j.value' : 'articles a'}
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    // The user's articles among `targets` whose `column` isn't `value` yet
+    const changedIds = (targets, column, value) => db.prepare(`
+      SELECT t.id FROM (${targets}) t
+      LEFT JOIN article_states st ON st.article_id = t.id AND st.user_id = @userId
+      WHERE COALESCE(st.${column}, 0) != @value
+    `).pluck().all({ ...params, value });
+    const setState = (changed, column, value) => {
+      const upsert = db.prepare(`
+        INSERT INTO article_states (user_id, article_id, ${column}) VALUES (?, ?, ?)
+        ON CONFLICT (user_id, article_id) DO UPDATE SET ${column} = excluded.${column}
+      `);
+      changed.forEach(id => upsert.run(userId, id, value));
+    };
+
+    const changes = {};
+    if (isRead !== undefined) {
+      // The primary article of each story and the copies linked to it
+      const copies = `
+        WITH stories AS (
+          SELECT DISTINCT COALESCE(a.duplicate_of, a.id) AS id FROM (${matched}) m CROSS JOIN articles a ON a.id = m.id
+        )
+        SELECT a.id FROM stories CROSS JOIN articles a ON a.id = stories.id
+        JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+        UNION
+        SELECT a.id FROM stories CROSS JOIN articles a ON a.duplicate_of = stories.id
+        JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      `;
+      const changed = changedIds(copies, 'is_read', isRead ? 1 : 0);
+      setState(changed, 'is_read', isRead ? 1 : 0);
+      if (changed.length) changes.read = { ids: changed, value: isRead };
     }
+    if (isSaved !== undefined) {
+      const changed = changedIds(matched, 'is_saved', isSaved ? 1 : 0);
+      setState(changed, 'is_saved', isSaved ? 1 : 0);
+      if (changed.length) changes.saved = { ids: changed, value: isSaved };
+    }
+
+    const updated = new Set([...(changes.read?.ids || []), ...(changes.saved?.ids || [])]);
+    return {
+      updated: [...updated].sort((a, b) => a - b),
+      actionId: updated.size ? actionOps.record(userId, 'state', changes) : null
+    };
+  })(),
+  // Articles the next cleanup would delete, according to each feed's
+  // retention policy (see services/retention.js). An article counts as read
+  // once every subscriber has read it (or has it hidden), and is kept while anyone has it saved,
+  // tagged or annotated. Feeds whose deletion can still be undone are left
+  // alone.
+  expired: (now = Date.now()) => {
+    const globalPolicy = settingsOps.get(RETENTION_SETTING);
+    const findExpired = db.prepare(`
+      SELECT id, feed_id, title, pub_date, is_read FROM (
+        SELECT a.id, a.feed_id, a.title, a.pub_date, a.pub_ts,
+          NOT EXISTS (
+            SELECT 1 FROM subscriptions s
+            WHERE s.feed_id = a.feed_id AND NOT EXISTS (
+              SELECT 1 FROM article_states st
+              WHERE st.article_id = a.id AND st.user_id = s.user_id AND (st.is_read = 1 OR st.is_hidden = 1)
+            )
+          ) AS is_read,
+          EXISTS (SELECT 1 FROM article_states st WHERE st.article_id = a.id AND st.is_saved = 1) AS is_saved,
+          ROW_NUMBER() OVER (ORDER BY a.pub_ts DESC, a.id) AS recency
+        FROM articles a
+        WHERE a.feed_id = @feedId
+      )
+      WHERE is_saved = 0
+        AND id NOT IN (SELECT article_id FROM article_tags)
+        AND id NOT IN (SELECT article_id FROM annotations)
+        AND feed_id NOT IN (${PENDING_FEED_IDS})
+        AND recency > @keep
+        AND pub_ts < CASE WHEN is_read = 1 THEN @readCutoff ELSE @unreadCutoff END
+      ORDER BY pub_ts, id
+    `);
+
+    const expired = [];
+    for (const feed of feedOps.sources()) {
+      const cutoffs = toCutoffs(resolveRetention(globalPolicy, feed.retention), now);
+      if (!cutoffs) continue;
+
+      // A NULL cutoff never matches, so that read state is kept
+      findExpired.all({ feedId: feed.id, ...cutoffs }).forEach(row => {
+        expired.push({ ...row, is_read: row.is_read === 1, feed_title: feed.title });
+      });
+    }
+    return expired;
   },
   cleanup: () => {
-    const now = new Date();
-    const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    const sixtyDaysAgo = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
-    
-    // Sort articles by date (newest first)
-    const sortedArticles = [...db.articles].sort((a, b) => 
-      new Date(b.pub_date) - new Date(a.pub_date)
-    );
-    
-    // Keep the 200 most recent articles per feed to avoid re-syncing old articles
-    const recentIdsByFeed = new Map();
-    sortedArticles.forEach(article => {
-      if (!recentIdsByFeed.has(article.feed_id)) {
-        recentIdsByFeed.set(article.feed_id, []);
-      }
-      const feedArticles = recentIdsByFeed.get(article.feed_id);
-      if (feedArticles.length < 200) {
-        feedArticles.push(article.id);
+    const expired = articleOps.expired();
+    const deleteArticle = db.prepare('DELETE FROM articles WHERE id = ?');
+
+    if (expired.length > 0) {
+      db.transaction(() => {
+        expired.forEach(article => deleteArticle.run(article.id));
+        pruneOrphans();
+        regroupDuplicates();
+      })();
+      console.log(`Cleaned up ${expired.length} old articles`);
+    }
+
+    return expired.length;
+  },
+  // Ranked full-text search over title and content of the user's articles.
+  // `query` is an FTS5 expression (see toFtsQuery); title matches weigh more
+  // than content.
+  search: (userId, query, {
+    feedId = null, from = null, to = null, isRead = null, isSaved = null, limit = 50, offset = 0
+  } = {}) => {
+    const conditions = ['articles_fts MATCH @query', 'COALESCE(st.is_hidden, 0) = 0'];
+    const params = { userId, query, limit, offset };
+
+    if (feedId) {
+      conditions.push('a.feed_id = @feedId');
+      params.feedId = feedId;
+    }
+    if (from) {
+      conditions.push('a.pub_ts >= @from');
+      params.from = new Date(from).getTime();
+    }
+    if (to) {
+      conditions.push('a.pub_ts <= @to');
+      params.to = new Date(to).getTime();
+    }
+    if (isRead !== null) {
+      conditions.push('COALESCE(st.is_read, 0) = @isRead');
+      params.isRead = isRead ? 1 : 0;
+    }
+    if (isSaved !== null) {
+      conditions.push('COALESCE(st.is_saved, 0) = @isSaved');
+      params.isSaved = isSaved ? 1 : 0;
+    }
+
+    const matchSql = `
+      FROM articles_fts
+      JOIN articles a ON a.id = articles_fts.rowid
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      LEFT JOIN article_states st ON st.article_id = a.id AND st.user_id = @userId
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total ${matchSql}`).get(params);
+    const rows = db.prepare(`
+      SELECT a.*, s.title AS feed_title,
+        COALESCE(st.is_read, 0) AS is_read, COALESCE(st.is_saved, 0) AS is_saved,
+        highlight(articles_fts, 0, @start, @end) AS title_highlight,
+        snippet(articles_fts, 1, @start, @end, '…', 24) AS snippet,
+        bm25(articles_fts, 5.0, 1.0) AS rank
+      ${matchSql}
+      ORDER BY rank, a.pub_ts DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, start: MATCH_START, end: MATCH_END });
+
+    const results = withAnnotations(userId, withTags(userId, rows.map(row => ({
+      ...toArticle(row),
+      title_highlight: formatHighlight(row.title_highlight),
+      snippet: formatHighlight(row.snippet)
+    }))));
+
+    return { results, total };
+  }
+};
+
+// Folder operations. Each user has their own folders; they nest through
+// parent_id (null = top level) and names are unique among siblings,
+// ignoring case.
+export const folderOps = {
+  all: (userId) => db.prepare('SELECT id, name, parent_id, created_at FROM folders WHERE user_id = ? ORDER BY name, id')
+    .all(userId),
+  get: (userId, id) => db.prepare('SELECT id, name, parent_id, created_at FROM folders WHERE user_id = ? AND id = ?')
+    .get(userId, id),
+  find: (userId, name, parentId = null) => db
+    .prepare('SELECT id, name, parent_id, created_at FROM folders WHERE user_id = ? AND name = ? AND parent_id IS ?')
+    .get(userId, name, parentId),
+  insert: (userId, name, parentId = null) => {
+    const created_at = new Date().toISOString();
+    const { lastInsertRowid } = db
+      .prepare('INSERT INTO folders (user_id, name, parent_id, created_at) VALUES (?, ?, ?, ?)')
+      .run(userId, name, parentId, created_at);
+    return { id: Number(lastInsertRowid), name, parent_id: parentId, created_at };
+  },
+  findOrCreate: (userId, name, parentId = null) =>
+    folderOps.find(userId, name, parentId) || folderOps.insert(userId, name, parentId),
+  update: (userId, id, { name, parentId }) => {
+    if (name !== undefined) {
+      db.prepare('UPDATE folders SET name = ? WHERE user_id = ? AND id = ?').run(name, userId, id);
+    }
+    if (parentId !== undefined) {
+      db.prepare('UPDATE folders SET parent_id = ? WHERE user_id = ? AND id = ?').run(parentId, userId, id);
+    }
+  },
+  // Whether folder `id` is `ancestorId` or nested somewhere inside it
+  isWithin: (id, ancestorId) => {
+    const parentOf = db.prepare('SELECT parent_id FROM folders WHERE id = ?').pluck();
+    const seen = new Set();
+    for (let current = id; current != null && !seen.has(current); current = parentOf.get(current)) {
+      if (current === ancestorId) return true;
+      seen.add(current);
+    }
+    return false;
+  },
+  // Feeds and subfolders move up to the parent folder
+  delete: (userId, id) => {
+    const folder = folderOps.get(userId, id);
+    if (!folder) return;
+    db.transaction(() => {
+      db.prepare('UPDATE subscriptions SET folder_id = ? WHERE user_id = ? AND folder_id = ?')
+        .run(folder.parent_id, userId, id);
+      db.prepare('UPDATE folders SET parent_id = ? WHERE parent_id = ?').run(folder.parent_id, id);
+      db.prepare('DELETE FROM folders WHERE id = ?').run(id);
+    })();
+  }
+};
+
+// Tag operations. Each user has their own tags, unique by name ignoring
+// case; tagging is per article, so copies of a story in other feeds are
+// tagged separately.
+export const tagOps = {
+  // Every tag with the number of articles carrying it, by name
+  all: (userId) => db.prepare(`
+    SELECT t.id, t.name, COUNT(at.article_id) AS count
+    FROM tags t
+    LEFT JOIN article_tags at ON at.tag_id = t.id
+    WHERE t.user_id = ?
+    GROUP BY t.id
+    ORDER BY t.name
+  `).all(userId),
+  get: (userId, id) => db.prepare('SELECT id, name FROM tags WHERE user_id = ? AND id = ?').get(userId, id),
+  findByName: (userId, name) => db.prepare('SELECT id, name FROM tags WHERE user_id = ? AND name = ?').get(userId, name),
+  rename: (userId, id, name) => {
+    db.prepare('UPDATE tags SET name = ? WHERE user_id = ? AND id = ?').run(name, userId, id);
+  },
+  delete: (userId, id) => {
+    if (!tagOps.get(userId, id)) return;
+    db.transaction(() => {
+      db.prepare('DELETE FROM article_tags WHERE tag_id = ?').run(id);
+      db.prepare('DELETE FROM tags WHERE id = ?').run(id);
+    })();
+  },
+  // Tag an article, creating the tag on first use. Returns the tag, or null
+  // if the article isn't in one of the user's feeds.
+  addToArticle: (userId, articleId, name) => {
+    const visible = db.prepare(`
+      SELECT 1 FROM articles a
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = ?
+      WHERE a.id = ?
+    `).get(userId, articleId);
+    if (!visible) return null;
+
+    return db.transaction(() => {
+      let tag = tagOps.findByName(userId, name);
+      if (!tag) {
+        const { lastInsertRowid } = db
+          .prepare('INSERT INTO tags (user_id, name, created_at) VALUES (?, ?, ?)')
+          .run(userId, name, new Date().toISOString());
+        tag = { id: Number(lastInsertRowid), name };
       }
+      db.prepare('INSERT OR IGNORE INTO article_tags (article_id, tag_id) VALUES (?, ?)').run(articleId, tag.id);
+      return tag;
+    })();
+  },
+  removeFromArticle: (userId, articleId, tagId) => {
+    db.prepare(`
+      DELETE FROM article_tags
+      WHERE article_id = ? AND tag_id IN (SELECT id FROM tags WHERE user_id = ? AND id = ?)
+    `).run(articleId, userId, tagId);
+  }
+};
+
+// Highlights and notes. A highlight quotes text from the article; a note
+// on its own has a null quote.
+const ANNOTATION_FIELDS = 'n.id, n.article_id, n.quote, n.note, n.created_at, n.updated_at';
+
+export const annotationOps = {
+  // Every annotation with the article it belongs to, newest first
+  all: (userId) => db.prepare(`
+    SELECT ${ANNOTATION_FIELDS}, a.title AS article_title, a.link AS article_link,
+      a.feed_id, s.title AS feed_title
+    FROM annotations n
+    JOIN articles a ON a.id = n.article_id
+    JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = n.user_id
+    WHERE n.user_id = ?
+    ORDER BY n.created_at DESC, n.id DESC
+  `).all(userId),
+  get: (userId, id) => db
+    .prepare(`SELECT ${ANNOTATION_FIELDS} FROM annotations n WHERE n.user_id = ? AND n.id = ?`)
+    .get(userId, id),
+  // Annotate an article. Returns the annotation, or null if the article
+  // isn't in one of the user's feeds.
+  insert: (userId, articleId, { quote = null, note = '' }) => {
+    const visible = db.prepare(`
+      SELECT 1 FROM articles a
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = ?
+      WHERE a.id = ?
+    `).get(userId, articleId);
+    if (!visible) return null;
+
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO annotations (user_id, article_id, quote, note, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userId, articleId, quote, note, now, now);
+    return annotationOps.get(userId, Number(lastInsertRowid));
+  },
+  update: (userId, id, { quote, note }) => {
+    db.prepare(`
+      UPDATE annotations
+      SET quote = CASE WHEN @setQuote THEN @quote ELSE quote END,
+        note = COALESCE(@note, note),
+        updated_at = @now
+      WHERE user_id = @userId AND id = @id
+    `).run({
+      userId,
+      id,
+      setQuote: quote === undefined ? 0 : 1,
+      quote: quote ?? null,
+      note: note ?? null,
+      now: new Date().toISOString()
     });
-    const recentIds = new Set([...recentIdsByFeed.values()].flat());
-    
-    const beforeCount = db.articles.length;
-    db.articles = db.articles.filter(article => {
-      // Never delete saved articles
-      if (article.is_saved) return true;
-      
-      // Always keep if in top 200 per feed (prevents re-syncing from RSS)
-      if (recentIds.has(article.id)) return true;
-      
-      const articleDate = new Date(article.pub_date);
-      
-      // Delete read articles older than 30 days (increased from 10)
-      if (article.is_read && articleDate < thirtyDaysAgo) return false;
-      
-      // Delete unread articles older than 60 days (increased from 30)
-      if (!article.is_read && articleDate < sixtyDaysAgo) return false;
-      
-      // Keep everything else
-      return true;
-    });
-    
-    const deleted = beforeCount - db.articles.length;
-    if (deleted > 0) {
-      saveDatabase();
-      console.log(`Cleaned up ${deleted} old articles`);
-    }
-    
-    return deleted;
+    return annotationOps.get(userId, id);
+  },
+  delete: (userId, id) => {
+    db.prepare('DELETE FROM annotations WHERE user_id = ? AND id = ?').run(userId, id);
   }
 };
 
-// Settings operations
+// Playback of articles' enclosures (podcast episodes), per user: the
+// position to resume from and the speed, both kept per episode
+export const playbackOps = {
+  // The user's playback of an article, null if the article isn't in one of
+  // their feeds. Episodes not played yet start at 0 at normal speed.
+  get: (userId, articleId) => {
+    const row = db.prepare(`
+      SELECT COALESCE(p.position, 0) AS position, COALESCE(p.speed, 1) AS speed, p.updated_at
+      FROM articles a
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      LEFT JOIN playback p ON p.article_id = a.id AND p.user_id = @userId
+      WHERE a.id = @articleId
+    `).get({ userId, articleId });
+    return row ?? null;
+  },
+  // Returns false if the article isn't in one of the user's feeds
+  set: (userId, articleId, { position, speed }) => {
+    const { changes } = db.prepare(`
+      INSERT INTO playback (user_id, article_id, position, speed, updated_at)
+      SELECT @userId, a.id, @position, @speed, @now FROM articles a
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      WHERE a.id = @articleId
+      ON CONFLICT (user_id, article_id) DO UPDATE
+        SET position = excluded.position, speed = excluded.speed, updated_at = excluded.updated_at
+    `).run({ userId, articleId, position, speed, now: new Date().toISOString() });
+    return changes > 0;
+  }
+};
+
+function toFilterRule(row) {
+  if (!row) return row;
+  const { user_id, ...rule } = row;
+  return { ...rule, enabled: rule.enabled === 1 };
+}
+
+// Filter rules (see services/filter-rules.js). Each user has their own;
+// a rule without a feed_id covers all of the user's feeds.
+export const filterRuleOps = {
+  all: (userId) => db.prepare('SELECT * FROM filter_rules WHERE user_id = ? ORDER BY id').all(userId).map(toFilterRule),
+  get: (userId, id) => toFilterRule(db.prepare('SELECT * FROM filter_rules WHERE user_id = ? AND id = ?').get(userId, id)),
+  insert: (userId, { feedId = null, field, matchType, pattern, action, tag = null, enabled = true }) => {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO filter_rules (user_id, feed_id, field, match_type, pattern, action, tag, enabled, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId, feedId, field, matchType, pattern, action, action === 'tag' ? tag : null, enabled ? 1 : 0,
+      new Date().toISOString()
+    );
+    return filterRuleOps.get(userId, Number(lastInsertRowid));
+  },
+  update: (userId, id, { feedId = null, field, matchType, pattern, action, tag = null, enabled = true }) => {
+    db.prepare(`
+      UPDATE filter_rules SET feed_id = ?, field = ?, match_type = ?, pattern = ?, action = ?, tag = ?, enabled = ?
+      WHERE user_id = ? AND id = ?
+    `).run(feedId, field, matchType, pattern, action, action === 'tag' ? tag : null, enabled ? 1 : 0, userId, id);
+    return filterRuleOps.get(userId, id);
+  },
+  delete: (userId, id) => {
+    db.prepare('DELETE FROM filter_rules WHERE user_id = ? AND id = ?').run(userId, id);
+  },
+  // The users subscribing to a feed and their enabled rules that cover it
+  forFeed: (feedId) => ({
+    subscribers: db.prepare('SELECT user_id FROM subscriptions WHERE feed_id = ? ORDER BY user_id').pluck().all(feedId),
+    rules: db.prepare(`
+      SELECT r.* FROM filter_rules r
+      JOIN subscriptions s ON s.user_id = r.user_id AND s.feed_id = @feedId
+      WHERE r.enabled = 1 AND (r.feed_id IS NULL OR r.feed_id = @feedId)
+      ORDER BY r.id
+    `).all({ feedId })
+  }),
+  // The latest `limit` articles of one of the user's feeds (or all of them),
+  // with what rules match on, newest first
+  recent: (userId, feedId = null, limit = 50) => db.prepare(`
+    SELECT a.id, a.feed_id, s.title AS feed_title, a.title, a.link, a.content, a.author, a.categories, a.pub_date
+    FROM articles a
+    JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+    WHERE @feedId IS NULL OR a.feed_id = @feedId
+    ORDER BY a.pub_ts DESC, a.id
+    LIMIT @limit
+  `).all({ userId, feedId, limit }).map(row => ({ ...row, categories: row.categories ? JSON.parse(row.categories) : [] })),
+  // Carry out what the rules decided for a new article, per subscriber:
+  // [{ userId, hide, markRead, save, tags }]
+  apply: (articleId, outcomes) => db.transaction(() => {
+    const setState = db.prepare(`
+      INSERT INTO article_states (user_id, article_id, is_read, is_saved, is_hidden)
+      VALUES (@userId, @articleId, @read, @saved, @hidden)
+      ON CONFLICT (user_id, article_id) DO UPDATE SET
+        is_read = MAX(is_read, excluded.is_read),
+        is_saved = MAX(is_saved, excluded.is_saved),
+        is_hidden = MAX(is_hidden, excluded.is_hidden)
+    `);
+    for (const { userId, hide = false, markRead = false, save = false, tags = [] } of outcomes) {
+      if (hide || markRead || save) {
+        setState.run({ userId, articleId, read: markRead ? 1 : 0, saved: save ? 1 : 0, hidden: hide ? 1 : 0 });
+      }
+      tags.forEach(name => tagOps.addToArticle(userId, articleId, name));
+    }
+  })()
+};
+
+// How long actions can be undone; deleted feeds are kept this long
+export const UNDO_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// What the client needs to know about an action: which articles changed
+// state, or which feed was deleted
+function toAction({ id, type, data, created_at, undone_at }) {
+  const { read, saved, feed } = JSON.parse(data);
+  const details = type === 'delete-feed' ? { feed: { id: feed.id, title: feed.title } } : { read, saved };
+  return { id, type, ...details, created_at, undone: undone_at !== null };
+}
+
+// Undoable reader actions, per user: read/saved state changes ('state',
+// logged by articleOps.updateState) and feed deletions ('delete-feed',
+// logged by feedOps.delete)
+export const actionOps = {
+  // Log an action. Returns its ID.
+  record: (userId, type, data) => {
+    const { lastInsertRowid } = db
+      .prepare('INSERT INTO actions (user_id, type, data, created_at) VALUES (?, ?, ?, ?)')
+      .run(userId, type, JSON.stringify(data), new Date().toISOString());
+    return Number(lastInsertRowid);
+  },
+  // Actions that haven't expired yet, newest first
+  all: (userId, now = Date.now()) => db.prepare(`
+    SELECT * FROM actions WHERE user_id = ? AND created_at >= ? ORDER BY id DESC
+  `).all(userId, new Date(now - UNDO_PERIOD_MS).toISOString()).map(toAction),
+  get: (userId, id, now = Date.now()) => {
+    const row = db.prepare('SELECT * FROM actions WHERE user_id = ? AND id = ? AND created_at >= ?')
+      .get(userId, id, new Date(now - UNDO_PERIOD_MS).toISOString());
+    return row ? toAction(row) : undefined;
+  },
+  // Revert an action that hasn't expired or been undone yet. Returns the
+  // undone action, or null.
+  undo: (userId, id, now = Date.now()) => db.transaction(() => {
+    const row = db.prepare('SELECT * FROM actions WHERE user_id = ? AND id = ? AND created_at >= ? AND undone_at IS NULL')
+      .get(userId, id, new Date(now - UNDO_PERIOD_MS).toISOString());
+    if (!row) return null;
+
+    const data = JSON.parse(row.data);
+    if (row.type === 'state') {
+      const revert = (column, change) => {
+        if (!change) return;
+        const upsert = db.prepare(`
+          INSERT INTO article_states (user_id, article_id, ${column}) SELECT ?, id, ? FROM articles WHERE id = ?
+          ON CONFLICT (user_id, article_id) DO UPDATE SET ${column} = excluded.${column}
+        `);
+        change.ids.forEach(articleId => upsert.run(userId, change.value ? 0 : 1, articleId));
+      };
+      revert('is_read', data.read);
+      revert('is_saved', data.saved);
+    } else if (row.type === 'delete-feed') {
+      // Actions from before playback positions and filter rules were kept
+      // have none
+      const { feed, states, tags, annotations, playback = [], rules = [] } = data;
+      const folderId = feed.folder_id && folderOps.get(userId, feed.folder_id) ? feed.folder_id : null;
+      db.prepare(`
+        INSERT OR IGNORE INTO subscriptions (user_id, feed_id, title, folder_id, created_at)
+        SELECT ?, id, ?, ?, ? FROM feeds WHERE id = ?
+      `).run(userId, feed.title, folderId, feed.created_at, feed.id);
+
+      // Only for articles that still exist
+      const addState = db.prepare(`
+        INSERT OR IGNORE INTO article_states (user_id, article_id, is_read, is_saved, is_hidden)
+        SELECT ?, id, ?, ?, ? FROM articles WHERE id = ?
+      `);
+      states.forEach(st => addState.run(userId, st.is_read, st.is_saved, st.is_hidden ?? 0, st.article_id));
+      const addTag = db.prepare(`
+        INSERT OR IGNORE INTO article_tags (article_id, tag_id)
+        SELECT a.id, t.id FROM articles a, tags t WHERE a.id = ? AND t.id = ? AND t.user_id = ?
+      `);
+      tags.forEach(tag => addTag.run(tag.article_id, tag.tag_id, userId));
+      const addAnnotation = db.prepare(`
+        INSERT OR IGNORE INTO annotations (id, user_id, article_id, quote, note, created_at, updated_at)
+        SELECT @id, @user_id, @article_id, @quote, @note, @created_at, @updated_at WHERE @article_id IN (SELECT id FROM articles)
+      `);
+      annotations.forEach(annotation => addAnnotation.run(annotation));
+      const addPlayback = db.prepare(`
+        INSERT OR IGNORE INTO playback (user_id, article_id, position, speed, updated_at)
+        SELECT @user_id, @article_id, @position, @speed, @updated_at WHERE @article_id IN (SELECT id FROM articles)
+      `);
+      playback.forEach(entry => addPlayback.run(entry));
+      const addRule = db.prepare(`
+        INSERT OR IGNORE INTO filter_rules (id, user_id, feed_id, field, match_type, pattern, action, tag, enabled, created_at)
+        VALUES (@id, @user_id, @feed_id, @field, @match_type, @pattern, @action, @tag, @enabled, @created_at)
+      `);
+      rules.forEach(rule => addRule.run(rule));
+    }
+
+    db.prepare('UPDATE actions SET undone_at = ? WHERE id = ?').run(new Date(now).toISOString(), row.id);
+    return actionOps.get(userId, row.id, now);
+  })(),
+  // Forget expired actions; feeds deleted that long ago go for good.
+  // Returns the number of actions forgotten.
+  purge: (now = Date.now()) => db.transaction(() => {
+    const cutoff = new Date(now - UNDO_PERIOD_MS).toISOString();
+    const feedIds = db.prepare(`${PENDING_FEED_IDS} AND created_at < ?`).pluck().all(cutoff);
+    const { changes } = db.prepare('DELETE FROM actions WHERE created_at < ?').run(cutoff);
+    feedIds.forEach(dropUnusedFeed);
+    return changes;
+  })()
+};
+
+// Instance-wide settings operations (values are stored JSON-encoded to keep
+// their types)
 export const settingsOps = {
-  get: (key) => db.settings[key],
+  get: (key) => {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : undefined;
+  },
   getAll: (prefix) => {
     const result = {};
-    Object.keys(db.settings).forEach(key => {
-      if (key.startsWith(prefix)) {
-        result[key] = db.settings[key];
-      }
-    });
+    db.prepare("SELECT key, value FROM settings WHERE substr(key, 1, length(?)) = ?")
+      .all(prefix, prefix)
+      .forEach(row => {
+        result[row.key] = JSON.parse(row.value);
+      });
     return result;
   },
   set: (key, value) => {
-    db.settings[key] = value;
-    saveDatabase();
+    // Mirrors JSON serialization, where undefined values were dropped
+    if (value === undefined) {
+      db.prepare('DELETE FROM settings WHERE key = ?').run(key);
+      return;
+    }
+    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)')
+      .run(key, JSON.stringify(value));
+  }
+};
+
+// Per-user settings operations, stored like settingsOps
+export const userSettingsOps = {
+  get: (userId, key) => {
+    const row = db.prepare('SELECT value FROM user_settings WHERE user_id = ? AND key = ?').get(userId, key);
+    return row ? JSON.parse(row.value) : undefined;
+  },
+  getAll: (userId, prefix) => {
+    const result = {};
+    db.prepare('SELECT key, value FROM user_settings WHERE user_id = ? AND substr(key, 1, length(?)) = ?')
+      .all(userId, prefix, prefix)
+      .forEach(row => {
+        result[row.key] = JSON.parse(row.value);
+      });
+    return result;
+  },
+  set: (userId, key, value) => {
+    if (value === undefined) {
+      db.prepare('DELETE FROM user_settings WHERE user_id = ? AND key = ?').run(userId, key);
+      return;
+    }
+    db.prepare('INSERT OR REPLACE INTO user_settings (user_id, key, value) VALUES (?, ?, ?)')
+      .run(userId, key, JSON.stringify(value));
+  }
+};
+
+const USER_FIELDS = 'id, username, role, password_hash IS NOT NULL AS has_password, created_at';
+
+function toUser(row) {
+  if (!row) return row;
+  return { ...row, has_password: row.has_password === 1 };
+}
+
+// User account operations. Password hashes are only handed out through
+// passwordHash(), never with the user record.
+export const userOps = {
+  all: () => db.prepare(`SELECT ${USER_FIELDS} FROM users ORDER BY id`).all().map(toUser),
+  get: (id) => toUser(db.prepare(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`).get(id)),
+  findByUsername: (username) => toUser(db.prepare(`SELECT ${USER_FIELDS} FROM users WHERE username = ?`).get(username)),
+  passwordHash: (id) => db.prepare('SELECT password_hash FROM users WHERE id = ?').pluck().get(id) ?? null,
+  // The first admin, which owns everything from before accounts existed
+  owner: () => toUser(db.prepare(`SELECT ${USER_FIELDS} FROM users WHERE role = 'admin' ORDER BY id LIMIT 1`).get()),
+  // Until some account has a password, the instance is open (see basicAuth)
+  hasPasswords: () => Boolean(db.prepare('SELECT 1 FROM users WHERE password_hash IS NOT NULL').get()),
+  countAdmins: () => db.prepare("SELECT COUNT(*) FROM users WHERE role = 'admin'").pluck().get(),
+  insert: (username, passwordHash, role = 'user') => {
+    const created_at = new Date().toISOString();
+    const { lastInsertRowid } = db
+      .prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)')
+      .run(username, passwordHash, role, created_at);
+    return userOps.get(Number(lastInsertRowid));
+  },
+  update: (id, { username, passwordHash, role }) => {
+    if (username !== undefined) db.prepare('UPDATE users SET username = ? WHERE id = ?').run(username, id);
+    if (passwordHash !== undefined) db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, id);
+    if (role !== undefined) db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+  },
+  // Delete the account with its subscriptions, state, folders, tags,
+  // annotations, playback positions, filter rules, settings and action log
+  delete: (id) => {
+    db.transaction(() => {
+      forgetActions(id);
+      const feedIds = db.prepare('SELECT feed_id FROM subscriptions WHERE user_id = ?').pluck().all(id);
+      feedIds.forEach(feedId => unsubscribe(id, feedId));
+      db.prepare('DELETE FROM article_states WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM article_tags WHERE tag_id IN (SELECT id FROM tags WHERE user_id = ?)').run(id);
+      db.prepare('DELETE FROM tags WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM annotations WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM playback WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM filter_rules WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM folders WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM user_settings WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    })();
+  }
+};
+
+// Full reader state export/import for one user (feeds, articles with read/
+// saved state, tags and annotations, folders, settings). Admin archives also carry the
+// instance-wide settings.
+export const archiveOps = {
+  export: (userId, { includeSecrets = false } = {}) => {
+    const settings = {};
+    const rows = db.prepare(`
+      SELECT key, value FROM user_settings WHERE user_id = @userId
+      UNION ALL
+      SELECT key, value FROM settings WHERE @admin
+      ORDER BY key
+    `).all({ userId, admin: userOps.get(userId)?.role === 'admin' ? 1 : 0 });
+    for (const { key, value } of rows) {
+      if (!includeSecrets && SECRET_SETTINGS.includes(key)) continue;
+      settings[key] = JSON.parse(value);
+    }
+
+    const articles = db.prepare(`
+      SELECT a.*, COALESCE(st.is_read, 0) AS is_read, COALESCE(st.is_saved, 0) AS is_saved
+      FROM articles a
+      JOIN subscriptions s ON s.feed_id = a.feed_id AND s.user_id = @userId
+      LEFT JOIN article_states st ON st.article_id = a.id AND st.user_id = @userId
+      ORDER BY a.id
+    `).all({ userId });
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schemaVersion: getSchemaVersion(db),
+      exportedAt: new Date().toISOString(),
+      feeds: feedOps.all(userId),
+      folders: folderOps.all(userId),
+      articles: withAnnotations(userId, withTags(userId, articles.map(toArticle))),
+      settings
+    };
+  },
+  // `replace` swaps the user's current state for the archive (secrets
+  // missing from the archive are kept). `merge` adds feeds and articles that
+  // don't exist yet (matched by normalized URL / link), ORs read and saved
+  // flags, adds tags (matched by name), annotations that aren't there yet
+  // (matched by quote and note) and folders (matched by name and
+  // parent), files feeds that aren't in a folder yet, and only adds settings
+  // that aren't set locally. Feeds other users already read are subscribed
+  // to rather than added again. Records that fail validation are skipped.
+  restore: (userId, archive, mode = 'merge') => {
+    const result = {
+      mode,
+      feeds: { added: 0, matched: 0 },
+      articles: { added: 0, updated: 0 },
+      settings: 0,
+      skipped: 0
+    };
+    const isAdmin = userOps.get(userId)?.role === 'admin';
+
+    const insertFeed = db.prepare(`
+      INSERT INTO feeds (id, title, url, url_key, retention, created_at)
+      VALUES (@id, @title, @url, @url_key, @retention, @created_at)
+    `);
+    const insertSubscription = db.prepare(`
+      INSERT INTO subscriptions (user_id, feed_id, title, folder_id, created_at)
+      VALUES (@user_id, @feed_id, @title, @folder_id, @created_at)
+    `);
+    const insertArticle = db.prepare(`
+      INSERT INTO articles (
+        id, feed_id, title, link, link_key, title_key, canonical_url, content, pub_date, pub_ts, image_url,
+        enclosure_url, enclosure_type, enclosure_length, enclosure_duration, duplicate_of, created_at
+      )
+      VALUES (
+        @id, @feed_id, @title, @link, @link_key, @title_key, @canonical_url, @content, @pub_date, @pub_ts, @image_url,
+        @enclosure_url, @enclosure_type, @enclosure_length, @enclosure_duration, @duplicate_of, @created_at
+      )
+    `);
+    const mergeState = db.prepare(`
+      INSERT INTO article_states (user_id, article_id, is_read, is_saved)
+      VALUES (@user_id, @id, @is_read, @is_saved)
+      ON CONFLICT (user_id, article_id) DO UPDATE SET
+        is_read = MAX(is_read, excluded.is_read), is_saved = MAX(is_saved, excluded.is_saved)
+    `);
+    const addState = (id, record) => {
+      if (!record.is_read && !record.is_saved) return;
+      mergeState.run({ user_id: userId, id, is_read: record.is_read ? 1 : 0, is_saved: record.is_saved ? 1 : 0 });
+    };
+    const addTags = (articleId, tags) => {
+      if (!Array.isArray(tags)) return;
+      for (const tag of tags) {
+        const name = typeof tag?.name === 'string' ? tag.name.trim() : '';
+        if (name) tagOps.addToArticle(userId, articleId, name);
+      }
+    };
+    const addAnnotations = (articleId, annotations) => {
+      if (!Array.isArray(annotations)) return;
+      for (const archived of annotations) {
+        const { data: annotation } = AnnotationSchema.safeParse(archived);
+        if (!annotation) continue;
+        const exists = db.prepare(`
+          SELECT 1 FROM annotations WHERE user_id = ? AND article_id = ? AND quote IS ? AND note = ?
+        `).get(userId, articleId, annotation.quote ?? null, annotation.note);
+        if (exists) continue;
+        db.prepare(`
+          INSERT INTO annotations (user_id, article_id, quote, note, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(userId, articleId, annotation.quote ?? null, annotation.note, annotation.created_at, annotation.updated_at);
+      }
+    };
+    // Replace keeps archive IDs where it can, so links to articles stay stable
+    const keepId = (table, id) =>
+      mode === 'replace' && !db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`).get(id) ? id : null;
+
+    // Archive folder id -> local folder id, creating missing folders (and
+    // their parents) on first use
+    const archivedFolders = new Map((archive.folders || []).map(folder => [folder.id, folder]));
+    const folderIds = new Map();
+    const resolveFolder = (archiveId, visiting = new Set()) => {
+      if (folderIds.has(archiveId)) return folderIds.get(archiveId);
+      const folder = archivedFolders.get(archiveId);
+      const name = typeof folder?.name === 'string' ? folder.name.trim().slice(0, 100) : '';
+      if (!name || visiting.has(archiveId)) return null;
+
+      visiting.add(archiveId);
+      const parentId = folder.parent_id == null ? null : resolveFolder(folder.parent_id, visiting);
+      const id = folderOps.findOrCreate(userId, name, parentId).id;
+      folderIds.set(archiveId, id);
+      return id;
+    };
+
+    const addFeed = (feed) => {
+      const { lastInsertRowid } = insertFeed.run({
+        id: keepId('feeds', feed.id),
+        title: feed.title,
+        url: feed.url,
+        url_key: normalizeUrl(feed.url),
+        // Retention policies apply to every subscriber
+        retention: isAdmin && feed.retention ? JSON.stringify(feed.retention) : null,
+        created_at: feed.created_at
+      });
+      return Number(lastInsertRowid);
+    };
+    const addArticle = (article, feedId, duplicateOf) => {
+      const { lastInsertRowid } = insertArticle.run({
+        ...article,
+        id: keepId('articles', article.id),
+        feed_id: feedId,
+        ...dedupKeys(article),
+        canonical_url: canonicalUrl(article.link),
+        pub_ts: toTimestamp(article.pub_date),
+        duplicate_of: duplicateOf,
+        image_url: article.image_url ?? null,
+        enclosure_url: article.enclosure?.url ?? null,
+        enclosure_type: article.enclosure?.type ?? null,
+        enclosure_length: article.enclosure?.length ?? null,
+        enclosure_duration: article.enclosure?.duration ?? null
+      });
+      indexArticle(lastInsertRowid, article.title, article.content, toTimestamp(article.pub_date));
+      result.articles.added++;
+      return Number(lastInsertRowid);
+    };
+
+    db.transaction(() => {
+      if (mode === 'replace') {
+        fingerprints.clear();
+        const keptSecrets = SECRET_SETTINGS.filter(key => !(key in archive.settings));
+        const kept = keptSecrets.map(() => '?').join(', ');
+        forgetActions(userId);
+        for (const feed of feedOps.all(userId)) {
+          unsubscribe(userId, feed.id);
+        }
+        db.prepare('DELETE FROM article_states WHERE user_id = ?').run(userId);
+        db.prepare('DELETE FROM article_tags WHERE tag_id IN (SELECT id FROM tags WHERE user_id = ?)').run(userId);
+        db.prepare('DELETE FROM tags WHERE user_id = ?').run(userId);
+        db.prepare('DELETE FROM annotations WHERE user_id = ?').run(userId);
+        db.prepare('DELETE FROM playback WHERE user_id = ?').run(userId);
+        db.prepare('DELETE FROM folders WHERE user_id = ?').run(userId);
+        db.prepare(`DELETE FROM user_settings WHERE user_id = ? AND key NOT IN (${kept})`).run(userId, ...keptSecrets);
+        if (isAdmin) {
+          db.prepare(`DELETE FROM settings WHERE key NOT IN (${kept})`).run(...keptSecrets);
+        }
+      }
+
+      // Archive feed id -> local feed id
+      const feedIds = new Map();
+      const archivedFeedUrls = new Map();
+      const subscribed = new Map(feedOps.all(userId).map(feed => [normalizeUrl(feed.url), feed]));
+      const shared = new Map(
+        db.prepare('SELECT id, url_key FROM feeds').all().map(feed => [feed.url_key, feed.id])
+      );
+
+      for (const archived of archive.feeds) {
+        const { record, errors } = repairFeed(archived);
+        if (errors) {
+          result.skipped++;
+          continue;
+        }
+
+        archivedFeedUrls.set(record.id, record.url);
+        const url = normalizeUrl(record.url);
+        const existing = subscribed.get(url);
+        if (existing) {
+          feedIds.set(record.id, existing.id);
+          if (existing.folder_id == null && record.folder_id != null) {
+            feedOps.updateFolder(userId, existing.id, resolveFolder(record.folder_id));
+          }
+          result.feeds.matched++;
+          continue;
+        }
+
+        const feedId = shared.get(url) ?? addFeed(record);
+        const folderId = record.folder_id == null ? null : resolveFolder(record.folder_id);
+        insertSubscription.run({
+          user_id: userId,
+          feed_id: feedId,
+          title: record.title,
+          folder_id: folderId,
+          created_at: record.created_at
+        });
+        result.feeds.added++;
+        feedIds.set(record.id, feedId);
+        shared.set(url, feedId);
+        subscribed.set(url, { id: feedId, folder_id: folderId });
+      }
+
+      const findByLink = db.prepare('SELECT id FROM articles WHERE feed_id = ? AND link_key = ?').pluck();
+
+      // Archive article id -> local article id
+      const articleIds = new Map();
+      for (const archived of archive.articles) {
+        const { record, errors } = repairArticle(archived, archivedFeedUrls);
+        if (errors) {
+          result.skipped++;
+          continue;
+        }
+
+        const feedId = feedIds.get(record.feed_id);
+        const existing = findByLink.get(feedId, dedupKeys(record).link_key);
+        if (existing) {
+          addState(existing, record);
+          addTags(existing, record.tags);
+          addAnnotations(existing, record.annotations);
+          articleIds.set(record.id, existing);
+          result.articles.updated++;
+          continue;
+        }
+
+        // Duplicate groups are only restored along with the rest of the state
+        const duplicateOf = mode === 'replace' ? articleIds.get(record.duplicate_of) ?? null : null;
+        const id = addArticle(record, feedId, duplicateOf);
+        articleIds.set(record.id, id);
+        addState(id, record);
+        addTags(id, record.tags);
+        addAnnotations(id, record.annotations);
+      }
+
+      const conflict = mode === 'replace' ? 'OR REPLACE' : 'OR IGNORE';
+      const setSetting = db.prepare(`INSERT ${conflict} INTO settings (key, value) VALUES (?, ?)`);
+      const setUserSetting = db.prepare(`INSERT ${conflict} INTO user_settings (user_id, key, value) VALUES (?, ?, ?)`);
+      for (const [key, value] of Object.entries(archive.settings)) {
+        if (value === undefined) continue;
+        if (INSTANCE_SETTINGS.includes(key)) {
+          if (isAdmin) result.settings += setSetting.run(key, JSON.stringify(value)).changes;
+        } else {
+          result.settings += setUserSetting.run(userId, key, JSON.stringify(value)).changes;
+        }
+      }
+
+      if (mode === 'replace') {
+        const maxId = (records) => records.reduce((max, r) => Math.max(max, r.id), 0);
+        bumpSequence('feeds', maxId(archive.feeds));
+        bumpSequence('articles', maxId(archive.articles));
+        regroupDuplicates();
+      }
+    })();
+
+    return result;
   }
 };
 
-export default { feedOps, articleOps, settingsOps };
+export default {
+  feedOps, folderOps, articleOps, tagOps, annotationOps, actionOps, settingsOps, userSettingsOps, userOps, archiveOps
+};
@@ -0,0 +1,136 @@
+// Feed autodiscovery
+//
+// Finds the feeds of a website from the URL of one of its pages:
+// - feeds the page links to with <link rel="alternate" type="..."> (RSS,
+//   Atom or JSON Feed)
+// - otherwise the first of the paths feeds usually live at (COMMON_PATHS)
+//   that serves a feed
+//
+// Every request, including each redirect, goes through validateFeedUrl (see
+// safe-fetch.js).
+
+import { validateFeedUrl } from './url-validator.js';
+import { safeFetch } from './safe-fetch.js';
+import { isJsonFeed } from '../utils/json-feed.js';
+
+const FEED_TYPES = new Set([
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/feed+json'
+]);
+
+const COMMON_PATHS = ['/feed', '/rss', '/feed.xml', '/rss.xml', '/atom.xml', '/index.xml', '/feed.json'];
+
+const TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#39);/g, (_, name) => ENTITIES[name]);
+}
+
+// Attributes of an HTML tag, keyed by lowercase name
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(pattern)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+  }
+  return attributes;
+}
+
+/**
+ * The feeds an HTML page links to
+ * @param {string} html - The page
+ * @param {string} pageUrl - URL of the page, which relative links are resolved against
+ * @returns {Array<{url: string, title: string|null, type: string}>}
+ */
+export function parseFeedLinks(html, pageUrl) {
+  const baseTag = html.match(/<base\s[^>]*>/i);
+  let base = pageUrl;
+  try {
+    const href = baseTag && parseAttributes(baseTag[0]).href;
+    if (href) base = new URL(href, pageUrl).href;
+  } catch {
+    // Ignore a broken <base>
+  }
+
+  const feeds = [];
+  const seen = new Set();
+  for (const [tag] of html.matchAll(/<link\s[^>]*>/gi)) {
+    const { rel = '', type = '', href, title } = parseAttributes(tag);
+    const relations = rel.toLowerCase().split(/\s+/);
+    const feedType = type.toLowerCase().split(';')[0].trim();
+    if (!relations.includes('alternate') || !FEED_TYPES.has(feedType) || !href) continue;
+
+    let url;
+    try {
+      url = new URL(href.trim(), base).href;
+    } catch {
+      continue;
+    }
+    if (seen.has(url)) continue;
+    seen.add(url);
+    feeds.push({ url, title: title?.trim() || null, type: feedType });
+  }
+  return feeds;
+}
+
+/**
+ * Whether a response body is a feed (RSS, Atom, RDF or JSON Feed)
+ * @param {string} body
+ * @returns {boolean}
+ */
+export function looksLikeFeed(body) {
+  if (isJsonFeed('', body)) return true;
+
+  const start = body.slice(0, 2048).trimStart();
+  // Skip the XML declaration, comments, doctype and stylesheets
+  const root = start.replace(/^(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<![^>]*>|\s)*/, '');
+  return /^<(?:rss|feed|rdf:RDF)[\s>]/i.test(root);
+}
+
+// GET a URL that passes validateFeedUrl, following redirects only to URLs
+// that pass too. Returns null when blocked or unreachable.
+function fetchPage(url) {
+  return safeFetch(url, {
+    validate: validateFeedUrl,
+    purpose: 'feed discovery',
+    headers: {
+      'Accept': 'text/html, application/xhtml+xml, application/rss+xml, application/atom+xml, application/feed+json, */*;q=0.8'
+    },
+    read: response => response.text(),
+    timeout: TIMEOUT_MS,
+    maxBytes: MAX_PAGE_BYTES
+  });
+}
+
+/**
+ * Find the feeds of the website a page belongs to
+ * @param {string} pageUrl - URL of a web page (not itself a feed)
+ * @returns {Promise<Array<{url: string, title: string|null, type: string|null}>>} - Empty
+ *   if the site has no feeds that can be found
+ */
+export async function discoverFeeds(pageUrl) {
+  const page = await fetchPage(pageUrl);
+  if (!page) return [];
+
+  // A feed after all, just one that couldn't be read: not a page to search
+  if (looksLikeFeed(page.body)) return [];
+
+  const linked = [];
+  for (const feed of parseFeedLinks(page.body, page.url)) {
+    if ((await validateFeedUrl(feed.url)).safe) linked.push(feed);
+  }
+  if (linked.length > 0) return linked;
+
+  const origin = new URL(page.url).origin;
+  for (const path of COMMON_PATHS) {
+    const probe = await fetchPage(new URL(path, origin).href);
+    if (probe && looksLikeFeed(probe.body)) {
+      return [{ url: probe.url, title: null, type: null }];
+    }
+  }
+  return [];
+}
@@ -0,0 +1,113 @@
+// Filter rules
+//
+// Rules look at articles as they are synced. Each matches one field of the
+// item: its title, content (as plain text), link, author or categories (any
+// one of them), either by keywords separated by commas (any one found
+// anywhere in the field) or by a regular expression, ignoring case. What
+// the rule does with a matching article:
+// - skip: the article isn't stored. If other subscribers of the feed keep
+//   it, it is stored but hidden from the user.
+// - mark_read / save: the article arrives read / saved
+// - tag: the article gets the rule's tag (created on first use)
+//
+// Rules are per user, for one feed or all of the user's feeds, and apply to
+// articles synced after they were added; previewRule shows what a rule
+// would have matched among the latest articles.
+//
+// YouTube Shorts are skipped for everybody by a built-in rule, unless
+// INCLUDE_SHORTS=true.
+
+import { filterRuleOps } from './database.js';
+import { toPlainText } from '../utils/search.js';
+import { safeRegex, testRegex } from '../utils/regex.js';
+
+// How many of the latest articles a rule is tested against
+export const PREVIEW_SIZE = 50;
+
+// Longest text a regular expression is matched against, so that a costly
+// one can't hold up a sync for long (see utils/regex.js)
+const MAX_REGEX_TEXT = 2000;
+
+const SHORTS_RULE = Object.freeze({ field: 'link', match_type: 'keyword', pattern: '/shorts/', action: 'skip' });
+
+function fieldValues(field, item) {
+  if (field === 'content') return [toPlainText(item.content)];
+  if (field === 'category') return item.categories ?? [];
+  return [item[field]];
+}
+
+/**
+ * Whether a rule matches an item
+ * @param {Object} rule - `field`, `match_type` ('keyword' or 'regex') and `pattern`
+ * @param {Object} item - `title`, `content`, `link`, `author` and `categories`
+ * @returns {boolean}
+ */
+export function matchesRule(rule, item) {
+  const values = fieldValues(rule.field, item)
+    .filter(value => value != null && value !== '')
+    .map(String);
+
+  if (rule.match_type === 'regex') {
+    // Rules saved before a pattern was refused match nothing
+    const regex = safeRegex(rule.pattern);
+    return regex !== null && values.some(value => testRegex(regex, value.slice(0, MAX_REGEX_TEXT)));
+  }
+
+  const keywords = rule.pattern.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+  return values.some(value => {
+    const text = value.toLowerCase();
+    return keywords.some(keyword => text.includes(keyword));
+  });
+}
+
+// What one user's rules do with an item: { hide, markRead, save, tags }
+function outcomeOf(rules, item) {
+  const matched = rules.filter(rule => matchesRule(rule, item));
+  if (matched.some(rule => rule.action === 'skip')) return { hide: true };
+
+  return {
+    markRead: matched.some(rule => rule.action === 'mark_read'),
+    save: matched.some(rule => rule.action === 'save'),
+    tags: [...new Set(matched.filter(rule => rule.action === 'tag').map(rule => rule.tag))]
+  };
+}
+
+/**
+ * Load the rules that apply to a feed's new articles, for one sync
+ * @param {number} feedId - Feed being synced
+ * @returns {Function} - Given an item (`title`, `content`, `link`, `author`, `categories`),
+ *   returns null if nobody gets the article, otherwise what the rules do with it once stored
+ *   for each subscriber they affect ([{ userId, hide, markRead, save, tags }], see
+ *   filterRuleOps.apply)
+ */
+export function feedFilter(feedId) {
+  const { subscribers, rules } = filterRuleOps.forFeed(feedId);
+  const builtIn = process.env.INCLUDE_SHORTS === 'true' ? [] : [SHORTS_RULE];
+  const rulesByUser = new Map(subscribers.map(userId => [userId, rules.filter(rule => rule.user_id === userId)]));
+
+  return (item) => {
+    if (builtIn.some(rule => matchesRule(rule, item))) return null;
+
+    const outcomes = subscribers.map(userId => ({ userId, ...outcomeOf(rulesByUser.get(userId), item) }));
+    if (outcomes.length > 0 && outcomes.every(outcome => outcome.hide)) return null;
+    return outcomes.filter(({ hide, markRead, save, tags }) => hide || markRead || save || tags.length > 0);
+  };
+}
+
+/**
+ * Test a rule against the latest articles of the feed it is for
+ * @param {number} userId - User the rule is for
+ * @param {Object} rule - `feedId` (null = all of the user's feeds), `field`, `matchType` and `pattern`
+ * @returns {{checked: number, matches: Array}} - How many articles were tested, and those
+ *   that match (`id`, `feed_id`, `feed_title`, `title`, `link`, `pub_date`), newest first
+ */
+export function previewRule(userId, { feedId = null, field, matchType, pattern }) {
+  const articles = filterRuleOps.recent(userId, feedId, PREVIEW_SIZE);
+  const rule = { field, match_type: matchType, pattern };
+  return {
+    checked: articles.length,
+    matches: articles
+      .filter(article => matchesRule(rule, article))
+      .map(({ id, feed_id, feed_title, title, link, pub_date }) => ({ id, feed_id, feed_title, title, link, pub_date }))
+  };
+}
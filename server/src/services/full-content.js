@@ -0,0 +1,123 @@
+// Full article content
+//
+// Many feeds carry only a summary of each article. For feeds with the
+// fetch_full_content option, the page of every new article is downloaded
+// and its main content extracted (see utils/readability.js) and stored as
+// the article's full_content.
+//
+// This happens in the background, after syncs, so that syncing isn't slowed
+// down by downloading pages. The queue is the database itself: the articles
+// of the last BACKFILL_MS whose page wasn't downloaded yet (so it survives
+// restarts), worked through CONCURRENCY pages at a time.
+//
+// Article links come from feeds, so every request, including each redirect,
+// goes through validateUrl (see safe-fetch.js).
+
+import { articleOps } from './database.js';
+import { validateUrl } from './url-validator.js';
+import { safeFetch } from './safe-fetch.js';
+import { decodeHtml } from '../utils/encoding.js';
+import { extractArticle } from '../utils/readability.js';
+
+const CONCURRENCY = 2;
+const BATCH_SIZE = 20;
+const BACKFILL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+let draining = null;
+let stopped = false;
+
+// GET an article page that passes validateUrl, following redirects only to
+// URLs that pass too. Returns null when blocked, unreachable or not HTML.
+function fetchArticlePage(url) {
+  return safeFetch(url, {
+    validate: validateUrl,
+    purpose: 'article page',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; RSS Reader/1.0)',
+      'Accept': 'text/html, application/xhtml+xml;q=0.9'
+    },
+    read: async (response) => {
+      const contentType = response.headers.get('content-type') || '';
+      if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) return null;
+      return decodeHtml(Buffer.from(await response.arrayBuffer()), contentType);
+    },
+    timeout: TIMEOUT_MS,
+    maxBytes: MAX_PAGE_BYTES
+  });
+}
+
+/**
+ * Download an article's page and store its main content
+ * @param {{id: number, link: string}} article
+ * @returns {Promise<boolean>} - Whether content was found
+ */
+export async function fetchFullContent({ id, link }) {
+  const page = await fetchArticlePage(link);
+  const content = page ? extractArticle(page.body, page.url) : null;
+  // Stored either way, so that pages without an article aren't downloaded again
+  articleOps.updateFullContent(id, content);
+  return content !== null;
+}
+
+/**
+ * Fetch the full content of every pending article
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{found: number, missing: number}>} - Articles with and without content found
+ */
+export async function fetchPendingFullContent(now = Date.now()) {
+  const stats = { found: 0, missing: 0 };
+  for (;;) {
+    const queue = stopped ? [] : articleOps.pendingFullContent(now - BACKFILL_MS, BATCH_SIZE);
+    if (queue.length === 0) return stats;
+
+    // Each worker takes the next article until none are left
+    const work = async () => {
+      for (let article = queue.shift(); article && !stopped; article = queue.shift()) {
+        try {
+          stats[await fetchFullContent(article) ? 'found' : 'missing']++;
+        } catch (error) {
+          console.error(`Fetching the full content of ${article.link} failed:`, error.message);
+          articleOps.updateFullContent(article.id, null);
+          stats.missing++;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, work));
+  }
+}
+
+/**
+ * Fetch the full content of pending articles in the background. Does nothing
+ * if that is already under way (articles queued since are picked up too).
+ */
+export function queueFullContent() {
+  if (stopped) return;
+  if (draining) {
+    draining.again = true;
+    return;
+  }
+
+  const run = () => fetchPendingFullContent()
+    .catch(error => console.error('Fetching full article content failed:', error.message))
+    .then(() => {
+      // Articles stored after the last check for pending ones
+      if (draining.again && !stopped) {
+        draining.again = false;
+        return run();
+      }
+    });
+  draining = { again: false };
+  draining.promise = run().finally(() => { draining = null; });
+}
+
+/**
+ * Stop fetching full content
+ * @returns {Promise<void>} - Resolves once the pages being fetched are stored
+ */
+export async function stopFullContent() {
+  stopped = true;
+  await draining?.promise;
+}
@@ -0,0 +1,554 @@
+// Versioned schema migrations
+//
+// The schema version is kept in SQLite's `user_version` header field. On
+// startup every migration newer than that version runs in order, each in its
+// own transaction together with the version bump, so a failed migration
+// leaves the database at the previous version.
+//
+// To change the schema, append a migration - never edit or reorder existing
+// ones. Migrations must be idempotent (IF NOT EXISTS, checking for columns
+// before adding them, ...): databases created before versioning existed
+// already have some of these changes applied.
+import { toPlainText } from '../utils/search.js';
+import { normalizeUrl } from '../utils/url.js';
+import { canonicalUrl, dedupKeys, duplicateKeys, fingerprint } from '../utils/duplicates.js';
+
+function hasTable(db, name) {
+  return Boolean(
+    db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name)
+  );
+}
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create feeds, articles and settings tables',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS feeds (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          url TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS articles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          feed_id INTEGER NOT NULL,
+          title TEXT,
+          link TEXT,
+          content TEXT,
+          pub_date TEXT,
+          pub_ts INTEGER,
+          image_url TEXT,
+          is_read INTEGER NOT NULL DEFAULT 0,
+          is_saved INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_articles_feed ON articles(feed_id, pub_ts);
+        CREATE INDEX IF NOT EXISTS idx_articles_pub_ts ON articles(pub_ts);
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+      `);
+    }
+  },
+  {
+    // Plain text (HTML stripped) of title and content, keyed by article id
+    version: 2,
+    description: 'Add full-text search index',
+    up: (db) => {
+      if (hasTable(db, 'articles_fts')) return;
+
+      db.exec(`
+        CREATE VIRTUAL TABLE articles_fts USING fts5(
+          title,
+          content,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+      `);
+
+      const insert = db.prepare('INSERT INTO articles_fts (rowid, title, content) VALUES (?, ?, ?)');
+      for (const article of db.prepare('SELECT id, title, content FROM articles').all()) {
+        insert.run(article.id, toPlainText(article.title), toPlainText(article.content));
+      }
+    }
+  },
+  {
+    // JSON-encoded partial retention policy; NULL inherits the global one
+    version: 3,
+    description: 'Add per-feed retention policy',
+    up: (db) => {
+      if (!hasColumn(db, 'feeds', 'retention')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN retention TEXT');
+      }
+    }
+  },
+  {
+    // duplicate_of points copies of a story from other feeds at the first
+    // article that carried it (see articleOps.insert)
+    version: 4,
+    description: 'Add cross-feed duplicate tracking',
+    up: (db) => {
+      if (!hasColumn(db, 'articles', 'canonical_url')) {
+        db.exec('ALTER TABLE articles ADD COLUMN canonical_url TEXT');
+      }
+      if (!hasColumn(db, 'articles', 'duplicate_of')) {
+        db.exec('ALTER TABLE articles ADD COLUMN duplicate_of INTEGER');
+      }
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_articles_canonical_url ON articles(canonical_url);
+        CREATE INDEX IF NOT EXISTS idx_articles_duplicate_of ON articles(duplicate_of);
+      `);
+
+      const update = db.prepare('UPDATE articles SET canonical_url = ? WHERE id = ?');
+      for (const article of db.prepare('SELECT id, link FROM articles WHERE canonical_url IS NULL').all()) {
+        update.run(canonicalUrl(article.link), article.id);
+      }
+    }
+  },
+  {
+    // Normalized link and title, so checking whether a feed already has an
+    // item is an index lookup instead of re-normalizing all its articles
+    version: 5,
+    description: 'Add indexed duplicate lookup keys',
+    up: (db) => {
+      if (!hasColumn(db, 'articles', 'link_key')) {
+        db.exec('ALTER TABLE articles ADD COLUMN link_key TEXT');
+      }
+      if (!hasColumn(db, 'articles', 'title_key')) {
+        db.exec('ALTER TABLE articles ADD COLUMN title_key TEXT');
+      }
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_articles_feed_link_key ON articles(feed_id, link_key);
+        CREATE INDEX IF NOT EXISTS idx_articles_feed_title_key ON articles(feed_id, title_key);
+      `);
+
+      const update = db.prepare('UPDATE articles SET link_key = @link_key, title_key = @title_key WHERE id = @id');
+      for (const article of db.prepare('SELECT id, link, title FROM articles WHERE title_key IS NULL').all()) {
+        update.run({ id: article.id, ...dedupKeys(article) });
+      }
+    }
+  },
+  {
+    // User-defined labels; names are unique ignoring case
+    version: 6,
+    description: 'Add article tags',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS article_tags (
+          article_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (article_id, tag_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_article_tags_tag ON article_tags(tag_id);
+      `);
+    }
+  },
+  {
+    // Folders nest through parent_id (NULL = top level); a feed is in at
+    // most one folder
+    version: 7,
+    description: 'Add feed folders',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL COLLATE NOCASE,
+          parent_id INTEGER,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_folders_parent ON folders(parent_id);
+      `);
+      if (!hasColumn(db, 'feeds', 'folder_id')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN folder_id INTEGER');
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_feeds_folder ON feeds(folder_id)');
+    }
+  },
+  {
+    // Feeds and articles are shared; everything a reader changes is per
+    // user. Existing feeds, read/saved state, folders, tags and settings
+    // (except the instance-wide retention policy) move to an owner account,
+    // which has no password until one is set.
+    version: 8,
+    description: 'Add user accounts',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT,
+          role TEXT NOT NULL DEFAULT 'user',
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS subscriptions (
+          user_id INTEGER NOT NULL,
+          feed_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          folder_id INTEGER,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, feed_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_subscriptions_feed ON subscriptions(feed_id);
+
+        CREATE TABLE IF NOT EXISTS article_states (
+          user_id INTEGER NOT NULL,
+          article_id INTEGER NOT NULL,
+          is_read INTEGER NOT NULL DEFAULT 0,
+          is_saved INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (user_id, article_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_article_states_article ON article_states(article_id);
+
+        CREATE TABLE IF NOT EXISTS user_settings (
+          user_id INTEGER NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT,
+          PRIMARY KEY (user_id, key)
+        );
+      `);
+
+      db.prepare(`
+        INSERT INTO users (username, role, created_at)
+        SELECT 'admin', 'admin', ? WHERE NOT EXISTS (SELECT 1 FROM users)
+      `).run(new Date().toISOString());
+      const owner = db.prepare("SELECT MIN(id) FROM users WHERE role = 'admin'").pluck().get();
+
+      // Only databases from before accounts existed still have state on articles
+      if (hasColumn(db, 'articles', 'is_read')) {
+        db.prepare(`
+          INSERT OR IGNORE INTO subscriptions (user_id, feed_id, title, folder_id, created_at)
+          SELECT ?, id, title, folder_id, created_at FROM feeds
+        `).run(owner);
+        db.prepare(`
+          INSERT OR IGNORE INTO article_states (user_id, article_id, is_read, is_saved)
+          SELECT ?, id, is_read, is_saved FROM articles WHERE is_read = 1 OR is_saved = 1
+        `).run(owner);
+        db.prepare("INSERT OR IGNORE INTO user_settings (user_id, key, value) SELECT ?, key, value FROM settings WHERE key != 'retention'")
+          .run(owner);
+        db.exec("DELETE FROM settings WHERE key != 'retention'");
+        db.exec('ALTER TABLE articles DROP COLUMN is_read');
+        db.exec('ALTER TABLE articles DROP COLUMN is_saved');
+      }
+      if (hasColumn(db, 'feeds', 'folder_id')) {
+        db.exec('DROP INDEX IF EXISTS idx_feeds_folder');
+        db.exec('ALTER TABLE feeds DROP COLUMN folder_id');
+      }
+
+      if (!hasColumn(db, 'folders', 'user_id')) {
+        db.exec('ALTER TABLE folders ADD COLUMN user_id INTEGER');
+        db.prepare('UPDATE folders SET user_id = ?').run(owner);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_folders_user ON folders(user_id)');
+      }
+
+      // Tag names become unique per user, which needs a new table
+      if (!hasColumn(db, 'tags', 'user_id')) {
+        db.exec(`
+          CREATE TABLE tags_by_user (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL COLLATE NOCASE,
+            created_at TEXT NOT NULL,
+            UNIQUE (user_id, name)
+          );
+        `);
+        db.prepare('INSERT INTO tags_by_user (id, user_id, name, created_at) SELECT id, ?, name, created_at FROM tags')
+          .run(owner);
+        db.exec('DROP TABLE tags');
+        db.exec('ALTER TABLE tags_by_user RENAME TO tags');
+      }
+    }
+  },
+  {
+    // A highlight quotes text from the article (optionally with a note); a
+    // note on its own has no quote. Annotations are per user and per article
+    // copy, like tags.
+    version: 9,
+    description: 'Add article highlights and notes',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS annotations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          article_id INTEGER NOT NULL,
+          quote TEXT,
+          note TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_annotations_user ON annotations(user_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_annotations_article ON annotations(article_id);
+      `);
+    }
+  },
+  {
+    // Reader actions that can be undone for a while: read/saved state
+    // changes and feed deletions. `data` is JSON; for a deleted feed it holds
+    // the subscription and the user's state on its articles, and the feed
+    // itself is kept until the action expires.
+    version: 10,
+    description: 'Add undoable action log',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS actions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          data TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          undone_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_actions_user ON actions(user_id, id);
+      `);
+    }
+  },
+  {
+    // HTTP validators of the last download, sent back on the next sync so
+    // that an unchanged feed costs a 304 rather than the whole document
+    version: 11,
+    description: 'Add feed cache validators',
+    up: (db) => {
+      if (!hasColumn(db, 'feeds', 'etag')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN etag TEXT');
+      }
+      if (!hasColumn(db, 'feeds', 'last_modified')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN last_modified TEXT');
+      }
+    }
+  },
+  {
+    // Background sync schedule (see sync-schedule.js): the interval the feed
+    // asks for (minutes, NULL = default), when it was last synced and is due
+    // next, and how many syncs in a row have failed. Feeds without a
+    // next_sync_at are due right away.
+    version: 12,
+    description: 'Add feed sync schedule',
+    up: (db) => {
+      const columns = {
+        sync_interval: 'INTEGER',
+        last_sync_at: 'TEXT',
+        next_sync_at: 'TEXT',
+        sync_failures: 'INTEGER NOT NULL DEFAULT 0'
+      };
+      for (const [column, type] of Object.entries(columns)) {
+        if (!hasColumn(db, 'feeds', column)) {
+          db.exec(`ALTER TABLE feeds ADD COLUMN ${column} ${type}`);
+        }
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_feeds_next_sync ON feeds(next_sync_at)');
+    }
+  },
+  {
+    // Feed health: the last successful sync, and the message and HTTP status
+    // (NULL if the request didn't get that far) of the last failed one
+    version: 13,
+    description: 'Add feed health',
+    up: (db) => {
+      const columns = { last_success_at: 'TEXT', last_error: 'TEXT', last_status: 'INTEGER' };
+      for (const [column, type] of Object.entries(columns)) {
+        if (!hasColumn(db, 'feeds', column)) {
+          db.exec(`ALTER TABLE feeds ADD COLUMN ${column} ${type}`);
+        }
+      }
+    }
+  },
+  {
+    // Feeds can have their articles' pages downloaded for the full text.
+    // full_content_at is when that was done (or tried: full_content stays
+    // NULL if nothing could be extracted).
+    version: 14,
+    description: 'Add full article content',
+    up: (db) => {
+      if (!hasColumn(db, 'feeds', 'fetch_full_content')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN fetch_full_content INTEGER NOT NULL DEFAULT 0');
+      }
+      for (const column of ['full_content', 'full_content_at']) {
+        if (!hasColumn(db, 'articles', column)) {
+          db.exec(`ALTER TABLE articles ADD COLUMN ${column} TEXT`);
+        }
+      }
+    }
+  },
+  {
+    // The audio or video file attached to an item (a podcast episode), and
+    // how far each user got playing it and at what speed. Lengths are in
+    // bytes; durations and positions in seconds.
+    version: 15,
+    description: 'Add enclosures and playback positions',
+    up: (db) => {
+      const columns = {
+        enclosure_url: 'TEXT',
+        enclosure_type: 'TEXT',
+        enclosure_length: 'INTEGER',
+        enclosure_duration: 'INTEGER'
+      };
+      for (const [column, type] of Object.entries(columns)) {
+        if (!hasColumn(db, 'articles', column)) {
+          db.exec(`ALTER TABLE articles ADD COLUMN ${column} ${type}`);
+        }
+      }
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS playback (
+          user_id INTEGER NOT NULL,
+          article_id INTEGER NOT NULL,
+          position REAL NOT NULL DEFAULT 0,
+          speed REAL NOT NULL DEFAULT 1,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, article_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_playback_article ON playback(article_id);
+      `);
+    }
+  },
+  {
+    // Filter rules (see services/filter-rules.js), per user and either for
+    // one feed or all of the user's feeds (feed_id NULL). Rules match the
+    // item's author and categories too, which articles now keep (categories
+    // as a JSON array). An article a rule skips for some subscribers only is
+    // hidden from them.
+    version: 16,
+    description: 'Add filter rules',
+    up: (db) => {
+      for (const column of ['author', 'categories']) {
+        if (!hasColumn(db, 'articles', column)) {
+          db.exec(`ALTER TABLE articles ADD COLUMN ${column} TEXT`);
+        }
+      }
+      if (!hasColumn(db, 'article_states', 'is_hidden')) {
+        db.exec('ALTER TABLE article_states ADD COLUMN is_hidden INTEGER NOT NULL DEFAULT 0');
+      }
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS filter_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          feed_id INTEGER,
+          field TEXT NOT NULL,
+          match_type TEXT NOT NULL,
+          pattern TEXT NOT NULL,
+          action TEXT NOT NULL,
+          tag TEXT,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_filter_rules_user ON filter_rules(user_id, feed_id);
+      `);
+    }
+  },
+  {
+    // Keys of each article's title words and content shingles that any
+    // near-duplicate shares (see duplicateKeys), so finding the candidates
+    // for a new article is an index lookup instead of comparing it with
+    // every article published around the same time
+    version: 17,
+    description: 'Add near-duplicate lookup keys',
+    up: (db) => {
+      if (hasTable(db, 'duplicate_keys')) return;
+
+      db.exec(`
+        CREATE TABLE duplicate_keys (
+          key INTEGER NOT NULL,
+          article_id INTEGER NOT NULL,
+          pub_ts INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_duplicate_keys_key ON duplicate_keys(key, pub_ts);
+        CREATE INDEX idx_duplicate_keys_article ON duplicate_keys(article_id);
+      `);
+
+      const insert = db.prepare('INSERT INTO duplicate_keys (key, article_id, pub_ts) VALUES (?, ?, ?)');
+      for (const article of db.prepare('SELECT id, title, content, pub_ts FROM articles WHERE pub_ts IS NOT NULL').all()) {
+        for (const key of duplicateKeys(fingerprint(article))) {
+          insert.run(key, article.id, article.pub_ts);
+        }
+      }
+    }
+  },
+  {
+    // Normalized feed URL, so finding the feed at a URL (to share it between
+    // subscribers) is an index lookup instead of normalizing every feed's URL
+    version: 18,
+    description: 'Add indexed feed URL keys',
+    up: (db) => {
+      if (!hasColumn(db, 'feeds', 'url_key')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN url_key TEXT');
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_feeds_url_key ON feeds(url_key)');
+
+      const update = db.prepare('UPDATE feeds SET url_key = ? WHERE id = ?');
+      for (const feed of db.prepare('SELECT id, url FROM feeds WHERE url_key IS NULL').all()) {
+        update.run(normalizeUrl(feed.url), feed.id);
+      }
+    }
+  }
+];
+
+/**
+ * Read the schema version stored in the database
+ * @param {Database} db - Open better-sqlite3 connection
+ * @returns {number}
+ */
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Bring the database up to the latest schema version
+ * @param {Database} db - Open better-sqlite3 connection
+ * @param {Array<{version: number, description: string, up: Function}>} [migrations] - Ordered registry
+ * @returns {number[]} - Versions that were applied
+ * @throws {Error} If the database was written by a newer version of the code
+ */
+export function runMigrations(db, migrations = MIGRATIONS) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration "${migration.description}" has version ${migration.version}, expected ${index + 1}`);
+    }
+  });
+
+  const latest = migrations.length;
+  const current = getSchemaVersion(db);
+
+  // Running old code against newer data could silently lose fields
+  if (current > latest) {
+    throw new Error(
+      `Database schema version ${current} is newer than this server supports (${latest}). ` +
+      'Upgrade the server, or restore a backup made by this version.'
+    );
+  }
+
+  const applied = [];
+  for (const migration of migrations.slice(current)) {
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
@@ -0,0 +1,60 @@
+// Article retention policies
+//
+// A policy has four rules:
+// - maxCount: the newest maxCount articles of a feed are always kept; older
+//   ones become eligible for deletion (null = every article is eligible)
+// - readMaxAgeDays / unreadMaxAgeDays: eligible articles are deleted once
+//   they are older than this (null = never; 0 = as soon as they're eligible)
+// - neverDelete: keep every article of the feed
+//
+// Saved and tagged articles are never deleted. Keeping the newest articles also stops
+// items that are still in the RSS feed from being deleted and re-added as
+// unread on the next sync.
+//
+// The global policy is stored in settings; each feed can override any of
+// the rules, and unset rules fall back to the global policy.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_SETTING = 'retention';
+
+export const DEFAULT_RETENTION = Object.freeze({
+  maxCount: 200,
+  readMaxAgeDays: 30,
+  unreadMaxAgeDays: 60,
+  neverDelete: false
+});
+
+/**
+ * Combine the global policy with a feed's overrides
+ * @param {Object} [globalPolicy] - Stored global policy (may be partial)
+ * @param {Object|null} [override] - Feed overrides (may be partial)
+ * @returns {Object} - Complete policy
+ */
+export function resolveRetention(globalPolicy, override) {
+  const policy = { ...DEFAULT_RETENTION };
+  for (const source of [globalPolicy, override]) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (key in DEFAULT_RETENTION && value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Translate a policy into the parameters of the cleanup query
+ * @param {Object} policy - Complete policy
+ * @param {number} now - Current time in ms
+ * @returns {{keep: number, readCutoff: number|null, unreadCutoff: number|null}|null} - null if nothing can be deleted
+ */
+export function toCutoffs(policy, now) {
+  if (policy.neverDelete) return null;
+  if (policy.readMaxAgeDays === null && policy.unreadMaxAgeDays === null) return null;
+
+  const cutoff = (days) => (days === null ? null : now - days * DAY_MS);
+  return {
+    keep: policy.maxCount ?? 0,
+    readCutoff: cutoff(policy.readMaxAgeDays),
+    unreadCutoff: cutoff(policy.unreadMaxAgeDays)
+  };
+}
@@ -1,14 +1,24 @@
 import Parser from 'rss-parser';
-import { articleOps } from './database.js';
-import fetch from 'node-fetch';
-import iconv from 'iconv-lite';
+import { articleOps, feedOps, filterRuleOps } from './database.js';
+import { fetchValidated } from './safe-fetch.js';
+import { validateFeedUrl } from './url-validator.js';
+import { feedInterval } from './sync-schedule.js';
+import { isJsonFeed, parseJsonFeed } from '../utils/json-feed.js';
+import { decodeFeed } from '../utils/encoding.js';
+import { queueFullContent } from './full-content.js';
+import { feedFilter } from './filter-rules.js';
 
 const parser = new Parser({
   customFields: {
+    // How often the feed asks to be fetched (see sync-schedule.js)
+    feed: ['ttl', 'sy:updatePeriod', 'sy:updateFrequency'],
     item: [
       'media:content', 
       'media:thumbnail',
-      'media:group'
+      'media:group',
+      // Also read by rss-parser as itunes.duration, but only when the feed
+      // declares the iTunes namespace
+      'itunes:duration'
     ]
   }
 });
@@ -50,64 +60,143 @@ function cleanYouTubeDescription(text) {
   return result.length > 300 ? result.substring(0, 300).trim() + '...' : result;
 }
 
-export async function fetchFeed(feedUrl) {
+// Seconds in an <itunes:duration>: "HH:MM:SS", "MM:SS" or plain seconds
+function parseDuration(value) {
+  if (value == null) return null;
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || !parts.every(part => /^\d+(?:\.\d+)?$/.test(part))) return null;
+  return Math.round(parts.reduce((total, part) => total * 60 + parseFloat(part), 0));
+}
+
+// The item's audio or video file (a podcast episode), if it has one. Image
+// enclosures are the article's image instead.
+function extractEnclosure(item) {
+  const { url, type, length } = item.enclosure ?? {};
+  if (!url || type?.startsWith('image/')) return null;
   try {
-    // Fetch the feed manually to handle encoding properly
-    // Add timeout to prevent hanging on slow/unresponsive feeds
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+    if (!['http:', 'https:'].includes(new URL(url).protocol)) return null;
+  } catch {
+    return null;
+  }
+
+  const bytes = parseInt(length, 10);
+  return {
+    url,
+    type: type || null,
+    length: bytes > 0 ? bytes : null,
+    duration: parseDuration(item.itunes?.duration ?? item['itunes:duration'])
+  };
+}
+
+// The item's author: <dc:creator>, <author> or the Atom author's name
+function extractAuthor(item) {
+  const author = item.creator || item.author;
+  return typeof author === 'string' && author.trim() ? author.trim() : null;
+}
+
+// The item's categories (RSS <category>, JSON Feed tags) as strings; a
+// <category domain="..."> comes as { _, $ }
+function extractCategories(item) {
+  if (!Array.isArray(item.categories)) return [];
+  return item.categories
+    .map(category => (typeof category === 'string' ? category : category?._))
+    .filter(category => typeof category === 'string' && category.trim())
+    .map(category => category.trim());
+}
+
+// Time limit for downloading a feed, redirects included
+const FEED_TIMEOUT = 15000;
 
-    const response = await fetch(feedUrl, {
+// Fetch and parse a feed. Given the validators of an earlier download
+// ({ etag, lastModified }), the request is conditional and null means the
+// feed hasn't changed since. The parsed feed carries the validators of this
+// download as `etag` and `lastModified`.
+//
+// Feeds are fetched unattended, so the URL and every redirect must pass
+// validateFeedUrl, not just the URL the feed was added with.
+export async function fetchFeed(feedUrl, { etag, lastModified } = {}) {
+  // Add timeout to prevent hanging on slow/unresponsive feeds
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FEED_TIMEOUT);
+
+  const headers = {};
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  try {
+    const { response } = await fetchValidated(feedUrl, {
+      validate: validateFeedUrl,
+      purpose: 'feed',
+      headers,
       signal: controller.signal
     });
 
-    clearTimeout(timeoutId);
+    if (response.status === 304 && (etag || lastModified)) {
+      return null;
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), { status: response.status });
     }
 
     const buffer = await response.arrayBuffer();
-
-    // Try to detect encoding from Content-Type header
     const contentType = response.headers.get('content-type') || '';
-    let encoding = 'utf-8';
-
-    const charsetMatch = contentType.match(/charset=([^;]+)/i);
-    if (charsetMatch) {
-      encoding = charsetMatch[1].trim();
-    }
 
-    // Decode the buffer with the correct encoding
-    const xmlString = iconv.decode(Buffer.from(buffer), encoding);
+    // Decode the buffer with the encoding it declares (see utils/encoding.js)
+    const body = decodeFeed(Buffer.from(buffer), contentType);
 
-    // Parse the decoded XML
-    const feed = await parser.parseString(xmlString);
+    // Parse the decoded JSON Feed or XML
+    const feed = isJsonFeed(contentType, body) ? parseJsonFeed(body) : await parser.parseString(body);
+    feed.etag = response.headers.get('etag');
+    feed.lastModified = response.headers.get('last-modified');
     return feed;
   } catch (error) {
     if (error.name === 'AbortError') {
       throw new Error('Feed request timed out');
     }
     console.error('Error fetching feed:', error);
-    // Fallback to default parser
-    const feed = await parser.parseURL(feedUrl);
-    return feed;
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
-export async function syncFeed(feedId, feedUrl) {
-  const feed = await fetchFeed(feedUrl);
-  
+// Syncs in progress by feed id. Feeds are shared between users, so when
+// several of them sync at once the feed is still fetched only once.
+const syncing = new Map();
+
+export function syncFeed(feedId, feedUrl) {
+  if (!syncing.has(feedId)) {
+    syncing.set(feedId, fetchAndSchedule(feedId, feedUrl).finally(() => syncing.delete(feedId)));
+  }
+  return syncing.get(feedId);
+}
+
+// Every sync, whoever started it, moves the feed's next scheduled sync
+async function fetchAndSchedule(feedId, feedUrl) {
+  try {
+    const { interval, ...result } = await fetchAndStore(feedId, feedUrl);
+    feedOps.recordSync(feedId, { interval });
+    return result;
+  } catch (error) {
+    feedOps.recordSync(feedId, { error });
+    throw error;
+  }
+}
+
+async function fetchAndStore(feedId, feedUrl) {
+  const feed = await fetchFeed(feedUrl, feedOps.validators(feedId));
+  if (!feed) {
+    return { newCount: 0, total: 0, unchanged: true };
+  }
+
   let newCount = 0;
   let skippedCount = 0;
   let duplicateCount = 0;
+  // Subscribers' filter rules, and the built-in one for YouTube Shorts
+  const filter = feedFilter(feedId);
   
   for (const item of feed.items) {
-    // Skip YouTube Shorts (can be disabled by setting INCLUDE_SHORTS=true in .env)
-    if (item.link && item.link.includes('/shorts/') && process.env.INCLUDE_SHORTS !== 'true') {
-      skippedCount++;
-      continue;
-    }
     // Extract image from various RSS fields
     let imageUrl = null;
     
@@ -166,16 +255,26 @@ export async function syncFeed(feedId, feedUrl) {
       }
     }
     
+    const details = { author: extractAuthor(item), categories: extractCategories(item) };
+    const outcomes = filter({ title: item.title, content, link: item.link, ...details });
+    if (!outcomes) {
+      skippedCount++;
+      continue;
+    }
+
     const article = articleOps.insert(
       feedId,
       item.title,
       item.link,
       content,
       item.pubDate || new Date().toISOString(),
-      imageUrl
+      imageUrl,
+      extractEnclosure(item),
+      details
     );
     if (article) {
       newCount++;
+      if (outcomes.length > 0) filterRuleOps.apply(article.id, outcomes);
     } else {
       duplicateCount++;
     }
@@ -184,5 +283,9 @@ export async function syncFeed(feedId, feedUrl) {
   if (newCount > 0 || skippedCount > 0) {
     console.log(`Feed ${feedId}: ${newCount} new, ${duplicateCount} duplicates, ${skippedCount} skipped`);
   }
-  return { newCount, total: feed.items.length };
+  // Only once the articles are stored, so that a failed sync is retried in full
+  feedOps.updateValidators(feedId, feed);
+  // Pages of new articles in feeds with the full content option
+  if (newCount > 0) queueFullContent();
+  return { newCount, total: feed.items.length, unchanged: false, interval: feedInterval(feed) };
 }
@@ -0,0 +1,75 @@
+// Fetching pages at addresses that come from users or feeds
+//
+// Redirects are followed here rather than by fetch, so that every hop goes
+// through the caller's validator (see url-validator.js) and a public page
+// can't redirect the server to an internal address.
+
+import fetch from 'node-fetch';
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * GET a URL that passes `validate`, following redirects only to URLs that
+ * pass too. What to make of the final response is up to the caller.
+ * @param {string} url
+ * @param {Object} options
+ * @param {function(string): Promise<{safe: boolean, reason?: string}>} options.validate - URL check
+ * @param {string} options.purpose - What the request is for, in the log when one is blocked
+ * @param {Object} options.headers - Request headers (Accept and the like)
+ * @param {AbortSignal} [options.signal] - Aborts the request (e.g. on a time limit)
+ * @param {number} [options.maxBytes] - Largest body accepted (default: no limit)
+ * @returns {Promise<{url: string, response: Response}>} - The final URL and its response
+ * @throws {Error} - When a URL is blocked, after too many redirects, or when fetch fails
+ */
+export async function fetchValidated(url, { validate, purpose, headers, signal, maxBytes }) {
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const validation = await validate(url);
+    if (!validation.safe) {
+      console.log(`[Security] Blocked ${purpose} request: ${url} (${validation.reason})`);
+      throw new Error(`Blocked URL: ${url} (${validation.reason})`);
+    }
+
+    const response = await fetch(url, {
+      redirect: 'manual',
+      size: maxBytes,
+      signal,
+      headers
+    });
+
+    const location = REDIRECT_STATUSES.has(response.status) && response.headers.get('location');
+    if (!location) return { url, response };
+    url = new URL(location, url).href;
+  }
+  throw new Error('Too many redirects');
+}
+
+/**
+ * GET a URL with fetchValidated and read the body of a successful response
+ * @param {string} url
+ * @param {Object} options
+ * @param {function(string): Promise<{safe: boolean, reason?: string}>} options.validate - URL check
+ * @param {string} options.purpose - What the request is for, in the log when one is blocked
+ * @param {Object} options.headers - Request headers (Accept and the like)
+ * @param {function(Response): Promise<string|null>} options.read - The body of a successful
+ *   response, or null to refuse it (e.g. for its content type)
+ * @param {number} options.timeout - Time limit in ms, redirects included
+ * @param {number} options.maxBytes - Largest body accepted
+ * @returns {Promise<{url: string, body: string}|null>} - The final URL and the body; null when
+ *   blocked, unreachable or refused
+ */
+export async function safeFetch(url, { validate, purpose, headers, read, timeout, maxBytes }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    const page = await fetchValidated(url, { validate, purpose, headers, signal: controller.signal, maxBytes });
+    if (!page.response.ok) return null;
+
+    const body = await read(page.response);
+    return body === null ? null : { url: page.url, body };
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
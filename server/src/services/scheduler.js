@@ -0,0 +1,75 @@
+// Background feed sync
+//
+// Feeds are synced on the server whether or not anyone has the reader open.
+// Once a minute, every feed that is due (see sync-schedule.js) is synced, at
+// most SYNC_CONCURRENCY at a time (set in .env; 4 by default).
+
+import { feedOps } from './database.js';
+import { syncFeed } from './rss.js';
+
+const DEFAULT_CONCURRENCY = 4;
+const TICK_MS = 60 * 1000;
+
+let timer = null;
+let running = null;
+
+/**
+ * Sync every feed that is due
+ * @param {number} [now] - Current time in ms
+ * @param {number} [concurrency] - Most feeds synced at once
+ * @returns {Promise<{synced: number, failed: number}>}
+ */
+export async function syncDueFeeds(
+  now = Date.now(),
+  concurrency = parseInt(process.env.SYNC_CONCURRENCY) || DEFAULT_CONCURRENCY
+) {
+  const queue = feedOps.due(now);
+  const stats = { synced: 0, failed: 0 };
+
+  // Each worker takes the next feed until none are left
+  const work = async () => {
+    for (let feed = queue.shift(); feed; feed = queue.shift()) {
+      try {
+        await syncFeed(feed.id, feed.url);
+        stats.synced++;
+      } catch (error) {
+        // The failure pushes the feed's next sync back (see feedOps.recordSync)
+        stats.failed++;
+        console.error(`Scheduled sync of ${feed.url} failed:`, error.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, work));
+
+  if (stats.synced > 0 || stats.failed > 0) {
+    console.log(`Scheduled sync: ${stats.synced} succeeded, ${stats.failed} failed`);
+  }
+  return stats;
+}
+
+/**
+ * Start syncing due feeds now and every minute after. A round still running
+ * when the next one is due is not overlapped.
+ */
+export function startScheduler() {
+  if (timer) return;
+
+  const tick = () => {
+    if (running) return;
+    running = syncDueFeeds()
+      .catch(error => console.error('Scheduled sync failed:', error.message))
+      .finally(() => { running = null; });
+  };
+  tick();
+  timer = setInterval(tick, TICK_MS);
+}
+
+/**
+ * Stop scheduling syncs
+ * @returns {Promise<void>} - Resolves once the round in progress (if any) is done
+ */
+export async function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+  await running;
+}
@@ -0,0 +1,65 @@
+// Feed sync schedule
+//
+// Every feed is synced on its own interval:
+// - the interval the feed asks for, through RSS <ttl> (minutes) or the
+//   syndication module's sy:updatePeriod and sy:updateFrequency, kept within
+//   MIN_INTERVAL_MINUTES and MAX_INTERVAL_MINUTES
+// - DEFAULT_INTERVAL_MINUTES for feeds that don't say
+//
+// After consecutive failures the next attempt is put off exponentially:
+// interval * 2^failures, up to MAX_BACKOFF_MINUTES.
+
+const MINUTE_MS = 60 * 1000;
+
+export const DEFAULT_INTERVAL_MINUTES = 15;
+export const MIN_INTERVAL_MINUTES = 5;
+export const MAX_INTERVAL_MINUTES = 24 * 60;
+export const MAX_BACKOFF_MINUTES = 24 * 60;
+
+// Length of each sy:updatePeriod in minutes
+const UPDATE_PERIODS = {
+  hourly: 60,
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+  monthly: 30 * 24 * 60,
+  yearly: 365 * 24 * 60
+};
+
+/**
+ * The sync interval a parsed feed asks for
+ * @param {Object} feed - Feed from rss-parser (with ttl, sy:updatePeriod and sy:updateFrequency)
+ * @returns {number|null} - Minutes, within the allowed range; null if the feed doesn't say
+ */
+export function feedInterval(feed) {
+  let minutes = null;
+
+  const ttl = parseInt(feed?.ttl, 10);
+  if (ttl > 0) {
+    minutes = ttl;
+  } else {
+    const period = UPDATE_PERIODS[String(feed?.['sy:updatePeriod'] ?? '').trim().toLowerCase()];
+    if (period) {
+      const frequency = parseInt(feed['sy:updateFrequency'], 10);
+      minutes = period / (frequency > 0 ? frequency : 1);
+    }
+  }
+
+  if (minutes === null) return null;
+  return Math.round(Math.min(MAX_INTERVAL_MINUTES, Math.max(MIN_INTERVAL_MINUTES, minutes)));
+}
+
+/**
+ * When a feed is due to be synced next
+ * @param {Object} params
+ * @param {number|null} params.interval - The feed's interval in minutes (null = default)
+ * @param {number} params.failures - Consecutive failed syncs up to now
+ * @param {number} now - Time of the last sync in ms
+ * @returns {number} - Time of the next sync in ms
+ */
+export function nextSyncTime({ interval, failures }, now) {
+  const minutes = interval ?? DEFAULT_INTERVAL_MINUTES;
+  const delay = failures > 0
+    ? Math.min(MAX_BACKOFF_MINUTES, minutes * 2 ** failures)
+    : minutes;
+  return now + delay * MINUTE_MS;
+}
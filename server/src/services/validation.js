@@ -0,0 +1,205 @@
+// Load-time validation and repair of stored records against the database schemas
+import fs from 'fs';
+import { FeedSchema, ArticleSchema } from '../schemas/database.js';
+import { toPlainText } from '../utils/search.js';
+
+const MAX_FEED_TITLE = 200;
+const MAX_ARTICLE_TITLE = 500;
+// Length of a title made up from the start of the content
+const CONTENT_TITLE = 100;
+
+/**
+ * Convert any parseable date (ISO, RFC 822, ...) to an ISO 8601 UTC string
+ * @param {string} value - Date string
+ * @returns {string|null} - ISO string, or null if unparseable
+ */
+export function toISODate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// An http(s) URL from a link as feeds give it, relative ones resolved
+// against `base`
+function resolveLink(value, base) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const link = value.trim();
+  if (isValidUrl(link)) return link;
+  try {
+    const url = new URL(link, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// The title, or one made up from the start of the content or else from the
+// link (e.g. an episode's file name)
+function articleTitle(title, content, link) {
+  if (typeof title === 'string' && title.trim()) return title.slice(0, MAX_ARTICLE_TITLE);
+
+  const text = toPlainText(content);
+  if (text) return text.length > CONTENT_TITLE ? `${text.slice(0, CONTENT_TITLE).trimEnd()}…` : text;
+
+  const url = new URL(link);
+  const name = url.pathname.split('/').filter(Boolean).pop();
+  try {
+    return name ? decodeURIComponent(name) : url.hostname;
+  } catch {
+    return name;
+  }
+}
+
+/**
+ * The title and link an article is stored with, from those of a feed item.
+ * A missing title is made up from the content or the link, a relative link
+ * is resolved against the feed's URL, and a missing one is replaced by the
+ * enclosure's (podcast episodes often have no link of their own).
+ *
+ * Applied both when items are stored and when stored articles are checked
+ * (see repairArticle), so the check never removes what a sync stores.
+ *
+ * @param {{title?: string, link?: string, content?: string, enclosureUrl?: string}} item
+ * @param {string} [feedUrl] - URL of the item's feed
+ * @returns {{title: string, link: string}|null} - null when the item has no usable link
+ */
+export function normalizeArticle({ title, link, content, enclosureUrl }, feedUrl) {
+  const url = resolveLink(link, feedUrl) || resolveLink(enclosureUrl, feedUrl);
+  return url ? { title: articleTitle(title, content, url), link: url } : null;
+}
+
+function formatIssues(error) {
+  return error.issues.map(issue => {
+    const field = issue.path.join('.');
+    return field ? `${field}: ${issue.message}` : issue.message;
+  });
+}
+
+/**
+ * Normalize a stored feed so it satisfies FeedSchema
+ * @param {Object} feed - Feed record
+ * @returns {{record: Object, fixes: string[], errors?: string[]}} - errors is set when unfixable
+ */
+export function repairFeed(feed) {
+  const record = { ...feed };
+  const fixes = [];
+
+  if (typeof record.title !== 'string' || !record.title.trim()) {
+    if (isValidUrl(record.url)) {
+      record.title = new URL(record.url).hostname;
+      fixes.push('title');
+    }
+  } else if (record.title.length > MAX_FEED_TITLE) {
+    record.title = record.title.slice(0, MAX_FEED_TITLE);
+    fixes.push('title');
+  }
+
+  if (FeedSchema.shape.created_at.safeParse(record.created_at).error) {
+    record.created_at = toISODate(record.created_at) || new Date().toISOString();
+    fixes.push('created_at');
+  }
+
+  const result = FeedSchema.safeParse(record);
+  return result.success ? { record, fixes } : { record, fixes, errors: formatIssues(result.error) };
+}
+
+/**
+ * Normalize a stored article so it satisfies ArticleSchema
+ *
+ * Fixable: non-ISO dates (e.g. RFC 822 pub_date), invalid or relative image
+ * URLs, missing content, and whatever normalizeArticle fixes when items are
+ * stored (missing or overlong titles, relative or missing links). Anything
+ * else (a link that isn't http(s), a missing feed) is reported as an error.
+ *
+ * @param {Object} article - Article record
+ * @param {Map<number, string>} feedUrls - URLs of the feeds that exist, by ID
+ * @returns {{record: Object, fixes: string[], errors?: string[]}} - errors is set when unfixable
+ */
+export function repairArticle(article, feedUrls) {
+  const record = { ...article };
+  const fixes = [];
+
+  const normalized = normalizeArticle({
+    title: record.title,
+    link: record.link,
+    content: record.content,
+    // As stored, or as in backup archives
+    enclosureUrl: record.enclosure_url ?? record.enclosure?.url
+  }, feedUrls?.get(record.feed_id));
+  if (normalized) {
+    for (const field of ['title', 'link']) {
+      if (normalized[field] !== record[field]) {
+        record[field] = normalized[field];
+        fixes.push(field);
+      }
+    }
+  }
+
+  if (ArticleSchema.shape.created_at.safeParse(record.created_at).error) {
+    record.created_at = toISODate(record.created_at) || toISODate(record.pub_date) || new Date().toISOString();
+    fixes.push('created_at');
+  }
+
+  if (ArticleSchema.shape.pub_date.safeParse(record.pub_date).error) {
+    record.pub_date = toISODate(record.pub_date) || record.created_at;
+    fixes.push('pub_date');
+  }
+
+  // No image is represented by a missing field, not null
+  if (record.image_url === null || record.image_url === undefined) {
+    delete record.image_url;
+  } else if (!isValidUrl(record.image_url)) {
+    delete record.image_url;
+    fixes.push('image_url');
+  }
+
+  if (record.content === null || record.content === undefined) {
+    record.content = '';
+    fixes.push('content');
+  }
+
+  record.is_read = Boolean(record.is_read);
+  record.is_saved = Boolean(record.is_saved);
+
+  const errors = [];
+  const result = ArticleSchema.safeParse(record);
+  if (!result.success) errors.push(...formatIssues(result.error));
+  if (!normalized && !errors.some(error => error.startsWith('link:'))) errors.push('link: Invalid article link');
+  if (feedUrls && !feedUrls.has(record.feed_id)) errors.push(`feed_id: Feed ${record.feed_id} does not exist`);
+
+  return errors.length > 0 ? { record, fixes, errors } : { record, fixes };
+}
+
+/**
+ * Append unfixable records to the quarantine side file (a JSON array).
+ * Written to a temp file and renamed so a crash can't truncate it.
+ * @param {string} file - Quarantine file path
+ * @param {Object[]} entries - { type, record, errors, quarantined_at }
+ */
+export function appendToQuarantine(file, entries) {
+  if (entries.length === 0) return;
+
+  let existing = [];
+  if (fs.existsSync(file)) {
+    try {
+      existing = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      // Never drop what's already quarantined - keep the unreadable file aside
+      fs.renameSync(file, `${file}.unreadable-${Date.now()}`);
+      console.error(`[Database] Quarantine file ${file} was unreadable (${err.message}), started a new one`);
+    }
+  }
+
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...existing, ...entries], null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,158 @@
+import { normalizeUrl } from './url.js';
+import { toPlainText } from './search.js';
+
+// Titles this similar (Jaccard over word sets) are treated as the same story
+const TITLE_SIMILARITY = 0.85;
+// Short titles ("Weekly update") match too easily to be trusted on their own
+const MIN_TITLE_WORDS = 4;
+// Content is compared as overlapping 3-word shingles
+const CONTENT_SIMILARITY = 0.8;
+const MIN_CONTENT_WORDS = 40;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'm.youtube.com', 'youtu.be', 'youtube-nocookie.com'];
+
+/**
+ * Canonical form of an article URL for cross-feed comparison
+ *
+ * Goes further than normalizeUrl: ignores scheme, `www.`, trailing slashes
+ * and every YouTube URL variant (youtu.be, /shorts/, /embed/) of a video.
+ *
+ * @param {string} url - Article link
+ * @returns {string|null} - Canonical URL, or null if not a valid URL
+ */
+export function canonicalUrl(url) {
+  let u;
+  try {
+    u = new URL(normalizeUrl(url));
+  } catch {
+    return null;
+  }
+
+  const host = u.hostname.toLowerCase().replace(/^www\./, '');
+
+  if (YOUTUBE_HOSTS.includes(host)) {
+    const videoId = host === 'youtu.be'
+      ? u.pathname.slice(1)
+      : u.searchParams.get('v') || u.pathname.match(/^\/(?:shorts|embed|live)\/([^/]+)/)?.[1];
+    if (videoId) return `youtube.com/watch?v=${videoId}`;
+  }
+
+  u.searchParams.sort();
+  const path = u.pathname.replace(/\/+$/, '');
+  const query = u.searchParams.toString();
+  return `${host}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Keys used to recognise an item a feed has already delivered: its link
+ * without tracking parameters, and its title ignoring case and whitespace
+ * @param {{link: string, title: string}} article
+ * @returns {{link_key: string|null, title_key: string}}
+ */
+export function dedupKeys({ link, title }) {
+  return {
+    link_key: link ? normalizeUrl(link) : null,
+    title_key: (title || '').trim().toLowerCase().replace(/\s+/g, ' ')
+  };
+}
+
+function words(text) {
+  return toPlainText(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Whether the Jaccard similarity of two sets reaches the threshold. Gives up
+// as soon as too many items of `a` are missing from `b`, which is almost
+// immediately for unrelated articles.
+function isSimilar(a, b, threshold) {
+  if (a.size === 0 || b.size === 0) return false;
+  // shared / (|a| + |b| - shared) >= threshold needs this many shared items
+  const needed = Math.ceil((threshold * (a.size + b.size)) / (1 + threshold) - 1e-9);
+  let missing = 0;
+  for (const item of a) {
+    if (!b.has(item) && ++missing > a.size - needed) return false;
+  }
+  const shared = a.size - missing;
+  return shared / (a.size + b.size - shared) >= threshold;
+}
+
+function shingles(list) {
+  const result = new Set();
+  for (let i = 0; i + 3 <= list.length; i++) {
+    result.add(list.slice(i, i + 3).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Precompute what isNearDuplicate compares, so a new article can be checked
+ * against many candidates cheaply
+ * @param {{title: string, content: string}} article
+ * @returns {Object} - Fingerprint
+ */
+export function fingerprint(article) {
+  const titleWords = words(article.title);
+  const contentWords = words(article.content);
+  return {
+    title: titleWords.length >= MIN_TITLE_WORDS ? new Set(titleWords) : null,
+    content: contentWords.length >= MIN_CONTENT_WORDS ? shingles(contentWords) : null
+  };
+}
+
+/**
+ * Whether two articles tell the same story: near-identical titles, or
+ * near-identical content
+ * @param {Object} a - Fingerprint (see fingerprint())
+ * @param {Object} b - Fingerprint
+ * @returns {boolean}
+ */
+export function isNearDuplicate(a, b) {
+  if (a.title && b.title && isSimilar(a.title, b.title, TITLE_SIMILARITY)) return true;
+  if (a.content && b.content && isSimilar(a.content, b.content, CONTENT_SIMILARITY)) return true;
+  return false;
+}
+
+// 32-bit FNV-1a, stable across runs (keys are stored)
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Words most titles and texts have. Keys made of them would make most
+// articles candidates, so they come last in the order below.
+const COMMON_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'how', 'in', 'is', 'it', 'its',
+  'new', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Prefix filtering: with the items of every set in one global order (rare
+// words first, then by hash), two sets whose Jaccard similarity reaches the
+// threshold share an item among the first n - ceil(threshold * n) + 1 of each
+function prefixKeys(kind, items, threshold) {
+  if (!items) return [];
+  const hashed = [...items]
+    .map(item => ({
+      item,
+      key: hash(`${kind}:${item}`),
+      common: item.split(' ').every(word => COMMON_WORDS.has(word))
+    }))
+    .sort((a, b) => a.common - b.common || a.key - b.key || (a.item < b.item ? -1 : a.item > b.item ? 1 : 0));
+  const size = hashed.length - Math.ceil(threshold * hashed.length - 1e-9) + 1;
+  return hashed.slice(0, size).map(({ key }) => key);
+}
+
+/**
+ * Index keys for finding near-duplicate candidates: articles that
+ * isNearDuplicate() matches always share at least one key, so only articles
+ * sharing a key need comparing
+ * @param {Object} print - Fingerprint (see fingerprint())
+ * @returns {number[]} - Keys
+ */
+export function duplicateKeys(print) {
+  return [...new Set([
+    ...prefixKeys('title', print.title, TITLE_SIMILARITY),
+    ...prefixKeys('content', print.content, CONTENT_SIMILARITY)
+  ])];
+}
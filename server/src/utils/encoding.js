@@ -0,0 +1,91 @@
+import iconv from 'iconv-lite';
+
+// Character encoding of downloaded feeds and web pages
+//
+// The encoding of a feed is taken from the first of these that names one
+// iconv-lite knows:
+// 1. a byte order mark
+// 2. the XML declaration (<?xml version="1.0" encoding="windows-1251"?>)
+// 3. the charset of the Content-Type header
+// 4. the bytes themselves: UTF-8 if they are valid UTF-8, windows-1252
+//    (the usual meaning of an undeclared "latin1") otherwise
+//
+// Web pages go by the byte order mark, the Content-Type header, then
+// <meta charset> (as browsers do), then the bytes themselves.
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' }
+];
+
+const XML_DECLARATION = /^\s*<\?xml\s[^>]*?encoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+const known = (encoding) => (encoding && iconv.encodingExists(encoding) ? encoding : null);
+
+function fromBom(buffer) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return bom ? bom.encoding : null;
+}
+
+function fromXmlDeclaration(buffer) {
+  // Read as ASCII - a declaration that can be read this way isn't in UTF-16,
+  // whatever it says
+  const match = buffer.subarray(0, 1024).toString('latin1').match(XML_DECLARATION);
+  if (!match || /^utf-?16/i.test(match[1])) return null;
+  return known(match[1]);
+}
+
+function fromContentType(contentType) {
+  const match = contentType?.match(/charset=["']?([^;"'\s]+)/i);
+  return match ? known(match[1].trim()) : null;
+}
+
+function fromMetaCharset(buffer) {
+  const head = buffer.subarray(0, 1024).toString('latin1');
+  const match = head.match(/<meta\s[^>]*charset\s*=\s*["']?([A-Za-z0-9._:-]+)/i);
+  if (!match || /^utf-?16/i.test(match[1])) return null;
+  return known(match[1]);
+}
+
+function sniff(buffer) {
+  try {
+    utf8.decode(buffer);
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * The character encoding of a downloaded feed
+ * @param {Buffer} buffer - The response body
+ * @param {string} [contentType] - Content-Type header of the response
+ * @returns {string} - Encoding name iconv-lite understands
+ */
+export function detectEncoding(buffer, contentType) {
+  return fromBom(buffer) ?? fromXmlDeclaration(buffer) ?? fromContentType(contentType) ?? sniff(buffer);
+}
+
+/**
+ * Decode a downloaded feed to a string (without byte order mark)
+ * @param {Buffer} buffer - The response body
+ * @param {string} [contentType] - Content-Type header of the response
+ * @returns {string}
+ */
+export function decodeFeed(buffer, contentType) {
+  return iconv.decode(buffer, detectEncoding(buffer, contentType));
+}
+
+/**
+ * Decode a downloaded web page to a string (without byte order mark)
+ * @param {Buffer} buffer - The response body
+ * @param {string} [contentType] - Content-Type header of the response
+ * @returns {string}
+ */
+export function decodeHtml(buffer, contentType) {
+  const encoding = fromBom(buffer) ?? fromContentType(contentType) ?? fromMetaCharset(buffer) ?? sniff(buffer);
+  return iconv.decode(buffer, encoding);
+}
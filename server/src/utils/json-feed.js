@@ -0,0 +1,99 @@
+import { toPlainText } from './search.js';
+
+// JSON Feed (https://www.jsonfeed.org/version/1.1/, 1.0 too) mapped to the
+// shape rss-parser gives RSS and Atom feeds, so that syncing doesn't need to
+// know which kind of feed an item came from
+
+const VERSION_PATTERN = /^https:\/\/jsonfeed\.org\/version\/1(?:\.\d+)?\/?$/;
+
+/**
+ * Whether a response is a JSON Feed
+ * @param {string} contentType - Content-Type header of the response ('' if none)
+ * @param {string} body - Decoded response body
+ * @returns {boolean}
+ */
+export function isJsonFeed(contentType, body) {
+  if (/application\/feed\+json/i.test(contentType)) return true;
+
+  // Also served as application/json, text/plain, ... - sniff the version
+  const start = body.slice(0, 2048).trimStart();
+  return start.startsWith('{') && /"version"\s*:\s*"https:\/\/jsonfeed\.org\/version\//.test(start);
+}
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+// A JSON Feed item as an rss-parser item
+function toItem(item) {
+  const contentHtml = text(item.content_html);
+  const contentText = text(item.content_text);
+  const attachments = (Array.isArray(item.attachments) ? item.attachments : [])
+    .filter(attachment => text(attachment?.url))
+    .map(attachment => ({
+      url: attachment.url.trim(),
+      type: text(attachment.mime_type),
+      title: text(attachment.title),
+      length: attachment.size_in_bytes,
+      duration: attachment.duration_in_seconds
+    }));
+
+  const mapped = {
+    title: text(item.title),
+    link: text(item.url) || text(item.external_url),
+    guid: item.id != null ? String(item.id) : undefined,
+    content: contentHtml ?? contentText,
+    contentSnippet: contentText ?? (contentHtml ? toPlainText(contentHtml) : undefined),
+    pubDate: text(item.date_published) || text(item.date_modified),
+    attachments
+  };
+
+  // Authors are a list since version 1.1
+  const authors = Array.isArray(item.authors) ? item.authors : [item.author];
+  const author = authors.map(entry => text(entry?.name)).filter(Boolean).join(', ');
+  if (author) mapped.creator = author;
+  const tags = Array.isArray(item.tags) ? item.tags.map(text).filter(Boolean) : [];
+  if (tags.length > 0) mapped.categories = tags;
+
+  const image = text(item.image) || text(item.banner_image);
+  if (image) mapped['media:thumbnail'] = image;
+
+  // The first attachment, like an RSS <enclosure> (with its <itunes:duration>)
+  if (attachments.length > 0) {
+    const { url, type, length, duration } = attachments[0];
+    mapped.enclosure = { url, type, length };
+    if (duration != null) mapped.itunes = { duration: String(duration) };
+  }
+  return mapped;
+}
+
+/**
+ * Parse a JSON Feed
+ * @param {string} body - The feed
+ * @returns {Object} - Feed with `title`, `link`, `feedUrl`, `description` and `items`
+ *   (`title`, `link`, `guid`, `content`, `contentSnippet`, `pubDate`, `attachments` and,
+ *   if present, `creator`, `categories`, `media:thumbnail`, `enclosure` and `itunes.duration`),
+ *   as from rss-parser
+ * @throws {Error} If the body is not a JSON Feed
+ */
+export function parseJsonFeed(body) {
+  let feed;
+  try {
+    feed = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Invalid JSON Feed: ${error.message}`);
+  }
+
+  if (!feed || typeof feed !== 'object' || !VERSION_PATTERN.test(feed.version ?? '')) {
+    throw new Error('Invalid JSON Feed: missing or unknown version');
+  }
+  if (!Array.isArray(feed.items)) {
+    throw new Error('Invalid JSON Feed: items must be an array');
+  }
+
+  return {
+    title: text(feed.title),
+    link: text(feed.home_page_url),
+    feedUrl: text(feed.feed_url),
+    description: text(feed.description),
+    items: feed.items.filter(item => item && typeof item === 'object').map(toItem)
+  };
+}
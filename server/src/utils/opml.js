@@ -0,0 +1,130 @@
+import { XMLParser } from 'fast-xml-parser';
+
+// Configure XML parser with security options to prevent XXE attacks
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  // Security: Prevent XXE (XML External Entity) attacks
+  allowBooleanAttributes: false,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  // Don't process entities
+  processEntities: false,
+  // Stop parsing at first error to prevent complex attack payloads
+  stopNodes: ['script', 'style'],
+  ignoreDeclaration: true,
+  ignorePiTags: true
+});
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+// Only the predefined entities are decoded - DTD entities stay disabled
+const decode = (value) => (typeof value === 'string'
+  ? value.replace(/&(?:amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]).trim()
+  : '');
+
+const escape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Child outlines of a parsed element - one outline parses to an object,
+// several to an array
+const childOutlines = (element) => [].concat(element.outline ?? [])
+  .filter(outline => outline && typeof outline === 'object');
+
+function toNodes(element) {
+  const nodes = [];
+
+  for (const outline of childOutlines(element)) {
+    const title = decode(outline.text) || decode(outline.title);
+
+    if (outline.xmlUrl) {
+      nodes.push({ type: 'feed', title, url: decode(outline.xmlUrl) });
+    } else if (childOutlines(outline).length > 0) {
+      const children = toNodes(outline);
+      // An untitled group can't become a folder; keep its feeds one level up
+      if (title) {
+        nodes.push({ type: 'folder', title, children });
+      } else {
+        nodes.push(...children);
+      }
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse an OPML document into its folder tree
+ * @param {string} opml - OPML 1.0 or 2.0 document
+ * @returns {Array<Object>|null} - `{type: 'folder', title, children}` and
+ *   `{type: 'feed', title, url}` nodes in document order, null without a body element
+ */
+export function parseOpml(opml) {
+  const parsedData = parser.parse(opml);
+
+  // Handle both OPML 1.0 and 2.0 formats
+  const body = parsedData.opml?.body || parsedData.body;
+  if (!body || typeof body !== 'object') return null;
+
+  return toNodes(body);
+}
+
+/**
+ * Every feed node in a parsed OPML tree, with the folder path leading to it
+ * @param {Array<Object>} nodes - Result of parseOpml
+ * @param {string[]} [path] - Folder titles above `nodes`
+ * @returns {Array<{title: string, url: string, path: string[]}>}
+ */
+export function flattenOpml(nodes, path = []) {
+  return nodes.flatMap(node => (node.type === 'folder'
+    ? flattenOpml(node.children, [...path, node.title])
+    : [{ title: node.title, url: node.url, path }]));
+}
+
+/**
+ * Build an OPML 2.0 document with folders as nested outlines
+ * @param {Array<Object>} folders - Folder rows (id, name, parent_id)
+ * @param {Array<Object>} feeds - Feed rows (title, url, folder_id)
+ * @returns {string}
+ */
+export function buildOpml(folders, feeds) {
+  const folderIds = new Set(folders.map(folder => folder.id));
+  // Feeds and folders whose parent no longer exists go to the top level
+  const parentOf = (id) => (folderIds.has(id) ? id : null);
+
+  const render = (parentId, depth) => {
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    for (const folder of folders.filter(f => parentOf(f.parent_id) === parentId && f.id !== parentId)) {
+      lines.push(`${indent}<outline text="${escape(folder.name)}" title="${escape(folder.name)}">`);
+      lines.push(...render(folder.id, depth + 1));
+      lines.push(`${indent}</outline>`);
+    }
+    for (const feed of feeds.filter(f => parentOf(f.folder_id) === parentId)) {
+      lines.push(`${indent}<outline type="rss" text="${escape(feed.title)}" xmlUrl="${escape(feed.url)}"/>`);
+    }
+
+    return lines;
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>RSS Feeds Export</title>
+  </head>
+  <body>
+${render(null, 2).join('\n')}
+  </body>
+</opml>`;
+}
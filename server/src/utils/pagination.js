@@ -0,0 +1,21 @@
+// Opaque cursors for keyset pagination. A cursor is the sort position of the
+// last item of a page, base64url-encoded so clients treat it as a token.
+// Articles without a publication time (pub_ts null) sort last; their cursor
+// has an empty timestamp.
+
+/**
+ * @param {{pubTs: number|null, id: number}} position - Sort position of the last item
+ * @returns {string}
+ */
+export function encodeCursor({ pubTs, id }) {
+  return Buffer.from(`${pubTs ?? ''}:${id}`).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{pubTs: number|null, id: number}|null} - Position, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  const match = /^(-?\d+)?:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? { pubTs: match[1] === undefined ? null : Number(match[1]), id: Number(match[2]) } : null;
+}
@@ -0,0 +1,369 @@
+// Main content of an article page, in the spirit of Mozilla's Readability:
+// - the page is parsed into a tree (leniently, like browsers do)
+// - scripts, navigation, forms and the like are dropped, and so are elements
+//   whose class or id says they're sidebars, comments, share buttons, ...
+// - each paragraph scores points for the elements around it (more for longer
+//   paragraphs with more commas), and the element with the best score, less
+//   the share of its text that is links, is the article
+// - siblings of that element that look like part of the article are kept too
+//
+// The result is rebuilt from an allowlist of tags and attributes, with links
+// and images made absolute, so it is safe to show as HTML.
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Their content is not markup: skipped up to the closing tag
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template', 'svg', 'math', 'iframe']);
+
+// Never part of an article's text
+const DROPPED_TAGS = new Set([
+  ...RAW_TEXT_TAGS, 'head', 'nav', 'aside', 'footer', 'form', 'button', 'input', 'select', 'option', 'object',
+  'embed', 'canvas', 'video', 'audio', 'picture', 'dialog', 'menu'
+]);
+
+// An open <p> ends where one of these starts
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'ul'
+]);
+
+// Elements that end an open element of the same kind (<li> ends an <li>, ...),
+// unless one of the elements listed with them is in between
+const IMPLIED_END_TAGS = {
+  li: { closes: ['li'], within: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], within: ['dl'] },
+  dd: { closes: ['dt', 'dd'], within: ['dl'] },
+  tr: { closes: ['tr', 'td', 'th'], within: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], within: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], within: ['tr', 'table'] }
+};
+
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// What an element is worth as an article container to begin with
+const TAG_SCORES = {
+  article: 10, main: 8, div: 5, section: 3, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+
+// Elements whose text counts as a paragraph
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'section', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Less text than this is not an article (but e.g. a paywall or an error page)
+const MIN_ARTICLE_LENGTH = 140;
+const MAX_ARTICLE_HTML = 200 * 1024;
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code', 'em', 'strong', 'b', 'i', 'u',
+  's', 'sub', 'sup', 'small', 'mark', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'
+]);
+// The page's own title is an <h1>; headings in the article are a level below it
+const RENAMED_TAGS = { h1: 'h2' };
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  ol: ['start']
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = (value) => escapeText(value).replace(/"/g, '&quot;');
+
+// Attributes of a start tag (the text after its name), decoded
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  for (const [, name, doubleQuoted, singleQuoted, bare] of text.matchAll(pattern)) {
+    const key = name.toLowerCase();
+    if (!(key in attributes)) {
+      attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+    }
+  }
+  return attributes;
+}
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+/**
+ * Parse HTML into a tree of { tag, attributes, children, parent } elements and
+ * { text } nodes (text decoded)
+ * @param {string} html
+ * @returns {Object} - The root element (tag '#root')
+ */
+export function parseHtml(html) {
+  const root = { tag: '#root', attributes: {}, children: [], parent: null };
+  const lowerCase = html.toLowerCase();
+  let current = root;
+
+  const closeUpTo = (element) => { current = element.parent; };
+  const findOpen = (tags, stopAt = []) => {
+    for (let element = current; element !== root; element = element.parent) {
+      if (tags.includes(element.tag)) return element;
+      if (stopAt.includes(element.tag)) return null;
+    }
+    return null;
+  };
+
+  TOKEN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN.exec(html)) !== null) {
+    const [token, closeName, openName, attributeText] = match;
+
+    if (openName) {
+      const tag = openName.toLowerCase();
+      const element = { tag, attributes: parseAttributes(attributeText), children: [], parent: null };
+
+      if (BLOCK_TAGS.has(tag) && current.tag === 'p') closeUpTo(current);
+      const implied = IMPLIED_END_TAGS[tag];
+      const open = implied && findOpen(implied.closes, implied.within);
+      if (open) closeUpTo(open);
+
+      element.parent = current;
+      current.children.push(element);
+
+      if (RAW_TEXT_TAGS.has(tag)) {
+        // Skip the content, which may contain anything but its end tag
+        const end = lowerCase.indexOf(`</${tag}`, TOKEN.lastIndex);
+        const close = end === -1 ? -1 : html.indexOf('>', end);
+        TOKEN.lastIndex = close === -1 ? html.length : close + 1;
+      } else if (!VOID_TAGS.has(tag) && !attributeText.trimEnd().endsWith('/')) {
+        current = element;
+      }
+    } else if (closeName) {
+      const open = findOpen([closeName.toLowerCase()]);
+      if (open) closeUpTo(open);
+    } else if (token[0] !== '<' || token === '<') {
+      current.children.push({ text: decodeEntities(token), parent: current });
+    }
+  }
+  return root;
+}
+
+const isElement = (node) => node.tag !== undefined;
+const classAndId = (element) => `${element.attributes.class ?? ''} ${element.attributes.id ?? ''}`;
+
+function isHidden(element) {
+  const { style = '', hidden, 'aria-hidden': ariaHidden } = element.attributes;
+  return hidden !== undefined || ariaHidden === 'true' || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(style);
+}
+
+// Remove what can't be part of the article
+function prune(element) {
+  element.children = element.children.filter(child => {
+    if (!isElement(child)) return true;
+    if (DROPPED_TAGS.has(child.tag) || isHidden(child)) return false;
+
+    const names = classAndId(child);
+    if (!['body', 'article', 'main'].includes(child.tag) &&
+        UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATES.test(names) &&
+        child.attributes.role !== 'main') {
+      return false;
+    }
+
+    prune(child);
+    return true;
+  });
+}
+
+// Text length, link text length and commas of every element, bottom-up
+function measure(node) {
+  if (!isElement(node)) {
+    const text = node.text.replace(/\s+/g, ' ');
+    return { textLength: text.trim() ? text.length : 0, linkLength: 0, commas: (text.match(/[,，、]/g) ?? []).length };
+  }
+
+  const stats = { textLength: 0, linkLength: 0, commas: 0 };
+  for (const child of node.children) {
+    const childStats = measure(child);
+    stats.textLength += childStats.textLength;
+    stats.linkLength += childStats.linkLength;
+    stats.commas += childStats.commas;
+  }
+  if (node.tag === 'a') stats.linkLength = stats.textLength;
+  node.stats = stats;
+  return stats;
+}
+
+const linkDensity = (element) => (element.stats.textLength ? element.stats.linkLength / element.stats.textLength : 0);
+
+function classWeight(element) {
+  let weight = 0;
+  for (const name of [element.attributes.class, element.attributes.id]) {
+    if (!name) continue;
+    if (NEGATIVE.test(name)) weight -= 25;
+    if (POSITIVE.test(name)) weight += 25;
+  }
+  return weight;
+}
+
+// A <div> without block children is a paragraph of its own
+const isParagraph = (element) => PARAGRAPH_TAGS.has(element.tag) ||
+  (element.tag === 'div' && !element.children.some(child => isElement(child) && BLOCK_TAGS.has(child.tag)));
+
+function scoreCandidates(root) {
+  const candidates = new Set();
+  const score = (element, points) => {
+    if (element.score === undefined) {
+      element.score = (TAG_SCORES[element.tag] ?? 0) + classWeight(element);
+      candidates.add(element);
+    }
+    element.score += points;
+  };
+
+  const visit = (element) => {
+    for (const child of element.children) {
+      if (isElement(child)) visit(child);
+    }
+    if (element === root || !isParagraph(element) || element.stats.textLength < MIN_PARAGRAPH_LENGTH) return;
+
+    const points = 1 + element.stats.commas + Math.min(3, Math.floor(element.stats.textLength / 100));
+    let ancestor = element.parent;
+    for (let level = 0; ancestor && level < 5; level++, ancestor = ancestor.parent) {
+      score(ancestor, points / (level === 0 ? 1 : level === 1 ? 2 : level * 3));
+      if (ancestor === root) break;
+    }
+  };
+  visit(root);
+
+  let top = null;
+  for (const candidate of candidates) {
+    candidate.score *= 1 - linkDensity(candidate);
+    if (!top || candidate.score > top.score) top = candidate;
+  }
+  return top;
+}
+
+// The top candidate and those of its siblings that are part of the article
+function articleElements(top) {
+  const parent = top.parent;
+  if (!parent) return [top];
+
+  const threshold = Math.max(10, top.score * 0.2);
+  return parent.children.filter(sibling => {
+    if (sibling === top) return true;
+    if (!isElement(sibling)) return false;
+    if (sibling.score !== undefined && sibling.score >= threshold) return true;
+    if (sibling.tag !== 'p') return false;
+
+    const { textLength } = sibling.stats;
+    const density = linkDensity(sibling);
+    return (textLength > 80 && density < 0.25) ||
+      (textLength > 0 && density === 0 && /\.( |$)/.test(textContent(sibling)));
+  });
+}
+
+function textContent(node) {
+  return isElement(node) ? node.children.map(textContent).join('') : node.text;
+}
+
+function absoluteUrl(value, baseUrl, protocols) {
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return protocols.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Attributes of an element that are kept, as HTML
+function serializeAttributes(element, baseUrl) {
+  const attributes = { ...element.attributes };
+
+  if (element.tag === 'img') {
+    // Lazy loaded images keep the real URL aside
+    const lazy = attributes['data-src'] ?? attributes['data-lazy-src'] ?? attributes['data-original'];
+    if (lazy && (!attributes.src || attributes.src.startsWith('data:'))) attributes.src = lazy;
+    attributes.src = attributes.src && absoluteUrl(attributes.src, baseUrl, ['http:', 'https:']);
+    if (!attributes.src) return null;
+  }
+  if (element.tag === 'a' && attributes.href) {
+    attributes.href = absoluteUrl(attributes.href, baseUrl, ['http:', 'https:', 'mailto:']);
+  }
+
+  let html = '';
+  for (const name of ALLOWED_ATTRIBUTES[element.tag] ?? []) {
+    if (attributes[name]) html += ` ${name}="${escapeAttribute(attributes[name])}"`;
+  }
+  if (element.tag === 'a' && attributes.href) html += ' target="_blank" rel="noopener noreferrer"';
+  return html;
+}
+
+function serialize(node, baseUrl) {
+  if (!isElement(node)) return escapeText(node.text);
+  if (DROPPED_TAGS.has(node.tag)) return '';
+
+  const inner = node.children.map(child => serialize(child, baseUrl)).join('');
+  const tag = RENAMED_TAGS[node.tag] ?? node.tag;
+  // Anything else (div, span, section, font, ...) is replaced by its content
+  if (!ALLOWED_TAGS.has(tag)) return inner;
+
+  const attributes = serializeAttributes(node, baseUrl);
+  if (attributes === null) return '';
+  if (VOID_TAGS.has(tag)) return `<${tag}${attributes}>`;
+  // Leave out empty elements (except table cells, which hold the table's shape)
+  if (!inner.trim() && !['td', 'th'].includes(tag)) return '';
+  return `<${tag}${attributes}>${inner}</${tag}>`;
+}
+
+/**
+ * Extract the article from a web page
+ * @param {string} html - The page
+ * @param {string} pageUrl - URL of the page, which links and images are resolved against
+ * @returns {string|null} - Sanitized HTML of the article, or null if the page has no
+ *   recognizable article
+ */
+export function extractArticle(html, pageUrl) {
+  const root = parseHtml(html);
+
+  const base = findFirst(root, 'base')?.attributes.href;
+  const baseUrl = (base && absoluteUrl(base, pageUrl, ['http:', 'https:'])) || pageUrl;
+
+  const body = findFirst(root, 'body') ?? root;
+  prune(body);
+  measure(body);
+
+  const top = scoreCandidates(body);
+  if (!top) return null;
+
+  let article = '';
+  for (const element of top === body ? [body] : articleElements(top)) {
+    const part = serialize(element, baseUrl);
+    if (article.length + part.length > MAX_ARTICLE_HTML) break;
+    article += part;
+  }
+
+  const textLength = textContent(parseHtml(article)).replace(/\s+/g, ' ').trim().length;
+  return textLength >= MIN_ARTICLE_LENGTH ? article.trim() : null;
+}
+
+function findFirst(element, tag) {
+  for (const child of element.children) {
+    if (!isElement(child)) continue;
+    if (child.tag === tag) return child;
+    const found = findFirst(child, tag);
+    if (found) return found;
+  }
+  return null;
+}
@@ -0,0 +1,106 @@
+// Markers used by SQLite's snippet()/highlight() around matched terms.
+// Control characters can't appear in indexed text, so they survive
+// HTML escaping and are swapped for <mark> tags afterwards.
+export const MATCH_START = '\u0002';
+export const MATCH_END = '\u0003';
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': ' '
+};
+
+/**
+ * Reduce HTML article content to plain text for the search index
+ * @param {string} html - Article title or content
+ * @returns {string} - Text without tags, common entities decoded
+ */
+export function toPlainText(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(?:amp|lt|gt|quot|#39|apos|nbsp);/g, entity => ENTITIES[entity])
+    .replace(/[\u0000-\u0008\u000B-\u001F]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert a user search string into an FTS5 MATCH expression
+ *
+ * Supports:
+ * - "exact phrases" in double quotes
+ * - prefix* terms
+ * - -excluded terms (only alongside at least one positive term)
+ * - OR between terms (terms are ANDed by default)
+ *
+ * Every term is quoted, so FTS5 operators in user input can't cause
+ * syntax errors.
+ *
+ * @param {string} input - Raw query from the search box
+ * @returns {string|null} - MATCH expression, or null if nothing searchable
+ */
+export function toFtsQuery(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+  const include = [];
+  const exclude = [];
+
+  for (const match of input.matchAll(/(-?)"([^"]*)"?|(\S+)/g)) {
+    const [, negated, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      const text = phrase.trim();
+      if (!text) continue;
+      (negated ? exclude : include).push(quote(text));
+      continue;
+    }
+
+    if (word === 'OR') {
+      if (include.length > 0 && include[include.length - 1] !== 'OR') {
+        include.push('OR');
+      }
+      continue;
+    }
+
+    const isNegated = word.startsWith('-');
+    const isPrefix = word.endsWith('*');
+    const text = word.replace(/^-/, '').replace(/\*+$/, '').replace(/"/g, '');
+    if (!text) continue;
+
+    const term = isPrefix ? `${quote(text)}*` : quote(text);
+    (isNegated ? exclude : include).push(term);
+  }
+
+  // A dangling OR has nothing on its right-hand side
+  if (include[include.length - 1] === 'OR') include.pop();
+  if (include.length === 0) return null;
+
+  const positive = include.join(' ');
+  if (exclude.length === 0) return positive;
+  return `(${positive}) NOT (${exclude.join(' OR ')})`;
+}
+
+/**
+ * Escape FTS snippet text for HTML and turn match markers into <mark> tags
+ * @param {string} text - Output of snippet() or highlight()
+ * @returns {string} - HTML-safe string containing only <mark> elements
+ */
+export function formatHighlight(text) {
+  if (!text) return '';
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
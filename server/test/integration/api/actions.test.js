@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import actionsRouter from '../../../src/routes/actions.js';
+import { actionOps } from '../../../src/services/database.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
+app.use('/api/actions', actionsRouter);
+
+describe('Actions API Routes', () => {
+  const markedRead = {
+    id: 4,
+    type: 'state',
+    read: { ids: [1, 2], value: true },
+    created_at: '2025-01-01T00:00:00.000Z',
+    undone: false
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    actionOps.get.mockReturnValue(undefined);
+  });
+
+  describe('GET /api/actions', () => {
+    it('should list the user\'s recent actions', async () => {
+      actionOps.all.mockReturnValue([markedRead]);
+
+      const response = await request(app).get('/api/actions');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([markedRead]);
+      expect(actionOps.all).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('POST /api/actions/:id/undo', () => {
+    it('should undo the action', async () => {
+      actionOps.get.mockReturnValue(markedRead);
+      actionOps.undo.mockReturnValue({ ...markedRead, undone: true });
+
+      const response = await request(app).post('/api/actions/4/undo');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...markedRead, undone: true });
+      expect(actionOps.get).toHaveBeenCalledWith(1, 4);
+      expect(actionOps.undo).toHaveBeenCalledWith(1, 4);
+    });
+
+    it('should return 404 for a missing or expired action', async () => {
+      const response = await request(app).post('/api/actions/99/undo');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Action not found or too old to undo' });
+      expect(actionOps.undo).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to undo an action twice', async () => {
+      actionOps.get.mockReturnValue({ ...markedRead, undone: true });
+
+      const response = await request(app).post('/api/actions/4/undo');
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Action was already undone' });
+      expect(actionOps.undo).not.toHaveBeenCalled();
+    });
+  });
+});
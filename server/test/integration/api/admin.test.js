@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import adminRouter from '../../../src/routes/admin.js';
+import { getValidationReport } from '../../../src/services/database.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRouter);
+
+describe('Admin API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('GET /api/admin/validation-report', () => {
+    it('should return the last validation report', async () => {
+      const report = {
+        checkedAt: '2025-01-01T00:00:00.000Z',
+        feeds: { checked: 2, repaired: 0, quarantined: 0 },
+        articles: { checked: 10, repaired: 3, quarantined: 1 },
+        fixes: { pub_date: 3 },
+        quarantined: [{ type: 'article', id: 7, errors: ['link: Invalid article link'] }],
+        quarantineFile: 'data/quarantine.json'
+      };
+      getValidationReport.mockReturnValue(report);
+
+      const response = await request(app).get('/api/admin/validation-report');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(report);
+    });
+
+    it('should return 404 before the database has been loaded', async () => {
+      getValidationReport.mockReturnValue(null);
+
+      const response = await request(app).get('/api/admin/validation-report');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBeDefined();
+    });
+  });
+});
@@ -2,7 +2,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import request from 'supertest';
 import express from 'express';
 import aiRouter from '../../../src/routes/ai.js';
-import { articleOps, settingsOps } from '../../../src/services/database.js';
+import { articleOps, userSettingsOps } from '../../../src/services/database.js';
 import { sortArticles, generateDigest } from '../../../src/services/ai.js';
 
 // Mock services
@@ -12,13 +12,17 @@ vi.mock('../../../src/services/ai.js');
 // Create Express app for testing
 const app = express();
 app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
 app.use('/api/ai', aiRouter);
 
 describe('AI API Routes', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     // Default mocks
-    settingsOps.getAll.mockReturnValue({});
+    userSettingsOps.getAll.mockReturnValue({});
     articleOps.getByIds.mockReturnValue([]);
   });
 
@@ -41,7 +45,7 @@ describe('AI API Routes', () => {
         ]
       };
 
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue(mockArticles);
       sortArticles.mockResolvedValue(sortedResult);
 
@@ -55,7 +59,7 @@ describe('AI API Routes', () => {
     });
 
     it('should return 400 if LLM not configured', async () => {
-      settingsOps.getAll.mockReturnValue({});
+      userSettingsOps.getAll.mockReturnValue({});
 
       const response = await request(app)
         .post('/api/ai/sort')
@@ -70,7 +74,7 @@ describe('AI API Routes', () => {
         llm_provider: 'openai',
         llm_model: 'gpt-4'
       };
-      settingsOps.getAll.mockReturnValue(configWithoutKey);
+      userSettingsOps.getAll.mockReturnValue(configWithoutKey);
 
       const response = await request(app)
         .post('/api/ai/sort')
@@ -88,7 +92,7 @@ describe('AI API Routes', () => {
       const mockArticles = [{ id: 1, title: 'Article 1' }];
       const sortedResult = { categories: [] };
 
-      settingsOps.getAll.mockReturnValue(ollamaConfig);
+      userSettingsOps.getAll.mockReturnValue(ollamaConfig);
       articleOps.getByIds.mockReturnValue(mockArticles);
       sortArticles.mockResolvedValue(sortedResult);
 
@@ -101,7 +105,7 @@ describe('AI API Routes', () => {
     });
 
     it('should return 400 if no articles found', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([]);
 
       const response = await request(app)
@@ -113,7 +117,7 @@ describe('AI API Routes', () => {
     });
 
     it('should return 500 on sort error', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([{ id: 1, title: 'Article 1' }]);
       sortArticles.mockRejectedValue(new Error('AI service error'));
 
@@ -126,7 +130,7 @@ describe('AI API Routes', () => {
     });
 
     it('should enforce rate limiting', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([{ id: 1, title: 'Article 1' }]);
       sortArticles.mockResolvedValue({ categories: [] });
 
@@ -147,7 +151,7 @@ describe('AI API Routes', () => {
     });
 
     it('should handle missing articleIds', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
 
       const response = await request(app)
         .post('/api/ai/sort')
@@ -158,7 +162,7 @@ describe('AI API Routes', () => {
     });
 
     it('should handle empty articleIds array', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([]);
 
       const response = await request(app)
@@ -185,7 +189,7 @@ describe('AI API Routes', () => {
       ];
       const digest = 'This is a digest of the articles...';
 
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue(mockArticles);
       generateDigest.mockResolvedValue(digest);
 
@@ -199,7 +203,7 @@ describe('AI API Routes', () => {
     });
 
     it('should return 400 if LLM not configured', async () => {
-      settingsOps.getAll.mockReturnValue({});
+      userSettingsOps.getAll.mockReturnValue({});
 
       const response = await request(app)
         .post('/api/ai/digest')
@@ -214,7 +218,7 @@ describe('AI API Routes', () => {
         llm_provider: 'anthropic',
         llm_model: 'claude-3'
       };
-      settingsOps.getAll.mockReturnValue(configWithoutKey);
+      userSettingsOps.getAll.mockReturnValue(configWithoutKey);
 
       const response = await request(app)
         .post('/api/ai/digest')
@@ -232,7 +236,7 @@ describe('AI API Routes', () => {
       const mockArticles = [{ id: 1, title: 'Article 1' }];
       const digest = 'Digest content...';
 
-      settingsOps.getAll.mockReturnValue(ollamaConfig);
+      userSettingsOps.getAll.mockReturnValue(ollamaConfig);
       articleOps.getByIds.mockReturnValue(mockArticles);
       generateDigest.mockResolvedValue(digest);
 
@@ -245,7 +249,7 @@ describe('AI API Routes', () => {
     });
 
     it('should return 400 if no articles found', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([]);
 
       const response = await request(app)
@@ -257,7 +261,7 @@ describe('AI API Routes', () => {
     });
 
     it('should return 500 on digest generation error', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([{ id: 1, title: 'Article 1' }]);
       generateDigest.mockRejectedValue(new Error('Failed to generate digest'));
 
@@ -270,7 +274,7 @@ describe('AI API Routes', () => {
     });
 
     it('should enforce rate limiting', async () => {
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue([{ id: 1, title: 'Article 1' }]);
       generateDigest.mockResolvedValue('Digest');
 
@@ -296,7 +300,7 @@ describe('AI API Routes', () => {
         content: `Content ${i + 1}`
       }));
 
-      settingsOps.getAll.mockReturnValue(defaultConfig);
+      userSettingsOps.getAll.mockReturnValue(defaultConfig);
       articleOps.getByIds.mockReturnValue(mockArticles);
       generateDigest.mockResolvedValue('Long digest...');
 
@@ -328,7 +332,7 @@ describe('AI API Routes', () => {
           config[`llm_apiKey`] = 'sk-test-key';
         }
 
-        settingsOps.getAll.mockReturnValue(config);
+        userSettingsOps.getAll.mockReturnValue(config);
 
         const response = await request(app)
           .post('/api/ai/sort')
@@ -346,7 +350,7 @@ describe('AI API Routes', () => {
         llm_baseUrl: 'https://custom-endpoint.com/v1'
       };
 
-      settingsOps.getAll.mockReturnValue(configWithBaseUrl);
+      userSettingsOps.getAll.mockReturnValue(configWithBaseUrl);
       articleOps.getByIds.mockReturnValue([{ id: 1, title: 'Article 1' }]);
       sortArticles.mockResolvedValue({ categories: [] });
 
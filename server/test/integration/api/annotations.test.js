@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import annotationsRouter from '../../../src/routes/annotations.js';
+import { annotationOps } from '../../../src/services/database.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
+app.use('/api/annotations', annotationsRouter);
+
+const highlight = {
+  id: 1,
+  article_id: 7,
+  quote: 'Some text',
+  note: '',
+  created_at: '2025-01-01T00:00:00.000Z',
+  updated_at: '2025-01-01T00:00:00.000Z'
+};
+const note = { ...highlight, id: 2, quote: null, note: 'Read again' };
+
+describe('Annotations API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    annotationOps.get.mockImplementation((userId, id) => [highlight, note].find(a => a.id === id));
+    annotationOps.update.mockImplementation((userId, id, changes) => ({ ...highlight, ...changes }));
+  });
+
+  describe('GET /api/annotations', () => {
+    it('should list every annotation with its article', async () => {
+      const annotations = [{ ...highlight, article_title: 'Article', article_link: 'https://example.com/a', feed_id: 1, feed_title: 'Blog' }];
+      annotationOps.all.mockReturnValue(annotations);
+
+      const response = await request(app).get('/api/annotations');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(annotations);
+      expect(annotationOps.all).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('PATCH /api/annotations/:id', () => {
+    it('should edit the note', async () => {
+      const response = await request(app)
+        .patch('/api/annotations/1')
+        .send({ note: 'Why it matters' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.note).toBe('Why it matters');
+      expect(annotationOps.update).toHaveBeenCalledWith(1, 1, { quote: undefined, note: 'Why it matters' });
+    });
+
+    it('should allow clearing the note of a highlight', async () => {
+      const response = await request(app)
+        .patch('/api/annotations/1')
+        .send({ note: '' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should refuse to empty a note without a highlight', async () => {
+      const response = await request(app)
+        .patch('/api/annotations/2')
+        .send({ note: '' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'A highlight or a note is required' });
+      expect(annotationOps.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing annotation', async () => {
+      const response = await request(app)
+        .patch('/api/annotations/99')
+        .send({ note: 'Anything' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Annotation not found' });
+    });
+  });
+
+  describe('DELETE /api/annotations/:id', () => {
+    it('should delete the annotation', async () => {
+      const response = await request(app).delete('/api/annotations/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(annotationOps.delete).toHaveBeenCalledWith(1, 1);
+    });
+  });
+});
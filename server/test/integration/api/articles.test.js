@@ -2,7 +2,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import request from 'supertest';
 import express from 'express';
 import articlesRouter from '../../../src/routes/articles.js';
-import { articleOps } from '../../../src/services/database.js';
+import { articleOps, tagOps, annotationOps, playbackOps } from '../../../src/services/database.js';
 
 // Mock database service
 vi.mock('../../../src/services/database.js');
@@ -10,73 +10,133 @@ vi.mock('../../../src/services/database.js');
 // Create Express app for testing
 const app = express();
 app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
 app.use('/api/articles', articlesRouter);
 
 describe('Articles API Routes', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     // Default mock
-    articleOps.all.mockReturnValue([]);
-    articleOps.updateRead.mockReturnValue(undefined);
-    articleOps.updateSaved.mockReturnValue(undefined);
+    articleOps.page.mockReturnValue({ articles: [], nextCursor: null });
+    articleOps.updateRead.mockReturnValue({ updated: [1], actionId: 7 });
+    articleOps.updateSaved.mockReturnValue({ updated: [1], actionId: 7 });
   });
 
   describe('GET /api/articles', () => {
-    it('should return all articles when no query params', async () => {
+    it('should return the first page when no query params', async () => {
       const mockArticles = [
         { id: 1, title: 'Article 1', is_read: false },
         { id: 2, title: 'Article 2', is_read: false }
       ];
-      articleOps.all.mockReturnValue(mockArticles);
+      articleOps.page.mockReturnValue({ articles: mockArticles, nextCursor: null });
 
       const response = await request(app).get('/api/articles');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockArticles);
-      expect(articleOps.all).toHaveBeenCalledWith(null, false);
+      expect(response.body).toEqual({ articles: mockArticles, nextCursor: null });
+      expect(articleOps.page).toHaveBeenCalledWith(1, {
+        feedId: null, folderId: null, tagId: null, unreadOnly: false, savedOnly: false, limit: 50, cursor: null
+      });
     });
 
     it('should filter by feedId', async () => {
-      const mockArticles = [
-        { id: 1, title: 'Article 1', feed_id: 1 }
-      ];
-      articleOps.all.mockReturnValue(mockArticles);
-
       const response = await request(app).get('/api/articles?feedId=1');
 
       expect(response.status).toBe(200);
-      expect(articleOps.all).toHaveBeenCalledWith(1, false);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ feedId: 1 }));
     });
 
     it('should filter unread articles', async () => {
-      const mockArticles = [
-        { id: 1, title: 'Article 1', is_read: false }
-      ];
-      articleOps.all.mockReturnValue(mockArticles);
-
       const response = await request(app).get('/api/articles?unreadOnly=true');
 
       expect(response.status).toBe(200);
-      expect(articleOps.all).toHaveBeenCalledWith(null, true);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ unreadOnly: true }));
     });
 
     it('should filter by both feedId and unreadOnly', async () => {
-      const mockArticles = [
-        { id: 1, title: 'Article 1', feed_id: 1, is_read: false }
-      ];
-      articleOps.all.mockReturnValue(mockArticles);
-
       const response = await request(app).get('/api/articles?feedId=1&unreadOnly=true');
 
       expect(response.status).toBe(200);
-      expect(articleOps.all).toHaveBeenCalledWith(1, true);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ feedId: 1, unreadOnly: true }));
     });
 
     it('should handle unreadOnly=false', async () => {
       const response = await request(app).get('/api/articles?unreadOnly=false');
 
       expect(response.status).toBe(200);
-      expect(articleOps.all).toHaveBeenCalledWith(null, false);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ unreadOnly: false }));
+    });
+
+    it('should filter saved articles', async () => {
+      const response = await request(app).get('/api/articles?savedOnly=true');
+
+      expect(response.status).toBe(200);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ savedOnly: true }));
+    });
+
+    it('should filter by tag', async () => {
+      const response = await request(app).get('/api/articles?tagId=4');
+
+      expect(response.status).toBe(200);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ tagId: 4 }));
+    });
+
+    it('should filter by folder', async () => {
+      const response = await request(app).get('/api/articles?folderId=2');
+
+      expect(response.status).toBe(200);
+      expect(articleOps.page).toHaveBeenCalledWith(1, expect.objectContaining({ folderId: 2, feedId: null }));
+    });
+
+    it('should return an opaque cursor that fetches the next page', async () => {
+      articleOps.page.mockReturnValueOnce({
+        articles: [{ id: 7, title: 'Article 7' }],
+        nextCursor: { pubTs: 1700000000000, id: 7 }
+      });
+
+      const first = await request(app).get('/api/articles?limit=1');
+      expect(articleOps.page).toHaveBeenLastCalledWith(1, expect.objectContaining({ limit: 1, cursor: null }));
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      await request(app).get(`/api/articles?limit=1&cursor=${first.body.nextCursor}`);
+      expect(articleOps.page).toHaveBeenLastCalledWith(1, 
+        expect.objectContaining({ cursor: { pubTs: 1700000000000, id: 7 } })
+      );
+    });
+
+    it('should round-trip the cursor of an article without a date', async () => {
+      articleOps.page.mockReturnValueOnce({
+        articles: [{ id: 8, title: 'Undated' }],
+        nextCursor: { pubTs: null, id: 8 }
+      });
+
+      const first = await request(app).get('/api/articles?limit=1');
+      const second = await request(app).get(`/api/articles?limit=1&cursor=${first.body.nextCursor}`);
+
+      expect(second.status).toBe(200);
+      expect(articleOps.page).toHaveBeenLastCalledWith(1, expect.objectContaining({ cursor: { pubTs: null, id: 8 } }));
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const response = await request(app).get('/api/articles?cursor=bm9wZQ');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid cursor');
+      expect(articleOps.page).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/articles/unread-counts', () => {
+    it('should return total and per-feed unread counts', async () => {
+      articleOps.unreadCounts.mockReturnValue({ total: 3, feeds: { 1: 2, 2: 1 }, folders: { 4: 3 } });
+
+      const response = await request(app).get('/api/articles/unread-counts');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ total: 3, feeds: { 1: 2, 2: 1 }, folders: { 4: 3 } });
     });
   });
 
@@ -87,8 +147,9 @@ describe('Articles API Routes', () => {
         .send({ isRead: true });
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({ success: true });
-      expect(articleOps.updateRead).toHaveBeenCalledWith(1, true);
+      // The action that undoes it
+      expect(response.body).toEqual({ success: true, actionId: 7 });
+      expect(articleOps.updateRead).toHaveBeenCalledWith(1, 1, true);
     });
 
     it('should mark article as unread', async () => {
@@ -97,7 +158,7 @@ describe('Articles API Routes', () => {
         .send({ isRead: false });
 
       expect(response.status).toBe(200);
-      expect(articleOps.updateRead).toHaveBeenCalledWith(1, false);
+      expect(articleOps.updateRead).toHaveBeenCalledWith(1, 1, false);
     });
 
     it('should parse id as integer', async () => {
@@ -106,7 +167,7 @@ describe('Articles API Routes', () => {
         .send({ isRead: true });
 
       expect(response.status).toBe(200);
-      expect(articleOps.updateRead).toHaveBeenCalledWith(42, true);
+      expect(articleOps.updateRead).toHaveBeenCalledWith(1, 42, true);
     });
 
     it('should handle missing isRead body', async () => {
@@ -115,7 +176,7 @@ describe('Articles API Routes', () => {
         .send({});
 
       expect(response.status).toBe(200);
-      expect(articleOps.updateRead).toHaveBeenCalledWith(1, undefined);
+      expect(articleOps.updateRead).toHaveBeenCalledWith(1, 1, undefined);
     });
   });
 
@@ -126,8 +187,8 @@ describe('Articles API Routes', () => {
         .send({ isSaved: true });
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({ success: true });
-      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, true);
+      expect(response.body).toEqual({ success: true, actionId: 7 });
+      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, 1, true);
     });
 
     it('should unmark article as saved', async () => {
@@ -136,7 +197,7 @@ describe('Articles API Routes', () => {
         .send({ isSaved: false });
 
       expect(response.status).toBe(200);
-      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, false);
+      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, 1, false);
     });
 
     it('should parse id as integer', async () => {
@@ -145,7 +206,7 @@ describe('Articles API Routes', () => {
         .send({ isSaved: true });
 
       expect(response.status).toBe(200);
-      expect(articleOps.updateSaved).toHaveBeenCalledWith(99, true);
+      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, 99, true);
     });
 
     it('should handle missing isSaved body', async () => {
@@ -154,7 +215,228 @@ describe('Articles API Routes', () => {
         .send({});
 
       expect(response.status).toBe(200);
-      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, undefined);
+      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, 1, undefined);
+    });
+  });
+
+  describe('PATCH /api/articles/state', () => {
+    it('should update the listed articles in one call', async () => {
+      articleOps.updateState.mockReturnValue({ updated: [1, 2, 5], actionId: 3 });
+
+      const response = await request(app)
+        .patch('/api/articles/state')
+        .send({ ids: [1, 2, 3], isRead: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ updated: [1, 2, 5], actionId: 3 });
+      expect(articleOps.updateState).toHaveBeenCalledWith(
+        1,
+        { ids: [1, 2, 3], filter: undefined },
+        { isRead: true, isSaved: undefined }
+      );
+      expect(articleOps.updateRead).not.toHaveBeenCalled();
+    });
+
+    it('should update the articles matching a filter', async () => {
+      articleOps.updateState.mockReturnValue({ updated: [], actionId: null });
+      const filter = { feedId: 2, olderThan: '2024-01-01T00:00:00.000Z', articleIds: [7, 8] };
+
+      const response = await request(app)
+        .patch('/api/articles/state')
+        .send({ filter, isSaved: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ updated: [], actionId: null });
+      expect(articleOps.updateState).toHaveBeenCalledWith(
+        1,
+        { ids: undefined, filter },
+        { isRead: undefined, isSaved: false }
+      );
+    });
+  });
+
+  describe('GET /api/articles/search', () => {
+    beforeEach(() => {
+      articleOps.search.mockReturnValue({ results: [], total: 0 });
+    });
+
+    it('should search with the query converted to FTS syntax', async () => {
+      const mockResult = {
+        results: [{ id: 1, title: 'Rust 2.0', snippet: '<mark>Rust</mark> release', rank: -1.2 }],
+        total: 1
+      };
+      articleOps.search.mockReturnValue(mockResult);
+
+      const response = await request(app).get('/api/articles/search?q=rust');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockResult);
+      expect(articleOps.search).toHaveBeenCalledWith(1, '"rust"', {
+        feedId: undefined,
+        from: undefined,
+        to: undefined,
+        isRead: null,
+        isSaved: null,
+        limit: 50,
+        offset: 0
+      });
+    });
+
+    it('should pass phrase queries through as FTS phrases', async () => {
+      await request(app).get(`/api/articles/search?q=${encodeURIComponent('"open source" license')}`);
+
+      expect(articleOps.search).toHaveBeenCalledWith(1, '"open source" "license"', expect.any(Object));
+    });
+
+    it('should apply feed, date, read and saved filters', async () => {
+      const response = await request(app)
+        .get('/api/articles/search?q=rust&feedId=3&from=2025-01-01&to=2025-02-01&read=false&saved=true&limit=10&offset=20');
+
+      expect(response.status).toBe(200);
+      expect(articleOps.search).toHaveBeenCalledWith(1, '"rust"', {
+        feedId: 3,
+        from: '2025-01-01',
+        to: '2025-02-01',
+        isRead: false,
+        isSaved: true,
+        limit: 10,
+        offset: 20
+      });
+    });
+
+    it('should return no results without querying when nothing is searchable', async () => {
+      const response = await request(app).get('/api/articles/search?q=***');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ results: [], total: 0 });
+      expect(articleOps.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/articles/:id/tags', () => {
+    it('should tag the article and return the tag', async () => {
+      tagOps.addToArticle.mockReturnValue({ id: 3, name: 'Research' });
+
+      const response = await request(app)
+        .post('/api/articles/7/tags')
+        .send({ name: '  Research ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 3, name: 'Research' });
+      expect(tagOps.addToArticle).toHaveBeenCalledWith(1, 7, 'Research');
+    });
+
+    it('should return 404 for a missing article', async () => {
+      tagOps.addToArticle.mockReturnValue(null);
+
+      const response = await request(app)
+        .post('/api/articles/999/tags')
+        .send({ name: 'Research' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Article not found' });
+    });
+  });
+
+  describe('DELETE /api/articles/:id/tags/:tagId', () => {
+    it('should remove the tag from the article', async () => {
+      const response = await request(app).delete('/api/articles/7/tags/3');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(tagOps.removeFromArticle).toHaveBeenCalledWith(1, 7, 3);
+    });
+  });
+
+  describe('POST /api/articles/:id/annotations', () => {
+    it('should highlight text with a note', async () => {
+      const annotation = {
+        id: 5, article_id: 7, quote: 'Some text', note: 'Why it matters',
+        created_at: '2025-01-01T00:00:00.000Z', updated_at: '2025-01-01T00:00:00.000Z'
+      };
+      annotationOps.insert.mockReturnValue(annotation);
+
+      const response = await request(app)
+        .post('/api/articles/7/annotations')
+        .send({ quote: 'Some text', note: ' Why it matters ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(annotation);
+      expect(annotationOps.insert).toHaveBeenCalledWith(1, 7, { quote: 'Some text', note: 'Why it matters' });
+    });
+
+    it('should add a note without a highlight', async () => {
+      annotationOps.insert.mockReturnValue({ id: 6 });
+
+      await request(app)
+        .post('/api/articles/7/annotations')
+        .send({ note: 'Read again' });
+
+      expect(annotationOps.insert).toHaveBeenCalledWith(1, 7, { note: 'Read again' });
+    });
+
+    it('should return 404 for a missing article', async () => {
+      annotationOps.insert.mockReturnValue(null);
+
+      const response = await request(app)
+        .post('/api/articles/999/annotations')
+        .send({ note: 'Read again' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Article not found' });
+    });
+  });
+
+  describe('GET /api/articles/:id/playback', () => {
+    it('should return where playback got to', async () => {
+      const playback = { position: 754.5, speed: 1.5, updated_at: '2025-01-01T00:00:00.000Z' };
+      playbackOps.get.mockReturnValue(playback);
+
+      const response = await request(app).get('/api/articles/7/playback');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(playback);
+      expect(playbackOps.get).toHaveBeenCalledWith(1, 7);
+    });
+
+    it('should return 404 for a missing article', async () => {
+      playbackOps.get.mockReturnValue(null);
+
+      const response = await request(app).get('/api/articles/999/playback');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/articles/:id/playback', () => {
+    it('should store the position and speed', async () => {
+      playbackOps.set.mockReturnValue(true);
+
+      const response = await request(app)
+        .put('/api/articles/7/playback')
+        .send({ position: 754.5, speed: 1.5 });
+
+      expect(response.status).toBe(200);
+      expect(playbackOps.set).toHaveBeenCalledWith(1, 7, { position: 754.5, speed: 1.5 });
+    });
+
+    it('should reject speeds out of range', async () => {
+      const response = await request(app)
+        .put('/api/articles/7/playback')
+        .send({ position: 10, speed: 16 });
+
+      expect(response.status).toBeGreaterThanOrEqual(400);
+      expect(playbackOps.set).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing article', async () => {
+      playbackOps.set.mockReturnValue(false);
+
+      const response = await request(app)
+        .put('/api/articles/999/playback')
+        .send({ position: 0, speed: 1 });
+
+      expect(response.status).toBe(404);
     });
   });
 
@@ -174,8 +456,8 @@ describe('Articles API Routes', () => {
 
       expect(savedResponse.status).toBe(200);
 
-      expect(articleOps.updateRead).toHaveBeenCalledWith(1, true);
-      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, true);
+      expect(articleOps.updateRead).toHaveBeenCalledWith(1, 1, true);
+      expect(articleOps.updateSaved).toHaveBeenCalledWith(1, 1, true);
     });
   });
 });
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import backupRouter from '../../../src/routes/backup.js';
+import { archiveOps, feedOps } from '../../../src/services/database.js';
+import { validateFeedUrl } from '../../../src/services/url-validator.js';
+
+// Mock database service, keeping the archive version constant
+vi.mock('../../../src/services/database.js', () => ({
+  ARCHIVE_VERSION: 1,
+  archiveOps: { export: vi.fn(), restore: vi.fn() },
+  feedOps: { findByUrl: vi.fn() }
+}));
+vi.mock('../../../src/services/url-validator.js');
+
+// Create Express app for testing
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
+app.use('/api/backup', backupRouter);
+
+const archive = {
+  format: 'rss-reader-backup',
+  version: 1,
+  exportedAt: '2025-03-01T12:00:00.000Z',
+  feeds: [{ id: 1, title: 'Blog', url: 'https://example.com/feed.xml' }],
+  articles: [{ id: 1, feed_id: 1, title: 'Article', link: 'https://example.com/a', is_read: true, is_saved: false }],
+  settings: { llm_provider: 'openai' }
+};
+
+describe('Backup API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    archiveOps.export.mockReturnValue(archive);
+    archiveOps.restore.mockReturnValue({
+      mode: 'merge',
+      feeds: { added: 1, matched: 0 },
+      articles: { added: 1, updated: 0 },
+      settings: 1,
+      skipped: 0
+    });
+    feedOps.findByUrl.mockReturnValue(undefined);
+    validateFeedUrl.mockResolvedValue({ safe: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('GET /api/backup', () => {
+    it('should download the archive without the API key by default', async () => {
+      const response = await request(app).get('/api/backup');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="rss-reader-backup-2025-03-01.json"');
+      expect(response.body).toEqual(archive);
+      expect(archiveOps.export).toHaveBeenCalledWith(1, { includeSecrets: false });
+    });
+
+    it('should include the API key when requested', async () => {
+      await request(app).get('/api/backup?includeApiKey=true');
+
+      expect(archiveOps.export).toHaveBeenCalledWith(1, { includeSecrets: true });
+    });
+  });
+
+  describe('POST /api/backup/restore', () => {
+    it('should merge by default', async () => {
+      const response = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive });
+
+      expect(response.status).toBe(200);
+      expect(response.body.articles.added).toBe(1);
+      expect(response.body.blocked).toBe(0);
+      expect(archiveOps.restore).toHaveBeenCalledWith(1, archive, 'merge');
+      expect(validateFeedUrl).toHaveBeenCalledWith('https://example.com/feed.xml');
+    });
+
+    it('should leave out new feeds with blocked URLs, and their articles', async () => {
+      const { validateFeedUrl: validate } = await vi.importActual('../../../src/services/url-validator.js');
+      validateFeedUrl.mockImplementation(validate);
+      // Feeds the server already has passed the check when they were added
+      feedOps.findByUrl.mockImplementation(url => (url === archive.feeds[0].url ? { id: 5, url } : undefined));
+      const crafted = {
+        ...archive,
+        feeds: [
+          ...archive.feeds,
+          { id: 2, title: 'Internal', url: 'http://localhost:8080/admin' },
+          { id: 3, title: 'Metadata', url: 'http://169.254.169.254/latest/meta-data/' }
+        ],
+        articles: [
+          ...archive.articles,
+          { id: 2, feed_id: 2, title: 'Internal', link: 'http://localhost:8080/a', is_read: false, is_saved: false }
+        ]
+      };
+
+      const response = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: crafted });
+
+      expect(response.status).toBe(200);
+      expect(response.body.blocked).toBe(2);
+      expect(archiveOps.restore).toHaveBeenCalledWith(1, archive, 'merge');
+    });
+
+    it('should replace when asked to', async () => {
+      await request(app)
+        .post('/api/backup/restore')
+        .send({ mode: 'replace', archive });
+
+      expect(archiveOps.restore).toHaveBeenCalledWith(1, archive, 'replace');
+    });
+
+    it('should accept archives larger than the default body limit', async () => {
+      const large = { ...archive, articles: [{ ...archive.articles[0], content: 'x'.repeat(500 * 1024) }] };
+
+      const response = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: large });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should refuse archives from a newer version', async () => {
+      const response = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: { ...archive, version: 2 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/newer version/);
+      expect(archiveOps.restore).not.toHaveBeenCalled();
+    });
+  });
+});
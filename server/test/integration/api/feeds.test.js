@@ -2,31 +2,48 @@ import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vites
 import request from 'supertest';
 import express from 'express';
 import feedsRouter from '../../../src/routes/feeds.js';
-import { feedOps, articleOps } from '../../../src/services/database.js';
+import { feedOps, folderOps, articleOps, settingsOps } from '../../../src/services/database.js';
 import { fetchFeed, syncFeed } from '../../../src/services/rss.js';
 import { validateFeedUrl } from '../../../src/services/url-validator.js';
+import { discoverFeeds } from '../../../src/services/feed-discovery.js';
+import { queueFullContent } from '../../../src/services/full-content.js';
 import { isYouTubeChannelUrl, convertYouTubeUrl } from '../../../src/services/youtube-url.js';
 
 // Mock all services
 vi.mock('../../../src/services/database.js');
 vi.mock('../../../src/services/rss.js');
 vi.mock('../../../src/services/url-validator.js');
+vi.mock('../../../src/services/feed-discovery.js');
+vi.mock('../../../src/services/full-content.js');
 vi.mock('../../../src/services/youtube-url.js');
 
+const admin = { id: 1, username: 'admin', role: 'admin', has_password: true };
+let currentUser = admin;
+
 // Create Express app for testing
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
 app.use('/api/feeds', feedsRouter);
 
 describe('Feeds API Routes', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    currentUser = admin;
     // Default mocks
     feedOps.all.mockReturnValue([]);
     feedOps.get.mockReturnValue(null);
-    feedOps.insert.mockReturnValue({ id: 1, title: 'Test Feed', url: 'https://example.com/feed.xml' });
+    feedOps.findByUrl.mockReturnValue(undefined);
+    feedOps.subscribe.mockReturnValue({ id: 1, title: 'Test Feed', url: 'https://example.com/feed.xml' });
+    folderOps.all.mockReturnValue([]);
+    folderOps.get.mockReturnValue(null);
     validateFeedUrl.mockResolvedValue({ safe: true });
+    discoverFeeds.mockResolvedValue([]);
+    isYouTubeChannelUrl.mockReturnValue(false);
     fetchFeed.mockResolvedValue({ title: 'Test Feed', items: [] });
     syncFeed.mockResolvedValue({ newCount: 5, total: 10 });
   });
@@ -53,7 +70,7 @@ describe('Feeds API Routes', () => {
       const createdFeed = { id: 1, title: 'Test Feed', url: 'https://example.com/feed.xml', created_at: new Date().toISOString() };
 
       fetchFeed.mockResolvedValue({ title: 'Test Feed', items: [] });
-      feedOps.insert.mockReturnValue(createdFeed);
+      feedOps.subscribe.mockReturnValue(createdFeed);
       syncFeed.mockResolvedValue({ newCount: 5, total: 10 });
 
       const response = await request(app)
@@ -63,7 +80,7 @@ describe('Feeds API Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body).toEqual(createdFeed);
       expect(fetchFeed).toHaveBeenCalledWith('https://example.com/feed.xml');
-      expect(feedOps.insert).toHaveBeenCalled();
+      expect(feedOps.subscribe).toHaveBeenCalled();
       expect(syncFeed).toHaveBeenCalledWith(1, 'https://example.com/feed.xml');
     });
 
@@ -81,7 +98,7 @@ describe('Feeds API Routes', () => {
       convertYouTubeUrl.mockResolvedValue('https://www.youtube.com/feeds/videos.xml?channel_id=123');
 
       const newFeed = { url: 'https://www.youtube.com/@channel' };
-      feedOps.insert.mockReturnValue({ id: 1, title: 'Channel Name', url: 'https://www.youtube.com/feeds/videos.xml?channel_id=123' });
+      feedOps.subscribe.mockReturnValue({ id: 1, title: 'Channel Name', url: 'https://www.youtube.com/feeds/videos.xml?channel_id=123' });
 
       const response = await request(app)
         .post('/api/feeds')
@@ -115,33 +132,85 @@ describe('Feeds API Routes', () => {
       expect(response.body.error).toBe('Failed to fetch feed. Please check the URL and try again.');
     });
 
+    it('should add the feed of a website', async () => {
+      fetchFeed
+        .mockRejectedValueOnce(new Error('Non-whitespace before first tag.'))
+        .mockResolvedValueOnce({ title: 'Example Blog', items: [] });
+      discoverFeeds.mockResolvedValue([{ url: 'https://example.com/feed.xml', title: null, type: null }]);
+
+      const response = await request(app)
+        .post('/api/feeds')
+        .send({ url: 'https://example.com/' });
+
+      expect(response.status).toBe(200);
+      expect(discoverFeeds).toHaveBeenCalledWith('https://example.com/');
+      expect(fetchFeed).toHaveBeenLastCalledWith('https://example.com/feed.xml');
+      expect(feedOps.subscribe).toHaveBeenCalledWith(1, 'Example Blog', 'https://example.com/feed.xml');
+    });
+
+    it('should offer a choice when a website has several feeds', async () => {
+      const feeds = [
+        { url: 'https://example.com/feed.xml', title: 'Posts', type: 'application/rss+xml' },
+        { url: 'https://example.com/comments.xml', title: 'Comments', type: 'application/rss+xml' }
+      ];
+      fetchFeed.mockRejectedValue(new Error('Non-whitespace before first tag.'));
+      discoverFeeds.mockResolvedValue(feeds);
+
+      const response = await request(app)
+        .post('/api/feeds')
+        .send({ url: 'https://example.com/' });
+
+      expect(response.status).toBe(300);
+      expect(response.body.feeds).toEqual(feeds);
+      expect(feedOps.subscribe).not.toHaveBeenCalled();
+    });
+
     it('should use hostname as fallback title', async () => {
       fetchFeed.mockResolvedValue({ title: '', items: [] });
-      feedOps.insert.mockReturnValue({ id: 1, title: 'example.com', url: 'https://example.com/feed.xml' });
+      feedOps.subscribe.mockReturnValue({ id: 1, title: 'example.com', url: 'https://example.com/feed.xml' });
 
       const response = await request(app)
         .post('/api/feeds')
         .send({ url: 'https://example.com/feed.xml' });
 
       expect(response.status).toBe(200);
-      expect(feedOps.insert).toHaveBeenCalledWith('example.com', 'https://example.com/feed.xml');
+      expect(feedOps.subscribe).toHaveBeenCalledWith(1, 'example.com', 'https://example.com/feed.xml');
+    });
+
+    it('should subscribe to a feed another user already reads without fetching it', async () => {
+      const shared = { id: 4, title: 'Shared', url: 'https://example.com/feed.xml' };
+      feedOps.findByUrl.mockReturnValue(shared);
+      feedOps.subscribe.mockReturnValue(shared);
+
+      const response = await request(app)
+        .post('/api/feeds')
+        .send({ url: 'https://example.com/feed.xml' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(shared);
+      expect(feedOps.subscribe).toHaveBeenCalledWith(1, 'Shared', 'https://example.com/feed.xml');
+      expect(fetchFeed).not.toHaveBeenCalled();
+      expect(syncFeed).not.toHaveBeenCalled();
     });
   });
 
   describe('DELETE /api/feeds/:id', () => {
     it('should delete a feed', async () => {
+      feedOps.delete.mockReturnValue(5);
+
       const response = await request(app).delete('/api/feeds/1');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({ success: true });
-      expect(feedOps.delete).toHaveBeenCalledWith(1);
+      // The action that undoes the deletion
+      expect(response.body).toEqual({ success: true, actionId: 5 });
+      expect(feedOps.delete).toHaveBeenCalledWith(1, 1);
     });
 
     it('should parse id as integer', async () => {
       const response = await request(app).delete('/api/feeds/42');
 
       expect(response.status).toBe(200);
-      expect(feedOps.delete).toHaveBeenCalledWith(42);
+      expect(feedOps.delete).toHaveBeenCalledWith(1, 42);
     });
   });
 
@@ -156,7 +225,7 @@ describe('Feeds API Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({ success: true });
-      expect(feedOps.update).toHaveBeenCalledWith(1, 'New Title');
+      expect(feedOps.update).toHaveBeenCalledWith(1, 1, 'New Title');
     });
 
     it('should return 404 if feed not found', async () => {
@@ -171,6 +240,159 @@ describe('Feeds API Routes', () => {
     });
   });
 
+  describe('GET /api/feeds/:id/retention', () => {
+    it('should return overrides and the effective policy', async () => {
+      feedOps.get.mockReturnValue({ id: 1, title: 'News', url: 'https://example.com/feed.xml', retention: { maxCount: 50 } });
+      settingsOps.get.mockReturnValue({ maxCount: 100, readMaxAgeDays: 7, unreadMaxAgeDays: 14, neverDelete: false });
+
+      const response = await request(app).get('/api/feeds/1/retention');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        retention: { maxCount: 50 },
+        effective: { maxCount: 50, readMaxAgeDays: 7, unreadMaxAgeDays: 14, neverDelete: false }
+      });
+    });
+
+    it('should return 404 if feed not found', async () => {
+      const response = await request(app).get('/api/feeds/999/retention');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/feeds/:id/retention', () => {
+    beforeEach(() => {
+      feedOps.get.mockReturnValue({ id: 1, title: 'Blog', url: 'https://example.com/feed.xml', retention: null });
+    });
+
+    it('should store feed overrides', async () => {
+      const response = await request(app)
+        .put('/api/feeds/1/retention')
+        .send({ retention: { neverDelete: true } });
+
+      expect(response.status).toBe(200);
+      expect(feedOps.updateRetention).toHaveBeenCalledWith(1, { neverDelete: true });
+    });
+
+    it('should revert to the global policy with null', async () => {
+      const response = await request(app)
+        .put('/api/feeds/1/retention')
+        .send({ retention: null });
+
+      expect(response.status).toBe(200);
+      expect(feedOps.updateRetention).toHaveBeenCalledWith(1, null);
+    });
+
+    it('should return 404 if feed not found', async () => {
+      feedOps.get.mockReturnValue(null);
+
+      const response = await request(app)
+        .put('/api/feeds/999/retention')
+        .send({ retention: null });
+
+      expect(response.status).toBe(404);
+      expect(feedOps.updateRetention).not.toHaveBeenCalled();
+    });
+
+    it('should be limited to admins', async () => {
+      currentUser = { id: 2, username: 'reader', role: 'user', has_password: true };
+
+      const response = await request(app)
+        .put('/api/feeds/1/retention')
+        .send({ retention: null });
+
+      expect(response.status).toBe(403);
+      expect(feedOps.updateRetention).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/feeds/:id/full-content', () => {
+    beforeEach(() => {
+      feedOps.get.mockReturnValue({ id: 1, title: 'Blog', url: 'https://example.com/feed.xml', fetch_full_content: false });
+    });
+
+    it('should turn the option on and fetch recent articles', async () => {
+      const response = await request(app)
+        .put('/api/feeds/1/full-content')
+        .send({ enabled: true });
+
+      expect(response.status).toBe(200);
+      expect(feedOps.updateFullContent).toHaveBeenCalledWith(1, true);
+      expect(queueFullContent).toHaveBeenCalled();
+    });
+
+    it('should turn the option off', async () => {
+      const response = await request(app)
+        .put('/api/feeds/1/full-content')
+        .send({ enabled: false });
+
+      expect(response.status).toBe(200);
+      expect(feedOps.updateFullContent).toHaveBeenCalledWith(1, false);
+      expect(queueFullContent).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if feed not found', async () => {
+      feedOps.get.mockReturnValue(null);
+
+      const response = await request(app)
+        .put('/api/feeds/999/full-content')
+        .send({ enabled: true });
+
+      expect(response.status).toBe(404);
+      expect(feedOps.updateFullContent).not.toHaveBeenCalled();
+    });
+
+    it('should be limited to admins', async () => {
+      currentUser = { id: 2, username: 'reader', role: 'user', has_password: true };
+
+      const response = await request(app)
+        .put('/api/feeds/1/full-content')
+        .send({ enabled: true });
+
+      expect(response.status).toBe(403);
+      expect(feedOps.updateFullContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/feeds/:id/folder', () => {
+    beforeEach(() => {
+      feedOps.get.mockReturnValue({ id: 1, title: 'Feed', url: 'https://example.com/feed.xml' });
+    });
+
+    it('should move the feed into the folder', async () => {
+      folderOps.get.mockReturnValue({ id: 3, name: 'News', parent_id: null });
+
+      const response = await request(app).put('/api/feeds/1/folder').send({ folderId: 3 });
+
+      expect(response.status).toBe(200);
+      expect(feedOps.updateFolder).toHaveBeenCalledWith(1, 1, 3);
+    });
+
+    it('should move the feed to the top level with null', async () => {
+      const response = await request(app).put('/api/feeds/1/folder').send({ folderId: null });
+
+      expect(response.status).toBe(200);
+      expect(feedOps.updateFolder).toHaveBeenCalledWith(1, 1, null);
+    });
+
+    it('should return 404 if the folder does not exist', async () => {
+      const response = await request(app).put('/api/feeds/1/folder').send({ folderId: 3 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Folder not found');
+      expect(feedOps.updateFolder).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if feed not found', async () => {
+      feedOps.get.mockReturnValue(null);
+
+      const response = await request(app).put('/api/feeds/999/folder').send({ folderId: null });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe('POST /api/feeds/:id/sync', () => {
     it('should sync a single feed', async () => {
       const feed = { id: 1, title: 'Test Feed', url: 'https://example.com/feed.xml' };
@@ -239,6 +461,26 @@ describe('Feeds API Routes', () => {
       expect(response.text).toContain('xmlUrl="https://example.com/feed1.xml"');
     });
 
+    it('should write folders as nested outlines and escape attributes', async () => {
+      folderOps.all.mockReturnValue([
+        { id: 1, name: 'News', parent_id: null },
+        { id: 2, name: 'Tech & Science', parent_id: 1 }
+      ]);
+      feedOps.all.mockReturnValue([
+        { id: 1, title: 'Top', url: 'https://example.com/top.xml', folder_id: null },
+        { id: 2, title: 'Ars "Technica"', url: 'https://example.com/feed?a=1&b=2', folder_id: 2 }
+      ]);
+
+      const response = await request(app).get('/api/feeds/export');
+
+      expect(response.text).toContain(`    <outline text="News" title="News">
+      <outline text="Tech &amp; Science" title="Tech &amp; Science">
+        <outline type="rss" text="Ars &quot;Technica&quot;" xmlUrl="https://example.com/feed?a=1&amp;b=2"/>
+      </outline>
+    </outline>
+    <outline type="rss" text="Top" xmlUrl="https://example.com/top.xml"/>`);
+    });
+
     it('should handle empty feed list', async () => {
       feedOps.all.mockReturnValue([]);
 
@@ -265,7 +507,7 @@ describe('Feeds API Routes', () => {
       feedOps.all.mockReturnValue([]); // No existing feeds
       fetchFeed.mockResolvedValue({ title: 'Feed 1', items: [] });
       syncFeed.mockResolvedValue({ newCount: 5, total: 10 });
-      feedOps.insert.mockReturnValue({ id: 1, title: 'Feed 1', url: 'https://example.com/feed1.xml' });
+      feedOps.subscribe.mockReturnValue({ id: 1, title: 'Feed 1', url: 'https://example.com/feed1.xml' });
 
       const response = await request(app)
         .post('/api/feeds/import')
@@ -323,7 +565,7 @@ describe('Feeds API Routes', () => {
       feedOps.all.mockReturnValue([]);
       fetchFeed.mockResolvedValue({ title: 'Nested Feed', items: [] });
       syncFeed.mockResolvedValue({ newCount: 1, total: 1 });
-      feedOps.insert.mockReturnValue({ id: 1, title: 'Nested Feed', url: 'https://example.com/feed.xml' });
+      feedOps.subscribe.mockReturnValue({ id: 1, title: 'Nested Feed', url: 'https://example.com/feed.xml' });
 
       const nestedOpml = `<?xml version="1.0"?>
 <opml version="2.0">
@@ -341,6 +583,51 @@ describe('Feeds API Routes', () => {
       expect(response.status).toBe(200);
       expect(fetchFeed).toHaveBeenCalledWith('https://example.com/feed.xml');
     });
+
+    it('should file imported feeds into folders', async () => {
+      folderOps.findOrCreate
+        .mockReturnValueOnce({ id: 5, name: 'News', parent_id: null })
+        .mockReturnValueOnce({ id: 6, name: 'Tech', parent_id: 5 });
+      feedOps.subscribe.mockReturnValue({ id: 9, title: 'Nested Feed', url: 'https://example.com/feed.xml' });
+
+      const nestedOpml = `<?xml version="1.0"?>
+<opml version="2.0">
+  <body>
+    <outline text="News">
+      <outline text="Tech">
+        <outline type="rss" text="Nested Feed" xmlUrl="https://example.com/feed.xml"/>
+      </outline>
+    </outline>
+  </body>
+</opml>`;
+
+      const response = await request(app)
+        .post('/api/feeds/import')
+        .send({ opml: nestedOpml });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ imported: 1, total: 1 });
+      expect(folderOps.findOrCreate).toHaveBeenNthCalledWith(1, 1, 'News', null);
+      expect(folderOps.findOrCreate).toHaveBeenNthCalledWith(2, 1, 'Tech', 5);
+      expect(feedOps.updateFolder).toHaveBeenCalledWith(1, 9, 6);
+    });
+
+    it('should file existing feeds only if they are not in a folder yet', async () => {
+      feedOps.all.mockReturnValue([
+        { id: 1, title: 'Feed 1', url: 'https://example.com/feed1.xml', folder_id: null },
+        { id: 2, title: 'Feed 2', url: 'https://example.com/feed2.xml', folder_id: 7 }
+      ]);
+      folderOps.findOrCreate.mockReturnValue({ id: 5, name: 'News', parent_id: null });
+
+      const response = await request(app)
+        .post('/api/feeds/import')
+        .send({ opml: validOpml.replace('<body>', '<body><outline text="News">').replace('</body>', '</outline></body>') });
+
+      expect(response.status).toBe(200);
+      expect(response.body.imported).toBe(0);
+      expect(feedOps.updateFolder).toHaveBeenCalledTimes(1);
+      expect(feedOps.updateFolder).toHaveBeenCalledWith(1, 1, 5);
+    });
   });
 
   describe('POST /api/feeds/sync-all', () => {
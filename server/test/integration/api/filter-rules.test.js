@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import filterRulesRouter from '../../../src/routes/filter-rules.js';
+import { feedOps, filterRuleOps } from '../../../src/services/database.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
+app.use('/api/filter-rules', filterRulesRouter);
+
+describe('Filter Rules API Routes', () => {
+  const stored = {
+    id: 3,
+    feed_id: 2,
+    field: 'title',
+    match_type: 'keyword',
+    pattern: 'sponsored',
+    action: 'skip',
+    tag: null,
+    enabled: true,
+    created_at: '2024-01-16T10:00:00.000Z'
+  };
+  const body = { feedId: 2, field: 'title', matchType: 'keyword', pattern: 'sponsored', action: 'skip' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    feedOps.get.mockImplementation((userId, id) => (id === 2 ? { id: 2, title: 'Blog' } : undefined));
+    filterRuleOps.get.mockReturnValue(stored);
+    filterRuleOps.insert.mockReturnValue(stored);
+    filterRuleOps.update.mockReturnValue(stored);
+  });
+
+  describe('GET /api/filter-rules', () => {
+    it('should return the user\'s rules', async () => {
+      filterRuleOps.all.mockReturnValue([stored]);
+
+      const response = await request(app).get('/api/filter-rules');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([stored]);
+      expect(filterRuleOps.all).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('POST /api/filter-rules', () => {
+    it('should add a rule', async () => {
+      const response = await request(app).post('/api/filter-rules').send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(stored);
+      expect(filterRuleOps.insert).toHaveBeenCalledWith(1, { ...body, enabled: true });
+    });
+
+    it('should add a rule for all feeds', async () => {
+      const { feedId, ...global } = body;
+
+      const response = await request(app).post('/api/filter-rules').send(global);
+
+      expect(response.status).toBe(200);
+      expect(feedOps.get).not.toHaveBeenCalled();
+    });
+
+    it('should refuse feeds the user doesn\'t subscribe to', async () => {
+      const response = await request(app).post('/api/filter-rules').send({ ...body, feedId: 9 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Feed not found');
+      expect(filterRuleOps.insert).not.toHaveBeenCalled();
+    });
+
+    it('should refuse invalid rules', async () => {
+      const invalid = [
+        { ...body, matchType: 'regex', pattern: '(unclosed' },
+        { ...body, matchType: 'regex', pattern: '(a+)+$' },
+        { ...body, matchType: 'regex', pattern: '(a|a)*$' },
+        { ...body, matchType: 'regex', pattern: '\\w*\\w*\\w*\\w*x' },
+        { ...body, matchType: 'regex', pattern: '(\\w)\\1' },
+        { ...body, matchType: 'regex', pattern: 'a'.repeat(201) },
+        { ...body, action: 'tag' },
+        { ...body, field: 'guid' },
+        { ...body, pattern: '  ' }
+      ];
+
+      for (const rule of invalid) {
+        const response = await request(app).post('/api/filter-rules').send(rule);
+        expect(response.status).toBeGreaterThanOrEqual(400);
+      }
+      expect(filterRuleOps.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/filter-rules/preview', () => {
+    it('should test the rule against the latest articles', async () => {
+      filterRuleOps.recent.mockReturnValue([
+        { id: 8, feed_id: 2, feed_title: 'Blog', title: 'Sponsored post', link: 'https://example.com/8', content: '', author: null, categories: [], pub_date: '2024-01-02T00:00:00.000Z' },
+        { id: 7, feed_id: 2, feed_title: 'Blog', title: 'A story', link: 'https://example.com/7', content: '', author: null, categories: [], pub_date: '2024-01-01T00:00:00.000Z' }
+      ]);
+
+      const response = await request(app).post('/api/filter-rules/preview').send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        checked: 2,
+        matches: [{ id: 8, feed_id: 2, feed_title: 'Blog', title: 'Sponsored post', link: 'https://example.com/8', pub_date: '2024-01-02T00:00:00.000Z' }]
+      });
+      expect(filterRuleOps.recent).toHaveBeenCalledWith(1, 2, 50);
+    });
+
+    it('should refuse feeds the user doesn\'t subscribe to', async () => {
+      const response = await request(app).post('/api/filter-rules/preview').send({ ...body, feedId: 9 });
+
+      expect(response.status).toBe(404);
+      expect(filterRuleOps.recent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/filter-rules/:id', () => {
+    it('should replace the rule', async () => {
+      const changed = { ...body, action: 'tag', tag: 'Ads', enabled: false };
+
+      const response = await request(app).put('/api/filter-rules/3').send(changed);
+
+      expect(response.status).toBe(200);
+      expect(filterRuleOps.update).toHaveBeenCalledWith(1, 3, changed);
+    });
+
+    it('should return 404 for unknown rules', async () => {
+      filterRuleOps.get.mockReturnValue(undefined);
+
+      const response = await request(app).put('/api/filter-rules/99').send(body);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Rule not found');
+      expect(filterRuleOps.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/filter-rules/:id', () => {
+    it('should delete the rule', async () => {
+      const response = await request(app).delete('/api/filter-rules/3');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(filterRuleOps.delete).toHaveBeenCalledWith(1, 3);
+    });
+
+    it('should reject invalid IDs', async () => {
+      const response = await request(app).delete('/api/filter-rules/abc');
+
+      expect(response.status).toBeGreaterThanOrEqual(400);
+      expect(filterRuleOps.delete).not.toHaveBeenCalled();
+    });
+  });
+});
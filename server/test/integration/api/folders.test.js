@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import foldersRouter from '../../../src/routes/folders.js';
+import { folderOps } from '../../../src/services/database.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
+app.use('/api/folders', foldersRouter);
+
+const news = { id: 1, name: 'News', parent_id: null, created_at: '2025-01-01T00:00:00.000Z' };
+const tech = { id: 2, name: 'Tech', parent_id: 1, created_at: '2025-01-01T00:00:00.000Z' };
+
+describe('Folders API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    folderOps.get.mockImplementation((userId, id) => [news, tech].find(f => f.id === id));
+    folderOps.find.mockReturnValue(undefined);
+    folderOps.isWithin.mockReturnValue(false);
+  });
+
+  describe('GET /api/folders', () => {
+    it('should return every folder', async () => {
+      folderOps.all.mockReturnValue([news, tech]);
+
+      const response = await request(app).get('/api/folders');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([news, tech]);
+    });
+  });
+
+  describe('POST /api/folders', () => {
+    it('should create a folder inside another', async () => {
+      folderOps.insert.mockReturnValue({ ...tech, id: 3, name: 'Science' });
+
+      const response = await request(app)
+        .post('/api/folders')
+        .send({ name: 'Science', parentId: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(3);
+      expect(folderOps.insert).toHaveBeenCalledWith(1, 'Science', 1);
+    });
+
+    it('should create top-level folders by default', async () => {
+      folderOps.insert.mockReturnValue(news);
+
+      await request(app).post('/api/folders').send({ name: 'News' });
+
+      expect(folderOps.insert).toHaveBeenCalledWith(1, 'News', null);
+    });
+
+    it('should refuse a name a sibling already has', async () => {
+      folderOps.find.mockReturnValue(tech);
+
+      const response = await request(app)
+        .post('/api/folders')
+        .send({ name: 'tech', parentId: 1 });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'A folder with this name already exists here' });
+      expect(folderOps.insert).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing parent', async () => {
+      const response = await request(app)
+        .post('/api/folders')
+        .send({ name: 'Science', parentId: 99 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Parent folder not found' });
+    });
+  });
+
+  describe('PATCH /api/folders/:id', () => {
+    it('should rename the folder', async () => {
+      const response = await request(app)
+        .patch('/api/folders/2')
+        .send({ name: 'Technology' });
+
+      expect(response.status).toBe(200);
+      expect(folderOps.find).toHaveBeenCalledWith(1, 'Technology', 1);
+      expect(folderOps.update).toHaveBeenCalledWith(1, 2, { name: 'Technology', parentId: undefined });
+    });
+
+    it('should move the folder to the top level', async () => {
+      const response = await request(app)
+        .patch('/api/folders/2')
+        .send({ parentId: null });
+
+      expect(response.status).toBe(200);
+      expect(folderOps.find).toHaveBeenCalledWith(1, 'Tech', null);
+      expect(folderOps.update).toHaveBeenCalledWith(1, 2, { name: undefined, parentId: null });
+    });
+
+    it('should refuse to move a folder into its own subfolder', async () => {
+      folderOps.isWithin.mockReturnValue(true);
+
+      const response = await request(app)
+        .patch('/api/folders/1')
+        .send({ parentId: 2 });
+
+      expect(response.status).toBe(400);
+      expect(folderOps.isWithin).toHaveBeenCalledWith(2, 1);
+      expect(folderOps.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a name a sibling already has', async () => {
+      folderOps.find.mockReturnValue({ id: 5, name: 'Science', parent_id: 1 });
+
+      const response = await request(app)
+        .patch('/api/folders/2')
+        .send({ name: 'science' });
+
+      expect(response.status).toBe(409);
+      expect(folderOps.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing folder', async () => {
+      const response = await request(app)
+        .patch('/api/folders/99')
+        .send({ name: 'Reading' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Folder not found' });
+    });
+  });
+
+  describe('DELETE /api/folders/:id', () => {
+    it('should delete the folder', async () => {
+      const response = await request(app).delete('/api/folders/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(folderOps.delete).toHaveBeenCalledWith(1, 1);
+    });
+  });
+});
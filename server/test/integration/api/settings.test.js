@@ -2,19 +2,26 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import request from 'supertest';
 import express from 'express';
 import settingsRouter from '../../../src/routes/settings.js';
-import { settingsOps } from '../../../src/services/database.js';
+import { settingsOps, userSettingsOps, articleOps } from '../../../src/services/database.js';
 
 // Mock database service
 vi.mock('../../../src/services/database.js');
 
+const admin = { id: 1, username: 'admin', role: 'admin', has_password: true };
+let currentUser = admin;
+
 // Create Express app for testing
 const app = express();
 app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
 app.use('/api/settings', settingsRouter);
 
 // Helper function to create getAll mock
 const mockGetAll = (settings) => {
-  settingsOps.getAll.mockImplementation((prefix) => {
+  userSettingsOps.getAll.mockImplementation((userId, prefix) => {
     return Object.keys(settings)
       .filter(key => key.startsWith(prefix))
       .reduce((obj, key) => {
@@ -27,8 +34,9 @@ const mockGetAll = (settings) => {
 describe('Settings API Routes', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    currentUser = admin;
     mockGetAll({});
-    settingsOps.set.mockReturnValue(undefined);
+    userSettingsOps.set.mockReturnValue(undefined);
   });
 
   describe('GET /api/settings/llm', () => {
@@ -145,10 +153,10 @@ describe('Settings API Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({ success: true });
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_provider', 'openai');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_apiKey', 'sk-1234567890abcdef1234567890abcdef');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_baseUrl', 'https://api.openai.com/v1');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_model', 'gpt-4');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_provider', 'openai');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_apiKey', 'sk-1234567890abcdef1234567890abcdef');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_baseUrl', 'https://api.openai.com/v1');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_model', 'gpt-4');
     });
 
     it('should save configuration without baseUrl', async () => {
@@ -163,7 +171,7 @@ describe('Settings API Routes', () => {
         .send(config);
 
       expect(response.status).toBe(200);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_baseUrl', '');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_baseUrl', '');
     });
 
     it('should handle ollama provider (no API key required)', async () => {
@@ -178,9 +186,9 @@ describe('Settings API Routes', () => {
         .send(config);
 
       expect(response.status).toBe(200);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_provider', 'ollama');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_apiKey', '');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_model', 'llama2');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_provider', 'ollama');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_apiKey', '');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_model', 'llama2');
     });
 
     it('should handle anthropic provider', async () => {
@@ -196,9 +204,9 @@ describe('Settings API Routes', () => {
         .send(config);
 
       expect(response.status).toBe(200);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_provider', 'anthropic');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_apiKey', 'sk-ant-key');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_model', 'claude-3-opus-20240229');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_provider', 'anthropic');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_apiKey', 'sk-ant-key');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_model', 'claude-3-opus-20240229');
     });
 
     it('should handle partial updates', async () => {
@@ -207,11 +215,11 @@ describe('Settings API Routes', () => {
         .send({ provider: 'openai' });
 
       expect(response.status).toBe(200);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_provider', 'openai');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_provider', 'openai');
       // Other settings should be set to undefined/empty
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_apiKey', undefined);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_baseUrl', '');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_model', undefined);
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_apiKey', undefined);
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_baseUrl', '');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_model', undefined);
     });
 
     it('should handle empty body', async () => {
@@ -220,10 +228,10 @@ describe('Settings API Routes', () => {
         .send({});
 
       expect(response.status).toBe(200);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_provider', undefined);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_apiKey', undefined);
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_baseUrl', '');
-      expect(settingsOps.set).toHaveBeenCalledWith('llm_model', undefined);
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_provider', undefined);
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_apiKey', undefined);
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_baseUrl', '');
+      expect(userSettingsOps.set).toHaveBeenCalledWith(1, 'llm_model', undefined);
     });
   });
 
@@ -258,4 +266,73 @@ describe('Settings API Routes', () => {
       expect(getResponse.body.model).toBe('gpt-4');
     });
   });
+
+  describe('GET /api/settings/retention', () => {
+    it('should return the defaults when nothing is stored', async () => {
+      settingsOps.get.mockReturnValue(undefined);
+
+      const response = await request(app).get('/api/settings/retention');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ maxCount: 200, readMaxAgeDays: 30, unreadMaxAgeDays: 60, neverDelete: false });
+    });
+
+    it('should return the stored global policy', async () => {
+      settingsOps.get.mockReturnValue({ maxCount: 50, readMaxAgeDays: 3, unreadMaxAgeDays: null, neverDelete: false });
+
+      const response = await request(app).get('/api/settings/retention');
+
+      expect(settingsOps.get).toHaveBeenCalledWith('retention');
+      expect(response.body).toEqual({ maxCount: 50, readMaxAgeDays: 3, unreadMaxAgeDays: null, neverDelete: false });
+    });
+  });
+
+  describe('POST /api/settings/retention', () => {
+    it('should save the global policy', async () => {
+      const policy = { maxCount: 100, readMaxAgeDays: 7, unreadMaxAgeDays: 14, neverDelete: false };
+
+      const response = await request(app)
+        .post('/api/settings/retention')
+        .send(policy);
+
+      expect(response.status).toBe(200);
+      expect(settingsOps.set).toHaveBeenCalledWith('retention', policy);
+    });
+
+    it('should be limited to admins', async () => {
+      currentUser = { id: 2, username: 'reader', role: 'user', has_password: true };
+
+      const response = await request(app)
+        .post('/api/settings/retention')
+        .send({ maxCount: 100, readMaxAgeDays: 7, unreadMaxAgeDays: 14, neverDelete: false });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Admin access required' });
+      expect(settingsOps.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/settings/retention/preview', () => {
+    it('should list what the next cleanup would delete, grouped by feed', async () => {
+      const expired = [
+        { id: 1, feed_id: 1, feed_title: 'News', title: 'A', pub_date: '2025-01-01T00:00:00.000Z', is_read: true },
+        { id: 2, feed_id: 1, feed_title: 'News', title: 'B', pub_date: '2025-01-02T00:00:00.000Z', is_read: false },
+        { id: 3, feed_id: 2, feed_title: 'Blog', title: 'C', pub_date: '2025-01-03T00:00:00.000Z', is_read: true }
+      ];
+      articleOps.expired.mockReturnValue(expired);
+
+      const response = await request(app).get('/api/settings/retention/preview');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        total: 3,
+        feeds: [
+          { feedId: 1, title: 'News', count: 2 },
+          { feedId: 2, title: 'Blog', count: 1 }
+        ],
+        articles: expired
+      });
+      expect(articleOps.cleanup).not.toHaveBeenCalled();
+    });
+  });
 });
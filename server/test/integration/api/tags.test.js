@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import tagsRouter from '../../../src/routes/tags.js';
+import { tagOps } from '../../../src/services/database.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, username: 'admin', role: 'admin', has_password: true };
+  next();
+});
+app.use('/api/tags', tagsRouter);
+
+describe('Tags API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tagOps.get.mockReturnValue({ id: 1, name: 'Research' });
+    tagOps.findByName.mockReturnValue(undefined);
+  });
+
+  describe('GET /api/tags', () => {
+    it('should return every tag with its article count', async () => {
+      const tags = [{ id: 1, name: 'Research', count: 3 }, { id: 2, name: 'Work', count: 0 }];
+      tagOps.all.mockReturnValue(tags);
+
+      const response = await request(app).get('/api/tags');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(tags);
+    });
+  });
+
+  describe('PATCH /api/tags/:id', () => {
+    it('should rename the tag', async () => {
+      const response = await request(app)
+        .patch('/api/tags/1')
+        .send({ name: 'Reading' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(tagOps.rename).toHaveBeenCalledWith(1, 1, 'Reading');
+    });
+
+    it('should allow changing only the case of the name', async () => {
+      tagOps.findByName.mockReturnValue({ id: 1, name: 'Research' });
+
+      const response = await request(app)
+        .patch('/api/tags/1')
+        .send({ name: 'research' });
+
+      expect(response.status).toBe(200);
+      expect(tagOps.rename).toHaveBeenCalledWith(1, 1, 'research');
+    });
+
+    it('should refuse a name another tag already has', async () => {
+      tagOps.findByName.mockReturnValue({ id: 2, name: 'Work' });
+
+      const response = await request(app)
+        .patch('/api/tags/1')
+        .send({ name: 'work' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'A tag with this name already exists' });
+      expect(tagOps.rename).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing tag', async () => {
+      tagOps.get.mockReturnValue(undefined);
+
+      const response = await request(app)
+        .patch('/api/tags/99')
+        .send({ name: 'Reading' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Tag not found' });
+    });
+  });
+
+  describe('DELETE /api/tags/:id', () => {
+    it('should delete the tag', async () => {
+      const response = await request(app).delete('/api/tags/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(tagOps.delete).toHaveBeenCalledWith(1, 1);
+    });
+  });
+});
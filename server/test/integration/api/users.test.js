@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import usersRouter from '../../../src/routes/users.js';
+import { userOps } from '../../../src/services/database.js';
+import { hashPassword, verifyPassword } from '../../../src/services/auth.js';
+
+// Mock database service
+vi.mock('../../../src/services/database.js');
+
+const admin = { id: 1, username: 'admin', role: 'admin', has_password: true, created_at: '2025-01-01T00:00:00.000Z' };
+const reader = { id: 2, username: 'reader', role: 'user', has_password: true, created_at: '2025-01-02T00:00:00.000Z' };
+let currentUser = admin;
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use('/api/users', usersRouter);
+
+describe('Users API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    currentUser = admin;
+    userOps.get.mockImplementation(id => [admin, reader].find(u => u.id === id));
+    userOps.findByUsername.mockReturnValue(undefined);
+    userOps.countAdmins.mockReturnValue(1);
+  });
+
+  describe('GET /api/users/me', () => {
+    it('should return the signed-in user', async () => {
+      currentUser = reader;
+
+      const response = await request(app).get('/api/users/me');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(reader);
+    });
+  });
+
+  describe('PUT /api/users/me/password', () => {
+    beforeEach(async () => {
+      userOps.passwordHash.mockReturnValue(await hashPassword('old-password'));
+    });
+
+    it('should change the password', async () => {
+      const response = await request(app)
+        .put('/api/users/me/password')
+        .send({ currentPassword: 'old-password', password: 'new-password' });
+
+      expect(response.status).toBe(200);
+      expect(userOps.update).toHaveBeenCalledWith(1, { passwordHash: expect.any(String) });
+      const { passwordHash } = userOps.update.mock.calls[0][1];
+      expect(await verifyPassword('new-password', passwordHash)).toBe(true);
+    });
+
+    it('should require the current password', async () => {
+      const response = await request(app)
+        .put('/api/users/me/password')
+        .send({ currentPassword: 'wrong', password: 'new-password' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Current password is incorrect' });
+      expect(userOps.update).not.toHaveBeenCalled();
+    });
+
+    it('should set a first password without one', async () => {
+      userOps.passwordHash.mockReturnValue(null);
+
+      const response = await request(app)
+        .put('/api/users/me/password')
+        .send({ password: 'new-password' });
+
+      expect(response.status).toBe(200);
+      expect(userOps.update).toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should list every user', async () => {
+      userOps.all.mockReturnValue([admin, reader]);
+
+      const response = await request(app).get('/api/users');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([admin, reader]);
+    });
+
+    it('should be limited to admins', async () => {
+      currentUser = reader;
+
+      const response = await request(app).get('/api/users');
+
+      expect(response.status).toBe(403);
+      expect(userOps.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/users', () => {
+    it('should create a user', async () => {
+      userOps.insert.mockReturnValue({ ...reader, id: 3, username: 'bob' });
+
+      const response = await request(app)
+        .post('/api/users')
+        .send({ username: 'bob', password: 'bob-password' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(3);
+      expect(userOps.insert).toHaveBeenCalledWith('bob', expect.stringMatching(/^scrypt\$/), 'user');
+    });
+
+    it('should refuse a name another user already has', async () => {
+      userOps.findByUsername.mockReturnValue(reader);
+
+      const response = await request(app)
+        .post('/api/users')
+        .send({ username: 'Reader', password: 'bob-password' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'A user with this name already exists' });
+      expect(userOps.insert).not.toHaveBeenCalled();
+    });
+
+    it('should refuse while the admin has no password', async () => {
+      currentUser = { ...admin, has_password: false };
+
+      const response = await request(app)
+        .post('/api/users')
+        .send({ username: 'bob', password: 'bob-password' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Set a password for your own account first' });
+      expect(userOps.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/users/:id', () => {
+    it('should change the role', async () => {
+      const response = await request(app)
+        .patch('/api/users/2')
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(200);
+      expect(userOps.update).toHaveBeenCalledWith(2, { username: undefined, role: 'admin', passwordHash: undefined });
+    });
+
+    it('should reset a password', async () => {
+      const response = await request(app)
+        .patch('/api/users/2')
+        .send({ password: 'reset-password' });
+
+      expect(response.status).toBe(200);
+      expect(userOps.update).toHaveBeenCalledWith(2, expect.objectContaining({ passwordHash: expect.any(String) }));
+    });
+
+    it('should keep at least one admin', async () => {
+      const response = await request(app)
+        .patch('/api/users/1')
+        .send({ role: 'user' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'There must be at least one admin' });
+      expect(userOps.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a name another user already has', async () => {
+      userOps.findByUsername.mockReturnValue(admin);
+
+      const response = await request(app)
+        .patch('/api/users/2')
+        .send({ username: 'admin' });
+
+      expect(response.status).toBe(409);
+      expect(userOps.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing user', async () => {
+      const response = await request(app)
+        .patch('/api/users/99')
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'User not found' });
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should delete the user', async () => {
+      const response = await request(app).delete('/api/users/2');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true });
+      expect(userOps.delete).toHaveBeenCalledWith(2);
+    });
+
+    it('should refuse to delete the signed-in account', async () => {
+      const response = await request(app).delete('/api/users/1');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'You cannot delete your own account' });
+      expect(userOps.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,16 +1,25 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import request from 'supertest';
 import express from 'express';
-import { basicAuth } from '../../../src/middleware/basicAuth.js';
+import { basicAuth, requireAdmin } from '../../../src/middleware/basicAuth.js';
+import { initDatabase, userOps } from '../../../src/services/database.js';
+import { hashPassword, forgetCredentials, bootstrapAdmin } from '../../../src/services/auth.js';
 
 const app = express();
 app.use(basicAuth);
-app.get('/test', (req, res) => res.json({ ok: true }));
+app.get('/test', (req, res) => res.json({ ok: true, user: req.user.username }));
+app.get('/admin', requireAdmin, (req, res) => res.json({ ok: true }));
 
 const OLD_ENV = { ...process.env };
 
+const setPassword = async (id, password) => {
+  userOps.update(id, { passwordHash: await hashPassword(password) });
+};
+
 describe('Basic Auth Middleware', () => {
   beforeEach(() => {
+    initDatabase(':memory:');
+    forgetCredentials();
     process.env = { ...OLD_ENV };
     delete process.env.BASIC_AUTH_USER;
     delete process.env.BASIC_AUTH_PASSWORD;
@@ -20,62 +29,144 @@ describe('Basic Auth Middleware', () => {
     process.env = { ...OLD_ENV };
   });
 
-  it('should allow requests when no auth is configured', async () => {
+  it('should allow requests as the owner while no account has a password', async () => {
     const response = await request(app).get('/test');
     expect(response.status).toBe(200);
-    expect(response.body).toEqual({ ok: true });
+    expect(response.body).toEqual({ ok: true, user: 'admin' });
   });
 
-  it('should return 401 when no credentials provided', async () => {
-    process.env.BASIC_AUTH_USER = 'admin';
-    process.env.BASIC_AUTH_PASSWORD = 'secret';
+  describe('with passwords set', () => {
+    beforeEach(async () => {
+      await setPassword(userOps.owner().id, 'secret');
+    });
 
-    const response = await request(app).get('/test');
-    expect(response.status).toBe(401);
-    // WWW-Authenticate is deliberately absent — the SPA handles login
-    // with a custom form, not the browser's native dialog.
-    expect(response.headers['www-authenticate']).toBeUndefined();
-  });
+    it('should return 401 when no credentials provided', async () => {
+      const response = await request(app).get('/test');
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Authentication required' });
+      // WWW-Authenticate is deliberately absent — the SPA handles login
+      // with a custom form, not the browser's native dialog.
+      expect(response.headers['www-authenticate']).toBeUndefined();
+    });
 
-  it('should return 401 for wrong username', async () => {
-    process.env.BASIC_AUTH_USER = 'admin';
-    process.env.BASIC_AUTH_PASSWORD = 'secret';
+    it('should return 401 for wrong username', async () => {
+      const response = await request(app)
+        .get('/test')
+        .auth('wrong', 'secret');
 
-    const response = await request(app)
-      .get('/test')
-      .auth('wrong', 'secret');
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Invalid credentials' });
+    });
 
-    expect(response.status).toBe(401);
-  });
+    it('should return 401 for wrong password', async () => {
+      const response = await request(app)
+        .get('/test')
+        .auth('admin', 'wrong');
 
-  it('should return 401 for wrong password', async () => {
-    process.env.BASIC_AUTH_USER = 'admin';
-    process.env.BASIC_AUTH_PASSWORD = 'secret';
+      expect(response.status).toBe(401);
+    });
 
-    const response = await request(app)
-      .get('/test')
-      .auth('admin', 'wrong');
+    it('should return 200 for correct credentials', async () => {
+      const response = await request(app)
+        .get('/test')
+        .auth('admin', 'secret');
 
-    expect(response.status).toBe(401);
-  });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ok: true, user: 'admin' });
+    });
 
-  it('should return 200 for correct credentials', async () => {
-    process.env.BASIC_AUTH_USER = 'admin';
-    process.env.BASIC_AUTH_PASSWORD = 'secret';
+    it('should accept passwords that contain colons', async () => {
+      await setPassword(userOps.owner().id, 'a:b:c');
 
-    const response = await request(app)
-      .get('/test')
-      .auth('admin', 'secret');
+      const response = await request(app)
+        .get('/test')
+        .auth('admin', 'a:b:c');
 
-    expect(response.status).toBe(200);
-    expect(response.body).toEqual({ ok: true });
+      expect(response.status).toBe(200);
+    });
+
+    it('should identify each user by their own credentials', async () => {
+      userOps.insert('reader', await hashPassword('hunter22'), 'user');
+
+      const response = await request(app)
+        .get('/test')
+        .auth('Reader', 'hunter22');
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toBe('reader');
+    });
+
+    it('should stop accepting a password once it is changed', async () => {
+      await request(app).get('/test').auth('admin', 'secret');
+
+      await setPassword(userOps.owner().id, 'changed');
+      forgetCredentials(userOps.owner().id);
+
+      const response = await request(app)
+        .get('/test')
+        .auth('admin', 'secret');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject deleted users even with remembered credentials', async () => {
+      const reader = userOps.insert('reader', await hashPassword('hunter22'), 'user');
+      await request(app).get('/test').auth('reader', 'hunter22');
+
+      userOps.delete(reader.id);
+
+      const response = await request(app)
+        .get('/test')
+        .auth('reader', 'hunter22');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should limit admin routes to admins', async () => {
+      userOps.insert('reader', await hashPassword('hunter22'), 'user');
+
+      const denied = await request(app).get('/admin').auth('reader', 'hunter22');
+      expect(denied.status).toBe(403);
+      expect(denied.body).toEqual({ error: 'Admin access required' });
+
+      const allowed = await request(app).get('/admin').auth('admin', 'secret');
+      expect(allowed.status).toBe(200);
+    });
   });
 
-  it('should pass through when only one env var is set', async () => {
-    process.env.BASIC_AUTH_USER = 'admin';
-    delete process.env.BASIC_AUTH_PASSWORD;
+  describe('bootstrapAdmin', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
 
-    const response = await request(app).get('/test');
-    expect(response.status).toBe(200);
+    it('should give the owner the credentials from the environment', async () => {
+      process.env.BASIC_AUTH_USER = 'alice';
+      process.env.BASIC_AUTH_PASSWORD = 'secret';
+
+      expect(await bootstrapAdmin()).toBe(true);
+
+      expect((await request(app).get('/test')).status).toBe(401);
+      const response = await request(app)
+        .get('/test')
+        .auth('alice', 'secret');
+      expect(response.status).toBe(200);
+      expect(response.body.user).toBe('alice');
+    });
+
+    it('should leave accounts alone once a password is set', async () => {
+      await setPassword(userOps.owner().id, 'secret');
+      process.env.BASIC_AUTH_USER = 'alice';
+      process.env.BASIC_AUTH_PASSWORD = 'other';
+
+      expect(await bootstrapAdmin()).toBe(false);
+      expect(userOps.owner().username).toBe('admin');
+    });
+
+    it('should do nothing when only one env var is set', async () => {
+      process.env.BASIC_AUTH_USER = 'alice';
+
+      expect(await bootstrapAdmin()).toBe(false);
+      expect((await request(app).get('/test')).status).toBe(200);
+    });
   });
 });
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { feedOps, articleOps, archiveOps, initDatabase, shutdownDatabase } from '../../src/services/database.js';
+
+// Work done by a sync at the scale of a large installation: 100 feeds with
+// 400 stored articles each, published at 24 a day per feed. Every sync
+// re-sees most of a feed's items, so the lookups rejecting known items matter
+// as much as inserting new ones, and each new item is checked for
+// near-duplicates among the thousands of articles published within days of
+// it. Rather than timing this (which says little on a busy machine), the
+// tests check that every query is an index lookup and that the work per item
+// doesn't grow with the number of stored articles.
+const FEEDS = 100;
+const STORED_PER_FEED = 400;
+const ITEMS_PER_SYNC = 50;
+const NEW_PER_SYNC = 10;
+const PER_DAY = 24;
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-01T12:00:00.000Z');
+
+// A realistic vocabulary size keeps the search index representative
+const VOCABULARY = Array.from({ length: 2000 }, (_, i) => `word${i.toString(36)}`);
+
+function item(feed, n) {
+  // Pseudo-random text per article so nothing is a near-duplicate of anything else
+  let seed = feed * 100003 + n;
+  const words = (count) => Array.from({ length: count }, () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return VOCABULARY[seed % VOCABULARY.length];
+  }).join(' ');
+  return {
+    title: words(8),
+    link: `https://feed${feed}.example.com/posts/${n}?utm_source=rss`,
+    content: `<p>${words(80)}</p>`,
+    pub_date: new Date(NOW - ((STORED_PER_FEED - n) * DAY) / PER_DAY).toISOString()
+  };
+}
+
+// Run `fn`, recording every statement it executes: its SQL, parameters and
+// how many rows it returned
+function trace(db, fn) {
+  const prepare = db.prepare;
+  const executed = [];
+  db.prepare = (sql) => {
+    const statement = prepare.call(db, sql);
+    for (const method of ['run', 'get', 'all']) {
+      const execute = statement[method].bind(statement);
+      statement[method] = (...params) => {
+        const result = execute(...params);
+        executed.push({ sql, params, rows: Array.isArray(result) ? result.length : 1 });
+        return result;
+      };
+    }
+    return statement;
+  };
+  try {
+    fn();
+  } finally {
+    db.prepare = prepare;
+  }
+  return executed;
+}
+
+// Tables a statement reads by scanning them whole (SCAN of a table or an
+// alias of one; json_each and subqueries are fine)
+function fullScans(db, { sql, params }) {
+  const tables = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all());
+  const names = new Map();
+  for (const [, table, alias] of sql.matchAll(/\b(?:FROM|JOIN)\s+(\w+)(?:\s+(?:AS\s+)?(\w+))?/gi)) {
+    if (!tables.has(table)) continue;
+    names.set(table, table);
+    if (alias) names.set(alias, table);
+  }
+  return db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...params)
+    .map(step => /^SCAN (\w+)/.exec(step.detail)?.[1])
+    .filter(name => names.has(name))
+    .map(name => names.get(name));
+}
+
+describe('Ingestion work', () => {
+  // The owner account every new database starts with
+  const userId = 1;
+  let db;
+
+  beforeAll(() => {
+    initDatabase(':memory:');
+    db = global.__DB__;
+
+    const feeds = [];
+    const articles = [];
+    let articleId = 1;
+    for (let f = 1; f <= FEEDS; f++) {
+      feeds.push({ id: f, title: `Feed ${f}`, url: `https://feed${f}.example.com/rss`, created_at: new Date(NOW).toISOString() });
+      for (let n = 0; n < STORED_PER_FEED; n++) {
+        articles.push({
+          id: articleId++,
+          feed_id: f,
+          ...item(f, n),
+          is_read: false,
+          is_saved: false,
+          created_at: new Date(NOW).toISOString()
+        });
+      }
+    }
+    archiveOps.restore(userId, { format: 'rss-reader-backup', version: 1, feeds, articles, settings: {} }, 'replace');
+  }, 60000);
+
+  afterAll(() => {
+    shutdownDatabase();
+  });
+
+  it(`should sync ${FEEDS} feeds against ${FEEDS * STORED_PER_FEED} stored articles with index lookups`, () => {
+    expect(feedOps.all(userId)).toHaveLength(FEEDS);
+
+    const known = [];
+    const added = [];
+    for (let f = 1; f <= FEEDS; f++) {
+      const first = STORED_PER_FEED - (ITEMS_PER_SYNC - NEW_PER_SYNC);
+      for (let n = first; n < first + ITEMS_PER_SYNC; n++) {
+        const { title, link, content, pub_date } = item(f, n);
+        let stored;
+        const executed = trace(db, () => {
+          stored = articleOps.insert(f, title, link, content, pub_date);
+        });
+        (stored ? added : known).push(executed);
+      }
+    }
+
+    expect(added).toHaveLength(FEEDS * NEW_PER_SYNC);
+    // A known item costs the feed's URL and one duplicate check
+    expect(Math.max(...known.map(executed => executed.length))).toBeLessThanOrEqual(2);
+    // A new item is compared with its near-duplicate candidates, which come
+    // from the lookup keys it shares with them, not from everything
+    // published around the same time (thousands of articles)
+    for (const executed of added) {
+      const candidates = executed.find(({ sql }) => sql.includes('FROM duplicate_keys'))?.rows ?? 0;
+      const keys = executed.filter(({ sql }) => sql.includes('INSERT INTO duplicate_keys')).length;
+      expect(candidates).toBeLessThan(100);
+      // Beyond reading its candidates and storing its keys, a few lookups and inserts
+      expect(executed.length - candidates - keys).toBeLessThanOrEqual(8);
+    }
+
+    const statements = new Map([...known, ...added].flat().map(statement => [statement.sql, statement]));
+    for (const statement of statements.values()) {
+      expect(fullScans(db, statement), statement.sql).toEqual([]);
+    }
+  });
+
+  it('should look up read/saved state by id', () => {
+    const ids = Array.from({ length: 1000 }, (_, i) => 1 + i * 37);
+
+    let fetched;
+    const executed = trace(db, () => {
+      for (const id of ids) {
+        articleOps.updateRead(userId, id, true);
+        articleOps.updateSaved(userId, id, true);
+      }
+      fetched = articleOps.getByIds(userId, ids);
+    });
+
+    expect(fetched.every(a => a.is_read && a.is_saved)).toBe(true);
+    // Each update is a fixed few statements, and the ids are fetched together
+    expect(executed.length).toBeLessThanOrEqual(ids.length * 2 * 3 + 10);
+    const statements = new Map(executed.map(statement => [statement.sql, statement]));
+    for (const statement of statements.values()) {
+      expect(fullScans(db, statement), statement.sql).toEqual([]);
+    }
+  });
+});
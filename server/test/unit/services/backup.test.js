@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  backupDirFor,
+  checkIntegrity,
+  createBackup,
+  listBackups,
+  restoreFromBackup
+} from '../../../src/services/backup.js';
+
+function createDatabase(file, title) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE feeds (id INTEGER PRIMARY KEY, title TEXT)');
+  db.prepare('INSERT INTO feeds (title) VALUES (?)').run(title);
+  return db;
+}
+
+function readTitle(file) {
+  const db = new Database(file, { readonly: true });
+  const { title } = db.prepare('SELECT title FROM feeds').get();
+  db.close();
+  return title;
+}
+
+describe('Database backups', () => {
+  let tmpDir;
+  let dbFile;
+  let backupDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-backup-'));
+    dbFile = path.join(tmpDir, 'database.db');
+    backupDir = backupDirFor(dbFile);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  describe('backupDirFor', () => {
+    it('should place backups next to the database file', () => {
+      expect(backupDirFor(path.join('data', 'database.db'))).toBe(path.join('data', 'backups'));
+    });
+  });
+
+  describe('checkIntegrity', () => {
+    it('should accept a healthy database', () => {
+      createDatabase(dbFile, 'Feed').close();
+      expect(checkIntegrity(dbFile)).toEqual({ ok: true });
+    });
+
+    it('should reject a file that is not a database', () => {
+      fs.writeFileSync(dbFile, 'this is not sqlite at all, just some text that got written here');
+      const result = checkIntegrity(dbFile);
+      expect(result.ok).toBe(false);
+      expect(result.error).toMatch(/not a database/);
+    });
+
+    it('should reject a truncated (empty) file', () => {
+      fs.writeFileSync(dbFile, '');
+      expect(checkIntegrity(dbFile)).toEqual({ ok: false, error: 'file is empty' });
+    });
+
+    it('should reject a missing file', () => {
+      expect(checkIntegrity(dbFile).ok).toBe(false);
+    });
+  });
+
+  describe('createBackup', () => {
+    it('should write a self-contained timestamped copy', async () => {
+      const db = createDatabase(dbFile, 'Original');
+
+      const backup = await createBackup(db, backupDir, 5);
+      db.close();
+
+      expect(path.basename(backup)).toMatch(/^database-\d{4}-\d{2}-\d{2}T[\d-]+Z\.db$/);
+      expect(readTitle(backup)).toBe('Original');
+      expect(fs.readdirSync(backupDir)).toEqual([path.basename(backup)]);
+    });
+
+    it('should keep only the newest N backups', async () => {
+      const db = createDatabase(dbFile, 'Feed');
+      vi.useFakeTimers({ toFake: ['Date'] });
+
+      const created = [];
+      for (let i = 0; i < 4; i++) {
+        vi.setSystemTime(new Date(Date.UTC(2025, 0, 1 + i)));
+        created.push(await createBackup(db, backupDir, 2));
+      }
+      vi.useRealTimers();
+      db.close();
+
+      expect(listBackups(backupDir)).toEqual([created[3], created[2]]);
+    });
+  });
+
+  describe('restoreFromBackup', () => {
+    it('should restore the newest valid backup and keep the corrupt file', async () => {
+      const db = createDatabase(dbFile, 'Backed up');
+      await createBackup(db, backupDir, 5);
+      db.close();
+
+      fs.writeFileSync(dbFile, 'garbage');
+
+      const restored = restoreFromBackup(dbFile, backupDir);
+
+      expect(restored).toBe(listBackups(backupDir)[0]);
+      expect(readTitle(dbFile)).toBe('Backed up');
+      expect(fs.readdirSync(tmpDir).some(name => name.startsWith('database.db.corrupt-'))).toBe(true);
+    });
+
+    it('should skip corrupt backups', async () => {
+      const db = createDatabase(dbFile, 'Good');
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(Date.UTC(2025, 0, 1)));
+      const good = await createBackup(db, backupDir, 5);
+      vi.setSystemTime(new Date(Date.UTC(2025, 0, 2)));
+      const bad = await createBackup(db, backupDir, 5);
+      vi.useRealTimers();
+      db.close();
+
+      fs.writeFileSync(bad, 'truncated');
+      fs.writeFileSync(dbFile, 'garbage');
+
+      expect(restoreFromBackup(dbFile, backupDir)).toBe(good);
+      expect(readTitle(dbFile)).toBe('Good');
+    });
+
+    it('should return null when no usable backup exists', () => {
+      fs.writeFileSync(dbFile, 'garbage');
+
+      expect(restoreFromBackup(dbFile, backupDir)).toBeNull();
+      expect(fs.existsSync(dbFile)).toBe(false);
+    });
+  });
+});
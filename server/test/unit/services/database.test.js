@@ -1,46 +1,50 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs';
-
-// Mock fs module before importing database
-vi.mock('fs', () => ({
-  default: {
-    existsSync: vi.fn(() => false),
-    readFileSync: vi.fn(),
-    writeFile: vi.fn((file, data, encoding, callback) => {
-      callback(null);
-    }),
-    mkdirSync: vi.fn(),
-    renameSync: vi.fn(),
-  },
-}));
-
-// Import database functions after mocking fs
-import { feedOps, articleOps, settingsOps, initDatabase, shutdownDatabase } from '../../../src/services/database.js';
+import os from 'os';
+import path from 'path';
+import {
+  feedOps,
+  articleOps,
+  tagOps,
+  annotationOps,
+  playbackOps,
+  filterRuleOps,
+  actionOps,
+  UNDO_PERIOD_MS,
+  folderOps,
+  userOps,
+  settingsOps,
+  userSettingsOps,
+  initDatabase,
+  shutdownDatabase,
+  backupDatabase,
+  getValidationReport,
+  archiveOps
+} from '../../../src/services/database.js';
+import { encodeCursor, decodeCursor } from '../../../src/utils/pagination.js';
+
+// The owner account every new database starts with
+const userId = 1;
 
 describe('Database - Feed Operations', () => {
   beforeEach(() => {
-    // Reset database state before each test
-    const db = global.__DB__;
-    db.feeds = [];
-    db.articles = [];
-    db.settings = {};
-    db.nextFeedId = 1;
-    db.nextArticleId = 1;
+    // Fresh in-memory database before each test
+    initDatabase(':memory:');
 
     vi.clearAllMocks();
   });
 
   describe('feedOps.all', () => {
     it('should return empty array when no feeds exist', () => {
-      const feeds = feedOps.all();
+      const feeds = feedOps.all(userId);
       expect(feeds).toEqual([]);
     });
 
     it('should return all feeds', () => {
-      feedOps.insert('Feed 1', 'https://example.com/feed1.xml');
-      feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      feedOps.subscribe(userId, 'Feed 1', 'https://example.com/feed1.xml');
+      feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
 
-      const feeds = feedOps.all();
+      const feeds = feedOps.all(userId);
       expect(feeds).toHaveLength(2);
       expect(feeds[0].title).toBe('Feed 1');
       expect(feeds[1].title).toBe('Feed 2');
@@ -49,8 +53,8 @@ describe('Database - Feed Operations', () => {
 
   describe('feedOps.get', () => {
     it('should return feed by id', () => {
-      const feed = feedOps.insert('Test Feed', 'https://example.com/feed.xml');
-      const found = feedOps.get(feed.id);
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+      const found = feedOps.get(userId, feed.id);
 
       expect(found).toBeDefined();
       expect(found.id).toBe(feed.id);
@@ -58,15 +62,15 @@ describe('Database - Feed Operations', () => {
     });
 
     it('should return undefined for non-existent feed', () => {
-      const found = feedOps.get(999);
+      const found = feedOps.get(userId, 999);
       expect(found).toBeUndefined();
     });
   });
 
   describe('feedOps.insert', () => {
     it('should insert new feed with auto-incrementing id', () => {
-      const feed1 = feedOps.insert('Feed 1', 'https://example.com/feed1.xml');
-      const feed2 = feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      const feed1 = feedOps.subscribe(userId, 'Feed 1', 'https://example.com/feed1.xml');
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
 
       expect(feed1.id).toBe(1);
       expect(feed2.id).toBe(2);
@@ -75,70 +79,160 @@ describe('Database - Feed Operations', () => {
       expect(feed1.created_at).toBeDefined();
     });
 
-    it('should trigger database save', async () => {
-      feedOps.insert('Test Feed', 'https://example.com/feed.xml');
-      await new Promise(resolve => setImmediate(resolve));
-      expect(fs.writeFile).toHaveBeenCalled();
+    it('should share the feed at a URL however it is written', () => {
+      const feed = feedOps.subscribe(userId, 'Feed', 'https://example.com/feed.xml');
+
+      expect(feedOps.findByUrl('https://example.com/feed.xml?utm_source=rss')).toMatchObject({ id: feed.id });
+      expect(feedOps.findByUrl('https://example.com/other.xml')).toBeUndefined();
+      expect(feedOps.findByUrl(feed.url)).not.toHaveProperty('url_key');
     });
   });
 
   describe('feedOps.update', () => {
     it('should update feed title', () => {
-      const feed = feedOps.insert('Old Title', 'https://example.com/feed.xml');
-      feedOps.update(feed.id, 'New Title');
+      const feed = feedOps.subscribe(userId, 'Old Title', 'https://example.com/feed.xml');
+      feedOps.update(userId, feed.id, 'New Title');
 
-      const updated = feedOps.get(feed.id);
+      const updated = feedOps.get(userId, feed.id);
       expect(updated.title).toBe('New Title');
     });
 
     it('should not crash when updating non-existent feed', () => {
-      expect(() => feedOps.update(999, 'New Title')).not.toThrow();
+      expect(() => feedOps.update(userId, 999, 'New Title')).not.toThrow();
     });
 
-    it('should trigger database save', async () => {
-      const feed = feedOps.insert('Test Feed', 'https://example.com/feed.xml');
-      vi.clearAllMocks();
+  });
+
+  describe('feedOps.validators', () => {
+    it('should keep the validators of the last download', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+      expect(feedOps.validators(feed.id)).toEqual({ etag: null, lastModified: null });
 
-      feedOps.update(feed.id, 'Updated');
-      await new Promise(resolve => setImmediate(resolve));
-      expect(fs.writeFile).toHaveBeenCalled();
+      feedOps.updateValidators(feed.id, { etag: '"v1"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' });
+      expect(feedOps.validators(feed.id)).toEqual({ etag: '"v1"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' });
+
+      // A server that stops sending them gets unconditional requests again
+      feedOps.updateValidators(feed.id, { etag: null });
+      expect(feedOps.validators(feed.id)).toEqual({ etag: null, lastModified: null });
+    });
+  });
+
+  describe('feedOps.recordSync', () => {
+    const now = Date.UTC(2025, 0, 1, 12, 0);
+    const at = (minutes) => new Date(now + minutes * 60 * 1000).toISOString();
+
+    it('should make new feeds due right away', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+
+      expect(feedOps.due(now).map(f => f.id)).toEqual([feed.id]);
+      expect(feedOps.get(userId, feed.id)).toMatchObject({ last_sync_at: null, next_sync_at: null });
+    });
+
+    it('should schedule the next sync on the feed interval', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+
+      feedOps.recordSync(feed.id, { interval: 60 }, now);
+
+      expect(feedOps.get(userId, feed.id)).toMatchObject({ last_sync_at: at(0), next_sync_at: at(60) });
+      expect(feedOps.due(now + 59 * 60 * 1000)).toEqual([]);
+      expect(feedOps.due(now + 60 * 60 * 1000).map(f => f.id)).toEqual([feed.id]);
+    });
+
+    it('should keep the interval of feeds that were not downloaded', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+      feedOps.recordSync(feed.id, { interval: 60 }, now);
+
+      // e.g. 304 Not Modified
+      feedOps.recordSync(feed.id, {}, now);
+
+      expect(feedOps.get(userId, feed.id).next_sync_at).toBe(at(60));
+    });
+
+    it('should back off after consecutive failures and reset on success', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+
+      feedOps.recordSync(feed.id, { error: new Error('Feed request timed out') }, now);
+      expect(feedOps.get(userId, feed.id).next_sync_at).toBe(at(30));
+      feedOps.recordSync(feed.id, { error: new Error('Feed request timed out') }, now);
+      expect(feedOps.get(userId, feed.id).next_sync_at).toBe(at(60));
+
+      feedOps.recordSync(feed.id, { interval: null }, now);
+      expect(feedOps.get(userId, feed.id).next_sync_at).toBe(at(15));
+    });
+
+    it('should keep track of the health of a feed', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+
+      feedOps.recordSync(feed.id, {}, now);
+      feedOps.recordSync(feed.id, { error: Object.assign(new Error('HTTP 404: Not Found'), { status: 404 }) }, now + 1000);
+      feedOps.recordSync(feed.id, { error: Object.assign(new Error('HTTP 410: Gone'), { status: 410 }) }, now + 2000);
+
+      expect(feedOps.get(userId, feed.id)).toMatchObject({
+        last_success_at: at(0),
+        last_error: 'HTTP 410: Gone',
+        last_status: 410,
+        sync_failures: 2
+      });
+
+      // The last error is kept for reference after the feed recovers
+      feedOps.recordSync(feed.id, {}, now + 3000);
+      expect(feedOps.get(userId, feed.id)).toMatchObject({
+        last_success_at: new Date(now + 3000).toISOString(),
+        last_error: 'HTTP 410: Gone',
+        sync_failures: 0
+      });
+    });
+
+    it('should report how many articles a feed publishes per day', () => {
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      for (let i = 0; i < 15; i++) {
+        articleOps.insert(feed.id, `Recent ${i}`, `https://example.com/recent-${i}`, 'Content', daysAgo(i));
+      }
+      articleOps.insert(feed.id, 'Old', 'https://example.com/old', 'Content', daysAgo(90));
+
+      // 15 articles in the last 30 days
+      expect(feedOps.get(userId, feed.id).items_per_day).toBe(0.5);
+    });
+
+    it('should list the longest overdue feeds first and skip feeds nobody reads', () => {
+      const first = feedOps.subscribe(userId, 'First', 'https://example.com/first.xml');
+      const second = feedOps.subscribe(userId, 'Second', 'https://example.com/second.xml');
+      const unread = feedOps.subscribe(userId, 'Unsubscribed', 'https://example.com/gone.xml');
+      feedOps.recordSync(first.id, {}, now);
+      feedOps.recordSync(second.id, {}, now - 60 * 60 * 1000);
+      feedOps.delete(userId, unread.id);
+
+      expect(feedOps.due(now + 24 * 60 * 60 * 1000).map(f => f.id)).toEqual([second.id, first.id]);
     });
   });
 
   describe('feedOps.delete', () => {
     it('should delete feed and its articles', () => {
-      const feed = feedOps.insert('Test Feed', 'https://example.com/feed.xml');
+      const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
       articleOps.insert(feed.id, 'Article 1', 'https://example.com/article1', 'Content', new Date().toISOString());
       articleOps.insert(feed.id, 'Article 2', 'https://example.com/article2', 'Content', new Date().toISOString());
 
-      feedOps.delete(feed.id);
+      feedOps.delete(userId, feed.id);
 
-      expect(feedOps.all()).toHaveLength(0);
-      expect(articleOps.all()).toHaveLength(0);
+      expect(feedOps.all(userId)).toHaveLength(0);
+      expect(articleOps.all(userId)).toHaveLength(0);
     });
 
     it('should not affect other feeds', () => {
-      const feed1 = feedOps.insert('Feed 1', 'https://example.com/feed1.xml');
-      const feed2 = feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      const feed1 = feedOps.subscribe(userId, 'Feed 1', 'https://example.com/feed1.xml');
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
 
       articleOps.insert(feed1.id, 'Article 1', 'https://example.com/article1', 'Content', new Date().toISOString());
       articleOps.insert(feed2.id, 'Article 2', 'https://example.com/article2', 'Content', new Date().toISOString());
 
-      feedOps.delete(feed1.id);
+      feedOps.delete(userId, feed1.id);
 
-      expect(feedOps.all()).toHaveLength(1);
-      expect(feedOps.get(feed2.id)).toBeDefined();
-      expect(articleOps.all()).toHaveLength(1);
+      expect(feedOps.all(userId)).toHaveLength(1);
+      expect(feedOps.get(userId, feed2.id)).toBeDefined();
+      expect(articleOps.all(userId)).toHaveLength(1);
     });
 
-    it('should trigger database save', async () => {
-      const feed = feedOps.insert('Test Feed', 'https://example.com/feed.xml');
-      vi.clearAllMocks();
-
-      feedOps.delete(feed.id);
-      await new Promise(resolve => setImmediate(resolve));
-      expect(fs.writeFile).toHaveBeenCalled();
-    });
   });
 });
 
@@ -146,21 +240,16 @@ describe('Database - Article Operations', () => {
   let feed;
 
   beforeEach(() => {
-    // Reset database state
-    const db = global.__DB__;
-    db.feeds = [];
-    db.articles = [];
-    db.settings = {};
-    db.nextFeedId = 1;
-    db.nextArticleId = 1;
-
-    feed = feedOps.insert('Test Feed', 'https://example.com/feed.xml');
+    // Fresh in-memory database before each test
+    initDatabase(':memory:');
+
+    feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
     vi.clearAllMocks();
   });
 
   describe('articleOps.all', () => {
     it('should return empty array when no articles exist', () => {
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toEqual([]);
     });
 
@@ -170,7 +259,7 @@ describe('Database - Article Operations', () => {
       const article2 = articleOps.insert(feed.id, 'Article 2', 'https://example.com/a2', 'Content 2', new Date(now - 1000).toISOString());
       const article3 = articleOps.insert(feed.id, 'Article 3', 'https://example.com/a3', 'Content 3', now.toISOString());
 
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toHaveLength(3);
       expect(articles[0].id).toBe(article3.id); // Newest
       expect(articles[1].id).toBe(article2.id);
@@ -178,12 +267,12 @@ describe('Database - Article Operations', () => {
     });
 
     it('should filter by feed_id', () => {
-      const feed2 = feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
       articleOps.insert(feed.id, 'Article 1', 'https://example.com/a1', 'Content', new Date().toISOString());
       articleOps.insert(feed2.id, 'Article 2', 'https://example.com/a2', 'Content', new Date().toISOString());
 
-      const feed1Articles = articleOps.all(feed.id);
-      const feed2Articles = articleOps.all(feed2.id);
+      const feed1Articles = articleOps.all(userId, feed.id);
+      const feed2Articles = articleOps.all(userId, feed2.id);
 
       expect(feed1Articles).toHaveLength(1);
       expect(feed2Articles).toHaveLength(1);
@@ -196,9 +285,9 @@ describe('Database - Article Operations', () => {
       const a2 = articleOps.insert(feed.id, 'Article 2', 'https://example.com/a2', 'Content', new Date().toISOString());
       const a3 = articleOps.insert(feed.id, 'Article 3', 'https://example.com/a3', 'Content', new Date().toISOString());
 
-      articleOps.updateRead(a2.id, true);
+      articleOps.updateRead(userId, a2.id, true);
 
-      const unread = articleOps.all(null, true);
+      const unread = articleOps.all(userId, null, true);
       expect(unread).toHaveLength(2);
       expect(unread.find(a => a.id === a1.id)).toBeDefined();
       expect(unread.find(a => a.id === a2.id)).toBeUndefined();
@@ -208,19 +297,97 @@ describe('Database - Article Operations', () => {
     it('should include feed_title in results', () => {
       articleOps.insert(feed.id, 'Article 1', 'https://example.com/a1', 'Content', new Date().toISOString());
 
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles[0].feed_title).toBe('Test Feed');
     });
 
-    it('should show Unknown for articles with deleted feeds', () => {
-      const a1 = articleOps.insert(feed.id, 'Article 1', 'https://example.com/a1', 'Content', new Date().toISOString());
+    it('should use the title the user gave the feed', () => {
+      articleOps.insert(feed.id, 'Article 1', 'https://example.com/a1', 'Content', new Date().toISOString());
+
+      feedOps.update(userId, feed.id, 'My Feed');
+
+      const articles = articleOps.all(userId);
+      expect(articles[0].feed_title).toBe('My Feed');
+    });
+  });
+
+  describe('articleOps.page', () => {
+    const insertMany = (count) => Array.from({ length: count }, (_, i) =>
+      articleOps.insert(feed.id, `Article ${i}`, `https://example.com/${i}`, 'Content',
+        // Two articles per timestamp, so pages split ties
+        new Date(Date.UTC(2025, 0, 1 + Math.floor(i / 2))).toISOString())
+    );
+
+    it('should walk all articles newest first without gaps or repeats', () => {
+      insertMany(7);
+      const expected = articleOps.all(userId).map(a => a.id);
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = articleOps.page(userId, { limit: 3, cursor });
+        expect(page.articles.length).toBeLessThanOrEqual(3);
+        seen.push(...page.articles.map(a => a.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(expected);
+    });
+
+    it('should page across articles without a date, listing them last', () => {
+      insertMany(5);
+      const undated = articleOps.all(userId).map(a => a.id).filter((id, i) => i % 2 === 1);
+      global.__DB__.prepare(`UPDATE articles SET pub_ts = NULL WHERE id IN (${undated.join(', ')})`).run();
+      const expected = articleOps.all(userId).map(a => a.id);
+      expect(expected.slice(-undated.length).sort()).toEqual([...undated].sort());
+
+      for (const limit of [1, 2, 3]) {
+        const seen = [];
+        let cursor = null;
+        do {
+          const page = articleOps.page(userId, { limit, cursor });
+          seen.push(...page.articles.map(a => a.id));
+          cursor = page.nextCursor && decodeCursor(encodeCursor(page.nextCursor));
+        } while (cursor);
+        expect(seen).toEqual(expected);
+      }
+    });
+
+    it('should return no cursor on the last page', () => {
+      insertMany(3);
+      expect(articleOps.page(userId, { limit: 3 }).nextCursor).toBeNull();
+      expect(articleOps.page(userId, { limit: 2 }).nextCursor).not.toBeNull();
+    });
+
+    it('should keep pages stable when newer articles arrive', () => {
+      insertMany(4);
+      const first = articleOps.page(userId, { limit: 2 });
+      articleOps.insert(feed.id, 'Breaking', 'https://example.com/new', 'Content', new Date().toISOString());
+
+      const second = articleOps.page(userId, { limit: 2, cursor: first.nextCursor });
+      const all = articleOps.all(userId).map(a => a.id);
+      expect(second.articles.map(a => a.id)).toEqual(all.slice(3, 5));
+    });
+
+    it('should filter unread and saved articles', () => {
+      const [a1, a2] = insertMany(3);
+      articleOps.updateRead(userId, a1.id, true);
+      articleOps.updateSaved(userId, a2.id, true);
+
+      expect(articleOps.page(userId, { unreadOnly: true }).articles.map(a => a.id)).not.toContain(a1.id);
+      expect(articleOps.page(userId, { savedOnly: true }).articles.map(a => a.id)).toEqual([a2.id]);
+    });
+  });
 
-      // Manually remove feed to simulate orphaned article scenario
-      const db = global.__DB__;
-      db.feeds = db.feeds.filter(f => f.id !== feed.id);
+  describe('articleOps.unreadCounts', () => {
+    it('should count unread articles per feed and each story once in total', () => {
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
+      articleOps.insert(feed.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      articleOps.insert(feed2.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      const read = articleOps.insert(feed.id, 'Other', 'https://example.com/other', '', new Date().toISOString());
+      articleOps.updateRead(userId, read.id, true);
 
-      const articles = articleOps.all();
-      expect(articles[0].feed_title).toBe('Unknown');
+      expect(articleOps.unreadCounts(userId)).toEqual({ total: 1, feeds: { [feed.id]: 1, [feed2.id]: 1 }, folders: {} });
     });
   });
 
@@ -230,7 +397,7 @@ describe('Database - Article Operations', () => {
       const a2 = articleOps.insert(feed.id, 'Article 2', 'https://example.com/a2', 'Content', new Date().toISOString());
       const a3 = articleOps.insert(feed.id, 'Article 3', 'https://example.com/a3', 'Content', new Date().toISOString());
 
-      const articles = articleOps.getByIds([a1.id, a3.id]);
+      const articles = articleOps.getByIds(userId, [a1.id, a3.id]);
       expect(articles).toHaveLength(2);
       expect(articles.find(a => a.id === a1.id)).toBeDefined();
       expect(articles.find(a => a.id === a2.id)).toBeUndefined();
@@ -238,13 +405,13 @@ describe('Database - Article Operations', () => {
     });
 
     it('should return empty array for non-existent ids', () => {
-      const articles = articleOps.getByIds([999, 1000]);
+      const articles = articleOps.getByIds(userId, [999, 1000]);
       expect(articles).toHaveLength(0);
     });
 
     it('should include feed_title', () => {
       const a1 = articleOps.insert(feed.id, 'Article 1', 'https://example.com/a1', 'Content', new Date().toISOString());
-      const articles = articleOps.getByIds([a1.id]);
+      const articles = articleOps.getByIds(userId, [a1.id]);
       expect(articles[0].feed_title).toBe('Test Feed');
     });
   });
@@ -270,7 +437,7 @@ describe('Database - Article Operations', () => {
     });
 
     it('should allow same URL in different feeds', () => {
-      const feed2 = feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
       const url = 'https://example.com/article';
 
       const a1 = articleOps.insert(feed.id, 'Article 1', url, 'Content', new Date().toISOString());
@@ -282,7 +449,7 @@ describe('Database - Article Operations', () => {
     });
 
     it('should allow same title in different feeds', () => {
-      const feed2 = feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
 
       const a1 = articleOps.insert(feed.id, 'Same Title', 'https://example.com/a1', 'Content', new Date().toISOString());
       const a2 = articleOps.insert(feed2.id, 'Same Title', 'https://example.com/a2', 'Content', new Date().toISOString());
@@ -309,9 +476,8 @@ describe('Database - Article Operations', () => {
       expect(article.content).toBe('<p>Content</p>');
       expect(article.pub_date).toBe(pubDate);
       expect(article.image_url).toBe('https://example.com/image.jpg');
-      expect(article.is_read).toBe(false);
-      expect(article.is_saved).toBe(false);
       expect(article.created_at).toBeDefined();
+      expect(articleOps.getByIds(userId, [article.id])[0]).toMatchObject({ is_read: false, is_saved: false });
     });
 
     it('should handle missing image_url', () => {
@@ -323,13 +489,90 @@ describe('Database - Article Operations', () => {
         new Date().toISOString()
       );
 
-      expect(article.image_url).toBeNull();
+      expect(article.image_url).toBeUndefined();
     });
 
-    it('should trigger database save', async () => {
-      articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
-      await new Promise(resolve => setImmediate(resolve));
-      expect(fs.writeFile).toHaveBeenCalled();
+  });
+
+  describe('articleOps.insert - Cross-feed Duplicates', () => {
+    let feed2;
+
+    beforeEach(() => {
+      feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
+    });
+
+    it('should link copies of the same URL in other feeds to the first article', () => {
+      const a1 = articleOps.insert(feed.id, 'Video', 'https://www.youtube.com/watch?v=abc123', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Video', 'https://youtu.be/abc123', '', new Date().toISOString());
+
+      expect(a1.duplicate_of).toBeNull();
+      expect(a2.duplicate_of).toBe(a1.id);
+    });
+
+    it('should link near-identical titles published around the same time', () => {
+      const now = Date.now();
+      const a1 = articleOps.insert(feed.id, 'Rust 2.0 released with new borrow checker', 'https://a.com/1', '', new Date(now).toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Rust 2.0 Released With New Borrow Checker', 'https://b.com/1', '', new Date(now + 3600000).toISOString());
+      const a3 = articleOps.insert(feed2.id, 'Rust 2.0 released with new borrow checker!', 'https://b.com/2', '', new Date(now - 10 * 86400000).toISOString());
+
+      expect(a2.duplicate_of).toBe(a1.id);
+      expect(a3.duplicate_of).toBeNull();
+    });
+
+    it('should list a story once across feeds, with the other feeds in also_in', () => {
+      const a1 = articleOps.insert(feed.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Story', 'https://example.com/story/', '', new Date().toISOString());
+
+      const all = articleOps.all(userId);
+      expect(all.map(a => a.id)).toEqual([a1.id]);
+      expect(all[0].also_in).toEqual([{ id: a2.id, feed_id: feed2.id, feed_title: 'Feed 2' }]);
+
+      const inFeed2 = articleOps.all(userId, feed2.id);
+      expect(inFeed2.map(a => a.id)).toEqual([a2.id]);
+      expect(inFeed2[0].also_in).toEqual([{ id: a1.id, feed_id: feed.id, feed_title: 'Test Feed' }]);
+    });
+
+    it('should give each page the copies of its own stories', () => {
+      const now = Date.now();
+      const older = articleOps.insert(feed.id, 'Older', 'https://example.com/older', '', new Date(now - 60000).toISOString());
+      const olderCopy = articleOps.insert(feed2.id, 'Older', 'https://example.com/older', '', new Date(now - 60000).toISOString());
+      const newer = articleOps.insert(feed.id, 'Newer', 'https://example.com/newer', '', new Date(now).toISOString());
+      const newerCopy = articleOps.insert(feed2.id, 'Newer', 'https://example.com/newer', '', new Date(now).toISOString());
+
+      const first = articleOps.page(userId, { limit: 1 });
+      const second = articleOps.page(userId, { limit: 1, cursor: first.nextCursor });
+
+      expect(first.articles.map(a => [a.id, a.also_in.map(copy => copy.id)])).toEqual([[newer.id, [newerCopy.id]]]);
+      expect(second.articles.map(a => [a.id, a.also_in.map(copy => copy.id)])).toEqual([[older.id, [olderCopy.id]]]);
+    });
+
+    it('should share read state across copies', () => {
+      const a1 = articleOps.insert(feed.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+
+      articleOps.updateRead(userId, a2.id, true);
+      expect(articleOps.getByIds(userId, [a1.id, a2.id]).every(a => a.is_read)).toBe(true);
+
+      // Copies arriving later start out read as well
+      const feed3 = feedOps.subscribe(userId, 'Feed 3', 'https://example.com/feed3.xml');
+      const a3 = articleOps.insert(feed3.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      expect(articleOps.getByIds(userId, [a3.id])[0].is_read).toBe(true);
+      expect(a3.duplicate_of).toBe(a1.id);
+    });
+
+    it('should promote the oldest copy when the primary feed is deleted', () => {
+      const a1 = articleOps.insert(feed.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      const feed3 = feedOps.subscribe(userId, 'Feed 3', 'https://example.com/feed3.xml');
+      const a3 = articleOps.insert(feed3.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+
+      feedOps.delete(userId, feed.id);
+      actionOps.purge(Date.now() + UNDO_PERIOD_MS + 1000);
+
+      const [b2, b3] = articleOps.getByIds(userId, [a2.id, a3.id]);
+      expect(a1.duplicate_of).toBeNull();
+      expect(b2.duplicate_of).toBeNull();
+      expect(b3.duplicate_of).toBe(a2.id);
     });
   });
 
@@ -337,32 +580,229 @@ describe('Database - Article Operations', () => {
     it('should mark article as read', () => {
       const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
 
-      articleOps.updateRead(article.id, true);
+      articleOps.updateRead(userId, article.id, true);
 
-      const updated = articleOps.all().find(a => a.id === article.id);
+      const updated = articleOps.all(userId).find(a => a.id === article.id);
       expect(updated.is_read).toBe(true);
     });
 
     it('should mark article as unread', () => {
       const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
-      articleOps.updateRead(article.id, true);
-      articleOps.updateRead(article.id, false);
+      articleOps.updateRead(userId, article.id, true);
+      articleOps.updateRead(userId, article.id, false);
 
-      const updated = articleOps.all().find(a => a.id === article.id);
+      const updated = articleOps.all(userId).find(a => a.id === article.id);
       expect(updated.is_read).toBe(false);
     });
 
     it('should not crash when updating non-existent article', () => {
-      expect(() => articleOps.updateRead(999, true)).not.toThrow();
+      expect(() => articleOps.updateRead(userId, 999, true)).not.toThrow();
     });
 
-    it('should trigger database save', async () => {
-      const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
-      vi.clearAllMocks();
+  });
+
+  describe('articleOps full content', () => {
+    const now = Date.parse('2025-06-10T12:00:00.000Z');
+    const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
+
+    it('should list recent articles of feeds with the option, newest first', () => {
+      const older = articleOps.insert(feed.id, 'Older', 'https://example.com/older', 'Summary', '2025-06-08T00:00:00.000Z');
+      const newer = articleOps.insert(feed.id, 'Newer', 'https://example.com/newer', 'Summary', '2025-06-09T00:00:00.000Z');
+      articleOps.insert(feed.id, 'Old', 'https://example.com/old', 'Summary', '2025-05-01T00:00:00.000Z');
+      const other = feedOps.subscribe(userId, 'Other Feed', 'https://example.com/other.xml');
+      articleOps.insert(other.id, 'Elsewhere', 'https://example.com/elsewhere', 'Summary', '2025-06-09T00:00:00.000Z');
 
-      articleOps.updateRead(article.id, true);
-      await new Promise(resolve => setImmediate(resolve));
-      expect(fs.writeFile).toHaveBeenCalled();
+      expect(articleOps.pendingFullContent(weekAgo, 10)).toEqual([]);
+
+      feedOps.updateFullContent(feed.id, true);
+
+      expect(feedOps.get(userId, feed.id).fetch_full_content).toBe(true);
+      expect(articleOps.pendingFullContent(weekAgo, 10)).toEqual([
+        { id: newer.id, link: 'https://example.com/newer' },
+        { id: older.id, link: 'https://example.com/older' }
+      ]);
+      expect(articleOps.pendingFullContent(weekAgo, 1)).toHaveLength(1);
+    });
+
+    it('should store the content and search it', () => {
+      feedOps.updateFullContent(feed.id, true);
+      const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Summary', '2025-06-09T00:00:00.000Z');
+
+      articleOps.updateFullContent(article.id, '<p>The whole <b>zeppelin</b> story</p>', now);
+
+      expect(articleOps.pendingFullContent(weekAgo, 10)).toEqual([]);
+      const stored = articleOps.getByIds(userId, [article.id])[0];
+      expect(stored.full_content).toBe('<p>The whole <b>zeppelin</b> story</p>');
+      expect(stored).not.toHaveProperty('full_content_at');
+      expect(articleOps.search(userId, '"zeppelin"').total).toBe(1);
+    });
+
+    it('should not try again when no content was found', () => {
+      feedOps.updateFullContent(feed.id, true);
+      const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Summary', '2025-06-09T00:00:00.000Z');
+
+      articleOps.updateFullContent(article.id, null, now);
+
+      expect(articleOps.pendingFullContent(weekAgo, 10)).toEqual([]);
+      expect(articleOps.getByIds(userId, [article.id])[0]).not.toHaveProperty('full_content');
+      expect(articleOps.search(userId, '"summary"').total).toBe(1);
+    });
+  });
+
+  describe('articleOps.insert - Enclosures', () => {
+    it('should return the enclosure with the article', () => {
+      const enclosure = { url: 'https://cdn.example.com/1.mp3', type: 'audio/mpeg', length: 1234, duration: 3723 };
+      const episode = articleOps.insert(feed.id, 'Episode 1', 'https://example.com/1', 'Notes', new Date().toISOString(), null, enclosure);
+      const post = articleOps.insert(feed.id, 'Post', 'https://example.com/post', 'Text', new Date().toISOString());
+
+      const articles = articleOps.getByIds(userId, [episode.id, post.id]);
+      expect(articles.find(a => a.id === episode.id).enclosure).toEqual(enclosure);
+      expect(articles.find(a => a.id === post.id)).not.toHaveProperty('enclosure');
+      expect(articles[0]).not.toHaveProperty('enclosure_url');
+    });
+  });
+
+  describe('playbackOps', () => {
+    let episode;
+
+    beforeEach(() => {
+      episode = articleOps.insert(feed.id, 'Episode 1', 'https://example.com/1', 'Notes', new Date().toISOString(), null, {
+        url: 'https://cdn.example.com/1.mp3', type: 'audio/mpeg', length: null, duration: 3600
+      });
+    });
+
+    it('should start episodes from the beginning at normal speed', () => {
+      expect(playbackOps.get(userId, episode.id)).toEqual({ position: 0, speed: 1, updated_at: null });
+    });
+
+    it('should remember position and speed per user and episode', () => {
+      const other = userOps.insert('reader', null);
+      feedOps.subscribe(other.id, 'Test Feed', 'https://example.com/feed.xml');
+
+      expect(playbackOps.set(userId, episode.id, { position: 754.5, speed: 1.5 })).toBe(true);
+      playbackOps.set(userId, episode.id, { position: 800, speed: 1.5 });
+
+      expect(playbackOps.get(userId, episode.id)).toMatchObject({ position: 800, speed: 1.5 });
+      expect(playbackOps.get(other.id, episode.id)).toMatchObject({ position: 0, speed: 1 });
+    });
+
+    it('should only know articles in the user\'s feeds', () => {
+      const other = userOps.insert('reader', null);
+
+      expect(playbackOps.get(other.id, episode.id)).toBeNull();
+      expect(playbackOps.set(other.id, episode.id, { position: 10, speed: 1 })).toBe(false);
+      expect(playbackOps.get(userId, 999)).toBeNull();
+    });
+
+    it('should bring positions back when a feed deletion is undone', () => {
+      playbackOps.set(userId, episode.id, { position: 120, speed: 2 });
+
+      const actionId = feedOps.delete(userId, feed.id);
+      expect(playbackOps.get(userId, episode.id)).toBeNull();
+
+      actionOps.undo(userId, actionId);
+      expect(playbackOps.get(userId, episode.id)).toMatchObject({ position: 120, speed: 2 });
+    });
+  });
+
+  describe('filterRuleOps', () => {
+    const sponsored = { field: 'title', matchType: 'keyword', pattern: 'sponsored', action: 'skip' };
+
+    it('should add, change and delete a user\'s rules', () => {
+      const rule = filterRuleOps.insert(userId, { ...sponsored, feedId: feed.id });
+      expect(rule).toEqual({
+        id: expect.any(Number),
+        feed_id: feed.id,
+        field: 'title',
+        match_type: 'keyword',
+        pattern: 'sponsored',
+        action: 'skip',
+        tag: null,
+        enabled: true,
+        created_at: expect.any(String)
+      });
+
+      const updated = filterRuleOps.update(userId, rule.id, { ...sponsored, action: 'tag', tag: 'Ads', enabled: false });
+      expect(updated).toMatchObject({ feed_id: null, action: 'tag', tag: 'Ads', enabled: false });
+
+      expect(filterRuleOps.all(userId)).toEqual([updated]);
+      expect(filterRuleOps.all(userOps.insert('reader', null).id)).toEqual([]);
+
+      filterRuleOps.delete(userId, rule.id);
+      expect(filterRuleOps.get(userId, rule.id)).toBeUndefined();
+    });
+
+    it('should find the enabled rules of a feed\'s subscribers', () => {
+      const other = userOps.insert('reader', null);
+      feedOps.subscribe(other.id, 'Test Feed', 'https://example.com/feed.xml');
+      const feed2 = feedOps.subscribe(userId, 'Other Feed', 'https://other.com/feed.xml');
+      const global = filterRuleOps.insert(userId, sponsored);
+      const own = filterRuleOps.insert(other.id, { ...sponsored, feedId: feed.id, action: 'save' });
+      filterRuleOps.insert(userId, { ...sponsored, feedId: feed2.id });
+      filterRuleOps.insert(other.id, { ...sponsored, enabled: false });
+
+      const { subscribers, rules } = filterRuleOps.forFeed(feed.id);
+
+      expect(subscribers).toEqual([userId, other.id]);
+      expect(rules.map(rule => rule.id)).toEqual([global.id, own.id]);
+    });
+
+    it('should keep the author and categories of articles for rules', () => {
+      articleOps.insert(feed.id, 'Weekly links', 'https://example.com/1', 'Links', '2024-01-02T00:00:00.000Z', null, null, {
+        author: 'Jane Doe', categories: ['Links']
+      });
+      const plain = articleOps.insert(feed.id, 'A story', 'https://example.com/2', 'Story', '2024-01-01T00:00:00.000Z');
+
+      expect(filterRuleOps.recent(userId, feed.id, 50)).toEqual([
+        expect.objectContaining({ title: 'Weekly links', author: 'Jane Doe', categories: ['Links'], feed_title: 'Test Feed' }),
+        expect.objectContaining({ title: 'A story', author: null, categories: [] })
+      ]);
+      expect(filterRuleOps.recent(userId, null, 1).map(article => article.title)).toEqual(['Weekly links']);
+      // Not part of the article itself
+      expect(articleOps.getByIds(userId, [plain.id])[0]).not.toHaveProperty('author');
+    });
+
+    it('should apply what rules decided to new articles', () => {
+      const other = userOps.insert('reader', null);
+      feedOps.subscribe(other.id, 'Test Feed', 'https://example.com/feed.xml');
+      const article = articleOps.insert(feed.id, 'Sponsored', 'https://example.com/1', 'Content', new Date().toISOString());
+
+      filterRuleOps.apply(article.id, [
+        { userId, hide: true },
+        { userId: other.id, markRead: true, save: true, tags: ['Ads'] }
+      ]);
+
+      // Hidden from the list, counts and search
+      expect(articleOps.all(userId)).toEqual([]);
+      expect(articleOps.unreadCounts(userId).total).toBe(0);
+      expect(articleOps.search(userId, 'sponsored').total).toBe(0);
+
+      const [seen] = articleOps.all(other.id);
+      expect(seen).toMatchObject({ id: article.id, is_read: true, is_saved: true, tags: [{ id: expect.any(Number), name: 'Ads' }] });
+    });
+
+    it('should list the copy of a story in another feed when the first one is hidden', () => {
+      const feed2 = feedOps.subscribe(userId, 'Other Feed', 'https://other.com/feed.xml');
+      const first = articleOps.insert(feed.id, 'Big News', 'https://news.com/story', 'Content', new Date().toISOString());
+      const copy = articleOps.insert(feed2.id, 'Big News', 'https://news.com/story', 'Content', new Date().toISOString());
+
+      filterRuleOps.apply(first.id, [{ userId, hide: true }]);
+
+      expect(articleOps.all(userId).map(article => article.id)).toEqual([copy.id]);
+    });
+
+    it('should go with the subscription and come back when its deletion is undone', () => {
+      const rule = filterRuleOps.insert(userId, { ...sponsored, feedId: feed.id });
+      const global = filterRuleOps.insert(userId, sponsored);
+      const article = articleOps.insert(feed.id, 'Sponsored', 'https://example.com/1', 'Content', new Date().toISOString());
+      filterRuleOps.apply(article.id, [{ userId, hide: true }]);
+
+      const actionId = feedOps.delete(userId, feed.id);
+      expect(filterRuleOps.all(userId)).toEqual([global]);
+
+      actionOps.undo(userId, actionId);
+      expect(filterRuleOps.all(userId)).toEqual([rule, global]);
+      expect(articleOps.all(userId)).toEqual([]);
     });
   });
 
@@ -370,32 +810,116 @@ describe('Database - Article Operations', () => {
     it('should mark article as saved', () => {
       const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
 
-      articleOps.updateSaved(article.id, true);
+      articleOps.updateSaved(userId, article.id, true);
 
-      const updated = articleOps.all().find(a => a.id === article.id);
+      const updated = articleOps.all(userId).find(a => a.id === article.id);
       expect(updated.is_saved).toBe(true);
     });
 
     it('should unmark article as saved', () => {
       const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
-      articleOps.updateSaved(article.id, true);
-      articleOps.updateSaved(article.id, false);
+      articleOps.updateSaved(userId, article.id, true);
+      articleOps.updateSaved(userId, article.id, false);
 
-      const updated = articleOps.all().find(a => a.id === article.id);
+      const updated = articleOps.all(userId).find(a => a.id === article.id);
       expect(updated.is_saved).toBe(false);
     });
 
     it('should not crash when updating non-existent article', () => {
-      expect(() => articleOps.updateSaved(999, true)).not.toThrow();
+      expect(() => articleOps.updateSaved(userId, 999, true)).not.toThrow();
     });
 
-    it('should trigger database save', async () => {
-      const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
-      vi.clearAllMocks();
+  });
+
+  describe('articleOps.updateState', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let feed2;
+
+    beforeEach(() => {
+      feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
+    });
+
+    const states = (ids) => articleOps.getByIds(userId, ids)
+      .map(a => [a.id, a.is_read, a.is_saved])
+      .sort(([a], [b]) => a - b);
+
+    it('should update the listed articles and return the ones that changed', () => {
+      const a1 = articleOps.insert(feed.id, 'One', 'https://example.com/1', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed.id, 'Two', 'https://example.com/2', '', new Date().toISOString());
+      const a3 = articleOps.insert(feed.id, 'Three', 'https://example.com/3', '', new Date().toISOString());
+      articleOps.updateRead(userId, a2.id, true);
+
+      const { updated } = articleOps.updateState(userId, { ids: [a1.id, a2.id] }, { isRead: true });
+
+      expect(updated).toEqual([a1.id]);
+      expect(states([a1.id, a2.id, a3.id])).toEqual([
+        [a1.id, true, false], [a2.id, true, false], [a3.id, false, false]
+      ]);
+    });
+
+    it('should set read and saved state together', () => {
+      const a1 = articleOps.insert(feed.id, 'One', 'https://example.com/1', '', new Date().toISOString());
+
+      expect(articleOps.updateState(userId, { ids: [a1.id] }, { isRead: true, isSaved: true }).updated).toEqual([a1.id]);
+      expect(states([a1.id])).toEqual([[a1.id, true, true]]);
+
+      expect(articleOps.updateState(userId, { ids: [a1.id] }, { isSaved: false }).updated).toEqual([a1.id]);
+      expect(states([a1.id])).toEqual([[a1.id, true, false]]);
+    });
+
+    it('should update the articles of a feed published before a date', () => {
+      const now = Date.now();
+      const old = articleOps.insert(feed.id, 'Old', 'https://example.com/old', '', new Date(now - 3 * day).toISOString());
+      const recent = articleOps.insert(feed.id, 'Recent', 'https://example.com/recent', '', new Date(now).toISOString());
+      const elsewhere = articleOps.insert(feed2.id, 'Elsewhere', 'https://example.com/elsewhere', '', new Date(now - 3 * day).toISOString());
+
+      const { updated } = articleOps.updateState(
+        userId,
+        { filter: { feedId: feed.id, olderThan: new Date(now - day).toISOString() } },
+        { isRead: true }
+      );
+
+      expect(updated).toEqual([old.id]);
+      expect(states([recent.id, elsewhere.id]).every(([, isRead]) => !isRead)).toBe(true);
+    });
+
+    it('should update the articles of a folder and its subfolders', () => {
+      const news = folderOps.insert(userId, 'News');
+      const tech = folderOps.insert(userId, 'Tech', news.id);
+      feedOps.updateFolder(userId, feed2.id, tech.id);
+      const inFolder = articleOps.insert(feed2.id, 'Filed', 'https://example.com/filed', '', new Date().toISOString());
+      articleOps.insert(feed.id, 'Unfiled', 'https://example.com/unfiled', '', new Date().toISOString());
+
+      expect(articleOps.updateState(userId, { filter: { folderId: news.id } }, { isRead: true }).updated).toEqual([inFolder.id]);
+    });
+
+    it('should limit a filter to the given article IDs', () => {
+      const a1 = articleOps.insert(feed.id, 'One', 'https://example.com/1', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Two', 'https://example.com/2', '', new Date().toISOString());
+      articleOps.insert(feed.id, 'Three', 'https://example.com/3', '', new Date().toISOString());
+
+      const { updated } = articleOps.updateState(userId, { filter: { articleIds: [a1.id, a2.id] } }, { isSaved: true });
+
+      expect(updated).toEqual([a1.id, a2.id]);
+    });
+
+    it('should mark every copy of a story read', () => {
+      const a1 = articleOps.insert(feed.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+      const a2 = articleOps.insert(feed2.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+
+      expect(articleOps.updateState(userId, { ids: [a1.id] }, { isRead: true }).updated).toEqual([a1.id, a2.id]);
+      expect(states([a1.id, a2.id])).toEqual([[a1.id, true, false], [a2.id, true, false]]);
+    });
+
+    it('should leave articles outside the user\'s feeds alone', () => {
+      const other = userOps.insert('reader', null, 'user');
+      const otherFeed = feedOps.subscribe(other.id, 'Other', 'https://example.com/other.xml');
+      const theirs = articleOps.insert(otherFeed.id, 'Theirs', 'https://example.com/theirs', '', new Date().toISOString());
+      const mine = articleOps.insert(feed.id, 'Mine', 'https://example.com/mine', '', new Date().toISOString());
 
-      articleOps.updateSaved(article.id, true);
-      await new Promise(resolve => setImmediate(resolve));
-      expect(fs.writeFile).toHaveBeenCalled();
+      expect(articleOps.updateState(userId, { ids: [theirs.id, mine.id] }, { isRead: true }).updated).toEqual([mine.id]);
+      expect(articleOps.updateState(userId, { filter: {} }, { isSaved: true }).updated).toEqual([mine.id]);
+      expect(articleOps.getByIds(other.id, [theirs.id])[0].is_read).toBe(false);
     });
   });
 
@@ -405,12 +929,12 @@ describe('Database - Article Operations', () => {
       const oldDate = new Date(now.getTime() - 100 * 24 * 60 * 60 * 1000); // 100 days ago
 
       const article = articleOps.insert(feed.id, 'Old Article', 'https://example.com/old', 'Content', oldDate.toISOString());
-      articleOps.updateSaved(article.id, true);
+      articleOps.updateSaved(userId, article.id, true);
 
       const deleted = articleOps.cleanup();
 
       expect(deleted).toBe(0);
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toHaveLength(1);
       expect(articles[0].is_saved).toBe(true);
     });
@@ -427,14 +951,14 @@ describe('Database - Article Operations', () => {
       const recent = articleOps.insert(feed.id, 'Recent Read', 'https://example.com/recent', 'Content', recentDate.toISOString());
 
       // Mark all as read
-      const all = articleOps.all();
-      all.forEach(a => articleOps.updateRead(a.id, true));
+      const all = articleOps.all(userId);
+      all.forEach(a => articleOps.updateRead(userId, a.id, true));
 
       const deleted = articleOps.cleanup();
 
       // Should delete 51 old articles (251 total - 200 kept = 51 deleted)
       expect(deleted).toBe(51);
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toHaveLength(200); // 200 kept (some old + recent)
       expect(articles.find(a => a.id === recent.id)).toBeDefined();
     });
@@ -454,7 +978,7 @@ describe('Database - Article Operations', () => {
 
       // Should delete 51 old articles (251 total - 200 kept = 51 deleted)
       expect(deleted).toBe(51);
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toHaveLength(200); // 200 kept (some old + recent)
       expect(articles.find(a => a.id === recent.id)).toBeDefined();
     });
@@ -466,38 +990,38 @@ describe('Database - Article Operations', () => {
       // Insert 250 articles, all old and read
       for (let i = 0; i < 250; i++) {
         const article = articleOps.insert(feed.id, `Article ${i}`, `https://example.com/a${i}`, 'Content', oldDate.toISOString());
-        articleOps.updateRead(article.id, true);
+        articleOps.updateRead(userId, article.id, true);
       }
 
       const deleted = articleOps.cleanup();
 
       // Should keep 200 most recent (all inserted same day, but first 200 kept)
       expect(deleted).toBe(50);
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toHaveLength(200);
     });
 
     it('should handle multiple feeds independently for top 200', () => {
-      const feed2 = feedOps.insert('Feed 2', 'https://example.com/feed2.xml');
+      const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
       const now = new Date();
       const oldDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
 
       // Insert 250 articles in each feed
       for (let i = 0; i < 250; i++) {
         let a = articleOps.insert(feed.id, `F1-A${i}`, `https://example.com/f1a${i}`, 'Content', oldDate.toISOString());
-        articleOps.updateRead(a.id, true);
+        articleOps.updateRead(userId, a.id, true);
         a = articleOps.insert(feed2.id, `F2-A${i}`, `https://example.com/f2a${i}`, 'Content', oldDate.toISOString());
-        articleOps.updateRead(a.id, true);
+        articleOps.updateRead(userId, a.id, true);
       }
 
       articleOps.cleanup();
 
       // Should keep 200 per feed = 400 total
-      const articles = articleOps.all();
+      const articles = articleOps.all(userId);
       expect(articles).toHaveLength(400);
 
-      const feed1Articles = articleOps.all(feed.id);
-      const feed2Articles = articleOps.all(feed2.id);
+      const feed1Articles = articleOps.all(userId, feed.id);
+      const feed2Articles = articleOps.all(userId, feed2.id);
       expect(feed1Articles).toHaveLength(200);
       expect(feed2Articles).toHaveLength(200);
     });
@@ -511,7 +1035,7 @@ describe('Database - Article Operations', () => {
       const deleted = articleOps.cleanup();
 
       expect(deleted).toBe(0);
-      expect(articleOps.all()).toHaveLength(1);
+      expect(articleOps.all(userId)).toHaveLength(1);
     });
 
     it('should return number of deleted articles', () => {
@@ -530,42 +1054,170 @@ describe('Database - Article Operations', () => {
       expect(deleted).toBe(50);
     });
 
-    it('should trigger database save when articles are deleted', async () => {
-      const now = new Date();
-      const oldDate = new Date(now.getTime() - 61 * 24 * 60 * 60 * 1000);
+    describe('configurable policies', () => {
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
-      articleOps.insert(feed.id, 'Old', 'https://example.com/old', 'Content', oldDate.toISOString());
-      vi.clearAllMocks();
+      const insertArticles = (feedId, count, pubDate, isRead = false) => {
+        for (let i = 0; i < count; i++) {
+          const article = articleOps.insert(feedId, `${feedId}-${pubDate}-${i}`, `https://example.com/${feedId}/${pubDate}/${i}`, 'Content', pubDate);
+          if (isRead) articleOps.updateRead(userId, article.id, true);
+        }
+      };
 
-      articleOps.cleanup();
-      await new Promise(resolve => setImmediate(resolve));
+      it('should apply the global policy', () => {
+        settingsOps.set('retention', { maxCount: 5, readMaxAgeDays: 1, unreadMaxAgeDays: 10, neverDelete: false });
+        insertArticles(feed.id, 10, daysAgo(2), true);
+        insertArticles(feed.id, 10, daysAgo(3));
 
-      expect(fs.writeFile).toHaveBeenCalled();
-    });
+        // Newest 5 (read) are kept, the other 5 read ones are past 1 day, unread ones are within 10 days
+        expect(articleOps.cleanup()).toBe(5);
+        expect(articleOps.all(userId, feed.id)).toHaveLength(15);
+      });
 
-    it('should not trigger database save when no articles deleted', async () => {
-      const now = new Date();
-      // Insert only 199 articles (under the 200 limit)
-      for (let i = 0; i < 199; i++) {
-        articleOps.insert(feed.id, `Recent ${i}`, `https://example.com/r${i}`, 'Content', now.toISOString());
-      }
+      it('should let feeds override the global policy', () => {
+        const blog = feedOps.subscribe(userId, 'Blog', 'https://example.com/blog.xml');
+        const news = feedOps.subscribe(userId, 'News', 'https://example.com/news.xml');
+        feedOps.updateRetention(blog.id, { neverDelete: true });
+        feedOps.updateRetention(news.id, { maxCount: 0, readMaxAgeDays: 0 });
+        insertArticles(blog.id, 3, daysAgo(400), true);
+        insertArticles(news.id, 3, daysAgo(1), true);
+        insertArticles(news.id, 2, daysAgo(1));
+
+        expect(articleOps.cleanup()).toBe(3);
+        expect(articleOps.all(userId, blog.id)).toHaveLength(3);
+        expect(articleOps.all(userId, news.id).every(a => !a.is_read)).toBe(true);
+      });
 
-      // Wait for all pending saves from inserts to complete
-      await new Promise(resolve => setImmediate(resolve));
-      vi.clearAllMocks();
+      it('should treat a null age limit as "keep forever"', () => {
+        settingsOps.set('retention', { maxCount: 0, readMaxAgeDays: 0, unreadMaxAgeDays: null, neverDelete: false });
+        insertArticles(feed.id, 4, daysAgo(365));
 
-      articleOps.cleanup();
-      await new Promise(resolve => setImmediate(resolve));
+        expect(articleOps.cleanup()).toBe(0);
+      });
+
+      it('should revert to the global policy when overrides are cleared', () => {
+        feedOps.updateRetention(feed.id, { neverDelete: true });
+        expect(feedOps.get(userId, feed.id).retention).toEqual({ neverDelete: true });
+
+        feedOps.updateRetention(feed.id, null);
+        expect(feedOps.get(userId, feed.id).retention).toBeNull();
+      });
 
-      expect(fs.writeFile).not.toHaveBeenCalled();
+      it('should report expired articles without deleting them', () => {
+        feedOps.updateRetention(feed.id, { maxCount: 1, readMaxAgeDays: 0 });
+        insertArticles(feed.id, 3, daysAgo(1), true);
+
+        const expired = articleOps.expired();
+
+        expect(expired).toHaveLength(2);
+        expect(expired[0]).toMatchObject({ feed_id: feed.id, feed_title: 'Test Feed', is_read: true });
+        expect(articleOps.all(userId, feed.id)).toHaveLength(3);
+      });
     });
   });
 });
 
+describe('Database - Article Search', () => {
+  let feed;
+
+  beforeEach(() => {
+    initDatabase(':memory:');
+    feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+  });
+
+  it('should find articles by title and content', () => {
+    const a1 = articleOps.insert(feed.id, 'Rust 2.0 released', 'https://example.com/a1', 'Systems language news', new Date().toISOString());
+    const a2 = articleOps.insert(feed.id, 'Weekly roundup', 'https://example.com/a2', '<p>Includes a <b>Rust</b> tutorial</p>', new Date().toISOString());
+    articleOps.insert(feed.id, 'Gardening tips', 'https://example.com/a3', 'Tomatoes', new Date().toISOString());
+
+    const { results, total } = articleOps.search(userId, '"rust"');
+
+    expect(total).toBe(2);
+    expect(results.map(r => r.id).sort()).toEqual([a1.id, a2.id].sort());
+    expect(results[0].feed_title).toBe('Test Feed');
+  });
+
+  it('should rank title matches above content matches', () => {
+    articleOps.insert(feed.id, 'Weekly roundup', 'https://example.com/a1', 'Includes a Rust tutorial and more', new Date().toISOString());
+    const titleMatch = articleOps.insert(feed.id, 'Rust tutorial', 'https://example.com/a2', 'Getting started', new Date().toISOString());
+
+    const { results } = articleOps.search(userId, '"rust"');
+
+    expect(results[0].id).toBe(titleMatch.id);
+  });
+
+  it('should match phrases exactly', () => {
+    const phrase = articleOps.insert(feed.id, 'Open source licensing', 'https://example.com/a1', 'Content', new Date().toISOString());
+    articleOps.insert(feed.id, 'Open letter', 'https://example.com/a2', 'The source of the story', new Date().toISOString());
+
+    const { results } = articleOps.search(userId, '"open source"');
+
+    expect(results.map(r => r.id)).toEqual([phrase.id]);
+  });
+
+  it('should return highlighted, HTML-escaped snippets', () => {
+    articleOps.insert(feed.id, 'Rust <news>', 'https://example.com/a1', '<p>Fast &amp; safe: Rust wins</p>', new Date().toISOString());
+
+    const [result] = articleOps.search(userId, '"rust"').results;
+
+    expect(result.title_highlight).toBe('<mark>Rust</mark>');
+    expect(result.snippet).toBe('Fast &amp; safe: <mark>Rust</mark> wins');
+  });
+
+  it('should filter by feed, read and saved state', () => {
+    const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
+    const a1 = articleOps.insert(feed.id, 'Rust one', 'https://example.com/a1', 'Content', new Date().toISOString());
+    const a2 = articleOps.insert(feed.id, 'Rust two', 'https://example.com/a2', 'Content', new Date().toISOString());
+    const a3 = articleOps.insert(feed2.id, 'Rust three', 'https://example.com/a3', 'Content', new Date().toISOString());
+    articleOps.updateRead(userId, a1.id, true);
+    articleOps.updateSaved(userId, a2.id, true);
+
+    expect(articleOps.search(userId, '"rust"', { feedId: feed2.id }).results.map(r => r.id)).toEqual([a3.id]);
+    expect(articleOps.search(userId, '"rust"', { feedId: feed.id, isRead: false }).results.map(r => r.id)).toEqual([a2.id]);
+    expect(articleOps.search(userId, '"rust"', { isSaved: true }).results.map(r => r.id)).toEqual([a2.id]);
+  });
+
+  it('should filter by publication date range', () => {
+    articleOps.insert(feed.id, 'Rust old', 'https://example.com/a1', 'Content', '2024-01-15T00:00:00.000Z');
+    const inRange = articleOps.insert(feed.id, 'Rust new', 'https://example.com/a2', 'Content', 'Sat, 15 Feb 2025 12:00:00 GMT');
+
+    const { results } = articleOps.search(userId, '"rust"', { from: '2025-01-01', to: '2025-03-01' });
+
+    expect(results.map(r => r.id)).toEqual([inRange.id]);
+  });
+
+  it('should limit results but report the total', () => {
+    for (let i = 0; i < 5; i++) {
+      articleOps.insert(feed.id, `Rust ${i}`, `https://example.com/a${i}`, 'Content', new Date().toISOString());
+    }
+
+    const { results, total } = articleOps.search(userId, '"rust"', { limit: 2 });
+
+    expect(results).toHaveLength(2);
+    expect(total).toBe(5);
+  });
+
+  it('should drop deleted articles from the index', () => {
+    const oldDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+    for (let i = 0; i < 201; i++) {
+      articleOps.insert(feed.id, `Rust ${i}`, `https://example.com/a${i}`, 'Content', oldDate);
+    }
+    const feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
+    articleOps.insert(feed2.id, 'Rust elsewhere', 'https://example.com/b', 'Content', new Date().toISOString());
+
+    articleOps.cleanup();
+    expect(articleOps.search(userId, '"rust"').total).toBe(201);
+
+    feedOps.delete(userId, feed2.id);
+    actionOps.purge(Date.now() + UNDO_PERIOD_MS + 1000);
+    expect(articleOps.search(userId, '"rust"').total).toBe(200);
+    expect(global.__DB__.prepare('SELECT COUNT(*) AS n FROM articles_fts').get().n).toBe(200);
+  });
+});
+
 describe('Database - Settings Operations', () => {
   beforeEach(() => {
-    const db = global.__DB__;
-    db.settings = {};
+    initDatabase(':memory:');
     vi.clearAllMocks();
   });
 
@@ -622,58 +1274,819 @@ describe('Database - Settings Operations', () => {
       expect(settingsOps.get('test_key')).toBe('value2');
     });
 
-    it('should schedule database save', async () => {
-      settingsOps.set('test_key', 'test_value');
+    it('should preserve value types', () => {
+      settingsOps.set('number_key', 42);
+      settingsOps.set('object_key', { enabled: true });
+
+      expect(settingsOps.get('number_key')).toBe(42);
+      expect(settingsOps.get('object_key')).toEqual({ enabled: true });
+    });
+
+    it('should drop the key when set to undefined', () => {
+      settingsOps.set('test_key', 'value');
+      settingsOps.set('test_key', undefined);
+
+      expect(settingsOps.get('test_key')).toBeUndefined();
+      expect(settingsOps.getAll('test_')).toEqual({});
+    });
+  });
+});
+
+describe('Database - Tag Operations', () => {
+  let feed;
+  let first;
+  let second;
 
-      // Wait for setImmediate to execute
-      await new Promise(resolve => setImmediate(resolve));
+  beforeEach(() => {
+    initDatabase(':memory:');
+    feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+    first = articleOps.insert(feed.id, 'First', 'https://example.com/1', 'Content', '2025-01-01T00:00:00.000Z');
+    second = articleOps.insert(feed.id, 'Second', 'https://example.com/2', 'Content', '2025-01-02T00:00:00.000Z');
+  });
 
-      expect(fs.writeFile).toHaveBeenCalled();
+  describe('tagOps.addToArticle', () => {
+    it('should create a tag on first use and reuse it ignoring case', () => {
+      const tag = tagOps.addToArticle(userId, first.id, 'Research');
+      expect(tagOps.addToArticle(userId, second.id, 'research')).toEqual(tag);
+      // Tagging twice is a no-op
+      tagOps.addToArticle(userId, first.id, 'Research');
+
+      expect(tagOps.all(userId)).toEqual([{ id: tag.id, name: 'Research', count: 2 }]);
+    });
+
+    it('should return null for a missing article', () => {
+      expect(tagOps.addToArticle(userId, 999, 'Research')).toBeNull();
+      expect(tagOps.all(userId)).toEqual([]);
+    });
+
+    it('should list tags on the articles that have them', () => {
+      tagOps.addToArticle(userId, first.id, 'work');
+      const tag = tagOps.addToArticle(userId, first.id, 'Later');
+
+      const articles = articleOps.all(userId);
+      expect(articles.find(a => a.id === first.id).tags.map(t => t.name)).toEqual(['Later', 'work']);
+      expect(articles.find(a => a.id === second.id).tags).toBeUndefined();
+      expect(articleOps.getByIds(userId, [first.id])[0].tags).toContainEqual(tag);
+    });
+  });
+
+  it('should page through the articles with a tag', () => {
+    const tag = tagOps.addToArticle(userId, second.id, 'Research');
+    articleOps.updateRead(userId, second.id, true);
+
+    const page = articleOps.page(userId, { tagId: tag.id });
+    expect(page.articles.map(a => a.id)).toEqual([second.id]);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('should rename and delete tags', () => {
+    const tag = tagOps.addToArticle(userId, first.id, 'Research');
+
+    tagOps.rename(userId, tag.id, 'Reading');
+    expect(tagOps.get(userId, tag.id)).toEqual({ id: tag.id, name: 'Reading' });
+    expect(tagOps.findByName(userId, 'READING')).toEqual({ id: tag.id, name: 'Reading' });
+
+    tagOps.delete(userId, tag.id);
+    expect(tagOps.all(userId)).toEqual([]);
+    expect(articleOps.all(userId).find(a => a.id === first.id).tags).toBeUndefined();
+  });
+
+  it('should remove a tag from one article only', () => {
+    const tag = tagOps.addToArticle(userId, first.id, 'Research');
+    tagOps.addToArticle(userId, second.id, 'Research');
+
+    tagOps.removeFromArticle(userId, first.id, tag.id);
+
+    expect(articleOps.page(userId, { tagId: tag.id }).articles.map(a => a.id)).toEqual([second.id]);
+    // The tag stays until it is deleted, even when unused
+    tagOps.removeFromArticle(userId, second.id, tag.id);
+    expect(tagOps.all(userId)).toEqual([{ id: tag.id, name: 'Research', count: 0 }]);
+  });
+
+  it('should drop tag assignments of deleted articles', () => {
+    tagOps.addToArticle(userId, first.id, 'Research');
+
+    feedOps.delete(userId, feed.id);
+
+    expect(tagOps.all(userId)).toEqual([expect.objectContaining({ name: 'Research', count: 0 })]);
+  });
+
+  it('should keep tagged articles through retention cleanup', () => {
+    settingsOps.set('retention', { maxCount: 0, readMaxAgeDays: 0, unreadMaxAgeDays: 0, neverDelete: false });
+    tagOps.addToArticle(userId, first.id, 'Research');
+
+    expect(articleOps.cleanup()).toBe(1);
+    expect(articleOps.all(userId).map(a => a.id)).toEqual([first.id]);
+  });
+});
+
+describe('Database - Annotation Operations', () => {
+  let feed;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    initDatabase(':memory:');
+    feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+    first = articleOps.insert(feed.id, 'First', 'https://example.com/1', 'Content', '2025-01-01T00:00:00.000Z');
+    second = articleOps.insert(feed.id, 'Second', 'https://example.com/2', 'Content', '2025-01-02T00:00:00.000Z');
+  });
+
+  it('should store highlights and notes and attach them to the article', () => {
+    const highlight = annotationOps.insert(userId, first.id, { quote: 'Some text', note: 'Why it matters' });
+    const note = annotationOps.insert(userId, first.id, { note: 'Read again' });
+
+    expect(highlight).toMatchObject({ article_id: first.id, quote: 'Some text', note: 'Why it matters' });
+    expect(note).toMatchObject({ quote: null, note: 'Read again' });
+
+    const [article] = articleOps.getByIds(userId, [first.id]);
+    expect(article.annotations.map(a => a.id)).toEqual([highlight.id, note.id]);
+    expect(articleOps.getByIds(userId, [second.id])[0]).not.toHaveProperty('annotations');
+  });
+
+  it('should list every annotation with its article, newest first', () => {
+    const older = annotationOps.insert(userId, first.id, { quote: 'Old' });
+    const newer = annotationOps.insert(userId, second.id, { note: 'New' });
+
+    expect(annotationOps.all(userId)).toEqual([
+      expect.objectContaining({ id: newer.id, article_title: 'Second', feed_title: 'Test Feed' }),
+      expect.objectContaining({ id: older.id, article_title: 'First', article_link: 'https://example.com/1' })
+    ]);
+  });
+
+  it('should refuse articles outside the user\'s feeds', () => {
+    expect(annotationOps.insert(userId, 999, { note: 'Nope' })).toBeNull();
+    expect(annotationOps.all(userId)).toEqual([]);
+  });
+
+  it('should edit and delete annotations', () => {
+    const annotation = annotationOps.insert(userId, first.id, { quote: 'Some text' });
+
+    const edited = annotationOps.update(userId, annotation.id, { note: 'Added later' });
+    expect(edited).toMatchObject({ quote: 'Some text', note: 'Added later' });
+
+    annotationOps.delete(userId, annotation.id);
+    expect(annotationOps.get(userId, annotation.id)).toBeUndefined();
+  });
+
+  it('should drop annotations when the feed is removed', () => {
+    annotationOps.insert(userId, first.id, { note: 'Gone with the feed' });
+
+    feedOps.delete(userId, feed.id);
+
+    expect(annotationOps.all(userId)).toEqual([]);
+  });
+
+  it('should keep annotated articles through retention cleanup', () => {
+    settingsOps.set('retention', { maxCount: 0, readMaxAgeDays: 0, unreadMaxAgeDays: 0, neverDelete: false });
+    annotationOps.insert(userId, second.id, { quote: 'Keep this' });
+
+    expect(articleOps.cleanup()).toBe(1);
+    expect(articleOps.all(userId).map(a => a.id)).toEqual([second.id]);
+  });
+});
+
+describe('Database - Action Operations', () => {
+  let later;
+  let feed;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    initDatabase(':memory:');
+    feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+    first = articleOps.insert(feed.id, 'First', 'https://example.com/1', 'Content', '2025-01-01T00:00:00.000Z');
+    second = articleOps.insert(feed.id, 'Second', 'https://example.com/2', 'Content', '2025-01-02T00:00:00.000Z');
+    // Once everything logged by the test has expired
+    later = Date.now() + UNDO_PERIOD_MS + 1000;
+  });
+
+  it('should undo a state change on just the articles it changed', () => {
+    articleOps.updateRead(userId, first.id, true);
+    const { actionId } = articleOps.updateState(userId, { filter: { feedId: feed.id } }, { isRead: true, isSaved: true });
+
+    expect(actionOps.all(userId)[0]).toMatchObject({
+      id: actionId,
+      type: 'state',
+      read: { ids: [second.id], value: true },
+      saved: { ids: [first.id, second.id], value: true },
+      undone: false
+    });
+
+    expect(actionOps.undo(userId, actionId)).toMatchObject({ id: actionId, undone: true });
+    const states = articleOps.getByIds(userId, [first.id, second.id]).map(a => [a.id, a.is_read, a.is_saved]);
+    expect(states.sort(([a], [b]) => a - b)).toEqual([[first.id, true, false], [second.id, false, false]]);
+
+    // Only once
+    expect(actionOps.undo(userId, actionId)).toBeNull();
+  });
+
+  it('should not log changes that change nothing', () => {
+    articleOps.updateRead(userId, first.id, true);
+
+    expect(articleOps.updateRead(userId, first.id, true)).toEqual({ updated: [], actionId: null });
+    expect(actionOps.all(userId)).toHaveLength(1);
+  });
+
+  it('should restore a deleted feed with its articles and the user\'s state on them', () => {
+    const folder = folderOps.insert(userId, 'News');
+    feedOps.updateFolder(userId, feed.id, folder.id);
+    feedOps.update(userId, feed.id, 'My Title');
+    articleOps.updateRead(userId, first.id, true);
+    articleOps.updateSaved(userId, second.id, true);
+    tagOps.addToArticle(userId, first.id, 'Research');
+    const annotation = annotationOps.insert(userId, second.id, { quote: 'Content', note: 'Keep' });
+
+    const actionId = feedOps.delete(userId, feed.id);
+
+    expect(feedOps.all(userId)).toEqual([]);
+    expect(articleOps.all(userId)).toEqual([]);
+    expect(tagOps.all(userId)[0].count).toBe(0);
+    expect(actionOps.all(userId)[0]).toMatchObject({ type: 'delete-feed', feed: { id: feed.id, title: 'My Title' } });
+
+    actionOps.undo(userId, actionId);
+
+    expect(feedOps.get(userId, feed.id)).toMatchObject({ title: 'My Title', folder_id: folder.id });
+    const articles = articleOps.all(userId);
+    expect(articles.map(a => [a.id, a.is_read, a.is_saved])).toEqual([[second.id, false, true], [first.id, true, false]]);
+    expect(articles[1].tags).toEqual([expect.objectContaining({ name: 'Research' })]);
+    expect(annotationOps.all(userId)).toEqual([expect.objectContaining({ id: annotation.id, note: 'Keep' })]);
+  });
+
+  it('should keep a deleted feed until the action expires', () => {
+    const other = userOps.insert('reader', null, 'user');
+    feedOps.subscribe(other.id, 'Shared', 'https://example.com/feed.xml');
+    const actionId = feedOps.delete(userId, feed.id);
+
+    // The last other subscriber leaving doesn't take the feed with it yet
+    feedOps.delete(other.id, feed.id);
+    articleOps.cleanup();
+    actionOps.purge();
+    expect(global.__DB__.prepare('SELECT COUNT(*) AS n FROM articles').get().n).toBe(2);
+
+    actionOps.purge(later);
+
+    expect(actionOps.all(userId, later)).toEqual([]);
+    expect(actionOps.undo(userId, actionId, later)).toBeNull();
+    expect(global.__DB__.prepare('SELECT COUNT(*) AS n FROM feeds').get().n).toBe(0);
+    expect(global.__DB__.prepare('SELECT COUNT(*) AS n FROM articles').get().n).toBe(0);
+  });
+
+  it('should keep actions to each user', () => {
+    const other = userOps.insert('reader', null, 'user');
+    const { actionId } = articleOps.updateRead(userId, first.id, true);
+
+    expect(actionOps.all(other.id)).toEqual([]);
+    expect(actionOps.get(other.id, actionId)).toBeUndefined();
+    expect(actionOps.undo(other.id, actionId)).toBeNull();
+  });
+
+  it('should drop the feeds a deleted user was about to delete', () => {
+    const other = userOps.insert('reader', null, 'user');
+    const otherFeed = feedOps.subscribe(other.id, 'Theirs', 'https://example.com/theirs.xml');
+    feedOps.delete(other.id, otherFeed.id);
+
+    userOps.delete(other.id);
+
+    expect(global.__DB__.prepare('SELECT id FROM feeds').pluck().all()).toEqual([feed.id]);
+  });
+});
+
+describe('Database - Folder Operations', () => {
+  let news;
+  let tech;
+  let feed1;
+  let feed2;
+  let feed3;
+
+  beforeEach(() => {
+    initDatabase(':memory:');
+    news = folderOps.insert(userId, 'News');
+    tech = folderOps.insert(userId, 'Tech', news.id);
+    feed1 = feedOps.subscribe(userId, 'Feed 1', 'https://example.com/feed1.xml');
+    feed2 = feedOps.subscribe(userId, 'Feed 2', 'https://example.com/feed2.xml');
+    feed3 = feedOps.subscribe(userId, 'Feed 3', 'https://example.com/feed3.xml');
+    feedOps.updateFolder(userId, feed1.id, news.id);
+    feedOps.updateFolder(userId, feed2.id, tech.id);
+  });
+
+  it('should find folders by name among siblings, ignoring case', () => {
+    expect(folderOps.find(userId, 'news')).toEqual(news);
+    expect(folderOps.find(userId, 'Tech')).toBeUndefined();
+    expect(folderOps.findOrCreate(userId, 'TECH', news.id)).toEqual(tech);
+    expect(folderOps.findOrCreate(userId, 'Tech').parent_id).toBeNull();
+    expect(folderOps.all(userId)).toHaveLength(3);
+  });
+
+  it('should tell whether a folder is inside another', () => {
+    expect(folderOps.isWithin(tech.id, news.id)).toBe(true);
+    expect(folderOps.isWithin(news.id, news.id)).toBe(true);
+    expect(folderOps.isWithin(news.id, tech.id)).toBe(false);
+  });
+
+  it('should page through the articles of a folder and its subfolders', () => {
+    const a1 = articleOps.insert(feed1.id, 'One', 'https://example.com/1', '', '2025-01-01T00:00:00.000Z');
+    const a2 = articleOps.insert(feed2.id, 'Two', 'https://example.com/2', '', '2025-01-02T00:00:00.000Z');
+    articleOps.insert(feed3.id, 'Three', 'https://example.com/3', '', '2025-01-03T00:00:00.000Z');
+
+    expect(articleOps.page(userId, { folderId: news.id }).articles.map(a => a.id)).toEqual([a2.id, a1.id]);
+    expect(articleOps.page(userId, { folderId: tech.id }).articles.map(a => a.id)).toEqual([a2.id]);
+  });
+
+  it('should show a story once per folder, even when its first copy is elsewhere', () => {
+    articleOps.insert(feed3.id, 'Story', 'https://example.com/story', '', '2025-01-01T00:00:00.000Z');
+    const copy1 = articleOps.insert(feed1.id, 'Story', 'https://example.com/story', '', '2025-01-01T00:00:00.000Z');
+    articleOps.insert(feed2.id, 'Story', 'https://example.com/story', '', '2025-01-01T00:00:00.000Z');
+
+    expect(articleOps.page(userId, { folderId: news.id }).articles.map(a => a.id)).toEqual([copy1.id]);
+  });
+
+  it('should count unread stories per folder, including subfolders', () => {
+    articleOps.insert(feed1.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+    articleOps.insert(feed2.id, 'Story', 'https://example.com/story', '', new Date().toISOString());
+    articleOps.insert(feed2.id, 'Other', 'https://example.com/other', '', new Date().toISOString());
+
+    expect(articleOps.unreadCounts(userId).folders).toEqual({ [news.id]: 2, [tech.id]: 2 });
+  });
+
+  it('should move feeds and subfolders up when a folder is deleted', () => {
+    folderOps.delete(userId, news.id);
+
+    expect(folderOps.all(userId)).toEqual([{ ...tech, parent_id: null }]);
+    expect(feedOps.get(userId, feed1.id).folder_id).toBeNull();
+    expect(feedOps.get(userId, feed2.id).folder_id).toBe(tech.id);
+  });
+});
+
+describe('Database - Archive Export and Restore', () => {
+  let archive;
+
+  beforeEach(() => {
+    initDatabase(':memory:');
+    const feed = feedOps.subscribe(userId, 'Blog', 'https://example.com/feed.xml');
+    const read = articleOps.insert(feed.id, 'Read', 'https://example.com/read', 'Content', '2025-01-01T00:00:00.000Z');
+    const saved = articleOps.insert(feed.id, 'Saved', 'https://example.com/saved', 'Content', '2025-01-02T00:00:00.000Z');
+    articleOps.updateRead(userId, read.id, true);
+    articleOps.updateSaved(userId, saved.id, true);
+    userSettingsOps.set(userId, 'llm_provider', 'openai');
+    userSettingsOps.set(userId, 'llm_apiKey', 'sk-secret');
+    archive = archiveOps.export(userId);
+  });
+
+  describe('archiveOps.export', () => {
+    it('should bundle feeds, articles with their state and settings', () => {
+      expect(archive).toMatchObject({ format: 'rss-reader-backup', version: 1 });
+      expect(archive.feeds).toHaveLength(1);
+      expect(archive.articles.map(a => [a.title, a.is_read, a.is_saved])).toEqual([
+        ['Read', true, false],
+        ['Saved', false, true]
+      ]);
+      expect(archive.settings).toEqual({ llm_provider: 'openai' });
+    });
+
+    it('should include the API key only when asked to', () => {
+      expect(archiveOps.export(userId, { includeSecrets: true }).settings.llm_apiKey).toBe('sk-secret');
+    });
+  });
+
+  describe('archiveOps.restore', () => {
+    it('should replace the current state and keep IDs', () => {
+      initDatabase(':memory:');
+      feedOps.subscribe(userId, 'Other', 'https://other.com/feed.xml');
+      userSettingsOps.set(userId, 'llm_apiKey', 'sk-local');
+
+      const result = archiveOps.restore(userId, archive, 'replace');
+
+      expect(result).toMatchObject({ feeds: { added: 1 }, articles: { added: 2 }, skipped: 0 });
+      expect(feedOps.all(userId).map(f => [f.id, f.title])).toEqual([[1, 'Blog']]);
+      expect(articleOps.all(userId).map(a => a.id).sort()).toEqual([1, 2]);
+      expect(articleOps.search(userId, '"saved"').total).toBe(1);
+      // The archive had no API key, so the local one survives
+      expect(userSettingsOps.get(userId, 'llm_apiKey')).toBe('sk-local');
+      expect(feedOps.subscribe(userId, 'New', 'https://new.com/feed.xml').id).toBe(2);
+    });
+
+    it('should merge into existing state', () => {
+      initDatabase(':memory:');
+      const feed = feedOps.subscribe(userId, 'Blog (local)', 'https://example.com/feed.xml?utm_source=newsletter');
+      articleOps.insert(feed.id, 'Read', 'https://example.com/read', 'Content', '2025-01-01T00:00:00.000Z');
+      const other = feedOps.subscribe(userId, 'Other', 'https://other.com/feed.xml');
+      userSettingsOps.set(userId, 'llm_provider', 'anthropic');
+
+      const result = archiveOps.restore(userId, archive, 'merge');
+
+      expect(result).toMatchObject({
+        feeds: { added: 0, matched: 1 },
+        articles: { added: 1, updated: 1 },
+        settings: 0
+      });
+      expect(feedOps.all(userId).map(f => f.id)).toEqual([feed.id, other.id]);
+      const articles = articleOps.all(userId, feed.id);
+      expect(articles.find(a => a.title === 'Read').is_read).toBe(true);
+      expect(articles.find(a => a.title === 'Saved').is_saved).toBe(true);
+      expect(userSettingsOps.get(userId, 'llm_provider')).toBe('anthropic');
+    });
+
+    it('should be idempotent when merging the same archive twice', () => {
+      archiveOps.restore(userId, archive, 'merge');
+      archiveOps.restore(userId, archive, 'merge');
+
+      expect(feedOps.all(userId)).toHaveLength(1);
+      expect(articleOps.all(userId)).toHaveLength(2);
+    });
+
+    it('should carry tags over, matched by name', () => {
+      tagOps.addToArticle(userId, 1, 'Research');
+      const tagged = archiveOps.export(userId);
+      expect(tagged.articles[0].tags).toEqual([{ id: 1, name: 'Research' }]);
+
+      initDatabase(':memory:');
+      const feed = feedOps.subscribe(userId, 'Blog', 'https://example.com/feed.xml');
+      const local = articleOps.insert(feed.id, 'Read', 'https://example.com/read', 'Content', '2025-01-01T00:00:00.000Z');
+      tagOps.addToArticle(userId, local.id, 'research');
+      tagOps.addToArticle(userId, local.id, 'Work');
+
+      archiveOps.restore(userId, tagged, 'merge');
+
+      expect(tagOps.all(userId).map(t => [t.name, t.count])).toEqual([['research', 1], ['Work', 1]]);
+      expect(articleOps.all(userId).find(a => a.id === local.id).tags.map(t => t.name)).toEqual(['research', 'Work']);
+
+      archiveOps.restore(userId, tagged, 'replace');
+      expect(tagOps.all(userId).map(t => [t.name, t.count])).toEqual([['Research', 1]]);
+    });
+
+    it('should carry annotations over without adding them twice', () => {
+      annotationOps.insert(userId, 1, { quote: 'Some text', note: 'Why' });
+      const annotated = archiveOps.export(userId);
+      expect(annotated.articles[0].annotations).toEqual([
+        expect.objectContaining({ quote: 'Some text', note: 'Why' })
+      ]);
+
+      initDatabase(':memory:');
+      archiveOps.restore(userId, annotated, 'merge');
+      archiveOps.restore(userId, annotated, 'merge');
+
+      expect(annotationOps.all(userId)).toEqual([
+        expect.objectContaining({ quote: 'Some text', note: 'Why', article_title: 'Read' })
+      ]);
+    });
+
+    it('should carry folders over, matched by name under the same parent', () => {
+      const news = folderOps.insert(userId, 'News');
+      const tech = folderOps.insert(userId, 'Tech', news.id);
+      feedOps.updateFolder(userId, 1, tech.id);
+      const filed = archiveOps.export(userId);
+      expect(filed.folders).toHaveLength(2);
+
+      initDatabase(':memory:');
+      const localNews = folderOps.insert(userId, 'news');
+      feedOps.subscribe(userId, 'Blog', 'https://example.com/feed.xml');
+
+      archiveOps.restore(userId, filed, 'merge');
+
+      const localTech = folderOps.find(userId, 'Tech', localNews.id);
+      expect(folderOps.all(userId)).toHaveLength(2);
+      expect(feedOps.get(userId, 1).folder_id).toBe(localTech.id);
+
+      archiveOps.restore(userId, filed, 'replace');
+      expect(folderOps.all(userId).map(f => f.name)).toEqual(['News', 'Tech']);
+      expect(folderOps.get(userId, feedOps.get(userId, 1).folder_id).name).toBe('Tech');
+    });
+
+    it('should skip invalid records', () => {
+      const broken = {
+        ...archive,
+        articles: [...archive.articles, { ...archive.articles[0], id: 99, link: 'javascript:alert(1)' }]
+      };
+      initDatabase(':memory:');
+
+      const result = archiveOps.restore(userId, broken, 'replace');
+
+      expect(result.skipped).toBe(1);
+      expect(articleOps.all(userId)).toHaveLength(2);
     });
   });
 });
 
 describe('Database - Initialization and Shutdown', () => {
+  let tmpDir;
+
   beforeEach(() => {
-    // Reset database state
-    const db = global.__DB__;
-    db.feeds = [];
-    db.articles = [];
-    db.settings = {};
-    db.nextFeedId = 1;
-    db.nextArticleId = 1;
-    vi.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-db-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await shutdownDatabase();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
   });
 
   it('should initialize with empty database when file does not exist', () => {
-    fs.existsSync.mockReturnValue(false);
+    initDatabase(path.join(tmpDir, 'database.db'));
+
+    expect(feedOps.all(userId)).toEqual([]);
+    expect(articleOps.all(userId)).toEqual([]);
+    expect(fs.existsSync(path.join(tmpDir, 'database.db'))).toBe(true);
+  });
+
+  it('should persist data across restarts', async () => {
+    const file = path.join(tmpDir, 'database.db');
+    initDatabase(file);
+    const feed = feedOps.subscribe(userId, 'Test Feed', 'https://example.com/feed.xml');
+    const article = articleOps.insert(feed.id, 'Article', 'https://example.com/a', 'Content', new Date().toISOString());
+    articleOps.updateRead(userId, article.id, true);
+    userSettingsOps.set(userId, 'llm_model', 'gpt-4');
+    await shutdownDatabase();
+
+    initDatabase(file);
+
+    expect(feedOps.all(userId)).toHaveLength(1);
+    expect(articleOps.all(userId)[0].is_read).toBe(true);
+    expect(userSettingsOps.get(userId, 'llm_model')).toBe('gpt-4');
+  });
+
+  it('should refuse to open a database from a newer version', async () => {
+    const file = path.join(tmpDir, 'database.db');
+    initDatabase(file);
+    global.__DB__.pragma('user_version = 999');
+    await shutdownDatabase();
+
+    expect(() => initDatabase(file)).toThrow(/schema version 999 is newer/);
+  });
+
+  describe('backups and recovery', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should skip backups for in-memory databases', async () => {
+      initDatabase(':memory:');
+      await expect(backupDatabase()).resolves.toBeNull();
+    });
+
+    it('should recover from the newest backup when the database file is corrupt', async () => {
+      const file = path.join(tmpDir, 'database.db');
+      initDatabase(file);
+      feedOps.subscribe(userId, 'Backed Up Feed', 'https://example.com/feed.xml');
+      const backup = await backupDatabase();
+      expect(fs.existsSync(backup)).toBe(true);
+
+      feedOps.subscribe(userId, 'Lost Feed', 'https://example.com/lost.xml');
+      await shutdownDatabase();
+      fs.writeFileSync(file, 'truncated');
+
+      initDatabase(file);
+
+      expect(feedOps.all(userId).map(f => f.title)).toEqual(['Backed Up Feed']);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('failed integrity check'));
+    });
+
+    it('should rotate backups according to DB_BACKUP_COUNT', async () => {
+      process.env.DB_BACKUP_COUNT = '2';
+      initDatabase(path.join(tmpDir, 'database.db'));
+
+      for (let i = 0; i < 3; i++) {
+        await backupDatabase();
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      delete process.env.DB_BACKUP_COUNT;
+
+      expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toHaveLength(2);
+    });
+  });
 
-    initDatabase();
+  describe('legacy database.json import', () => {
+    const legacyDb = {
+      feeds: [{ id: 3, title: 'Test Feed', url: 'https://example.com/feed.xml', created_at: '2025-01-01T00:00:00.000Z' }],
+      articles: [
+        {
+          id: 7,
+          feed_id: 3,
+          title: 'Read Article',
+          link: 'https://example.com/read',
+          content: 'Content',
+          pub_date: 'Wed, 01 Jan 2025 10:00:00 GMT',
+          image_url: null,
+          is_read: true,
+          is_saved: true,
+          created_at: '2025-01-01T10:00:00.000Z'
+        }
+      ],
+      settings: { llm_provider: 'openai', llm_model: 'gpt-4' },
+      nextFeedId: 4,
+      nextArticleId: 12
+    };
+
+    it('should import feeds, articles and settings with their state', () => {
+      fs.writeFileSync(path.join(tmpDir, 'database.json'), JSON.stringify(legacyDb));
+
+      initDatabase(path.join(tmpDir, 'database.db'));
+
+      const feeds = feedOps.all(userId);
+      expect(feeds).toHaveLength(1);
+      expect(feeds[0]).toMatchObject({ id: 3, title: 'Test Feed' });
+
+      const [article] = articleOps.all(userId);
+      expect(article).toMatchObject({
+        id: 7,
+        feed_id: 3,
+        feed_title: 'Test Feed',
+        pub_date: '2025-01-01T10:00:00.000Z',
+        is_read: true,
+        is_saved: true
+      });
+
+      expect(userSettingsOps.getAll(userId, 'llm_')).toEqual({ llm_provider: 'openai', llm_model: 'gpt-4' });
+    });
 
-    expect(feedOps.all()).toEqual([]);
-    expect(articleOps.all()).toEqual([]);
+    it('should continue ID sequences after the imported ones', () => {
+      fs.writeFileSync(path.join(tmpDir, 'database.json'), JSON.stringify(legacyDb));
+
+      initDatabase(path.join(tmpDir, 'database.db'));
+
+      const feed = feedOps.subscribe(userId, 'New Feed', 'https://example.com/new.xml');
+      const article = articleOps.insert(feed.id, 'New', 'https://example.com/new', 'Content', new Date().toISOString());
+      expect(feed.id).toBe(4);
+      expect(article.id).toBe(12);
+    });
+
+    it('should index imported articles for search', () => {
+      fs.writeFileSync(path.join(tmpDir, 'database.json'), JSON.stringify(legacyDb));
+
+      initDatabase(path.join(tmpDir, 'database.db'));
+
+      expect(articleOps.search(userId, '"read"').results.map(r => r.id)).toEqual([7]);
+    });
+
+    it('should refuse to start on an unreadable database.json', () => {
+      fs.writeFileSync(path.join(tmpDir, 'database.json'), '{"feeds": [{"id": 1, "tit');
+
+      expect(() => initDatabase(path.join(tmpDir, 'database.db'))).toThrow(/Cannot import/);
+      expect(fs.existsSync(path.join(tmpDir, 'database.json'))).toBe(true);
+    });
+
+    it('should only import once', async () => {
+      const jsonFile = path.join(tmpDir, 'database.json');
+      fs.writeFileSync(jsonFile, JSON.stringify(legacyDb));
+
+      initDatabase(path.join(tmpDir, 'database.db'));
+      await shutdownDatabase();
+      initDatabase(path.join(tmpDir, 'database.db'));
+
+      expect(fs.existsSync(jsonFile)).toBe(false);
+      expect(fs.existsSync(`${jsonFile}.migrated`)).toBe(true);
+      expect(feedOps.all(userId)).toHaveLength(1);
+      expect(articleOps.all(userId)).toHaveLength(1);
+    });
   });
 
-  it('should load existing database from file', () => {
-    const existingDb = {
-      feeds: [{ id: 1, title: 'Test Feed', url: 'https://example.com/feed.xml', created_at: new Date().toISOString() }],
-      articles: [],
-      settings: { test: 'value' },
-      nextFeedId: 2,
-      nextArticleId: 1
+  describe('load-time validation', () => {
+    const file = () => path.join(tmpDir, 'database.db');
+
+    // Write rows directly, the way older versions left them
+    const seed = (feeds, articles) => {
+      initDatabase(file());
+      const insertFeed = global.__DB__.prepare(
+        'INSERT INTO feeds (id, title, url, created_at) VALUES (@id, @title, @url, @created_at)'
+      );
+      const insertArticle = global.__DB__.prepare(`
+        INSERT INTO articles (id, feed_id, title, link, content, pub_date, image_url, created_at)
+        VALUES (@id, @feed_id, @title, @link, @content, @pub_date, @image_url, @created_at)
+      `);
+      const subscribe = global.__DB__.prepare(
+        'INSERT INTO subscriptions (user_id, feed_id, title, created_at) VALUES (?, @id, @title, @created_at)'
+      );
+      feeds.forEach(feed => {
+        insertFeed.run(feed);
+        subscribe.run(userId, feed);
+      });
+      articles.forEach(article => insertArticle.run({
+        content: 'Content',
+        image_url: null,
+        created_at: '2025-01-01T00:00:00.000Z',
+        ...article
+      }));
+      return shutdownDatabase();
     };
 
-    fs.existsSync.mockReturnValue(true);
-    fs.readFileSync.mockReturnValue(JSON.stringify(existingDb));
+    const feed = { id: 1, title: 'Feed', url: 'https://example.com/feed.xml', created_at: '2025-01-01T00:00:00.000Z' };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should report a clean database', () => {
+      initDatabase(file());
 
-    initDatabase();
+      expect(getValidationReport()).toMatchObject({
+        feeds: { checked: 0, repaired: 0, quarantined: 0 },
+        articles: { checked: 0, repaired: 0, quarantined: 0 },
+        quarantined: []
+      });
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should normalize RFC 822 dates and drop invalid image URLs', async () => {
+      await seed([feed], [
+        { id: 1, feed_id: 1, title: 'A', link: 'https://example.com/a', pub_date: 'Wed, 01 Jan 2025 10:00:00 GMT', image_url: '/relative.jpg' },
+        { id: 2, feed_id: 1, title: 'B', link: 'https://example.com/b', pub_date: 'not a date', content: null }
+      ]);
+
+      initDatabase(file());
+
+      const articles = articleOps.getByIds(userId, [1, 2]);
+      expect(articles[0].pub_date).toBe('2025-01-01T10:00:00.000Z');
+      expect(articles[0]).not.toHaveProperty('image_url');
+      expect(articles[1].pub_date).toBe('2025-01-01T00:00:00.000Z');
+      expect(articles[1].content).toBe('');
+
+      const report = getValidationReport();
+      expect(report.articles).toEqual({ checked: 2, repaired: 2, quarantined: 0 });
+      expect(report.fixes).toEqual({ pub_date: 2, image_url: 1, content: 1 });
+    });
+
+    it('should quarantine unfixable records to a side file', async () => {
+      await seed(
+        [feed, { ...feed, id: 2, url: 'not a url' }],
+        [
+          { id: 1, feed_id: 1, title: 'Good', link: 'https://example.com/good', pub_date: '2025-01-01T00:00:00.000Z' },
+          { id: 2, feed_id: 1, title: 'Bad link', link: 'mailto:someone@example.com', pub_date: '2025-01-01T00:00:00.000Z' },
+          { id: 3, feed_id: 2, title: 'Orphaned', link: 'https://example.com/orphan', pub_date: '2025-01-01T00:00:00.000Z' }
+        ]
+      );
+
+      initDatabase(file());
+
+      expect(feedOps.all(userId).map(f => f.id)).toEqual([1]);
+      expect(articleOps.all(userId).map(a => a.id)).toEqual([1]);
+      expect(articleOps.search(userId, '"orphaned"').total).toBe(0);
+
+      const report = getValidationReport();
+      expect(report.feeds.quarantined).toBe(1);
+      expect(report.articles.quarantined).toBe(2);
+      expect(report.quarantined.map(q => `${q.type}:${q.id}`)).toEqual(['feed:2', 'article:2', 'article:3']);
+
+      const quarantined = JSON.parse(fs.readFileSync(path.join(tmpDir, 'quarantine.json'), 'utf8'));
+      expect(quarantined).toHaveLength(3);
+      expect(quarantined[1]).toMatchObject({
+        type: 'article',
+        record: { id: 2, link: 'mailto:someone@example.com' },
+        errors: [expect.stringContaining('link')]
+      });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('quarantined 1 feeds and 2 articles'));
+    });
 
-    const feeds = feedOps.all();
-    expect(feeds).toHaveLength(1);
-    expect(feeds[0].title).toBe('Test Feed');
+    it('should repair untitled items and relative links without quarantining them', async () => {
+      await seed([feed], [
+        { id: 1, feed_id: 1, title: '', link: '/posts/1', pub_date: '2025-01-01T00:00:00.000Z' }
+      ]);
+
+      initDatabase(file());
+
+      expect(articleOps.getByIds(userId, [1])[0]).toMatchObject({ title: 'Content', link: 'https://example.com/posts/1' });
+      expect(getValidationReport().articles).toEqual({ checked: 1, repaired: 1, quarantined: 0 });
+    });
+
+    it('should keep synced untitled and linkless items across restarts', async () => {
+      initDatabase(file());
+      const synced = feedOps.subscribe(userId, 'Podcast', 'https://example.com/podcast.xml');
+      const untitled = articleOps.insert(synced.id, '', '/notes/1', 'Show notes', '2025-01-01T00:00:00.000Z');
+      const linkless = articleOps.insert(synced.id, 'Episode 1', undefined, '', '2025-01-02T00:00:00.000Z', null, {
+        url: 'https://cdn.example.com/ep1.mp3', type: 'audio/mpeg'
+      });
+      articleOps.updateSaved(userId, untitled.id, true);
+      articleOps.updateRead(userId, linkless.id, true);
+
+      for (let restart = 0; restart < 2; restart++) {
+        await shutdownDatabase();
+        initDatabase(file());
+        expect(getValidationReport().articles).toEqual({ checked: 2, repaired: 0, quarantined: 0 });
+      }
+
+      const [first] = articleOps.getByIds(userId, [untitled.id]);
+      const [second] = articleOps.getByIds(userId, [linkless.id]);
+      expect(first).toMatchObject({ title: 'Show notes', link: 'https://example.com/notes/1', is_saved: true });
+      expect(second).toMatchObject({ title: 'Episode 1', link: 'https://cdn.example.com/ep1.mp3', is_read: true });
+      expect(fs.existsSync(path.join(tmpDir, 'quarantine.json'))).toBe(false);
+      expect(articleOps.insert(synced.id, '', '/notes/1', 'Show notes', '2025-01-01T00:00:00.000Z')).toBeNull();
+    });
+
+    it('should append to an existing quarantine file', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'quarantine.json'), JSON.stringify([{ type: 'feed', record: { id: 9 } }]));
+      await seed([feed], [{ id: 1, feed_id: 1, title: 'A', link: 'ftp://example.com/a', pub_date: '2025-01-01T00:00:00.000Z' }]);
+
+      initDatabase(file());
+
+      const quarantined = JSON.parse(fs.readFileSync(path.join(tmpDir, 'quarantine.json'), 'utf8'));
+      expect(quarantined.map(q => q.record.id)).toEqual([9, 1]);
+    });
   });
 
   it('should handle shutdown gracefully', async () => {
     await expect(shutdownDatabase()).resolves.not.toThrow();
   });
 });
+
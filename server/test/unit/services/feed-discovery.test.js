@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fetch from 'node-fetch';
+import { discoverFeeds, parseFeedLinks, looksLikeFeed } from '../../../src/services/feed-discovery.js';
+import { validateFeedUrl } from '../../../src/services/url-validator.js';
+
+vi.mock('node-fetch');
+vi.mock('../../../src/services/url-validator.js');
+
+const RSS = '<?xml version="1.0"?>\n<rss version="2.0"><channel><title>Blog</title></channel></rss>';
+
+// Serve a site from { url: body | { status, location } }; anything else is a 404
+function serve(site) {
+  fetch.mockImplementation(async (url) => {
+    const page = site[url];
+    if (page === undefined) {
+      return { ok: false, status: 404, headers: { get: () => null }, text: async () => '' };
+    }
+    if (typeof page === 'object') {
+      return { ok: false, status: page.status, headers: { get: (name) => name === 'location' ? page.location : null }, text: async () => '' };
+    }
+    return { ok: true, status: 200, headers: { get: () => null }, text: async () => page };
+  });
+}
+
+describe('Feed discovery', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    validateFeedUrl.mockResolvedValue({ safe: true });
+  });
+
+  describe('parseFeedLinks', () => {
+    it('should find RSS, Atom and JSON feeds a page links to', () => {
+      const html = `
+        <head>
+          <link rel="stylesheet" href="/style.css">
+          <link rel="alternate" type="application/rss+xml" title="Posts &amp; News" href="/feed.xml">
+          <link type='application/atom+xml' href='https://example.com/atom' rel='alternate'>
+          <link rel="alternate" type="application/feed+json" href="feed.json">
+          <link rel="alternate" type="text/html" hreflang="de" href="/de/">
+          <link rel="alternate" type="application/rss+xml" href="/feed.xml">
+        </head>`;
+
+      expect(parseFeedLinks(html, 'https://example.com/blog/')).toEqual([
+        { url: 'https://example.com/feed.xml', title: 'Posts & News', type: 'application/rss+xml' },
+        { url: 'https://example.com/atom', title: null, type: 'application/atom+xml' },
+        { url: 'https://example.com/blog/feed.json', title: null, type: 'application/feed+json' }
+      ]);
+    });
+
+    it('should resolve links against <base>', () => {
+      const html = '<base href="https://cdn.example.com/"><link rel="alternate" type="application/rss+xml" href="rss">';
+
+      expect(parseFeedLinks(html, 'https://example.com/')[0].url).toBe('https://cdn.example.com/rss');
+    });
+  });
+
+  describe('looksLikeFeed', () => {
+    it('should recognize feeds', () => {
+      expect(looksLikeFeed(RSS)).toBe(true);
+      expect(looksLikeFeed('<?xml version="1.0"?><!-- hi --><?xml-stylesheet href="a.xsl"?><feed xmlns="http://www.w3.org/2005/Atom">')).toBe(true);
+      expect(looksLikeFeed('<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">')).toBe(true);
+      expect(looksLikeFeed('{"version": "https://jsonfeed.org/version/1.1", "items": []}')).toBe(true);
+    });
+
+    it('should not mistake pages for feeds', () => {
+      expect(looksLikeFeed('<!DOCTYPE html><html><head><title>rss</title></head></html>')).toBe(false);
+      expect(looksLikeFeed('{"items": []}')).toBe(false);
+    });
+  });
+
+  describe('discoverFeeds', () => {
+    it('should return the feeds a page links to', async () => {
+      serve({
+        'https://example.com/': `<html><head>
+          <link rel="alternate" type="application/rss+xml" title="Posts" href="/feed.xml">
+          <link rel="alternate" type="application/rss+xml" title="Comments" href="/comments/feed.xml">
+        </head></html>`
+      });
+
+      const feeds = await discoverFeeds('https://example.com/');
+
+      expect(feeds.map(feed => feed.title)).toEqual(['Posts', 'Comments']);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave out linked feeds that fail validation', async () => {
+      serve({
+        'https://example.com/': `<link rel="alternate" type="application/rss+xml" href="http://169.254.169.254/feed">
+          <link rel="alternate" type="application/rss+xml" href="/feed.xml">`
+      });
+      validateFeedUrl.mockImplementation(async (url) => ({ safe: !url.includes('169.254') }));
+
+      const feeds = await discoverFeeds('https://example.com/');
+
+      expect(feeds.map(feed => feed.url)).toEqual(['https://example.com/feed.xml']);
+    });
+
+    it('should probe common feed paths when the page links to none', async () => {
+      serve({
+        'https://example.com/about': '<html><head><title>About</title></head></html>',
+        'https://example.com/rss': '<html>Not found</html>',
+        'https://example.com/rss.xml': RSS
+      });
+
+      const feeds = await discoverFeeds('https://example.com/about');
+
+      expect(feeds).toEqual([{ url: 'https://example.com/rss.xml', title: null, type: null }]);
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        'https://example.com/about',
+        'https://example.com/feed',
+        'https://example.com/rss',
+        'https://example.com/feed.xml',
+        'https://example.com/rss.xml'
+      ]);
+    });
+
+    it('should validate every redirect', async () => {
+      serve({
+        'https://example.com/': { status: 301, location: 'http://internal.example/' }
+      });
+      validateFeedUrl.mockImplementation(async (url) => (
+        url.startsWith('http://internal') ? { safe: false, reason: 'Blocked hostname' } : { safe: true }
+      ));
+
+      const feeds = await discoverFeeds('https://example.com/');
+
+      expect(validateFeedUrl).toHaveBeenCalledWith('http://internal.example/');
+      expect(fetch).not.toHaveBeenCalledWith('http://internal.example/', expect.anything());
+      expect(feeds).toEqual([]);
+    });
+
+    it('should find nothing on a site without feeds', async () => {
+      serve({ 'https://example.com/': '<html></html>' });
+
+      expect(await discoverFeeds('https://example.com/')).toEqual([]);
+    });
+  });
+});
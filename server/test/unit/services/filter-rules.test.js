@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { matchesRule, feedFilter, previewRule } from '../../../src/services/filter-rules.js';
+import { filterRuleOps } from '../../../src/services/database.js';
+
+vi.mock('../../../src/services/database.js');
+
+const item = {
+  title: 'Sponsored: The Best Gadget',
+  content: '<p>Brought to you by <b>Acme</b>.</p>',
+  link: 'https://example.com/2024/gadget',
+  author: 'Jane Doe',
+  categories: ['Reviews', 'Hardware']
+};
+
+const rule = (fields) => ({ user_id: 1, match_type: 'keyword', tag: null, ...fields });
+
+describe('Filter rules', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.INCLUDE_SHORTS;
+  });
+
+  describe('matchesRule', () => {
+    it('should match any of the keywords, ignoring case', () => {
+      expect(matchesRule(rule({ field: 'title', pattern: 'giveaway, sponsored' }), item)).toBe(true);
+      expect(matchesRule(rule({ field: 'title', pattern: 'giveaway, podcast' }), item)).toBe(false);
+      expect(matchesRule(rule({ field: 'author', pattern: 'jane' }), item)).toBe(true);
+    });
+
+    it('should match regular expressions, ignoring case', () => {
+      expect(matchesRule(rule({ field: 'link', match_type: 'regex', pattern: '/20\\d\\d/' }), item)).toBe(true);
+      expect(matchesRule(rule({ field: 'title', match_type: 'regex', pattern: '^the' }), item)).toBe(false);
+      expect(matchesRule(rule({ field: 'title', match_type: 'regex', pattern: '^sponsored:' }), item)).toBe(true);
+    });
+
+    it('should match the text of the content, not its markup', () => {
+      expect(matchesRule(rule({ field: 'content', pattern: 'by acme' }), item)).toBe(true);
+      expect(matchesRule(rule({ field: 'content', pattern: '<b>' }), item)).toBe(false);
+    });
+
+    it('should match any one category', () => {
+      expect(matchesRule(rule({ field: 'category', match_type: 'regex', pattern: '^hardware$' }), item)).toBe(true);
+      expect(matchesRule(rule({ field: 'category', pattern: 'software' }), item)).toBe(false);
+    });
+
+    it('should not match fields the item lacks, or invalid expressions', () => {
+      expect(matchesRule(rule({ field: 'author', match_type: 'regex', pattern: '.*' }), { ...item, author: null })).toBe(false);
+      expect(matchesRule(rule({ field: 'title', match_type: 'regex', pattern: '(' }), item)).toBe(false);
+    });
+
+    it('should not run catastrophic expressions saved before they were refused', () => {
+      const started = Date.now();
+      const title = `${'a'.repeat(40)}!`;
+      expect(matchesRule(rule({ field: 'title', match_type: 'regex', pattern: '(a+)+$' }), { ...item, title })).toBe(false);
+      expect(matchesRule(rule({ field: 'title', match_type: 'regex', pattern: '(a|a)*$' }), { ...item, title })).toBe(false);
+      expect(Date.now() - started).toBeLessThan(100);
+    });
+  });
+
+  describe('feedFilter', () => {
+    it('should say what each subscriber\'s rules do with an item', () => {
+      filterRuleOps.forFeed.mockReturnValue({
+        subscribers: [1, 2, 3],
+        rules: [
+          rule({ user_id: 1, field: 'title', pattern: 'sponsored', action: 'skip' }),
+          rule({ user_id: 1, field: 'title', pattern: 'gadget', action: 'save' }),
+          rule({ user_id: 2, field: 'author', pattern: 'jane', action: 'mark_read' }),
+          rule({ user_id: 2, field: 'category', pattern: 'reviews', action: 'tag', tag: 'Reviews' }),
+          rule({ user_id: 2, field: 'category', pattern: 'hardware', action: 'tag', tag: 'Reviews' })
+        ]
+      });
+
+      const outcomes = feedFilter(5)(item);
+
+      expect(filterRuleOps.forFeed).toHaveBeenCalledWith(5);
+      // Nothing for subscribers whose rules don't match
+      expect(outcomes).toEqual([
+        { userId: 1, hide: true },
+        { userId: 2, markRead: true, save: false, tags: ['Reviews'] }
+      ]);
+    });
+
+    it('should drop items every subscriber skips', () => {
+      filterRuleOps.forFeed.mockReturnValue({
+        subscribers: [1, 2],
+        rules: [
+          rule({ user_id: 1, field: 'title', pattern: 'sponsored', action: 'skip' }),
+          rule({ user_id: 2, field: 'link', match_type: 'regex', pattern: 'gadget$', action: 'skip' })
+        ]
+      });
+
+      expect(feedFilter(5)(item)).toBeNull();
+      expect(feedFilter(5)({ ...item, title: 'Gadget', link: 'https://example.com/gadget' })).toEqual([{ userId: 2, hide: true }]);
+    });
+
+    it('should skip YouTube Shorts unless INCLUDE_SHORTS is true', () => {
+      filterRuleOps.forFeed.mockReturnValue({ subscribers: [1], rules: [] });
+      const short = { ...item, link: 'https://www.youtube.com/shorts/xyz789' };
+
+      expect(feedFilter(5)(short)).toBeNull();
+      expect(feedFilter(5)(item)).toEqual([]);
+
+      process.env.INCLUDE_SHORTS = 'true';
+      expect(feedFilter(5)(short)).toEqual([]);
+    });
+  });
+
+  describe('previewRule', () => {
+    it('should list the latest articles the rule matches', () => {
+      const article = (id, fields) => ({
+        id, feed_id: 5, feed_title: 'Blog', link: `https://example.com/${id}`, content: '', author: null,
+        categories: [], pub_date: '2024-01-01T00:00:00.000Z', ...fields
+      });
+      filterRuleOps.recent.mockReturnValue([
+        article(3, { title: 'Weekly links', categories: ['Links'] }),
+        article(2, { title: 'A story' }),
+        article(1, { title: 'More links', categories: ['links'] })
+      ]);
+
+      const preview = previewRule(1, { feedId: 5, field: 'category', matchType: 'keyword', pattern: 'links' });
+
+      expect(filterRuleOps.recent).toHaveBeenCalledWith(1, 5, 50);
+      expect(preview).toEqual({
+        checked: 3,
+        matches: [
+          { id: 3, feed_id: 5, feed_title: 'Blog', title: 'Weekly links', link: 'https://example.com/3', pub_date: '2024-01-01T00:00:00.000Z' },
+          { id: 1, feed_id: 5, feed_title: 'Blog', title: 'More links', link: 'https://example.com/1', pub_date: '2024-01-01T00:00:00.000Z' }
+        ]
+      });
+    });
+  });
+});
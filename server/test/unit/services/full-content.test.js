@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fetch from 'node-fetch';
+import { fetchFullContent, fetchPendingFullContent } from '../../../src/services/full-content.js';
+import { articleOps } from '../../../src/services/database.js';
+import { validateUrl } from '../../../src/services/url-validator.js';
+
+vi.mock('node-fetch');
+vi.mock('../../../src/services/url-validator.js');
+vi.mock('../../../src/services/database.js');
+
+const paragraph = (n) =>
+  `<p>Paragraph ${n} of the story, which goes on for a while, with commas, clauses, and details that make it long enough to count.</p>`;
+const ARTICLE = `<html><body><nav><a href="/">Home</a></nav><article>${paragraph(1)}${paragraph(2)}</article></body></html>`;
+
+// Serve pages from { url: body | { status, location } | { body, contentType } }; anything else is a 404
+function serve(site) {
+  fetch.mockImplementation(async (url) => {
+    let page = site[url];
+    if (page === undefined) page = { status: 404 };
+    if (typeof page === 'string') page = { body: page };
+    const headers = {
+      location: page.location,
+      'content-type': page.contentType ?? (page.body !== undefined ? 'text/html; charset=utf-8' : null)
+    };
+    const status = page.status ?? 200;
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name] ?? null },
+      arrayBuffer: async () => {
+        const buffer = Buffer.isBuffer(page.body) ? page.body : Buffer.from(page.body ?? '');
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+      }
+    };
+  });
+}
+
+describe('Full content', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    validateUrl.mockResolvedValue({ safe: true });
+  });
+
+  describe('fetchFullContent', () => {
+    it('should store the main content of the article page', async () => {
+      serve({ 'https://example.com/post': ARTICLE });
+
+      expect(await fetchFullContent({ id: 7, link: 'https://example.com/post' })).toBe(true);
+
+      const [id, html] = articleOps.updateFullContent.mock.calls[0];
+      expect(id).toBe(7);
+      expect(html).toContain('Paragraph 1 of the story');
+      expect(html).not.toContain('Home');
+    });
+
+    it('should follow redirects that pass validation', async () => {
+      serve({
+        'https://example.com/p/1': { status: 301, location: '/2024/post' },
+        'https://example.com/2024/post': ARTICLE
+      });
+
+      expect(await fetchFullContent({ id: 1, link: 'https://example.com/p/1' })).toBe(true);
+      expect(validateUrl).toHaveBeenCalledWith('https://example.com/2024/post');
+    });
+
+    it('should not fetch pages that fail validation, redirects included', async () => {
+      serve({ 'https://example.com/post': { status: 302, location: 'http://169.254.169.254/latest/meta-data' } });
+      validateUrl.mockImplementation(async (url) =>
+        url.includes('169.254') ? { safe: false, reason: 'Private IP address' } : { safe: true });
+
+      expect(await fetchFullContent({ id: 1, link: 'https://example.com/post' })).toBe(false);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(articleOps.updateFullContent).toHaveBeenCalledWith(1, null);
+    });
+
+    it('should skip responses that are not HTML pages', async () => {
+      serve({
+        'https://example.com/episode.mp3': { body: 'ID3', contentType: 'audio/mpeg' },
+        'https://example.com/gone': { status: 410 }
+      });
+
+      expect(await fetchFullContent({ id: 1, link: 'https://example.com/episode.mp3' })).toBe(false);
+      expect(await fetchFullContent({ id: 2, link: 'https://example.com/gone' })).toBe(false);
+      expect(articleOps.updateFullContent.mock.calls).toEqual([[1, null], [2, null]]);
+    });
+
+    it('should decode pages in the encoding they declare', async () => {
+      const html = `<html><head><meta charset="windows-1252"></head><body><article>${paragraph(1)}<p>Crème brûlée, à la carte, with details that make it long enough to count as a paragraph.</p></article></body></html>`;
+      serve({ 'https://example.com/post': { body: Buffer.from(html, 'latin1'), contentType: 'text/html' } });
+
+      await fetchFullContent({ id: 1, link: 'https://example.com/post' });
+
+      expect(articleOps.updateFullContent.mock.calls[0][1]).toContain('Crème brûlée, à la carte');
+    });
+  });
+
+  describe('fetchPendingFullContent', () => {
+    it('should work through pending articles until none are left', async () => {
+      serve({ 'https://example.com/a': ARTICLE, 'https://example.com/b': '<p>Not much here.</p>' });
+      articleOps.pendingFullContent
+        .mockReturnValueOnce([{ id: 1, link: 'https://example.com/a' }, { id: 2, link: 'https://example.com/b' }])
+        .mockReturnValueOnce([{ id: 3, link: 'https://example.com/c' }])
+        .mockReturnValue([]);
+      const now = Date.parse('2025-06-10T12:00:00.000Z');
+
+      const stats = await fetchPendingFullContent(now);
+
+      expect(stats).toEqual({ found: 1, missing: 2 });
+      expect(articleOps.pendingFullContent).toHaveBeenCalledWith(now - 7 * 24 * 60 * 60 * 1000, expect.any(Number));
+      expect(articleOps.updateFullContent).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry articles whose page failed', async () => {
+      validateUrl.mockRejectedValue(new Error('DNS exploded'));
+      articleOps.pendingFullContent
+        .mockReturnValueOnce([{ id: 1, link: 'https://example.com/a' }])
+        .mockReturnValue([]);
+
+      expect(await fetchPendingFullContent()).toEqual({ found: 0, missing: 1 });
+      expect(articleOps.updateFullContent).toHaveBeenCalledWith(1, null);
+    });
+  });
+});
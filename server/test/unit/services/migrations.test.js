@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, runMigrations, getSchemaVersion } from '../../../src/services/migrations.js';
+
+describe('Migrations Service', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should number the registry sequentially from 1', () => {
+    expect(MIGRATIONS.map(m => m.version)).toEqual(MIGRATIONS.map((_, i) => i + 1));
+  });
+
+  it('should apply all migrations to a new database', () => {
+    const applied = runMigrations(db);
+
+    expect(applied).toEqual(MIGRATIONS.map(m => m.version));
+    expect(getSchemaVersion(db)).toBe(MIGRATIONS.length);
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+    expect(tables).toEqual(expect.arrayContaining(['feeds', 'articles', 'settings', 'articles_fts']));
+  });
+
+  it('should do nothing when already up to date', () => {
+    runMigrations(db);
+    expect(runMigrations(db)).toEqual([]);
+  });
+
+  it('should only run migrations newer than the stored version', () => {
+    const calls = [];
+    const registry = [1, 2, 3].map(version => ({
+      version,
+      description: `step ${version}`,
+      up: () => calls.push(version)
+    }));
+    db.pragma('user_version = 1');
+
+    expect(runMigrations(db, registry)).toEqual([2, 3]);
+    expect(calls).toEqual([2, 3]);
+    expect(getSchemaVersion(db)).toBe(3);
+  });
+
+  it('should be safe to re-run every migration on an existing schema', () => {
+    runMigrations(db);
+    db.prepare("INSERT INTO feeds (title, url, created_at) VALUES ('Feed', 'https://example.com', '2025-01-01T00:00:00.000Z')").run();
+    db.prepare(`
+      INSERT INTO articles (feed_id, title, link, content, created_at)
+      VALUES (1, 'Indexed', 'https://example.com/a', '<p>Body</p>', '2025-01-01T00:00:00.000Z')
+    `).run();
+    db.prepare("INSERT INTO articles_fts (rowid, title, content) VALUES (1, 'Indexed', 'Body')").run();
+
+    // Databases from before versioning have the tables but version 0
+    db.pragma('user_version = 0');
+    runMigrations(db);
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM feeds').get().n).toBe(1);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM articles_fts').get().n).toBe(1);
+  });
+
+  it('should build the search index for existing articles', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 1));
+    db.prepare(`
+      INSERT INTO articles (feed_id, title, link, content, created_at)
+      VALUES (1, 'Hello', 'https://example.com/a', '<p>World</p>', '2025-01-01T00:00:00.000Z')
+    `).run();
+
+    runMigrations(db);
+
+    expect(db.prepare("SELECT rowid, content FROM articles_fts WHERE articles_fts MATCH 'world'").get())
+      .toEqual({ rowid: 1, content: 'World' });
+  });
+
+  it('should backfill canonical URLs for existing articles', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 3));
+    db.prepare(`
+      INSERT INTO articles (feed_id, title, link, content, created_at)
+      VALUES (1, 'Video', 'https://youtu.be/abc123', '', '2025-01-01T00:00:00.000Z')
+    `).run();
+
+    runMigrations(db);
+
+    expect(db.prepare('SELECT canonical_url, duplicate_of FROM articles').get())
+      .toEqual({ canonical_url: 'youtube.com/watch?v=abc123', duplicate_of: null });
+  });
+
+  it('should backfill duplicate lookup keys for existing articles', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 4));
+    db.prepare(`
+      INSERT INTO articles (feed_id, title, link, content, created_at)
+      VALUES (1, '  Hello   World ', 'https://example.com/a?utm_source=rss', '', '2025-01-01T00:00:00.000Z')
+    `).run();
+
+    runMigrations(db);
+
+    expect(db.prepare('SELECT link_key, title_key FROM articles').get())
+      .toEqual({ link_key: 'https://example.com/a', title_key: 'hello world' });
+  });
+
+  it('should index near-duplicate keys for existing articles', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 16));
+    const insert = db.prepare(`
+      INSERT INTO articles (feed_id, title, link, content, pub_date, pub_ts, created_at)
+      VALUES (1, ?, 'https://example.com/a', '', '2025-01-01T00:00:00.000Z', ?, '2025-01-01T00:00:00.000Z')
+    `);
+    insert.run('Rust 2.0 released with new borrow checker', Date.parse('2025-01-01'));
+    insert.run('An article without a publication date', null);
+
+    runMigrations(db);
+
+    const rows = db.prepare('SELECT DISTINCT article_id, pub_ts FROM duplicate_keys').all();
+    expect(rows).toEqual([{ article_id: 1, pub_ts: Date.parse('2025-01-01') }]);
+  });
+
+  it('should add normalized URL keys to existing feeds', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 17));
+    db.prepare(`
+      INSERT INTO feeds (title, url, created_at)
+      VALUES ('Feed', 'https://example.com/feed.xml?utm_source=rss', '2025-01-01T00:00:00.000Z')
+    `).run();
+
+    runMigrations(db);
+
+    expect(db.prepare('SELECT url_key FROM feeds').pluck().get()).toBe('https://example.com/feed.xml');
+  });
+
+  it('should move reader state to an owner account', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 7));
+    db.prepare("INSERT INTO folders (name, created_at) VALUES ('News', '2025-01-01T00:00:00.000Z')").run();
+    db.prepare("INSERT INTO feeds (title, url, folder_id, created_at) VALUES ('Feed', 'https://example.com', 1, '2025-01-01T00:00:00.000Z')").run();
+    db.prepare(`
+      INSERT INTO articles (feed_id, title, link, content, is_read, is_saved, created_at)
+      VALUES (1, 'Read', 'https://example.com/a', '', 1, 0, '2025-01-01T00:00:00.000Z'),
+             (1, 'Unread', 'https://example.com/b', '', 0, 0, '2025-01-01T00:00:00.000Z')
+    `).run();
+    db.prepare("INSERT INTO tags (name, created_at) VALUES ('Research', '2025-01-01T00:00:00.000Z')").run();
+    db.prepare(`INSERT INTO settings (key, value) VALUES ('llm_model', '"gpt"'), ('retention', '{}')`).run();
+
+    runMigrations(db);
+
+    expect(db.prepare('SELECT id, username, role, password_hash FROM users').all())
+      .toEqual([{ id: 1, username: 'admin', role: 'admin', password_hash: null }]);
+    expect(db.prepare('SELECT user_id, feed_id, title, folder_id FROM subscriptions').all())
+      .toEqual([{ user_id: 1, feed_id: 1, title: 'Feed', folder_id: 1 }]);
+    expect(db.prepare('SELECT user_id, article_id, is_read, is_saved FROM article_states').all())
+      .toEqual([{ user_id: 1, article_id: 1, is_read: 1, is_saved: 0 }]);
+    expect(db.prepare('SELECT user_id, name FROM tags').all()).toEqual([{ user_id: 1, name: 'Research' }]);
+    expect(db.prepare('SELECT user_id FROM folders').pluck().all()).toEqual([1]);
+    expect(db.prepare('SELECT user_id, key FROM user_settings').all()).toEqual([{ user_id: 1, key: 'llm_model' }]);
+    expect(db.prepare('SELECT key FROM settings').pluck().all()).toEqual(['retention']);
+
+    // Re-running on the new layout doesn't subscribe the owner to anything again
+    db.prepare('DELETE FROM subscriptions').run();
+    db.pragma('user_version = 0');
+    runMigrations(db);
+    expect(db.prepare('SELECT COUNT(*) FROM subscriptions').pluck().get()).toBe(0);
+  });
+
+  it('should roll back a failed migration and keep the previous version', () => {
+    const registry = [
+      { version: 1, description: 'create', up: (conn) => conn.exec('CREATE TABLE a (id INTEGER)') },
+      {
+        version: 2,
+        description: 'broken',
+        up: (conn) => {
+          conn.exec('CREATE TABLE b (id INTEGER)');
+          throw new Error('boom');
+        }
+      }
+    ];
+
+    expect(() => runMigrations(db, registry)).toThrow('boom');
+    expect(getSchemaVersion(db)).toBe(1);
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'b'").get()).toBeUndefined();
+  });
+
+  it('should refuse data written by a newer version', () => {
+    db.pragma(`user_version = ${MIGRATIONS.length + 1}`);
+
+    expect(() => runMigrations(db)).toThrow(/newer than this server supports/);
+  });
+
+  it('should reject a registry with gaps', () => {
+    const registry = [{ version: 1, description: 'a', up: () => {} }, { version: 3, description: 'c', up: () => {} }];
+
+    expect(() => runMigrations(db, registry)).toThrow(/expected 2/);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RETENTION, resolveRetention, toCutoffs } from '../../../src/services/retention.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Retention Service', () => {
+  describe('resolveRetention', () => {
+    it('should fall back to the defaults', () => {
+      expect(resolveRetention()).toEqual(DEFAULT_RETENTION);
+    });
+
+    it('should apply the global policy, then feed overrides', () => {
+      const policy = resolveRetention(
+        { maxCount: 100, readMaxAgeDays: 7 },
+        { readMaxAgeDays: 1, unreadMaxAgeDays: null }
+      );
+
+      expect(policy).toEqual({ maxCount: 100, readMaxAgeDays: 1, unreadMaxAgeDays: null, neverDelete: false });
+    });
+
+    it('should ignore unknown keys', () => {
+      expect(resolveRetention({ maxAge: 5 })).toEqual(DEFAULT_RETENTION);
+    });
+  });
+
+  describe('toCutoffs', () => {
+    const now = Date.UTC(2025, 0, 31);
+
+    it('should convert age limits to timestamps', () => {
+      expect(toCutoffs(DEFAULT_RETENTION, now)).toEqual({
+        keep: 200,
+        readCutoff: now - 30 * DAY_MS,
+        unreadCutoff: now - 60 * DAY_MS
+      });
+    });
+
+    it('should keep null age limits as "never"', () => {
+      const cutoffs = toCutoffs({ ...DEFAULT_RETENTION, maxCount: null, unreadMaxAgeDays: null }, now);
+      expect(cutoffs).toEqual({ keep: 0, readCutoff: now - 30 * DAY_MS, unreadCutoff: null });
+    });
+
+    it('should return null when nothing can be deleted', () => {
+      expect(toCutoffs({ ...DEFAULT_RETENTION, neverDelete: true }, now)).toBeNull();
+      expect(toCutoffs({ ...DEFAULT_RETENTION, readMaxAgeDays: null, unreadMaxAgeDays: null }, now)).toBeNull();
+    });
+  });
+});
@@ -3,19 +3,28 @@ import { fetchFeed, syncFeed } from '../../../src/services/rss.js';
 import Parser from 'rss-parser';
 import fetch from 'node-fetch';
 import iconv from 'iconv-lite';
-import { articleOps } from '../../../src/services/database.js';
+import { articleOps, feedOps, filterRuleOps } from '../../../src/services/database.js';
+import { queueFullContent } from '../../../src/services/full-content.js';
+import { validateFeedUrl } from '../../../src/services/url-validator.js';
 
 // Mock dependencies
 vi.mock('rss-parser');
 vi.mock('node-fetch');
 vi.mock('iconv-lite');
 vi.mock('../../../src/services/database.js');
+vi.mock('../../../src/services/full-content.js');
+vi.mock('../../../src/services/url-validator.js');
 
 describe('RSS Service', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     // Default mock for articleOps.insert
     articleOps.insert.mockReturnValue({ id: 1 });
+    // One subscriber without filter rules
+    filterRuleOps.forFeed.mockReturnValue({ subscribers: [1], rules: [] });
+    // Every charset is one iconv-lite knows
+    iconv.encodingExists.mockReturnValue(true);
+    validateFeedUrl.mockResolvedValue({ safe: true });
   });
 
   afterEach(() => {
@@ -110,16 +119,97 @@ describe('RSS Service', () => {
       await expect(fetchFeed('https://example.com/feed.xml')).rejects.toThrow('Feed request timed out');
     });
 
-    it('should fallback to default parser on network error', async () => {
-      const mockFeed = { items: [{ title: 'Test' }] };
-
+    it('should report network errors', async () => {
       fetch.mockRejectedValue(new Error('Network error'));
-      Parser.prototype.parseURL.mockResolvedValue(mockFeed);
+
+      await expect(fetchFeed('https://example.com/feed.xml')).rejects.toThrow('Network error');
+      expect(Parser.prototype.parseURL).not.toHaveBeenCalled();
+    });
+
+    it('should check the feed URL and every redirect', async () => {
+      validateFeedUrl.mockImplementation(async url => (
+        url.startsWith('http://169.254.') ? { safe: false, reason: 'Blocked hostname' } : { safe: true }
+      ));
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 302,
+        headers: { get: vi.fn(header => (header === 'location' ? 'http://169.254.169.254/latest/meta-data/' : null)) }
+      });
+
+      await expect(fetchFeed('https://example.com/feed.xml')).rejects.toThrow(/Blocked URL/);
+
+      expect(validateFeedUrl).toHaveBeenCalledWith('https://example.com/feed.xml');
+      expect(validateFeedUrl).toHaveBeenCalledWith('http://169.254.169.254/latest/meta-data/');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('https://example.com/feed.xml', expect.objectContaining({ redirect: 'manual' }));
+      expect(Parser.prototype.parseURL).not.toHaveBeenCalled();
+    });
+
+    it('should follow redirects that pass the check', async () => {
+      const mockXml = '<rss><channel></channel></rss>';
+      fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 301,
+          headers: { get: vi.fn(header => (header === 'location' ? '/new-feed.xml' : null)) }
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          headers: { get: vi.fn(() => null) },
+          arrayBuffer: async () => Buffer.from(mockXml).buffer
+        });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({ items: [] });
+
+      await fetchFeed('https://example.com/feed.xml');
+
+      expect(validateFeedUrl).toHaveBeenCalledWith('https://example.com/new-feed.xml');
+      expect(fetch).toHaveBeenLastCalledWith('https://example.com/new-feed.xml', expect.any(Object));
+    });
+
+    it('should send the validators of the last download', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 304, statusText: 'Not Modified' });
+
+      const result = await fetchFeed('https://example.com/feed.xml', {
+        etag: '"v1"',
+        lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT'
+      });
+
+      expect(result).toBeNull();
+      expect(fetch).toHaveBeenCalledWith('https://example.com/feed.xml', expect.objectContaining({
+        headers: { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT' }
+      }));
+      expect(Parser.prototype.parseString).not.toHaveBeenCalled();
+      expect(Parser.prototype.parseURL).not.toHaveBeenCalled();
+    });
+
+    it('should return the validators of the download with the feed', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      const headers = { 'content-type': 'application/xml', etag: '"v2"', 'last-modified': 'Thu, 02 Jan 2025 00:00:00 GMT' };
+
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(header => headers[header] ?? null) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({ items: [] });
 
       const result = await fetchFeed('https://example.com/feed.xml');
 
-      expect(result).toEqual(mockFeed);
-      expect(Parser.prototype.parseURL).toHaveBeenCalledWith('https://example.com/feed.xml');
+      expect(result).toEqual({ items: [], etag: '"v2"', lastModified: 'Thu, 02 Jan 2025 00:00:00 GMT' });
+      expect(fetch).toHaveBeenCalledWith('https://example.com/feed.xml', expect.objectContaining({ headers: {} }));
+    });
+
+    it('should report the HTTP status', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+      await expect(fetchFeed('https://example.com/feed.xml')).rejects.toMatchObject({
+        message: 'HTTP 404: Not Found',
+        status: 404
+      });
     });
 
     it('should handle various encoding types', async () => {
@@ -155,22 +245,6 @@ describe('RSS Service', () => {
       }
     });
 
-    it('should handle HTTP error by falling back to default parser', async () => {
-      const mockFeed = { items: [{ title: 'Test' }] };
-
-      fetch.mockResolvedValue({
-        ok: false,
-        status: 404,
-        statusText: 'Not Found'
-      });
-
-      Parser.prototype.parseURL.mockResolvedValue(mockFeed);
-
-      const result = await fetchFeed('https://example.com/feed.xml');
-
-      expect(result).toEqual(mockFeed);
-      expect(Parser.prototype.parseURL).toHaveBeenCalled();
-    });
   });
 
   describe('syncFeed - Integration Tests', () => {
@@ -208,8 +282,48 @@ describe('RSS Service', () => {
         'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
         expect.any(String),
         '2024-01-01T00:00:00Z',
-        'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+        'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+        null,
+        { author: null, categories: [] }
+      );
+    });
+
+    it('should store the items of a JSON Feed', async () => {
+      const json = JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'JSON Blog',
+        items: [{
+          id: '1',
+          title: 'Hello',
+          url: 'https://example.com/hello',
+          content_html: '<p>Hello <b>world</b></p>',
+          image: 'https://example.com/hello.png',
+          date_published: '2024-01-01T00:00:00Z'
+        }]
+      });
+
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn((header) => header === 'content-type' ? 'application/feed+json' : null) },
+        arrayBuffer: async () => Buffer.from(json).buffer
+      });
+      iconv.decode.mockReturnValue(json);
+
+      const result = await syncFeed(1, 'https://example.com/feed.json');
+
+      expect(Parser.prototype.parseString).not.toHaveBeenCalled();
+      expect(articleOps.insert).toHaveBeenCalledWith(
+        1,
+        'Hello',
+        'https://example.com/hello',
+        'Hello world',
+        '2024-01-01T00:00:00Z',
+        'https://example.com/hello.png',
+        null,
+        { author: null, categories: [] }
       );
+      expect(result).toEqual({ newCount: 1, total: 1, unchanged: false });
     });
 
     it('should handle youtu.be short URLs', async () => {
@@ -243,7 +357,9 @@ describe('RSS Service', () => {
         'https://youtu.be/dQw4w9WgXcQ',
         expect.any(String),
         '2024-01-01T00:00:00Z',
-        'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+        'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+        null,
+        { author: null, categories: [] }
       );
     });
 
@@ -289,11 +405,203 @@ describe('RSS Service', () => {
         'https://www.youtube.com/watch?v=abc123',
         expect.any(String),
         '2024-01-01T00:00:00Z',
-        'https://img.youtube.com/vi/abc123/hqdefault.jpg'
+        'https://img.youtube.com/vi/abc123/hqdefault.jpg',
+        null,
+        { author: null, categories: [] }
       );
       expect(result.newCount).toBe(1);
     });
 
+    it('should skip feeds not modified since the last sync', async () => {
+      feedOps.validators.mockReturnValue({ etag: '"v1"', lastModified: null });
+      fetch.mockResolvedValue({ ok: false, status: 304, statusText: 'Not Modified' });
+
+      const result = await syncFeed(1, 'https://example.com/feed.xml');
+
+      expect(result).toEqual({ newCount: 0, total: 0, unchanged: true });
+      // Keeps the interval the feed asked for before
+      expect(feedOps.recordSync).toHaveBeenCalledWith(1, { interval: undefined });
+      expect(fetch).toHaveBeenCalledWith('https://example.com/feed.xml', expect.objectContaining({
+        headers: { 'If-None-Match': '"v1"' }
+      }));
+      expect(articleOps.insert).not.toHaveBeenCalled();
+      expect(feedOps.updateValidators).not.toHaveBeenCalled();
+    });
+
+    it('should store podcast enclosures with their length and duration', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(() => null) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      const episode = (n, fields) => ({
+        title: `Episode ${n}`,
+        link: `https://example.com/${n}`,
+        pubDate: '2024-01-01T00:00:00Z',
+        ...fields
+      });
+      Parser.prototype.parseString.mockResolvedValue({
+        items: [
+          episode(1, {
+            enclosure: { url: 'https://cdn.example.com/1.mp3', type: 'audio/mpeg', length: '52428800' },
+            itunes: { duration: '1:02:03' }
+          }),
+          // Feeds that don't declare the iTunes namespace
+          episode(2, { enclosure: { url: 'https://cdn.example.com/2.m4a', length: '0' }, 'itunes:duration': '45:10' }),
+          episode(3, { enclosure: { url: 'https://cdn.example.com/3.mp4', type: 'video/mp4' }, itunes: { duration: '930' } }),
+          episode(4, { enclosure: { url: 'https://cdn.example.com/4.mp3', type: 'audio/mpeg' }, itunes: { duration: 'about an hour' } }),
+          episode(5, { enclosure: { url: 'ftp://example.com/5.mp3', type: 'audio/mpeg' } })
+        ]
+      });
+
+      await syncFeed(1, 'https://example.com/podcast.xml');
+
+      expect(articleOps.insert.mock.calls.map(call => call[6])).toEqual([
+        { url: 'https://cdn.example.com/1.mp3', type: 'audio/mpeg', length: 52428800, duration: 3723 },
+        { url: 'https://cdn.example.com/2.m4a', type: null, length: null, duration: 2710 },
+        { url: 'https://cdn.example.com/3.mp4', type: 'video/mp4', length: null, duration: 930 },
+        { url: 'https://cdn.example.com/4.mp3', type: 'audio/mpeg', length: null, duration: null },
+        null
+      ]);
+    });
+
+    it('should store the author and categories of items', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(() => null) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({
+        items: [
+          {
+            title: 'Post 1',
+            link: 'https://example.com/1',
+            creator: ' Jane Doe ',
+            categories: ['Tech', { _: 'Sponsored', $: { domain: 'https://example.com/c' } }, '']
+          },
+          { title: 'Post 2', link: 'https://example.com/2', author: 'John Roe' }
+        ]
+      });
+
+      await syncFeed(1, 'https://example.com/feed.xml');
+
+      expect(articleOps.insert.mock.calls.map(call => call[7])).toEqual([
+        { author: 'Jane Doe', categories: ['Tech', 'Sponsored'] },
+        { author: 'John Roe', categories: [] }
+      ]);
+    });
+
+    it('should apply the filter rules of the subscribers', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(() => null) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({
+        items: [
+          { title: 'Sponsored: a gadget', link: 'https://example.com/1' },
+          { title: 'Release notes', link: 'https://example.com/2', categories: ['Sponsored'] },
+          { title: 'A story', link: 'https://example.com/3' }
+        ]
+      });
+      const rule = (userId, fields) => ({ user_id: userId, match_type: 'keyword', tag: null, ...fields });
+      filterRuleOps.forFeed.mockReturnValue({
+        subscribers: [1, 2],
+        rules: [
+          rule(1, { field: 'title', pattern: 'sponsored', action: 'skip' }),
+          rule(2, { field: 'title', pattern: 'sponsored', action: 'skip' }),
+          rule(2, { field: 'category', pattern: 'sponsored', action: 'tag', tag: 'Ads' })
+        ]
+      });
+      articleOps.insert.mockReturnValueOnce({ id: 10 }).mockReturnValueOnce({ id: 11 });
+
+      const result = await syncFeed(1, 'https://example.com/feed.xml');
+
+      // Skipped by everybody: not stored at all
+      expect(articleOps.insert.mock.calls.map(call => call[1])).toEqual(['Release notes', 'A story']);
+      expect(filterRuleOps.apply).toHaveBeenCalledTimes(1);
+      expect(filterRuleOps.apply).toHaveBeenCalledWith(10, [
+        { userId: 2, markRead: false, save: false, tags: ['Ads'] }
+      ]);
+      expect(result.newCount).toBe(2);
+    });
+
+    it('should store the validators once the articles are stored', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(header => (header === 'etag' ? '"v2"' : null)) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({
+        items: [{ title: 'Post', link: 'https://example.com/post', pubDate: '2024-01-01T00:00:00Z' }]
+      });
+
+      const result = await syncFeed(1, 'https://example.com/feed.xml');
+
+      expect(result).toEqual({ newCount: 1, total: 1, unchanged: false });
+      expect(feedOps.updateValidators).toHaveBeenCalledWith(1, expect.objectContaining({ etag: '"v2"', lastModified: null }));
+    });
+
+    it('should queue the pages of new articles for their full content', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(() => null) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({
+        items: [{ title: 'Post', link: 'https://example.com/post', pubDate: '2024-01-01T00:00:00Z' }]
+      });
+
+      await syncFeed(1, 'https://example.com/feed.xml');
+      expect(queueFullContent).toHaveBeenCalledTimes(1);
+
+      // Nothing new the second time
+      queueFullContent.mockClear();
+      articleOps.insert.mockReturnValue(null);
+      await syncFeed(1, 'https://example.com/feed.xml');
+      expect(queueFullContent).not.toHaveBeenCalled();
+    });
+
+    it('should schedule the next sync on the interval the feed asks for', async () => {
+      const mockXml = '<rss><channel><ttl>60</ttl></channel></rss>';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(() => null) },
+        arrayBuffer: async () => Buffer.from(mockXml).buffer
+      });
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({ ttl: '60', items: [] });
+
+      const result = await syncFeed(1, 'https://example.com/feed.xml');
+
+      expect(result).toEqual({ newCount: 0, total: 0, unchanged: false });
+      expect(feedOps.recordSync).toHaveBeenCalledWith(1, { interval: 60 });
+    });
+
+    it('should record failed syncs for backoff', async () => {
+      fetch.mockRejectedValue(new Error('Network error'));
+
+      await expect(syncFeed(1, 'https://example.com/feed.xml')).rejects.toThrow('Network error');
+
+      expect(feedOps.recordSync).toHaveBeenCalledWith(1, { error: expect.objectContaining({ message: 'Network error' }) });
+    });
+
     it('should include YouTube Shorts when INCLUDE_SHORTS is true', async () => {
       process.env.INCLUDE_SHORTS = 'true';
 
@@ -402,7 +710,9 @@ describe('RSS Service', () => {
         expect.anything(),
         expect.anything(),
         expect.anything(),
-        'https://example.com/image.jpg'
+        'https://example.com/image.jpg',
+        null,
+        { author: null, categories: [] }
       );
     });
 
@@ -441,7 +751,9 @@ describe('RSS Service', () => {
         expect.anything(),
         expect.anything(),
         expect.anything(),
-        'https://example.com/enclosure.jpg'
+        'https://example.com/enclosure.jpg',
+        null,
+        { author: null, categories: [] }
       );
     });
 
@@ -476,11 +788,13 @@ describe('RSS Service', () => {
         expect.anything(),
         expect.anything(),
         expect.anything(),
-        'https://example.com/content.jpg'
+        'https://example.com/content.jpg',
+        null,
+        { author: null, categories: [] }
       );
     });
 
-    it('should not extract non-image enclosure', async () => {
+    it('should store non-image enclosures rather than use them as the image', async () => {
       const mockFeed = {
         items: [{
           title: 'Test Article',
@@ -515,10 +829,42 @@ describe('RSS Service', () => {
         expect.anything(),
         expect.anything(),
         expect.anything(),
-        null
+        null,
+        { url: 'https://example.com/audio.mp3', type: 'audio/mpeg', length: null, duration: null },
+        { author: null, categories: [] }
       );
     });
 
+    it('should fetch a feed once when it is synced concurrently', async () => {
+      const mockXml = '<rss><channel><item><title>Test</title></item></channel></rss>';
+      const mockBuffer = Buffer.from(mockXml, 'utf-8');
+
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn(() => 'application/xml') },
+        arrayBuffer: async () => mockBuffer.buffer
+      });
+
+      iconv.decode.mockReturnValue(mockXml);
+      Parser.prototype.parseString.mockResolvedValue({
+        items: [{ title: 'Shared', link: 'https://example.com/shared', pubDate: '2024-01-01T00:00:00Z' }]
+      });
+
+      const results = await Promise.all([
+        syncFeed(5, 'https://example.com/feed.xml'),
+        syncFeed(5, 'https://example.com/feed.xml')
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(articleOps.insert).toHaveBeenCalledTimes(1);
+      expect(results[0]).toBe(results[1]);
+
+      // Later syncs fetch again
+      await syncFeed(5, 'https://example.com/feed.xml');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
     it('should handle empty feed', async () => {
       const mockFeed = { items: [] };
 
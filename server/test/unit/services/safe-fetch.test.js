@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fetch from 'node-fetch';
+import { safeFetch } from '../../../src/services/safe-fetch.js';
+
+vi.mock('node-fetch');
+
+// Serve { url: body | { status, location } }; anything else is a 404
+function serve(site) {
+  fetch.mockImplementation(async (url) => {
+    let page = site[url] ?? { status: 404 };
+    if (typeof page === 'string') page = { body: page };
+    const status = page.status ?? 200;
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => (name === 'location' ? page.location ?? null : null) },
+      text: async () => page.body ?? ''
+    };
+  });
+}
+
+describe('safeFetch', () => {
+  const validate = vi.fn();
+  const options = {
+    validate,
+    purpose: 'test',
+    headers: { 'Accept': 'text/html' },
+    read: response => response.text(),
+    timeout: 1000,
+    maxBytes: 1024
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    validate.mockImplementation(async (url) => (
+      url.startsWith('http://10.') ? { safe: false, reason: 'Private IP address' } : { safe: true }
+    ));
+  });
+
+  it('should return the body and the URL it came from after redirects', async () => {
+    serve({
+      'https://example.com/a': { status: 301, location: '/b' },
+      'https://example.com/b': 'page'
+    });
+
+    expect(await safeFetch('https://example.com/a', options)).toEqual({ url: 'https://example.com/b', body: 'page' });
+    expect(fetch).toHaveBeenCalledWith('https://example.com/b', expect.objectContaining({
+      redirect: 'manual',
+      size: 1024,
+      headers: { 'Accept': 'text/html' }
+    }));
+  });
+
+  it('should validate every redirect', async () => {
+    const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    serve({ 'https://example.com/a': { status: 302, location: 'http://10.0.0.1/admin' } });
+
+    expect(await safeFetch('https://example.com/a', options)).toBeNull();
+    expect(validate).toHaveBeenCalledWith('http://10.0.0.1/admin');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    consoleSpy.mockRestore();
+  });
+
+  it('should give up on redirect loops, errors and refused responses', async () => {
+    serve({ 'https://example.com/loop': { status: 302, location: '/loop' } });
+    expect(await safeFetch('https://example.com/loop', options)).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(6);
+
+    serve({});
+    expect(await safeFetch('https://example.com/missing', options)).toBeNull();
+
+    serve({ 'https://example.com/a': 'page' });
+    expect(await safeFetch('https://example.com/a', { ...options, read: async () => null })).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { syncDueFeeds } from '../../../src/services/scheduler.js';
+import { feedOps } from '../../../src/services/database.js';
+import { syncFeed } from '../../../src/services/rss.js';
+
+vi.mock('../../../src/services/database.js');
+vi.mock('../../../src/services/rss.js');
+
+const feeds = [1, 2, 3, 4, 5].map(id => ({ id, url: `https://example.com/feed${id}.xml` }));
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    feedOps.due.mockReturnValue([...feeds]);
+  });
+
+  it('should sync every feed that is due', async () => {
+    syncFeed.mockResolvedValue({ newCount: 0, total: 0 });
+    const now = Date.UTC(2025, 0, 1);
+
+    const stats = await syncDueFeeds(now);
+
+    expect(feedOps.due).toHaveBeenCalledWith(now);
+    expect(syncFeed.mock.calls).toEqual(feeds.map(feed => [feed.id, feed.url]));
+    expect(stats).toEqual({ synced: 5, failed: 0 });
+  });
+
+  it('should sync at most `concurrency` feeds at once', async () => {
+    let active = 0;
+    let mostActive = 0;
+    syncFeed.mockImplementation(async () => {
+      active++;
+      mostActive = Math.max(mostActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { newCount: 0, total: 0 };
+    });
+
+    await syncDueFeeds(Date.now(), 2);
+
+    expect(syncFeed).toHaveBeenCalledTimes(5);
+    expect(mostActive).toBe(2);
+  });
+
+  it('should carry on after a feed fails', async () => {
+    syncFeed.mockImplementation(async (id) => {
+      if (id === 2) throw new Error('HTTP 500: Internal Server Error');
+      return { newCount: 1, total: 1 };
+    });
+
+    const stats = await syncDueFeeds(Date.now(), 1);
+
+    expect(syncFeed).toHaveBeenCalledTimes(5);
+    expect(stats).toEqual({ synced: 4, failed: 1 });
+  });
+
+  it('should do nothing when no feed is due', async () => {
+    feedOps.due.mockReturnValue([]);
+
+    expect(await syncDueFeeds()).toEqual({ synced: 0, failed: 0 });
+    expect(syncFeed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  feedInterval,
+  nextSyncTime,
+  DEFAULT_INTERVAL_MINUTES,
+  MIN_INTERVAL_MINUTES,
+  MAX_INTERVAL_MINUTES,
+  MAX_BACKOFF_MINUTES
+} from '../../../src/services/sync-schedule.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Sync Schedule', () => {
+  describe('feedInterval', () => {
+    it('should use the RSS ttl', () => {
+      expect(feedInterval({ ttl: '60' })).toBe(60);
+    });
+
+    it('should use the syndication module update period', () => {
+      expect(feedInterval({ 'sy:updatePeriod': 'hourly' })).toBe(60);
+      expect(feedInterval({ 'sy:updatePeriod': ' Daily ', 'sy:updateFrequency': '4' })).toBe(6 * 60);
+    });
+
+    it('should prefer the ttl', () => {
+      expect(feedInterval({ ttl: '30', 'sy:updatePeriod': 'daily' })).toBe(30);
+    });
+
+    it('should keep intervals within the allowed range', () => {
+      expect(feedInterval({ ttl: '1' })).toBe(MIN_INTERVAL_MINUTES);
+      expect(feedInterval({ 'sy:updatePeriod': 'weekly' })).toBe(MAX_INTERVAL_MINUTES);
+    });
+
+    it('should return null when the feed does not say', () => {
+      expect(feedInterval({ title: 'Feed' })).toBeNull();
+      expect(feedInterval({ ttl: 'soon', 'sy:updatePeriod': 'sometimes' })).toBeNull();
+      expect(feedInterval(undefined)).toBeNull();
+    });
+  });
+
+  describe('nextSyncTime', () => {
+    const now = Date.UTC(2025, 0, 1);
+
+    it('should wait the default interval for feeds without one', () => {
+      expect(nextSyncTime({ interval: null, failures: 0 }, now)).toBe(now + DEFAULT_INTERVAL_MINUTES * MINUTE_MS);
+    });
+
+    it('should wait the feed interval', () => {
+      expect(nextSyncTime({ interval: 60, failures: 0 }, now)).toBe(now + 60 * MINUTE_MS);
+    });
+
+    it('should back off exponentially after failures', () => {
+      expect(nextSyncTime({ interval: 15, failures: 1 }, now)).toBe(now + 30 * MINUTE_MS);
+      expect(nextSyncTime({ interval: 15, failures: 3 }, now)).toBe(now + 120 * MINUTE_MS);
+      expect(nextSyncTime({ interval: 15, failures: 20 }, now)).toBe(now + MAX_BACKOFF_MINUTES * MINUTE_MS);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { repairFeed, repairArticle, normalizeArticle, appendToQuarantine, toISODate } from '../../../src/services/validation.js';
+
+const validArticle = {
+  id: 1,
+  feed_id: 1,
+  title: 'Article',
+  link: 'https://example.com/a',
+  content: 'Content',
+  pub_date: '2025-01-01T10:00:00.000Z',
+  image_url: 'https://example.com/a.jpg',
+  is_read: 0,
+  is_saved: 1,
+  created_at: '2025-01-01T10:00:00.000Z'
+};
+
+describe('Validation Service', () => {
+  describe('toISODate', () => {
+    it('should convert RFC 822 dates', () => {
+      expect(toISODate('Wed, 01 Jan 2025 10:00:00 +0100')).toBe('2025-01-01T09:00:00.000Z');
+    });
+
+    it('should return null for unparseable values', () => {
+      expect(toISODate('yesterday')).toBeNull();
+      expect(toISODate(null)).toBeNull();
+    });
+  });
+
+  describe('repairFeed', () => {
+    it('should leave valid feeds untouched', () => {
+      const feed = { id: 1, title: 'Feed', url: 'https://example.com/feed.xml', created_at: '2025-01-01T00:00:00.000Z' };
+      expect(repairFeed(feed)).toEqual({ record: feed, fixes: [] });
+    });
+
+    it('should derive a missing title from the URL and fix the date', () => {
+      const { record, fixes, errors } = repairFeed({
+        id: 1, title: '', url: 'https://blog.example.com/feed.xml', created_at: 'Wed, 01 Jan 2025 00:00:00 GMT'
+      });
+
+      expect(errors).toBeUndefined();
+      expect(fixes).toEqual(['title', 'created_at']);
+      expect(record.title).toBe('blog.example.com');
+      expect(record.created_at).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('should report feeds with an invalid URL', () => {
+      const { errors } = repairFeed({ id: 1, title: 'Feed', url: 'not a url', created_at: '2025-01-01T00:00:00.000Z' });
+      expect(errors).toEqual(['url: Invalid feed URL']);
+    });
+  });
+
+  describe('normalizeArticle', () => {
+    const feedUrl = 'https://example.com/blog/feed.xml';
+
+    it('should keep titles and absolute links', () => {
+      expect(normalizeArticle({ title: 'Post', link: ' https://example.com/post ' }, feedUrl))
+        .toEqual({ title: 'Post', link: 'https://example.com/post' });
+    });
+
+    it('should resolve relative links against the feed URL', () => {
+      expect(normalizeArticle({ title: 'Post', link: '/posts/1' }, feedUrl).link).toBe('https://example.com/posts/1');
+      expect(normalizeArticle({ title: 'Post', link: 'posts/1' }, feedUrl).link).toBe('https://example.com/blog/posts/1');
+    });
+
+    it('should fall back to the enclosure for items without a link', () => {
+      expect(normalizeArticle({ title: 'Episode 1', enclosureUrl: 'https://cdn.example.com/ep1.mp3' }, feedUrl).link)
+        .toBe('https://cdn.example.com/ep1.mp3');
+    });
+
+    it('should make up missing titles from the content or the link', () => {
+      expect(normalizeArticle({ title: '  ', link: '/a', content: '<p>Short <b>note</b></p>' }, feedUrl).title)
+        .toBe('Short note');
+      expect(normalizeArticle({ link: '/a', content: 'word '.repeat(50) }, feedUrl).title)
+        .toBe(`${'word '.repeat(20).trimEnd()}…`);
+      expect(normalizeArticle({ enclosureUrl: 'https://cdn.example.com/show/episode%201.mp3' }, feedUrl).title)
+        .toBe('episode 1.mp3');
+      expect(normalizeArticle({ link: 'https://example.com/' }, feedUrl).title).toBe('example.com');
+    });
+
+    it('should reject items without an http(s) link', () => {
+      expect(normalizeArticle({ title: 'Post' }, feedUrl)).toBeNull();
+      expect(normalizeArticle({ title: 'Post', link: 'javascript:alert(1)' }, feedUrl)).toBeNull();
+      expect(normalizeArticle({ title: 'Post', link: '/posts/1' })).toBeNull();
+    });
+  });
+
+  describe('repairArticle', () => {
+    const feedUrls = new Map([[1, 'https://example.com/feed.xml']]);
+
+    it('should accept valid articles and coerce stored flags', () => {
+      const { record, fixes, errors } = repairArticle(validArticle, feedUrls);
+
+      expect(errors).toBeUndefined();
+      expect(fixes).toEqual([]);
+      expect(record.is_read).toBe(false);
+      expect(record.is_saved).toBe(true);
+    });
+
+    it('should fall back to created_at for unparseable pub_date', () => {
+      const { record, fixes } = repairArticle({ ...validArticle, pub_date: 'soon' }, feedUrls);
+      expect(fixes).toEqual(['pub_date']);
+      expect(record.pub_date).toBe(validArticle.created_at);
+    });
+
+    it('should drop null and non-http image URLs', () => {
+      expect(repairArticle({ ...validArticle, image_url: null }, feedUrls).record).not.toHaveProperty('image_url');
+
+      const { record, fixes } = repairArticle({ ...validArticle, image_url: 'javascript:alert(1)' }, feedUrls);
+      expect(record).not.toHaveProperty('image_url');
+      expect(fixes).toEqual(['image_url']);
+    });
+
+    it('should truncate overlong titles', () => {
+      const { record, fixes } = repairArticle({ ...validArticle, title: 'x'.repeat(600) }, feedUrls);
+      expect(record.title).toHaveLength(500);
+      expect(fixes).toEqual(['title']);
+    });
+
+    it('should repair what a sync normalizes: missing titles and relative or missing links', () => {
+      const { record, fixes, errors } = repairArticle({ ...validArticle, title: '', link: '/a' }, feedUrls);
+      expect(errors).toBeUndefined();
+      expect(fixes).toEqual(['title', 'link']);
+      expect(record).toMatchObject({ title: 'Content', link: 'https://example.com/a' });
+
+      const episode = repairArticle(
+        { ...validArticle, link: null, enclosure_url: 'https://example.com/ep1.mp3' },
+        feedUrls
+      );
+      expect(episode.errors).toBeUndefined();
+      expect(episode.record.link).toBe('https://example.com/ep1.mp3');
+    });
+
+    it('should report missing titles, bad links and unknown feeds', () => {
+      const { errors } = repairArticle({ ...validArticle, feed_id: 2, title: null, link: 'mailto:someone@example.com' }, feedUrls);
+
+      expect(errors).toHaveLength(3);
+      expect(errors.join('\n')).toMatch(/title/);
+      expect(errors.join('\n')).toMatch(/Invalid article link/);
+      expect(errors.join('\n')).toMatch(/Feed 2 does not exist/);
+    });
+  });
+
+  describe('appendToQuarantine', () => {
+    let tmpDir;
+    let file;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-quarantine-'));
+      file = path.join(tmpDir, 'quarantine.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      vi.restoreAllMocks();
+    });
+
+    it('should not create a file when there is nothing to quarantine', () => {
+      appendToQuarantine(file, []);
+      expect(fs.existsSync(file)).toBe(false);
+    });
+
+    it('should append entries to the existing list', () => {
+      appendToQuarantine(file, [{ type: 'feed', record: { id: 1 } }]);
+      appendToQuarantine(file, [{ type: 'article', record: { id: 2 } }]);
+
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(entries.map(e => e.record.id)).toEqual([1, 2]);
+    });
+
+    it('should keep an unreadable quarantine file aside', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync(file, '[{"type"');
+
+      appendToQuarantine(file, [{ type: 'feed', record: { id: 1 } }]);
+
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(1);
+      expect(fs.readdirSync(tmpDir).some(name => name.startsWith('quarantine.json.unreadable-'))).toBe(true);
+    });
+  });
+});
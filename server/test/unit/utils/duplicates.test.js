@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { canonicalUrl, dedupKeys, duplicateKeys, fingerprint, isNearDuplicate } from '../../../src/utils/duplicates.js';
+
+describe('Duplicate detection utilities', () => {
+  describe('canonicalUrl', () => {
+    it('should ignore scheme, www, trailing slashes and tracking params', () => {
+      expect(canonicalUrl('https://www.Example.com/post/?utm_source=rss')).toBe('example.com/post');
+      expect(canonicalUrl('http://example.com/post')).toBe('example.com/post');
+    });
+
+    it('should sort the remaining query parameters', () => {
+      expect(canonicalUrl('https://example.com/a?b=2&a=1')).toBe('example.com/a?a=1&b=2');
+    });
+
+    it('should map every YouTube URL variant to the watch URL', () => {
+      const expected = 'youtube.com/watch?v=abc123';
+      expect(canonicalUrl('https://www.youtube.com/watch?v=abc123')).toBe(expected);
+      expect(canonicalUrl('https://youtu.be/abc123')).toBe(expected);
+      expect(canonicalUrl('https://www.youtube.com/shorts/abc123')).toBe(expected);
+      expect(canonicalUrl('https://www.youtube.com/embed/abc123')).toBe(expected);
+      expect(canonicalUrl('https://m.youtube.com/watch?v=abc123&feature=share')).toBe(expected);
+    });
+
+    it('should return null for invalid URLs', () => {
+      expect(canonicalUrl('not a url')).toBeNull();
+      expect(canonicalUrl(null)).toBeNull();
+    });
+  });
+
+  describe('dedupKeys', () => {
+    it('should strip tracking parameters from the link and normalize the title', () => {
+      expect(dedupKeys({ link: 'https://example.com/a?utm_source=rss#top', title: '  Hello \n World ' }))
+        .toEqual({ link_key: 'https://example.com/a', title_key: 'hello world' });
+    });
+
+    it('should handle missing links and titles', () => {
+      expect(dedupKeys({ link: null, title: null })).toEqual({ link_key: null, title_key: '' });
+    });
+  });
+
+  describe('isNearDuplicate', () => {
+    const body = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+
+    it('should match near-identical titles', () => {
+      const a = fingerprint({ title: 'Rust 2.0 released with new borrow checker', content: '' });
+      const b = fingerprint({ title: 'Rust 2.0 Released With New Borrow Checker!', content: '' });
+      expect(isNearDuplicate(a, b)).toBe(true);
+    });
+
+    it('should not match different titles', () => {
+      const a = fingerprint({ title: 'Rust 2.0 released with new borrow checker', content: '' });
+      const b = fingerprint({ title: 'Go 2.0 released with generics and modules', content: '' });
+      expect(isNearDuplicate(a, b)).toBe(false);
+    });
+
+    it('should not trust short titles on their own', () => {
+      const a = fingerprint({ title: 'Weekly update', content: '' });
+      const b = fingerprint({ title: 'Weekly update', content: '' });
+      expect(isNearDuplicate(a, b)).toBe(false);
+    });
+
+    it('should match near-identical content under different titles', () => {
+      const a = fingerprint({ title: 'Big news', content: `<p>${body}</p>` });
+      const b = fingerprint({ title: 'Huge news', content: `${body} extra` });
+      expect(isNearDuplicate(a, b)).toBe(true);
+    });
+  });
+
+  describe('duplicateKeys', () => {
+    const shares = (a, b) => duplicateKeys(a).some(key => duplicateKeys(b).includes(key));
+
+    it('should give near-duplicates a key in common', () => {
+      // Variants of a title and a text with words changed, dropped and added
+      let seed = 1;
+      const random = (n) => (seed = (seed * 16807) % 2147483647) % n;
+      const vary = (list) => list
+        .filter(() => random(12) > 0)
+        .map(word => (random(15) === 0 ? `changed${random(1000)}` : word))
+        .concat(random(3) === 0 ? ['extra'] : []);
+
+      let matched = 0;
+      for (let i = 0; i < 300; i++) {
+        // Common words, which are ordered differently, included
+        const word = (prefix, n) => (random(4) === 0 ? ['the', 'of', 'new'][random(3)] : `${prefix}${random(n)}`);
+        const title = Array.from({ length: 4 + random(10) }, () => word('t', 40));
+        const content = Array.from({ length: 40 + random(200) }, () => word('w', 50));
+        const a = fingerprint({ title: title.join(' '), content: content.join(' ') });
+        const b = fingerprint({ title: vary(title).join(' '), content: vary(content).join(' ') });
+        if (!isNearDuplicate(a, b)) continue;
+        matched++;
+        expect(shares(a, b)).toBe(true);
+      }
+      expect(matched).toBeGreaterThan(50);
+    });
+
+    it('should give no keys for what is never compared', () => {
+      expect(duplicateKeys(fingerprint({ title: 'Weekly update', content: 'Short' }))).toEqual([]);
+    });
+  });
+});
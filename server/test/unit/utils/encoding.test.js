@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import Parser from 'rss-parser';
+import { detectEncoding, decodeFeed } from '../../../src/utils/encoding.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`../../fixtures/feeds/${name}`, import.meta.url)));
+
+// Title of the first item once the fixture is decoded and parsed
+async function itemTitle(name, contentType) {
+  const feed = await new Parser().parseString(decodeFeed(fixture(name), contentType));
+  return feed.items[0].title;
+}
+
+describe('Feed encoding', () => {
+  describe('detectEncoding', () => {
+    it('should prefer a byte order mark', () => {
+      expect(detectEncoding(fixture('utf-8-bom.xml'), 'text/xml; charset=iso-8859-1')).toBe('utf-8');
+      expect(detectEncoding(fixture('utf-16le-bom.xml'), 'text/xml')).toBe('utf-16le');
+    });
+
+    it('should prefer the XML declaration over the Content-Type header', () => {
+      expect(detectEncoding(fixture('windows-1251.xml'), 'text/xml; charset=utf-8')).toBe('windows-1251');
+    });
+
+    it('should use the Content-Type header when the feed declares nothing', () => {
+      expect(detectEncoding(fixture('koi8-r.xml'), 'application/rss+xml; charset="KOI8-R"')).toBe('KOI8-R');
+    });
+
+    it('should skip encodings it does not know', () => {
+      const xml = Buffer.from('<?xml version="1.0" encoding="x-made-up"?><rss></rss>');
+
+      expect(detectEncoding(xml, 'text/xml; charset=iso-8859-2')).toBe('iso-8859-2');
+      expect(detectEncoding(xml, 'text/xml; charset=bogus')).toBe('utf-8');
+    });
+
+    it('should sniff feeds that declare nothing', () => {
+      expect(detectEncoding(Buffer.from('<rss><title>Grüße</title></rss>'), 'text/xml')).toBe('utf-8');
+      expect(detectEncoding(fixture('windows-1252.xml'), 'text/xml')).toBe('windows-1252');
+    });
+  });
+
+  describe('decodeFeed', () => {
+    it('should decode feeds in legacy encodings', async () => {
+      expect(await itemTitle('windows-1251.xml', 'text/xml')).toBe('Привет, мир');
+      expect(await itemTitle('iso-8859-1.xml', 'text/xml')).toBe('Crème brûlée à la carte');
+      expect(await itemTitle('shift_jis.xml', 'text/xml')).toBe('今日の天気');
+      expect(await itemTitle('koi8-r.xml', 'text/xml; charset=koi8-r')).toBe('Добрый день');
+      expect(await itemTitle('windows-1252.xml', 'text/xml')).toBe('Smørrebrød – 5 €');
+    });
+
+    it('should decode Unicode feeds with a byte order mark', async () => {
+      expect(await itemTitle('utf-8-bom.xml', 'text/xml')).toBe('Καλημέρα');
+      expect(await itemTitle('utf-16le-bom.xml', 'text/xml')).toBe('Straße');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { isJsonFeed, parseJsonFeed } from '../../../src/utils/json-feed.js';
+
+const feed = (fields) => JSON.stringify({ version: 'https://jsonfeed.org/version/1.1', title: 'Blog', items: [], ...fields });
+
+describe('JSON Feed', () => {
+  describe('isJsonFeed', () => {
+    it('should recognize the JSON Feed content type', () => {
+      expect(isJsonFeed('application/feed+json; charset=utf-8', '')).toBe(true);
+    });
+
+    it('should sniff JSON Feeds served with other content types', () => {
+      expect(isJsonFeed('application/json', feed())).toBe(true);
+      expect(isJsonFeed('text/plain', `\n  ${feed()}`)).toBe(true);
+    });
+
+    it('should not mistake other JSON or XML for a JSON Feed', () => {
+      expect(isJsonFeed('application/json', '{"items": []}')).toBe(false);
+      expect(isJsonFeed('application/rss+xml', '<rss version="2.0"></rss>')).toBe(false);
+    });
+  });
+
+  describe('parseJsonFeed', () => {
+    it('should map the feed and its items to the RSS item shape', () => {
+      const parsed = parseJsonFeed(feed({
+        home_page_url: 'https://example.com/',
+        feed_url: 'https://example.com/feed.json',
+        items: [{
+          id: 42,
+          title: 'Episode 1',
+          url: 'https://example.com/1',
+          content_html: '<p>Show <em>notes</em> &amp; links</p>',
+          image: 'https://example.com/1.jpg',
+          date_published: '2024-03-01T10:00:00+01:00',
+          attachments: [
+            { url: 'https://example.com/1.mp3', mime_type: 'audio/mpeg', size_in_bytes: 1234, duration_in_seconds: 600 },
+            { url: 'https://example.com/1.pdf', mime_type: 'application/pdf' }
+          ]
+        }]
+      }));
+
+      expect(parsed).toMatchObject({ title: 'Blog', link: 'https://example.com/', feedUrl: 'https://example.com/feed.json' });
+      expect(parsed.items).toEqual([{
+        title: 'Episode 1',
+        link: 'https://example.com/1',
+        guid: '42',
+        content: '<p>Show <em>notes</em> &amp; links</p>',
+        contentSnippet: 'Show notes & links',
+        pubDate: '2024-03-01T10:00:00+01:00',
+        'media:thumbnail': 'https://example.com/1.jpg',
+        enclosure: { url: 'https://example.com/1.mp3', type: 'audio/mpeg', length: 1234 },
+        itunes: { duration: '600' },
+        attachments: [
+          { url: 'https://example.com/1.mp3', type: 'audio/mpeg', title: undefined, length: 1234, duration: 600 },
+          { url: 'https://example.com/1.pdf', type: 'application/pdf', title: undefined, length: undefined, duration: undefined }
+        ]
+      }]);
+    });
+
+    it('should fall back to content_text, external_url and date_modified', () => {
+      const [item] = parseJsonFeed(feed({
+        items: [{
+          id: '1',
+          external_url: 'https://elsewhere.com/post',
+          content_text: 'Just text',
+          date_modified: '2024-03-02T00:00:00Z'
+        }]
+      })).items;
+
+      expect(item).toMatchObject({
+        title: undefined,
+        link: 'https://elsewhere.com/post',
+        content: 'Just text',
+        contentSnippet: 'Just text',
+        pubDate: '2024-03-02T00:00:00Z',
+        attachments: []
+      });
+      expect(item.enclosure).toBeUndefined();
+    });
+
+    it('should map authors and tags to creator and categories', () => {
+      const [current, old, none] = parseJsonFeed(feed({
+        items: [
+          { id: '1', authors: [{ name: 'Jane Doe' }, { url: 'https://example.com/~x' }, { name: 'John Roe' }], tags: ['Tech', '', 3] },
+          // JSON Feed 1.0
+          { id: '2', author: { name: 'Jane Doe' } },
+          { id: '3' }
+        ]
+      })).items;
+
+      expect(current).toMatchObject({ creator: 'Jane Doe, John Roe', categories: ['Tech'] });
+      expect(old.creator).toBe('Jane Doe');
+      expect(none).not.toHaveProperty('creator');
+      expect(none).not.toHaveProperty('categories');
+    });
+
+    it('should accept JSON Feed 1.0', () => {
+      const parsed = parseJsonFeed(JSON.stringify({ version: 'https://jsonfeed.org/version/1', title: 'Old', items: [] }));
+
+      expect(parsed.title).toBe('Old');
+    });
+
+    it('should reject documents that are not JSON Feeds', () => {
+      expect(() => parseJsonFeed('<rss></rss>')).toThrow('Invalid JSON Feed');
+      expect(() => parseJsonFeed('{"items": []}')).toThrow('missing or unknown version');
+      expect(() => parseJsonFeed(feed({ items: null }))).toThrow('items must be an array');
+    });
+  });
+});
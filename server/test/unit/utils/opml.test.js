@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { parseOpml, flattenOpml, buildOpml } from '../../../src/utils/opml.js';
+
+describe('OPML utilities', () => {
+  describe('parseOpml', () => {
+    it('should keep outline groups as folders', () => {
+      const opml = `<?xml version="1.0"?>
+<opml version="1.0">
+  <body>
+    <outline text="News">
+      <outline text="Tech" title="Technology">
+        <outline type="rss" text="Ars" xmlUrl="https://example.com/ars.xml"/>
+        <outline type="rss" title="Verge" xmlUrl="https://example.com/verge.xml"/>
+      </outline>
+      <outline type="rss" text="BBC" xmlUrl="https://example.com/bbc.xml"/>
+    </outline>
+    <outline type="rss" text="Blog" xmlUrl="https://example.com/blog.xml"/>
+  </body>
+</opml>`;
+
+      expect(parseOpml(opml)).toEqual([
+        {
+          type: 'folder',
+          title: 'News',
+          children: [
+            {
+              type: 'folder',
+              title: 'Tech',
+              children: [
+                { type: 'feed', title: 'Ars', url: 'https://example.com/ars.xml' },
+                { type: 'feed', title: 'Verge', url: 'https://example.com/verge.xml' }
+              ]
+            },
+            { type: 'feed', title: 'BBC', url: 'https://example.com/bbc.xml' }
+          ]
+        },
+        { type: 'feed', title: 'Blog', url: 'https://example.com/blog.xml' }
+      ]);
+    });
+
+    it('should keep the feeds of untitled groups one level up', () => {
+      const opml = `<opml><body><outline><outline text="Blog" xmlUrl="https://example.com/blog.xml"/></outline></body></opml>`;
+
+      expect(parseOpml(opml)).toEqual([{ type: 'feed', title: 'Blog', url: 'https://example.com/blog.xml' }]);
+    });
+
+    it('should decode predefined entities in attributes', () => {
+      const opml = `<opml><body><outline text="A &amp; B" xmlUrl="https://example.com/feed?a=1&amp;b=2"/></body></opml>`;
+
+      expect(parseOpml(opml)).toEqual([{ type: 'feed', title: 'A & B', url: 'https://example.com/feed?a=1&b=2' }]);
+    });
+
+    it('should return null without a body', () => {
+      expect(parseOpml('<opml><head/></opml>')).toBeNull();
+    });
+  });
+
+  describe('flattenOpml', () => {
+    it('should list feeds with their folder path', () => {
+      const tree = [
+        { type: 'folder', title: 'News', children: [
+          { type: 'folder', title: 'Tech', children: [{ type: 'feed', title: 'Ars', url: 'a' }] }
+        ] },
+        { type: 'feed', title: 'Blog', url: 'b' }
+      ];
+
+      expect(flattenOpml(tree)).toEqual([
+        { title: 'Ars', url: 'a', path: ['News', 'Tech'] },
+        { title: 'Blog', url: 'b', path: [] }
+      ]);
+    });
+  });
+
+  describe('buildOpml', () => {
+    it('should round-trip folders and feeds', () => {
+      const folders = [
+        { id: 1, name: 'News & Views', parent_id: null },
+        { id: 2, name: 'Tech', parent_id: 1 }
+      ];
+      const feeds = [
+        { title: 'Ars', url: 'https://example.com/ars.xml?x=1&y=2', folder_id: 2 },
+        { title: 'Blog', url: 'https://example.com/blog.xml', folder_id: null },
+        // Folder no longer exists
+        { title: 'Lost', url: 'https://example.com/lost.xml', folder_id: 9 }
+      ];
+
+      expect(flattenOpml(parseOpml(buildOpml(folders, feeds)))).toEqual([
+        { title: 'Ars', url: 'https://example.com/ars.xml?x=1&y=2', path: ['News & Views', 'Tech'] },
+        { title: 'Blog', url: 'https://example.com/blog.xml', path: [] },
+        { title: 'Lost', url: 'https://example.com/lost.xml', path: [] }
+      ]);
+    });
+  });
+});
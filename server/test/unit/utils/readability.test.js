@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { parseHtml, extractArticle } from '../../../src/utils/readability.js';
+
+const paragraph = (n) =>
+  `<p>Paragraph ${n} of the story, which goes on for a while, with commas, clauses, and details that make it long enough to count.</p>`;
+
+const page = (article) => `<!DOCTYPE html>
+<html>
+<head><title>Blog</title><script>var closing = "</div>";</script></head>
+<body>
+  <header class="site-header"><nav><a href="/">Home</a> <a href="/about">About</a></nav></header>
+  <div id="sidebar" class="sidebar"><p>Popular posts, recent posts, and other things in the sidebar, long enough to score.</p></div>
+  <div class="layout">
+    <article class="post">${article}</article>
+    <div class="comments"><p>Great post, thanks, really, really great post, and more comments after this one.</p></div>
+  </div>
+  <footer>Copyright</footer>
+</body>
+</html>`;
+
+describe('Readability', () => {
+  describe('parseHtml', () => {
+    it('should build a tree with text decoded', () => {
+      const root = parseHtml('<div class="a"><p>Fish &amp; chips<br>to go</div>');
+
+      const div = root.children[0];
+      expect(div.tag).toBe('div');
+      expect(div.attributes.class).toBe('a');
+      expect(div.children[0].tag).toBe('p');
+      expect(div.children[0].children.map(node => node.text ?? node.tag)).toEqual(['Fish & chips', 'br', 'to go']);
+    });
+
+    it('should close paragraphs and list items left open', () => {
+      const root = parseHtml('<p>One<p>Two<ul><li>a<li>b</ul>');
+
+      expect(root.children.map(node => node.tag)).toEqual(['p', 'p', 'ul']);
+      expect(root.children[2].children.map(node => node.tag)).toEqual(['li', 'li']);
+    });
+  });
+
+  describe('extractArticle', () => {
+    it('should keep the article and drop the rest of the page', () => {
+      const html = extractArticle(page(`<h1>Title</h1>${paragraph(1)}${paragraph(2)}${paragraph(3)}`), 'https://example.com/posts/1');
+
+      expect(html).toContain('<h2>Title</h2>');
+      expect(html).toContain('Paragraph 1 of the story');
+      expect(html).toContain('Paragraph 3 of the story');
+      expect(html).not.toMatch(/Home|sidebar|Great post|Copyright|closing/);
+    });
+
+    it('should make links and images absolute and safe', () => {
+      const html = extractArticle(page(`${paragraph(1)}${paragraph(2)}
+        <p>With <a href="javascript:alert(1)" onclick="steal()">bad</a> and <a href="/ok">good</a> links
+        <img src="data:image/gif;base64,R0lGOD" data-src="img/a.png" onerror="steal()"></p>`), 'https://example.com/posts/1');
+
+      expect(html).toContain('<a>bad</a>');
+      expect(html).toContain('<a href="https://example.com/ok" target="_blank" rel="noopener noreferrer">good</a>');
+      expect(html).toContain('<img src="https://example.com/posts/img/a.png">');
+      expect(html).not.toMatch(/javascript:|onclick|onerror|data:/);
+    });
+
+    it('should resolve links against <base>', () => {
+      const html = extractArticle(
+        `<head><base href="https://cdn.example.com/"></head><body>${paragraph(1)}${paragraph(2)}<p><a href="ok">Link</a></p></body>`,
+        'https://example.com/posts/1'
+      );
+
+      expect(html).toContain('href="https://cdn.example.com/ok"');
+    });
+
+    it('should drop tags and attributes it does not know', () => {
+      const html = extractArticle(
+        `<body>${paragraph(1)}<p style="color: red" class="x"><span>Inside</span> <iframe src="https://ads.example.com"></iframe>a span</p>${paragraph(2)}</body>`,
+        'https://example.com/'
+      );
+
+      expect(html).toContain('<p>Inside a span</p>');
+      expect(html).not.toMatch(/style=|class=|<span|<iframe/);
+    });
+
+    it('should return null for pages without an article', () => {
+      expect(extractArticle('<html><body><p>Too short.</p></body></html>', 'https://example.com/')).toBeNull();
+      expect(extractArticle('', 'https://example.com/')).toBeNull();
+    });
+  });
+});
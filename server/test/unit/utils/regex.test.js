@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import { regexProblem, safeRegex, testRegex, MAX_REGEX_LENGTH } from '../../../src/utils/regex.js';
+
+describe('Regex utilities', () => {
+  describe('regexProblem', () => {
+    it('should accept ordinary patterns', () => {
+      for (const pattern of ['^Sponsored:', '/20\\d\\d/', '(giveaway|contest)s?', '(?:\\w\\s)+deal', '[(+]+', 'a{2,5}b*',
+        '\\d+-\\d+', '.*sponsored.*', '^\\[ad\\]\\s+\\w+']) {
+        expect(regexProblem(pattern)).toBeNull();
+      }
+    });
+
+    it('should reject patterns that backtrack catastrophically', () => {
+      for (const pattern of ['(a+)+$', '(a*)*b', '(\\w+\\s?)*$', '((ab)+c)+', '(?:x+y?){2,}', '(a+)+?']) {
+        expect(regexProblem(pattern)).toMatch(/too slow/);
+      }
+    });
+
+    it('should reject repeated alternatives', () => {
+      for (const pattern of ['(a|a)*$', '(a|aa)+$', '(\\w|\\d)*!', '(?:x(a|b))+']) {
+        expect(regexProblem(pattern)).toMatch(/group with alternatives/);
+      }
+    });
+
+    it('should reject repeats in a row that match the same text', () => {
+      for (const pattern of ['\\w*\\w*\\w*\\w*x', '\\d+\\s*\\d+$', '.*.*=', '[a-z]+a+!', '\\w+(x)*']) {
+        expect(regexProblem(pattern)).toMatch(/next to each other/);
+      }
+    });
+
+    it('should reject backreferences', () => {
+      expect(regexProblem('(a)\\1')).toBe('Backreferences are not supported');
+      expect(regexProblem('(?<x>a)\\k<x>')).toBe('Backreferences are not supported');
+    });
+
+    it('should reject invalid and overlong patterns', () => {
+      expect(regexProblem('(unclosed')).toBe('Invalid regular expression');
+      expect(regexProblem('a'.repeat(MAX_REGEX_LENGTH + 1))).toBe('Regular expression too long');
+    });
+  });
+
+  describe('safeRegex', () => {
+    it('should compile safe patterns, ignoring case', () => {
+      expect(safeRegex('^sponsored').test('Sponsored: a gadget')).toBe(true);
+      expect(safeRegex('(a+)+$')).toBeNull();
+    });
+  });
+
+  describe('testRegex', () => {
+    it('should match like RegExp.test', () => {
+      expect(testRegex(/^sponsored/i, 'Sponsored: a gadget')).toBe(true);
+      expect(testRegex(/^sponsored/i, 'A gadget')).toBe(false);
+    });
+
+    it('should give up on matches that run too long', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const started = Date.now();
+
+      expect(testRegex(/(a|a)*$/i, `${'a'.repeat(30)}!`)).toBe(false);
+
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('took too long'));
+      vi.restoreAllMocks();
+    });
+  });
+});
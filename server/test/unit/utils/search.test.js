@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { toFtsQuery, toPlainText, formatHighlight, MATCH_START, MATCH_END } from '../../../src/utils/search.js';
+
+describe('Search utilities', () => {
+  describe('toFtsQuery', () => {
+    it('should quote each term and AND them together', () => {
+      expect(toFtsQuery('rust release')).toBe('"rust" "release"');
+    });
+
+    it('should keep quoted phrases together', () => {
+      expect(toFtsQuery('"open source" license')).toBe('"open source" "license"');
+    });
+
+    it('should support prefix terms', () => {
+      expect(toFtsQuery('learn*')).toBe('"learn"*');
+    });
+
+    it('should support excluded terms and phrases', () => {
+      expect(toFtsQuery('rust -game -"video game"')).toBe('("rust") NOT ("game" OR "video game")');
+    });
+
+    it('should support OR between terms', () => {
+      expect(toFtsQuery('rust OR go')).toBe('"rust" OR "go"');
+    });
+
+    it('should neutralize FTS syntax in user input', () => {
+      expect(toFtsQuery('title:foo AND NEAR(bar)')).toBe('"title:foo" "AND" "NEAR(bar)"');
+      expect(toFtsQuery('say "hi')).toBe('"say" "hi"');
+      expect(toFtsQuery('a"b')).toBe('"ab"');
+    });
+
+    it('should return null when nothing is searchable', () => {
+      expect(toFtsQuery('')).toBeNull();
+      expect(toFtsQuery('   ')).toBeNull();
+      expect(toFtsQuery('""')).toBeNull();
+      expect(toFtsQuery('-only')).toBeNull();
+      expect(toFtsQuery('OR')).toBeNull();
+      expect(toFtsQuery(null)).toBeNull();
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('should strip tags and decode common entities', () => {
+      expect(toPlainText('<p>Fast &amp; <b>safe</b></p>')).toBe('Fast & safe');
+    });
+
+    it('should drop script and style contents', () => {
+      expect(toPlainText('<style>p { color: red }</style>Text<script>alert(1)</script>')).toBe('Text');
+    });
+
+    it('should handle empty input', () => {
+      expect(toPlainText(null)).toBe('');
+      expect(toPlainText('')).toBe('');
+    });
+  });
+
+  describe('formatHighlight', () => {
+    it('should escape HTML and convert match markers to <mark>', () => {
+      const text = `<img src=x> ${MATCH_START}rust${MATCH_END} & go`;
+      expect(formatHighlight(text)).toBe('&lt;img src=x&gt; <mark>rust</mark> &amp; go');
+    });
+  });
+});